@@ -143,6 +143,8 @@ import { ensureJsonCleaningRegex, removeJsonCleaningRegex } from './src/systems/
 import { parseAndStoreSpotifyUrl } from './src/systems/features/musicPlayer.js';
 import { DEFAULT_HTML_PROMPT } from './src/systems/generation/promptBuilder.js';
 import { openEncounterModal } from './src/systems/ui/encounterUI.js';
+import { openEncounterLogBrowser } from './src/systems/ui/encounterLogBrowser.js';
+import { openMerchantModal } from './src/systems/ui/merchantUI.js';
 
 // Integration modules
 import {
@@ -157,6 +159,7 @@ import {
     onGenerationEnded,
     initHistoryInjection
 } from './src/systems/integration/sillytavern.js';
+import { registerSlashCommands } from './src/systems/integration/slashCommands.js';
 
 // Old state variable declarations removed - now imported from core modules
 // (extensionSettings, lastGeneratedData, committedTrackerData, etc. are now in src/core/state.js)
@@ -348,6 +351,7 @@ async function initUI() {
         extensionSettings.showInventory = $(this).prop('checked');
         saveSettings();
         updateSectionVisibility();
+        togglePlotButtons(); // Trade button needs the inventory
     });
 
     $('#rpg-toggle-quests').on('change', function() {
@@ -470,6 +474,47 @@ async function initUI() {
         saveSettings();
     });
 
+    $('#rpg-toggle-deterministic-combat').on('change', function() {
+        if (!extensionSettings.encounterSettings) {
+            extensionSettings.encounterSettings = { enabled: true, historyDepth: 8, autoSaveLogs: true };
+        }
+        extensionSettings.encounterSettings.deterministicCombat = $(this).prop('checked');
+        saveSettings();
+    });
+
+    $('#rpg-toggle-initiative').on('change', function() {
+        if (!extensionSettings.encounterSettings) {
+            extensionSettings.encounterSettings = { enabled: true, historyDepth: 8, autoSaveLogs: true };
+        }
+        extensionSettings.encounterSettings.initiative = $(this).prop('checked');
+        saveSettings();
+    });
+
+    // Skill check settings
+    $('#rpg-toggle-skill-checks').on('change', function() {
+        if (!extensionSettings.skillChecks) {
+            extensionSettings.skillChecks = { enabled: true, allowModelChecks: true, addLevelBonus: true };
+        }
+        extensionSettings.skillChecks.enabled = $(this).prop('checked');
+        saveSettings();
+    });
+
+    $('#rpg-toggle-model-checks').on('change', function() {
+        if (!extensionSettings.skillChecks) {
+            extensionSettings.skillChecks = { enabled: true, allowModelChecks: true, addLevelBonus: true };
+        }
+        extensionSettings.skillChecks.allowModelChecks = $(this).prop('checked');
+        saveSettings();
+    });
+
+    $('#rpg-toggle-check-level-bonus').on('change', function() {
+        if (!extensionSettings.skillChecks) {
+            extensionSettings.skillChecks = { enabled: true, allowModelChecks: true, addLevelBonus: true };
+        }
+        extensionSettings.skillChecks.addLevelBonus = $(this).prop('checked');
+        saveSettings();
+    });
+
     // Combat narrative style settings
     $('#rpg-combat-tense').on('change', function() {
         if (!extensionSettings.encounterSettings) {
@@ -717,6 +762,14 @@ async function initUI() {
         updateFabWidgets();
     });
 
+    $('#rpg-toggle-fab-wallet').on('change', function() {
+        if (!extensionSettings.mobileFabWidgets) extensionSettings.mobileFabWidgets = {};
+        if (!extensionSettings.mobileFabWidgets.wallet) extensionSettings.mobileFabWidgets.wallet = {};
+        extensionSettings.mobileFabWidgets.wallet.enabled = $(this).prop('checked');
+        saveSettings();
+        updateFabWidgets();
+    });
+
     $('#rpg-toggle-fab-stats').on('change', function() {
         if (!extensionSettings.mobileFabWidgets) extensionSettings.mobileFabWidgets = {};
         if (!extensionSettings.mobileFabWidgets.stats) extensionSettings.mobileFabWidgets.stats = {};
@@ -774,6 +827,14 @@ async function initUI() {
         updateStripWidgets();
     });
 
+    $('#rpg-toggle-strip-wallet').on('change', function() {
+        if (!extensionSettings.desktopStripWidgets) extensionSettings.desktopStripWidgets = {};
+        if (!extensionSettings.desktopStripWidgets.wallet) extensionSettings.desktopStripWidgets.wallet = {};
+        extensionSettings.desktopStripWidgets.wallet.enabled = $(this).prop('checked');
+        saveSettings();
+        updateStripWidgets();
+    });
+
     $('#rpg-toggle-strip-stats').on('change', function() {
         if (!extensionSettings.desktopStripWidgets) extensionSettings.desktopStripWidgets = {};
         if (!extensionSettings.desktopStripWidgets.stats) extensionSettings.desktopStripWidgets.stats = {};
@@ -1006,6 +1067,11 @@ async function initUI() {
     $('#rpg-toggle-encounters').prop('checked', extensionSettings.encounterSettings?.enabled ?? true);
     $('#rpg-encounter-history-depth').val(extensionSettings.encounterSettings?.historyDepth ?? 8);
     $('#rpg-toggle-autosave-logs').prop('checked', extensionSettings.encounterSettings?.autoSaveLogs ?? true);
+    $('#rpg-toggle-deterministic-combat').prop('checked', extensionSettings.encounterSettings?.deterministicCombat ?? false);
+    $('#rpg-toggle-initiative').prop('checked', extensionSettings.encounterSettings?.initiative ?? false);
+    $('#rpg-toggle-skill-checks').prop('checked', extensionSettings.skillChecks?.enabled ?? true);
+    $('#rpg-toggle-model-checks').prop('checked', extensionSettings.skillChecks?.allowModelChecks ?? true);
+    $('#rpg-toggle-check-level-bonus').prop('checked', extensionSettings.skillChecks?.addLevelBonus ?? true);
 
     // Combat narrative style
     $('#rpg-combat-tense').val(extensionSettings.encounterSettings?.combatNarrative?.tense ?? 'present');
@@ -1032,6 +1098,7 @@ async function initUI() {
     $('#rpg-toggle-fab-clock').prop('checked', fabWidgets.clock?.enabled || false);
     $('#rpg-toggle-fab-date').prop('checked', fabWidgets.date?.enabled || false);
     $('#rpg-toggle-fab-location').prop('checked', fabWidgets.location?.enabled || false);
+    $('#rpg-toggle-fab-wallet').prop('checked', fabWidgets.wallet?.enabled ?? true);
     $('#rpg-toggle-fab-stats').prop('checked', fabWidgets.stats?.enabled || false);
     $('#rpg-toggle-fab-attributes').prop('checked', fabWidgets.attributes?.enabled || false);
     // Toggle visibility of widget options based on master toggle
@@ -1044,6 +1111,7 @@ async function initUI() {
     $('#rpg-toggle-strip-clock').prop('checked', stripWidgets.clock?.enabled ?? true);
     $('#rpg-toggle-strip-date').prop('checked', stripWidgets.date?.enabled ?? true);
     $('#rpg-toggle-strip-location').prop('checked', stripWidgets.location?.enabled ?? true);
+    $('#rpg-toggle-strip-wallet').prop('checked', stripWidgets.wallet?.enabled ?? true);
     $('#rpg-toggle-strip-stats').prop('checked', stripWidgets.stats?.enabled ?? true);
     $('#rpg-toggle-strip-attributes').prop('checked', stripWidgets.attributes?.enabled ?? true);
     // Toggle visibility of strip widget options based on master toggle
@@ -1111,7 +1179,7 @@ async function initUI() {
     initTrackerEditor();
     initPromptsEditor();
     addDiceQuickReply();
-    setupPlotButtons(sendPlotProgression, openEncounterModal);
+    setupPlotButtons(sendPlotProgression, openEncounterModal, openEncounterLogBrowser, openMerchantModal);
     setupMobileKeyboardHandling();
     setupContentEditableScrolling();
     initInventoryEventListeners();
@@ -1272,6 +1340,14 @@ jQuery(async () => {
             throw error; // This is critical - can't continue without events
         }
 
+        // Register /rpg-* slash commands for STscript and Quick Replies
+        try {
+            registerSlashCommands();
+        } catch (error) {
+            console.error('[RPG Companion] Slash command registration failed:', error);
+            // Non-critical - continue without slash commands
+        }
+
         // Restore checkpoint state if one exists
         await restoreCheckpointOnLoad();
 
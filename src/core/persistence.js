@@ -199,6 +199,10 @@ export function saveChatData() {
     chat_metadata.rpg_companion = {
         userStats: extensionSettings.userStats,
         classicStats: extensionSettings.classicStats,
+        experience: extensionSettings.experience,
+        level: extensionSettings.level,
+        statusEffects: extensionSettings.statusEffects,
+        wallet: extensionSettings.wallet,
         quests: extensionSettings.quests,
         lastGeneratedData: lastGeneratedData,
         committedTrackerData: committedTrackerData,
@@ -270,7 +274,11 @@ export function loadChatData() {
             quests: {
                 main: "None",
                 optional: []
-            }
+            },
+            experience: { xp: 0, attributePoints: 0, spentPoints: {} },
+            level: 1,
+            statusEffects: [],
+            wallet: { balances: {} }
         });
         setLastGeneratedData({
             userStats: null,
@@ -298,6 +306,22 @@ export function loadChatData() {
         extensionSettings.classicStats = { ...savedData.classicStats };
     }
 
+    // Restore XP and unspent attribute points (per chat, so progress never leaks between chats)
+    extensionSettings.experience = savedData.experience
+        ? { ...savedData.experience, spentPoints: { ...(savedData.experience.spentPoints || {}) } }
+        : { xp: 0, attributePoints: 0, spentPoints: {} };
+
+    // Restore the level (per chat, so it stays in step with the chat's XP)
+    extensionSettings.level = typeof savedData.level === 'number' ? savedData.level : 1;
+
+    // Restore status effects (per chat, so effects never leak between chats)
+    extensionSettings.statusEffects = Array.isArray(savedData.statusEffects)
+        ? savedData.statusEffects.map(effect => ({ ...effect }))
+        : [];
+
+    // Restore the wallet (per chat, like status effects)
+    extensionSettings.wallet = { balances: { ...(savedData.wallet?.balances || {}) } };
+
     // Restore quests
     if (savedData.quests) {
         extensionSettings.quests = { ...savedData.quests };
@@ -82,6 +82,7 @@ export let extensionSettings = {
         clock: { enabled: true, position: 2 },            // Current time display
         date: { enabled: true, position: 3 },             // Date display
         location: { enabled: true, position: 4 },         // Location name
+        wallet: { enabled: true, position: 7 },           // Money in the wallet
         stats: { enabled: true, position: 5 },            // All stats as compact numbers
         attributes: { enabled: true, position: 6 }        // Compact RPG attributes display
     },
@@ -92,6 +93,7 @@ export let extensionSettings = {
         clock: { enabled: true },            // Current time display
         date: { enabled: true },             // Date display
         location: { enabled: true },         // Location name
+        wallet: { enabled: true },           // Money in the wallet
         stats: { enabled: true },            // All stats as compact numbers
         attributes: { enabled: true }        // Compact RPG attributes display
     },
@@ -139,6 +141,55 @@ export let extensionSettings = {
             // RPG Attributes (customizable D&D-style attributes)
             showRPGAttributes: true,
             showLevel: true, // Show/hide level in UI and prompts
+            // XP progression (see src/systems/features/experience.js)
+            experience: {
+                enabled: true, // Track XP and level up automatically
+                curve: 'dnd5e', // 'dnd5e', 'linear', 'exponential' or 'custom'
+                base: 1000, // XP per level (linear) or for level 2 (exponential)
+                growth: 1.5, // Multiplier applied to each next level's cost (exponential)
+                customThresholds: [300, 900, 2700], // Total XP for level 2, 3, 4... (custom)
+                pointsPerLevel: 2, // Attribute points granted per level gained
+                xpPerEnemy: 50 // Fallback encounter XP per enemy
+            },
+            // Carried weight against STR (see src/systems/features/itemDetails.js)
+            encumbrance: {
+                enabled: true, // Compute carried weight and flag the character as encumbered
+                weightUnit: 'lb', // Unit shown next to weights
+                capacityPerStr: 15 // Carrying capacity per point of STR
+            },
+            // Money in denominations (see src/systems/features/wallet.js)
+            wallet: {
+                enabled: false, // Track money in the wallet instead of as inventory items
+                preset: 'fantasy', // 'fantasy', 'credits', 'yen' or 'custom'
+                denominations: [
+                    { id: 'gp', name: 'Gold', rate: 100 },
+                    { id: 'sp', name: 'Silver', rate: 10 },
+                    { id: 'cp', name: 'Copper', rate: 1 }
+                ], // Rates are worth in the smallest denomination
+                autoConvert: true // Exchange small coins into larger ones automatically
+            },
+            // Equipment slots whose items add modifiers to attributes and stats (see src/systems/features/equipment.js)
+            equipment: {
+                enabled: true, // Show equipment slots and apply equipped items' modifiers
+                slots: [
+                    { id: 'head', name: 'Head' },
+                    { id: 'body', name: 'Body' },
+                    { id: 'hands', name: 'Hands' },
+                    { id: 'mainHand', name: 'Main Hand' },
+                    { id: 'offHand', name: 'Off Hand' },
+                    { id: 'accessory', name: 'Accessory' }
+                ]
+            },
+            // Recipe book for the inventory's Craft view (see src/systems/features/crafting.js)
+            crafting: {
+                enabled: true, // Show the Craft view in the inventory
+                recipes: [] // [{ id, name, inputs: '2x Cloth', outputs: 'Bandage', skill: '', time: '10 minutes' }]
+            },
+            // Authored quests unlocked by completing their prerequisites (see src/systems/features/questChains.js)
+            questChains: {
+                enabled: true, // Add authored quests to the tracker as they unlock
+                quests: [] // [{ id, title, prerequisites: 'Find the key', description: '', objectives: '', side: false }]
+            },
             alwaysSendAttributes: false, // If true, always send attributes; if false, only send with dice rolls
             rpgAttributes: [
                 { id: 'str', name: 'STR', enabled: true, persistInHistory: false },
@@ -175,6 +226,21 @@ export let extensionSettings = {
                 time: { enabled: true, persistInHistory: true }, // Time enabled by default for history
                 location: { enabled: true, persistInHistory: true }, // Location enabled by default for history
                 recentEvents: { enabled: true, persistInHistory: false }
+            },
+            // Game clock that holds the date and time to a calendar (see src/systems/features/calendar.js)
+            calendar: {
+                enabled: true,
+                preset: 'gregorian',
+                months: '',
+                weekdays: '',
+                allowBackwards: false,
+                morningHour: 7
+            },
+            // Places the party has visited and the routes between them (see src/systems/features/locationHistory.js)
+            locationHistory: {
+                enabled: true,
+                knownLocationsPrompt: true,
+                maxPromptLocations: 25
             }
         },
         presentCharacters: {
@@ -221,6 +287,10 @@ export let extensionSettings = {
                     { id: 'health', name: 'Health', enabled: true },
                     { id: 'arousal', name: 'Arousal', enabled: true }
                 ]
+            },
+            // What each character carries (kept in the characters JSON as "inventory")
+            inventory: {
+                enabled: false
             }
         }
     },
@@ -239,6 +309,15 @@ export let extensionSettings = {
         characters: []
     }, null, 2),
     level: 1, // User's character level
+    experience: {
+        xp: 0, // Total XP earned
+        attributePoints: 0, // Unspent points granted by level-ups
+        spentPoints: {} // Points spent per attribute ID (so they can be refunded)
+    },
+    statusEffects: [], // Active status effects on the user ({type, name, emoji, duration, unit}), see statusEffects.js
+    wallet: {
+        balances: {} // Coins per denomination ID (e.g., {gp: 12, sp: 5}), see wallet.js
+    },
     classicStats: {
         str: 10,
         dex: 10,
@@ -248,6 +327,12 @@ export let extensionSettings = {
         cha: 10
     },
     lastDiceRoll: null, // Store last dice roll result
+    // Skill checks settled in code (history lives in chat_metadata.rpg_companion_skill_checks)
+    skillChecks: {
+        enabled: true, // Inject settled check results so the narrative must honor them
+        allowModelChecks: true, // Let the model call for checks with [CHECK: DEX save DC 14] tags
+        addLevelBonus: true // Add a level-based bonus (+2 at level 1, +1 every 4 levels)
+    },
     showDiceDisplay: true, // Show the "Last Roll" display in the panel
     collapsedInventoryLocations: [], // Array of collapsed storage location names
     inventoryViewModes: {
@@ -255,12 +340,20 @@ export let extensionSettings = {
         stored: 'list',   // 'list' or 'grid' view mode for Stored section
         assets: 'list'    // 'list' or 'grid' view mode for Assets section
     },
+    inventoryFilters: {
+        query: '',         // Search text shared by all inventory sub-tabs
+        tag: '',           // Only show items with this user tag
+        sortBy: 'default', // 'default', 'name', 'quantity', 'value' or 'acquired'
+        reverse: false     // Flip the sort order
+    },
     npcAvatars: {}, // Store custom avatar images for NPCs (key: character name, value: base64 data URI)
     // Combat encounter settings
     encounterSettings: {
         enabled: true, // Show Start Encounter button above chat input
         historyDepth: 8, // Number of recent messages to include in combat initialization
-        autoSaveLogs: false // Save detailed combat logs to file
+        autoSaveLogs: false, // Save detailed combat logs to file
+        deterministicCombat: false, // Settle attacks and damage with the dice engine; the AI only narrates
+        initiative: false // Roll initiative; allies and enemies take separate turns in order (one request per NPC turn)
     },
     // Auto avatar generation settings
     autoGenerateAvatars: true, // Master toggle for auto-generating avatars
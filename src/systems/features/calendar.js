@@ -0,0 +1,621 @@
+/**
+ * Calendar Module
+ * In-game calendar and clock. The info box's date and time are parsed into a game timestamp (minutes since the
+ * start of year 0 of the chat's calendar) and kept as the chat's clock, so time can be advanced from the info box
+ * and a model that moves time backwards is held to the clock instead. Custom calendars set their own months and weekdays.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { chat_metadata, saveChatDebounced } from '../../../../../../../script.js';
+import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
+import { saveChatData } from '../../core/persistence.js';
+import { repairJSON } from '../../utils/jsonRepair.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Built-in calendars. Months are "Name: days" lines and weekdays are comma-separated, like custom calendars.
+ * Leap years aren't counted.
+ */
+export const CALENDAR_PRESETS = {
+    gregorian: {
+        name: 'Gregorian',
+        months: 'January: 31\nFebruary: 28\nMarch: 31\nApril: 30\nMay: 31\nJune: 30\nJuly: 31\nAugust: 31\nSeptember: 30\nOctober: 31\nNovember: 30\nDecember: 31',
+        weekdays: 'Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday'
+    },
+    harptos: {
+        name: 'Harptos (Forgotten Realms)',
+        months: 'Hammer: 30\nAlturiak: 30\nChes: 30\nTarsakh: 30\nMirtul: 30\nKythorn: 30\nFlamerule: 30\nEleasis: 30\nEleint: 30\nMarpenoth: 30\nUktar: 30\nNightal: 30',
+        weekdays: 'First-day, Second-day, Third-day, Fourth-day, Fifth-day, Sixth-day, Seventh-day, Eighth-day, Ninth-day, Tenth-day'
+    }
+};
+
+/**
+ * Default calendar configuration (stored in trackerConfig.infoBox.calendar)
+ */
+export const DEFAULT_CALENDAR_CONFIG = {
+    enabled: true, // Keep a game clock and hold the info box's time to it
+    preset: 'gregorian', // One of CALENDAR_PRESETS, or 'custom'
+    months: '', // Custom calendar months, one "Name: days" per line
+    weekdays: '', // Custom calendar weekdays, comma-separated
+    allowBackwards: false, // Accept time moving backwards without a "rewind" flag
+    morningHour: 7 // Hour "Rest until morning" wakes up at
+};
+
+/**
+ * A calendar's months and weekdays
+ * @typedef {Object} Calendar
+ * @property {Array<{name: string, days: number}>} months - Months, in order
+ * @property {string[]} weekdays - Weekday names, in order (may be empty)
+ */
+
+/**
+ * A point in game time
+ * @typedef {Object} GameTimestamp
+ * @property {number} year - Year
+ * @property {number} month - Month index (0-based)
+ * @property {number} day - Day of the month (1-based)
+ * @property {number} hour - Hour (0-23)
+ * @property {number} minute - Minute (0-59)
+ * @property {number} dayNumber - Days since the start of year 0, for weekdays
+ */
+
+/**
+ * The chat's clock
+ * @typedef {Object} GameClock
+ * @property {number|null} minutes - Current game time in minutes (null until the info box reports a date or time)
+ * @property {number} weekdayOffset - Shifts weekdays so they match the ones the story started with
+ * @property {{label: string, minutes: number, narratedIn: number|null}|null} advance - Time skipped from the info box,
+ *   for the next response to narrate (narratedIn is the message index of the response that did)
+ */
+
+/**
+ * Gets the calendar configuration with defaults applied.
+ * @returns {typeof DEFAULT_CALENDAR_CONFIG} Calendar configuration
+ */
+export function getCalendarConfig() {
+    return { ...DEFAULT_CALENDAR_CONFIG, ...(extensionSettings.trackerConfig?.infoBox?.calendar || {}) };
+}
+
+/**
+ * Reads "Name: days" lines into months, skipping lines without a name or a day count.
+ * @param {string} text - Month lines
+ * @returns {Array<{name: string, days: number}>} Months
+ */
+export function parseMonths(text) {
+    return String(text || '')
+        .split('\n')
+        .map(line => line.match(/^\s*(.+?)\s*[:=]\s*(\d+)\s*$/))
+        .filter(Boolean)
+        .map(match => ({ name: match[1], days: Math.min(Math.max(parseInt(match[2]), 1), 1000) }));
+}
+
+/**
+ * Gets the chat's calendar. A custom calendar without months falls back to the Gregorian one.
+ * @returns {Calendar} Calendar
+ */
+export function getCalendar() {
+    const config = getCalendarConfig();
+    const source = config.preset === 'custom' ? config : (CALENDAR_PRESETS[config.preset] || CALENDAR_PRESETS.gregorian);
+    let months = parseMonths(source.months);
+    let weekdays = String(source.weekdays || '').split(',').map(name => name.trim()).filter(Boolean);
+    if (months.length === 0) {
+        months = parseMonths(CALENDAR_PRESETS.gregorian.months);
+        weekdays = weekdays.length > 0 ? weekdays : CALENDAR_PRESETS.gregorian.weekdays.split(', ');
+    }
+    return { months, weekdays };
+}
+
+/**
+ * Counts the days in a calendar year.
+ * @param {Calendar} calendar - Calendar
+ * @returns {number} Days
+ * @private
+ */
+function getYearLength(calendar) {
+    return calendar.months.reduce((sum, month) => sum + month.days, 0);
+}
+
+/**
+ * Converts a date and time of day into game minutes.
+ * @param {{year: number, month: number, day: number, minutes: number}} date - Date, with the time as minutes since midnight
+ * @param {Calendar} [calendar] - Calendar (defaults to the chat's)
+ * @returns {number} Game minutes
+ */
+export function toGameMinutes({ year, month, day, minutes }, calendar = getCalendar()) {
+    const daysBefore = calendar.months.slice(0, month).reduce((sum, m) => sum + m.days, 0);
+    const dayNumber = year * getYearLength(calendar) + daysBefore + (day - 1);
+    return dayNumber * MINUTES_PER_DAY + minutes;
+}
+
+/**
+ * Converts game minutes into a date and time.
+ * @param {number} total - Game minutes
+ * @param {Calendar} [calendar] - Calendar (defaults to the chat's)
+ * @returns {GameTimestamp} Timestamp
+ */
+export function fromGameMinutes(total, calendar = getCalendar()) {
+    const dayNumber = Math.floor(total / MINUTES_PER_DAY);
+    const minutes = total - dayNumber * MINUTES_PER_DAY;
+    const yearLength = getYearLength(calendar);
+    const year = Math.floor(dayNumber / yearLength);
+
+    let dayOfYear = dayNumber - year * yearLength;
+    let month = 0;
+    while (month < calendar.months.length - 1 && dayOfYear >= calendar.months[month].days) {
+        dayOfYear -= calendar.months[month].days;
+        month++;
+    }
+    return { year, month, day: dayOfYear + 1, hour: Math.floor(minutes / 60), minute: minutes % 60, dayNumber };
+}
+
+/**
+ * Finds which of a list of names appears in a text as a whole word, preferring the longest full name
+ * and falling back to three-letter abbreviations ("Oct", "Tue").
+ * @param {string} text - Text to search
+ * @param {string[]} names - Names to look for
+ * @returns {number} Index of the name found, or -1
+ * @private
+ */
+function findName(text, names) {
+    const contains = (word) => {
+        const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^\\p{L}])${escaped}($|[^\\p{L}])`, 'iu').test(text);
+    };
+    const byLength = names.map((name, index) => ({ name, index })).sort((a, b) => b.name.length - a.name.length);
+    const full = byLength.find(({ name }) => contains(name));
+    if (full) return full.index;
+    const short = byLength.find(({ name }) => name.length > 3 && contains(name.slice(0, 3)));
+    return short ? short.index : -1;
+}
+
+/**
+ * Reads a date like "Tuesday, October 17th, 2023", "3rd of Hammer, 1492 DR" or "Tuesday, October, 2023".
+ * Parts the text doesn't have are left out.
+ * @param {string} text - Date text
+ * @param {Calendar} [calendar] - Calendar (defaults to the chat's)
+ * @returns {{year?: number, month?: number, day?: number, weekday?: number}} Date parts
+ */
+export function parseGameDate(text, calendar = getCalendar()) {
+    const source = String(text || '');
+    const parts = {};
+
+    const month = findName(source, calendar.months.map(m => m.name));
+    if (month !== -1) parts.month = month;
+    const weekday = findName(source, calendar.weekdays);
+    if (weekday !== -1) parts.weekday = weekday;
+
+    const numbers = [...source.matchAll(/(\d+)\s*(st|nd|rd|th)?\b/gi)]
+        .map(match => ({ value: parseInt(match[1]), ordinal: Boolean(match[2]), long: match[1].length >= 3 }));
+    const yearMatch = source.match(/\byear\s+(\d+)/i);
+    let year = yearMatch ? numbers.find(n => n.value === parseInt(yearMatch[1])) : numbers.find(n => n.long && !n.ordinal);
+    let day = numbers.find(n => n.ordinal && n !== year) || numbers.find(n => n !== year && !n.long);
+    if (!year) year = numbers.find(n => n !== day);
+    if (year) parts.year = year.value;
+
+    // A day number only means something with a month
+    if (day && parts.month !== undefined && day.value >= 1 && day.value <= calendar.months[parts.month].days) {
+        parts.day = day.value;
+    }
+    return parts;
+}
+
+/**
+ * Times of day the model may write instead of a clock time, in minutes since midnight
+ */
+const NAMED_TIMES = {
+    midnight: 0, dawn: 6 * 60, sunrise: 6 * 60, morning: 8 * 60, noon: 12 * 60, midday: 12 * 60,
+    afternoon: 15 * 60, dusk: 18 * 60, sunset: 18 * 60, evening: 19 * 60, night: 22 * 60
+};
+
+/**
+ * Reads a time like "14:30", "2:30 PM", "9 AM" or "Dusk" as minutes since midnight.
+ * @param {string} text - Time text
+ * @returns {number|null} Minutes, or null if no time was found
+ */
+export function parseGameTime(text) {
+    const source = String(text || '');
+    const match = source.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/i);
+    if (match && (match[2] || match[3])) {
+        let hours = parseInt(match[1]);
+        const minutes = match[2] ? parseInt(match[2]) : 0;
+        const meridiem = (match[3] || '').toLowerCase().replace(/\./g, '');
+        if (meridiem === 'pm' && hours < 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+        if (hours === 24 && minutes === 0) hours = 0;
+        if (hours <= 23 && minutes <= 59) return hours * 60 + minutes;
+    }
+
+    const named = Object.keys(NAMED_TIMES).find(name => new RegExp(`\\b${name}\\b`, 'i').test(source));
+    return named ? NAMED_TIMES[named] : null;
+}
+
+/**
+ * Adds an ordinal suffix to a day number (1st, 2nd, 3rd, 4th...).
+ * @param {number} day - Day of the month
+ * @returns {string} Day with suffix
+ * @private
+ */
+function ordinal(day) {
+    const tens = day % 100;
+    if (tens >= 11 && tens <= 13) return `${day}th`;
+    return `${day}${['th', 'st', 'nd', 'rd'][day % 10] || 'th'}`;
+}
+
+/**
+ * Formats game minutes as a date in the info box's "Weekday, Month, Year" shape (e.g., "Tuesday, October 17th, 2023").
+ * @param {number} total - Game minutes
+ * @param {Calendar} [calendar] - Calendar (defaults to the chat's)
+ * @param {number} [weekdayOffset] - Weekday shift (defaults to the chat clock's)
+ * @returns {string} Date
+ */
+export function formatGameDate(total, calendar = getCalendar(), weekdayOffset = getClock().weekdayOffset) {
+    const { year, month, day, dayNumber } = fromGameMinutes(total, calendar);
+    const parts = [`${calendar.months[month].name} ${ordinal(day)}`, String(year)];
+    if (calendar.weekdays.length > 0) {
+        const count = calendar.weekdays.length;
+        parts.unshift(calendar.weekdays[(((dayNumber + weekdayOffset) % count) + count) % count]);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Formats game minutes as a time of day ("14:30").
+ * @param {number} total - Game minutes
+ * @returns {string} Time
+ */
+export function formatGameTime(total) {
+    const minutes = ((total % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a number of minutes as a duration ("1 hour", "8 hours 30 minutes").
+ * @param {number} minutes - Minutes
+ * @returns {string} Duration
+ */
+export function formatDuration(minutes) {
+    const days = Math.floor(minutes / MINUTES_PER_DAY);
+    const hours = Math.floor((minutes % MINUTES_PER_DAY) / 60);
+    const rest = minutes % 60;
+    const parts = [];
+    if (days) parts.push(`${days} day${days === 1 ? '' : 's'}`);
+    if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+    if (rest || parts.length === 0) parts.push(`${rest} minute${rest === 1 ? '' : 's'}`);
+    return parts.join(' ');
+}
+
+/**
+ * Gets the chat's clock, creating it if needed.
+ * @returns {GameClock} Clock
+ */
+export function getClock() {
+    if (!chat_metadata) return { minutes: null, weekdayOffset: 0, advance: null };
+    const clock = chat_metadata.rpg_companion_clock;
+    if (!clock || typeof clock !== 'object') {
+        chat_metadata.rpg_companion_clock = { minutes: null, weekdayOffset: 0, advance: null };
+    }
+    return chat_metadata.rpg_companion_clock;
+}
+
+/**
+ * Gets the current game time as a date and time.
+ * @returns {GameTimestamp|null} Timestamp, or null while the clock isn't set
+ */
+export function getGameTimestamp() {
+    const clock = getClock();
+    return clock.minutes === null ? null : fromGameMinutes(clock.minutes);
+}
+
+/**
+ * Reads the date and time fields of an info box tracker.
+ * @param {string} infoBoxText - Raw info box tracker (v3 JSON or text)
+ * @returns {{date: string, start: string, end: string, rewind: boolean}|null} Fields, or null if there is no info box
+ */
+export function readInfoBoxClock(infoBoxText) {
+    if (!infoBoxText || typeof infoBoxText !== 'string') return null;
+    const trimmed = infoBoxText.trim();
+
+    if (trimmed.startsWith('{')) {
+        const data = repairJSON(trimmed);
+        if (!data) return null;
+        const date = data.date && typeof data.date === 'object' ? data.date.value : data.date;
+        const rewind = data.time?.rewind === true || data.time?.rewind === 'true';
+        return { date: String(date || ''), start: String(data.time?.start || ''), end: String(data.time?.end || ''), rewind };
+    }
+
+    // Text format: "Date: Tuesday, October, 2023" and "Time: 14:00 → 15:30"
+    const lines = trimmed.split('\n');
+    const dateLine = lines.find(l => /^\s*date\s*:/i.test(l) || l.includes('🗓️'));
+    const timeLine = lines.find(l => /^\s*time\s*:/i.test(l) || l.includes('🕒'));
+    const [start = '', end = ''] = timeLine ? timeLine.replace(/^[^:]*:/, '').split(/\s*(?:→|->|–|\bto\b)\s*/) : [];
+    return { date: dateLine ? dateLine.replace(/^[^:]*:/, '').trim() : '', start: start.trim(), end: end.trim(), rewind: false };
+}
+
+/**
+ * Works out the game time an info box reports, filling in what it leaves out from the clock.
+ * A date without a day number (the default "Weekday, Month, Year" shape) moves forward to the next day with that weekday,
+ * and a time more than 12 hours earlier on the same date is taken as past midnight.
+ * @param {{date: string, start: string, end: string}} reading - Info box date and time
+ * @param {GameClock} clock - Clock before the update
+ * @param {Calendar} calendar - Calendar
+ * @returns {number|null} Game minutes, or null if the info box has neither a date nor a time
+ * @private
+ */
+function resolveGameMinutes(reading, clock, calendar) {
+    const parts = parseGameDate(reading.date, calendar);
+    const time = parseGameTime(reading.end) ?? parseGameTime(reading.start);
+    const hasDate = parts.month !== undefined || parts.year !== undefined || parts.weekday !== undefined;
+    if (!hasDate && time === null) return null;
+
+    const previous = clock.minutes === null ? null : fromGameMinutes(clock.minutes, calendar);
+    const year = parts.year ?? previous?.year ?? 1;
+    const month = parts.month ?? previous?.month ?? 0;
+    const sameMonth = previous && year === previous.year && month === previous.month;
+    let day = parts.day ?? (sameMonth || parts.month === undefined ? previous?.day : 1) ?? 1;
+    const minutes = time ?? (previous ? previous.hour * 60 + previous.minute : 0);
+
+    let total = toGameMinutes({ year, month, day: Math.min(day, calendar.months[month].days), minutes }, calendar);
+    if (!previous) return total;
+
+    const sameDay = Math.floor(total / MINUTES_PER_DAY) === previous.dayNumber;
+    if (parts.day === undefined && parts.weekday !== undefined && calendar.weekdays.length > 0) {
+        // Move forward to the reported weekday
+        const count = calendar.weekdays.length;
+        const current = (((Math.floor(total / MINUTES_PER_DAY) + clock.weekdayOffset) % count) + count) % count;
+        total += ((parts.weekday - current + count) % count) * MINUTES_PER_DAY;
+    }
+    if (sameDay && Math.floor(total / MINUTES_PER_DAY) === previous.dayNumber && clock.minutes - total > 12 * 60) {
+        total += MINUTES_PER_DAY;
+    }
+    return total;
+}
+
+/**
+ * Lines an info box's date and weekdays up with the calendar, the first time the clock is set.
+ * @param {GameClock} clock - Clock
+ * @param {string} dateText - Info box date
+ * @param {Calendar} calendar - Calendar
+ * @private
+ */
+function alignWeekdays(clock, dateText, calendar) {
+    const weekday = parseGameDate(dateText, calendar).weekday;
+    const count = calendar.weekdays.length;
+    if (weekday === undefined || count === 0 || clock.minutes === null) return;
+    const dayNumber = Math.floor(clock.minutes / MINUTES_PER_DAY);
+    clock.weekdayOffset = (((weekday - dayNumber) % count) + count) % count;
+}
+
+/**
+ * Writes game times into an info box's date and time fields. Unreadable info boxes are returned unchanged.
+ * @param {string} infoBoxText - Raw info box tracker (v3 JSON or text)
+ * @param {number} start - Game minutes for the start time
+ * @param {number} end - Game minutes for the end time and the date
+ * @returns {string} Updated info box tracker
+ * @private
+ */
+function writeClockToInfoBox(infoBoxText, start, end) {
+    if (!infoBoxText || typeof infoBoxText !== 'string') return infoBoxText;
+    const trimmed = infoBoxText.trim();
+    const date = formatGameDate(end);
+
+    if (trimmed.startsWith('{')) {
+        const data = repairJSON(trimmed);
+        if (!data) return infoBoxText;
+        if (data.date !== undefined) {
+            if (data.date && typeof data.date === 'object') {
+                data.date.value = date;
+            } else {
+                data.date = { value: date };
+            }
+        }
+        data.time = { ...(data.time && typeof data.time === 'object' ? data.time : {}), start: formatGameTime(start), end: formatGameTime(end) };
+        delete data.time.rewind;
+        return JSON.stringify(data, null, 2);
+    }
+
+    return infoBoxText.split('\n').map(line => {
+        if (/^\s*date\s*:/i.test(line) || line.includes('🗓️')) {
+            return `${line.slice(0, line.indexOf(':') + 1)} ${date}`;
+        }
+        if (/^\s*time\s*:/i.test(line) || line.includes('🕒')) {
+            return `${line.slice(0, line.indexOf(':') + 1)} ${formatGameTime(start)} → ${formatGameTime(end)}`;
+        }
+        return line;
+    }).join('\n');
+}
+
+/**
+ * Gets the clock's time without a message's change, keeping time skipped since then.
+ * @param {Object} clock - Chat clock
+ * @param {{before: number|null, after: number, weekdayOffset: number}|null} change - Change the message made (null if none)
+ * @returns {number|null} Game minutes
+ * @private
+ */
+function getMinutesWithoutChange(clock, change) {
+    if (!change || clock.minutes === null) return clock.minutes;
+    return change.before === null ? null : clock.minutes - (change.after - change.before);
+}
+
+/**
+ * Checks a new assistant message's info box against the chat's clock.
+ * Time moving forward (or back, with "rewind": true in "time" or when backwards jumps are allowed) sets the clock;
+ * time moving back otherwise is rejected, and the info box is put back to the clock's time.
+ * The change the message made to the clock is remembered, so re-parsing or swiping the same message takes it back
+ * and replays the check. Time skipped and dates set by the user since then are kept.
+ * @param {string} infoBoxText - Raw info box tracker
+ * @param {number} messageIndex - Chat message index
+ * @returns {string} Info box tracker, corrected if its time was rejected
+ */
+export function applyTrackerClock(infoBoxText, messageIndex) {
+    const config = getCalendarConfig();
+    if (!config.enabled || !chat_metadata || messageIndex < 0) return infoBoxText;
+
+    const clock = getClock();
+    const checkpoint = chat_metadata.rpg_companion_clock_tick;
+    if (checkpoint && checkpoint.messageIndex === messageIndex && checkpoint.change) {
+        clock.minutes = getMinutesWithoutChange(clock, checkpoint.change);
+        clock.weekdayOffset = checkpoint.change.weekdayOffset;
+    }
+    chat_metadata.rpg_companion_clock_tick = { messageIndex, change: null };
+
+    const reading = readInfoBoxClock(infoBoxText);
+    const calendar = getCalendar();
+    const total = reading ? resolveGameMinutes(reading, clock, calendar) : null;
+    if (total === null) {
+        saveChatDebounced();
+        return infoBoxText;
+    }
+
+    if (clock.minutes !== null && total < clock.minutes && !reading.rewind && !config.allowBackwards) {
+        toastr.warning(`The response moved time back to ${formatGameTime(total)}. The clock stays at ${formatGameDate(clock.minutes)}, ${formatGameTime(clock.minutes)}.`, 'Game Clock');
+        saveChatDebounced();
+        return writeClockToInfoBox(infoBoxText, clock.minutes, clock.minutes);
+    }
+
+    const first = clock.minutes === null;
+    chat_metadata.rpg_companion_clock_tick.change = { before: clock.minutes, after: total, weekdayOffset: clock.weekdayOffset };
+    clock.minutes = total;
+    if (first) alignWeekdays(clock, reading.date, calendar);
+    saveChatDebounced();
+    if (!reading.rewind) return infoBoxText;
+
+    // The flag only applies to this response
+    const data = repairJSON(infoBoxText.trim());
+    delete data.time.rewind;
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Sets the clock to the info box's date and time after the user edits them. User edits may move time backwards.
+ * @param {string} infoBoxText - Raw info box tracker
+ */
+export function syncClockToInfoBox(infoBoxText) {
+    if (!getCalendarConfig().enabled || !chat_metadata) return;
+    const reading = readInfoBoxClock(infoBoxText);
+    if (!reading) return;
+
+    const clock = getClock();
+    const calendar = getCalendar();
+    const total = resolveGameMinutes(reading, clock, calendar);
+    if (total === null) return;
+    clock.minutes = total;
+    alignWeekdays(clock, reading.date, calendar);
+
+    // The user's date and time replace the last message's, so a swipe must not take that message's change back out
+    const checkpoint = chat_metadata.rpg_companion_clock_tick;
+    if (checkpoint) checkpoint.change = null;
+    saveChatDebounced();
+}
+
+/**
+ * Starts the clock over from the info box, e.g., after the calendar changed.
+ */
+export function resetClock() {
+    if (!chat_metadata) return;
+    chat_metadata.rpg_companion_clock = { minutes: null, weekdayOffset: 0, advance: null };
+    delete chat_metadata.rpg_companion_clock_tick;
+    syncClockToInfoBox(lastGeneratedData.infoBox || committedTrackerData.infoBox);
+    saveChatDebounced();
+}
+
+/**
+ * Moves the clock forward and shows the new time in the info box. The next response is told about the skip.
+ * @param {number} minutes - Minutes to skip
+ * @param {string} label - What the time was spent on (e.g., "waited")
+ * @returns {{success: boolean, error: string}} Result, with the reason when it failed
+ */
+export function advanceClock(minutes, label) {
+    if (!getCalendarConfig().enabled || !chat_metadata) {
+        return { success: false, error: 'The game clock is turned off.' };
+    }
+    const clock = getClock();
+    if (clock.minutes === null) {
+        return { success: false, error: 'The clock starts once the info box reports a date or time.' };
+    }
+    const skipped = Math.max(1, Math.round(minutes));
+
+    const start = clock.minutes;
+    clock.minutes += skipped;
+    const pending = clock.advance?.narratedIn === null ? clock.advance : null;
+    clock.advance = {
+        label: pending && pending.label !== label ? `${pending.label}, then ${label}` : label,
+        minutes: (pending?.minutes || 0) + skipped,
+        narratedIn: null
+    };
+
+    const infoBox = writeClockToInfoBox(lastGeneratedData.infoBox || committedTrackerData.infoBox, start, clock.minutes);
+    if (infoBox) {
+        lastGeneratedData.infoBox = infoBox;
+        committedTrackerData.infoBox = infoBox;
+
+        const chat = getContext().chat || [];
+        for (let i = chat.length - 1; i >= 0; i--) {
+            const message = chat[i];
+            if (!message.is_user) {
+                const swipe = message.extra?.rpg_companion_swipes?.[message.swipe_id || 0];
+                if (swipe) swipe.infoBox = infoBox;
+                break;
+            }
+        }
+    }
+
+    saveChatData();
+    return { success: true, error: '' };
+}
+
+/**
+ * Skips time to the next morning (the configured morning hour).
+ * @returns {{success: boolean, error: string}} Result, with the reason when it failed
+ */
+export function restUntilMorning() {
+    const clock = getClock();
+    const morning = Math.min(Math.max(parseInt(getCalendarConfig().morningHour) || 0, 0), 23) * 60;
+    const now = clock.minutes === null ? morning : ((clock.minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const minutes = morning > now ? morning - now : morning + MINUTES_PER_DAY - now;
+    return advanceClock(minutes, 'rested until morning');
+}
+
+/**
+ * Builds the prompt that gives the model the clock's time and any time the user skipped.
+ * When regenerating, the time before the message being swiped is used.
+ * @param {boolean} isSwipe - Whether this generation replaces the last message
+ * @returns {string} Prompt text, or empty string while the clock is off or not set
+ */
+export function buildClockPrompt(isSwipe) {
+    if (!getCalendarConfig().enabled || !chat_metadata) return '';
+    const context = getContext();
+    const lastIndex = (context.chat || []).length - 1;
+    const clock = getClock();
+    const checkpoint = chat_metadata.rpg_companion_clock_tick;
+    const minutes = isSwipe && checkpoint?.messageIndex === lastIndex ? getMinutesWithoutChange(clock, checkpoint.change) : clock.minutes;
+    if (minutes === null || minutes === undefined) return '';
+
+    let prompt = `\n[Game clock: it is ${formatGameDate(minutes)}, ${formatGameTime(minutes)}. Time only moves forward, so the info box's date and time must not be earlier than this, unless the story deliberately jumps back (a flashback, time travel) - then add "rewind": true to the info box's "time".]\n`;
+
+    const advance = clock.advance;
+    if (advance && (advance.narratedIn === null || (isSwipe && advance.narratedIn === lastIndex))) {
+        prompt += `[Since the last response, ${context.name1} ${advance.label} (${formatDuration(advance.minutes)} passed). Briefly narrate the time skip and continue from the new time.]\n`;
+    }
+    return prompt;
+}
+
+/**
+ * Marks a pending time skip as narrated by a new assistant message and forgets older ones.
+ * @param {number} messageIndex - Index of the received message
+ */
+export function onClockMessageReceived(messageIndex) {
+    const chat = getContext().chat || [];
+    const message = chat[messageIndex];
+    if (!message || message.is_user || !chat_metadata) return;
+
+    const clock = getClock();
+    if (!clock.advance) return;
+    if (clock.advance.narratedIn === null) {
+        clock.advance.narratedIn = messageIndex;
+    } else if (clock.advance.narratedIn < messageIndex) {
+        // Skips narrated by earlier messages can't be swiped anymore
+        clock.advance = null;
+    }
+    saveChatDebounced();
+}
@@ -9,6 +9,40 @@ import {
 } from '../../core/state.js';
 import { saveSettings, saveChatData } from '../../core/persistence.js';
 import { updateFabWidgets } from '../ui/mobile.js';
+import { renderUserStats } from '../rendering/userStats.js';
+import { renderInventory } from '../rendering/inventory.js';
+import { getExperienceConfig, spendAttributePoint, refundAttributePoint } from './experience.js';
+
+/**
+ * Sets a classic stat (STR, DEX, ...) to a new value, clamped to 1-999, and persists it.
+ * @param {string} stat - Attribute ID (e.g., 'str')
+ * @param {number} value - New attribute value
+ * @returns {number} The clamped value that was stored
+ */
+export function setClassicStatValue(stat, value) {
+    let clamped = parseInt(String(value));
+    if (isNaN(clamped)) {
+        clamped = 10;
+    }
+    clamped = Math.max(1, Math.min(999, clamped));
+
+    extensionSettings.classicStats[stat] = clamped;
+    saveSettings();
+    saveChatData();
+
+    // Update only the specific stat value, not the entire stats panel
+    if ($userStatsContainer) {
+        $userStatsContainer.find(`.rpg-classic-stat[data-stat="${stat}"] .rpg-classic-stat-value`).text(clamped);
+    }
+    updateFabWidgets();
+
+    // STR sets the carrying capacity shown in the inventory
+    if (stat === 'str') {
+        renderInventory();
+    }
+
+    return clamped;
+}
 
 /**
  * Sets up event listeners for classic stat +/- buttons using delegation.
@@ -18,28 +52,28 @@ export function setupClassicStatsButtons() {
     if (!$userStatsContainer) return;
 
     // Delegated event listener for increase buttons
+    // With XP enabled, unspent level-up points are consumed first; without points the button still edits freely
     $userStatsContainer.on('click', '.rpg-stat-increase', function() {
         const stat = $(this).data('stat');
         if (extensionSettings.classicStats[stat] < 999) {
-            extensionSettings.classicStats[stat]++;
-            saveSettings();
-            saveChatData();
-            // Update only the specific stat value, not the entire stats panel
-            $(this).closest('.rpg-classic-stat').find('.rpg-classic-stat-value').text(extensionSettings.classicStats[stat]);
-            updateFabWidgets();
+            const spentPoint = getExperienceConfig().enabled && spendAttributePoint(stat);
+            setClassicStatValue(stat, extensionSettings.classicStats[stat] + 1);
+            if (spentPoint) {
+                renderUserStats();
+            }
         }
     });
 
     // Delegated event listener for decrease buttons
+    // Undoes a point spent on this stat (returning it to the pool) before acting as a plain edit
     $userStatsContainer.on('click', '.rpg-stat-decrease', function() {
         const stat = $(this).data('stat');
         if (extensionSettings.classicStats[stat] > 1) {
-            extensionSettings.classicStats[stat]--;
-            saveSettings();
-            saveChatData();
-            // Update only the specific stat value, not the entire stats panel
-            $(this).closest('.rpg-classic-stat').find('.rpg-classic-stat-value').text(extensionSettings.classicStats[stat]);
-            updateFabWidgets();
+            const refundedPoint = getExperienceConfig().enabled && refundAttributePoint(stat);
+            setClassicStatValue(stat, extensionSettings.classicStats[stat] - 1);
+            if (refundedPoint) {
+                renderUserStats();
+            }
         }
     });
 }
@@ -0,0 +1,462 @@
+/**
+ * Combat Engine Module
+ * Resolves encounter attacks, damage and healing locally with the dice engine
+ * so the model only narrates outcomes that are already settled
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { parseDiceExpression, evaluateDiceExpression, formatRollBreakdown, getAttributeModifier } from '../../utils/diceParser.js';
+import { getDiceAttributeScores } from './dice.js';
+import { getLevelCheckBonus } from './skillChecks.js';
+import { normalizeStatusEffect, tickStatusEffects } from './statusEffects.js';
+
+/**
+ * Fallback numbers for combatants the model didn't stat out
+ * @private
+ */
+const DEFAULT_NPC_AC = 12;
+const DEFAULT_NPC_ATTACK_BONUS = 3;
+const DEFAULT_DAMAGE = '1d6';
+const DEFAULT_PLAYER_DAMAGE = '1d8';
+const DEFAULT_HEAL = '2d4+2';
+const POISON_DAMAGE = '1d4';
+const BLESSED_BONUS = '1d4';
+
+/**
+ * Item names treated as healing when used in rules-engine mode
+ * @private
+ */
+const HEALING_ITEM_REGEX = /potion|heal|bandage|salve|elixir|remedy|medkit|stim/i;
+
+/**
+ * One settled event in a combat round
+ * @typedef {Object} CombatOutcome
+ * @property {'attack'|'heal'} type - What happened
+ * @property {'player'|'party'|'enemy'} side - Side of the acting combatant
+ * @property {string} actor - Acting combatant's name
+ * @property {string} target - Target's name
+ * @property {string} source - Attack or item name
+ * @property {number} [attackTotal] - Attack roll total (attacks)
+ * @property {number} [natural] - Natural d20 (attacks)
+ * @property {string} [attackBreakdown] - Attack roll breakdown (attacks)
+ * @property {number} [ac] - Target's armor class (attacks)
+ * @property {boolean} [hit] - Whether the attack hit (attacks)
+ * @property {boolean} [critical] - Natural 20 (attacks)
+ * @property {number} amount - Damage dealt or HP restored
+ * @property {string} amountBreakdown - Damage/heal roll breakdown
+ * @property {number} targetHp - Target's HP afterwards
+ * @property {number} targetMaxHp - Target's max HP
+ * @property {boolean} defeated - Whether the target dropped to 0 HP
+ */
+
+/**
+ * Whether encounters resolve attacks locally instead of letting the model decide.
+ * @returns {boolean} True when rules-engine combat is enabled
+ */
+export function isDeterministicCombat() {
+    return extensionSettings.encounterSettings?.deterministicCombat === true;
+}
+
+/**
+ * Gets the attribute the player attacks with (the higher of STR and DEX).
+ * @param {Object.<string, number>} scores - Attribute scores from getDiceAttributeScores
+ * @returns {string|null} Attribute key usable in a dice expression, or null if neither exists
+ * @private
+ */
+function getPlayerAttackAttribute(scores) {
+    const hasStr = scores.str !== undefined;
+    const hasDex = scores.dex !== undefined;
+    if (!hasStr && !hasDex) return null;
+    if (!hasDex) return 'str';
+    if (!hasStr) return 'dex';
+    return scores.dex > scores.str ? 'dex' : 'str';
+}
+
+/**
+ * Gets a combatant's armor class, deriving the player's from DEX when the model gave none.
+ * @param {Object} combatant - Party member or enemy
+ * @returns {number} Armor class
+ */
+export function getCombatantAC(combatant) {
+    const ac = parseInt(String(combatant?.ac));
+    if (!isNaN(ac)) return ac;
+
+    if (combatant?.isPlayer) {
+        const scores = getDiceAttributeScores();
+        return 10 + (scores.dex !== undefined ? getAttributeModifier(scores.dex) : 0);
+    }
+    return DEFAULT_NPC_AC;
+}
+
+/**
+ * Finds an attack definition by name on a combatant (or the player's current actions).
+ * @param {Object} combatant - Party member or enemy
+ * @param {string} attackName - Attack name
+ * @param {Object} [playerActions] - Current player actions (attacks may be updated mid-fight)
+ * @returns {{name: string, type: string, damage: string}} Attack definition
+ * @private
+ */
+function findAttack(combatant, attackName, playerActions) {
+    const attacks = [
+        ...(combatant.isPlayer && playerActions?.attacks ? playerActions.attacks : []),
+        ...(combatant.attacks || [])
+    ];
+    const match = attacks.find(a => (typeof a === 'string' ? a : a?.name)?.toLowerCase() === String(attackName).toLowerCase());
+    if (match && typeof match === 'object') {
+        return { name: match.name, type: match.type || 'single-target', damage: match.damage || '' };
+    }
+    return { name: attackName || 'Attack', type: 'single-target', damage: '' };
+}
+
+/**
+ * Evaluates a damage or heal expression, falling back when the model's notation is unusable.
+ * @param {string} expression - Dice expression (e.g., "1d8+2")
+ * @param {string} fallback - Expression used when the first one fails
+ * @param {Object} [attributes] - Attribute scores for expressions like "1d8+STR"
+ * @returns {{total: number, terms: Array}} Evaluated roll
+ * @private
+ */
+function rollAmount(expression, fallback, attributes = {}) {
+    try {
+        return evaluateDiceExpression(expression || fallback, { attributes });
+    } catch (error) {
+        console.warn(`[RPG Companion] Invalid combat dice "${expression}", using ${fallback}:`, error.message);
+        return evaluateDiceExpression(fallback, { attributes });
+    }
+}
+
+/**
+ * Checks whether a dice expression already references an attribute (e.g., "1d8+STR").
+ * @param {string} expression - Dice expression
+ * @returns {boolean} True if an attribute term is present (false for invalid expressions)
+ * @private
+ */
+function hasAttributeTerm(expression) {
+    try {
+        return parseDiceExpression(expression).some(term => term.type === 'attribute');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks whether a combatant has an active effect of a given type.
+ * @param {Object} combatant - Party member or enemy
+ * @param {string} type - Effect type (e.g., 'stunned')
+ * @returns {boolean} True if affected
+ */
+export function hasStatusEffect(combatant, type) {
+    return (combatant?.statuses || []).some(status => normalizeStatusEffect(status)?.type === type);
+}
+
+/**
+ * Ends a combatant's turn for their status effects: poison deals damage (rules-engine mode only),
+ * then turn-based durations count down and expired effects are removed.
+ * @param {Object} combatant - Combatant whose turn ended (statuses and HP are changed in place)
+ * @param {boolean} [settleDamage] - Whether to roll poison damage (defaults to rules-engine mode)
+ * @returns {string[]} Log lines for what happened
+ */
+export function tickCombatantEffects(combatant, settleDamage = isDeterministicCombat()) {
+    const events = [];
+    const statuses = (combatant.statuses || []).map(status => normalizeStatusEffect(status)).filter(Boolean);
+
+    if (settleDamage && combatant.hp > 0) {
+        statuses.filter(status => status.type === 'poisoned').forEach(status => {
+            const roll = rollAmount(POISON_DAMAGE, POISON_DAMAGE);
+            combatant.hp = Math.max(0, (parseInt(String(combatant.hp)) || 0) - roll.total);
+            events.push(`${combatant.name} takes ${roll.total} ${formatRollBreakdown(roll.terms)} damage from ${status.name} (${combatant.hp}/${combatant.maxHp} HP)`);
+        });
+    }
+
+    const { remaining, expired } = tickStatusEffects(statuses, 'turns', 1);
+    combatant.statuses = remaining;
+    expired.forEach(status => events.push(`${combatant.name} is no longer ${status.name}`));
+    return events;
+}
+
+/**
+ * Rolls one attack against one target and applies the damage.
+ * @param {Object} attacker - Attacking combatant
+ * @param {'player'|'party'|'enemy'} side - Attacker's side
+ * @param {{name: string, damage: string}} attack - Attack used
+ * @param {Object} target - Target combatant (HP is changed in place)
+ * @returns {CombatOutcome} Settled outcome
+ * @private
+ */
+function resolveAttackOnTarget(attacker, side, attack, target) {
+    let attackFormula;
+    let damageFormula;
+    let attributes = {};
+
+    if (attacker.isPlayer) {
+        // The player attacks with their real attributes and a level-based proficiency bonus
+        attributes = getDiceAttributeScores();
+        const attribute = getPlayerAttackAttribute(attributes);
+        const proficiency = getLevelCheckBonus(extensionSettings.level);
+        attackFormula = `1d20${attribute ? `+${attribute}` : ''}+${proficiency}`;
+        const baseDamage = attack.damage || DEFAULT_PLAYER_DAMAGE;
+        // Add the attribute modifier unless the model already wrote one into the damage
+        damageFormula = attribute && !hasAttributeTerm(baseDamage) ? `${baseDamage}+${attribute}` : baseDamage;
+    } else {
+        const parsedBonus = parseInt(String(attacker.attackBonus));
+        const bonus = isNaN(parsedBonus) ? DEFAULT_NPC_ATTACK_BONUS : parsedBonus;
+        attackFormula = `1d20${bonus < 0 ? '-' : '+'}${Math.abs(bonus)}`;
+        damageFormula = attack.damage || DEFAULT_DAMAGE;
+    }
+
+    // Blessed combatants add 1d4 to their attack rolls
+    if (hasStatusEffect(attacker, 'blessed')) {
+        attackFormula += `+${BLESSED_BONUS}`;
+    }
+
+    const attackRoll = evaluateDiceExpression(attackFormula, { attributes });
+    const natural = attackRoll.terms[0].rolls[0].value;
+    const ac = getCombatantAC(target);
+    const critical = natural === 20;
+    const hit = critical || (natural !== 1 && attackRoll.total >= ac);
+
+    let amount = 0;
+    let amountBreakdown = '';
+    if (hit) {
+        const damage = rollAmount(damageFormula, attacker.isPlayer ? DEFAULT_PLAYER_DAMAGE : DEFAULT_DAMAGE, attributes);
+        amount = Math.max(1, damage.total);
+        amountBreakdown = formatRollBreakdown(damage.terms);
+        if (critical) {
+            // Critical hits roll the damage dice twice
+            const extra = rollAmount(damageFormula, attacker.isPlayer ? DEFAULT_PLAYER_DAMAGE : DEFAULT_DAMAGE, attributes);
+            const extraDice = extra.terms.filter(t => t.type === 'dice').reduce((sum, t) => sum + t.value, 0);
+            amount += Math.max(0, extraDice);
+            amountBreakdown += ` + crit ${formatRollBreakdown(extra.terms.filter(t => t.type === 'dice'))}`;
+        }
+        target.hp = Math.max(0, (parseInt(String(target.hp)) || 0) - amount);
+    }
+
+    return {
+        type: 'attack',
+        side,
+        actor: attacker.name,
+        target: target.name,
+        source: attack.name,
+        attackTotal: attackRoll.total,
+        natural,
+        attackBreakdown: formatRollBreakdown(attackRoll.terms),
+        ac,
+        hit,
+        critical,
+        amount,
+        amountBreakdown,
+        targetHp: target.hp,
+        targetMaxHp: target.maxHp,
+        defeated: hit && target.hp <= 0
+    };
+}
+
+/**
+ * Rolls healing for a target and applies it (capped at max HP).
+ * @param {Object} actor - Healing combatant
+ * @param {'player'|'party'|'enemy'} side - Actor's side
+ * @param {string} source - Item or ability name
+ * @param {Object} target - Target combatant (HP is changed in place)
+ * @param {string} [expression] - Heal dice
+ * @returns {CombatOutcome} Settled outcome
+ * @private
+ */
+function resolveHeal(actor, side, source, target, expression = DEFAULT_HEAL) {
+    const roll = rollAmount(expression, DEFAULT_HEAL);
+    const before = parseInt(String(target.hp)) || 0;
+    target.hp = Math.min(target.maxHp, before + Math.max(0, roll.total));
+
+    return {
+        type: 'heal',
+        side,
+        actor: actor.name,
+        target: target.name,
+        source,
+        amount: target.hp - before,
+        amountBreakdown: formatRollBreakdown(roll.terms),
+        targetHp: target.hp,
+        targetMaxHp: target.maxHp,
+        defeated: false
+    };
+}
+
+/**
+ * Picks a random element.
+ * @param {Array} list - Candidates
+ * @returns {*} Random element
+ * @private
+ */
+function pickRandom(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Takes an automatic turn for an NPC: a random attack on a random living opponent. Stunned NPCs lose their turn.
+ * @param {Object} actor - Acting combatant
+ * @param {'party'|'enemy'} side - Actor's side
+ * @param {Object[]} opponents - Opposing combatants
+ * @returns {CombatOutcome[]} Outcomes (several for AoE attacks)
+ */
+export function resolveNpcTurn(actor, side, opponents) {
+    const living = opponents.filter(o => o.hp > 0);
+    if (actor.hp <= 0 || living.length === 0 || hasStatusEffect(actor, 'stunned')) return [];
+
+    const attacks = (actor.attacks || []).map(a => typeof a === 'string' ? { name: a } : a).filter(a => a?.name);
+    const chosen = attacks.length > 0 ? pickRandom(attacks) : { name: 'Attack' };
+    const attack = { name: chosen.name, type: chosen.type || 'single-target', damage: chosen.damage || '' };
+
+    const targets = attack.type === 'AoE' ? living : [pickRandom(living)];
+    return targets.map(target => resolveAttackOnTarget(actor, side, attack, target));
+}
+
+/**
+ * Gives every combatant a unique ID and numbers duplicate names ("Goblin 1", "Goblin 2"),
+ * so turns and targets always resolve to the right combatant. Combatants that already have an ID keep it.
+ * @param {Object} combatStats - Combat stats (changed in place)
+ */
+export function identifyCombatants(combatStats) {
+    const combatants = [...(combatStats?.party || []), ...(combatStats?.enemies || [])];
+    const counts = {};
+    combatants.forEach(c => { counts[c.name] = (counts[c.name] || 0) + 1; });
+
+    const taken = new Set(combatants.map(c => c.name));
+    const numbered = {};
+    combatants.forEach(c => {
+        if (counts[c.name] > 1) {
+            const base = c.name;
+            let name;
+            do {
+                numbered[base] = (numbered[base] || 0) + 1;
+                name = `${base} ${numbered[base]}`;
+            } while (taken.has(name));
+            taken.add(name);
+            c.name = name;
+        }
+        if (!c.id) {
+            c.id = `combatant_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        }
+    });
+}
+
+/**
+ * Determines whether the fight is over.
+ * @param {Object} combatStats - Combat stats
+ * @returns {'victory'|'defeat'|null} Result, or null while both sides stand
+ */
+export function getCombatResult(combatStats) {
+    if (combatStats.enemies.every(e => e.hp <= 0)) return 'victory';
+    if (combatStats.party.every(m => m.hp <= 0)) return 'defeat';
+    return null;
+}
+
+/**
+ * Settles the player's action on combat stats in place.
+ * @param {Object} stats - Combat stats (mutated)
+ * @param {Object} details - Player action details
+ * @param {Object} [playerActions] - Current player actions
+ * @returns {CombatOutcome[]} Outcomes
+ * @private
+ */
+function applyPlayerAction(stats, details, playerActions) {
+    const outcomes = [];
+    const player = stats.party.find(m => m.isPlayer);
+    // Fallen combatants can't be targeted
+    const findLiving = (list, id) => list.find(c => c.id === id && c.hp > 0);
+
+    if (!player || player.hp <= 0 || !details || hasStatusEffect(player, 'stunned')) return outcomes;
+
+    if (details.type === 'attack') {
+        const attack = findAttack(player, details.value, playerActions);
+        const targets = details.target === 'all-enemies'
+            ? stats.enemies.filter(e => e.hp > 0)
+            : [findLiving(stats.enemies, details.target) || findLiving(stats.party, details.target)].filter(Boolean);
+        targets.forEach(target => outcomes.push(resolveAttackOnTarget(player, 'player', attack, target)));
+    } else if (details.type === 'item' && HEALING_ITEM_REGEX.test(details.value || '')) {
+        const target = findLiving(stats.party, details.target) || findLiving(stats.enemies, details.target);
+        if (target) {
+            outcomes.push(resolveHeal(player, 'player', details.value, target));
+        }
+    }
+    return outcomes;
+}
+
+/**
+ * Resolves a full round: the player's action, then every living ally and enemy.
+ * Works on a copy, so the caller decides when to commit the new stats.
+ *
+ * @param {Object} combatStats - Current combat stats
+ * @param {Object} details - Player action details
+ * @param {'attack'|'item'|'custom'} details.type - Kind of action
+ * @param {string} [details.value] - Attack or item name
+ * @param {string} [details.target] - Target combatant ID, or 'all-enemies'
+ * @param {Object} [playerActions] - Current player actions
+ * @returns {{combatStats: Object, outcomes: CombatOutcome[], result: 'victory'|'defeat'|null}} Round resolution
+ */
+export function resolveCombatRound(combatStats, details, playerActions) {
+    const stats = JSON.parse(JSON.stringify(combatStats));
+    const outcomes = applyPlayerAction(stats, details, playerActions);
+
+    // Allies, then enemies, act in list order until one side falls
+    for (const member of stats.party.filter(m => !m.isPlayer)) {
+        if (getCombatResult(stats)) break;
+        outcomes.push(...resolveNpcTurn(member, 'party', stats.enemies));
+    }
+    for (const enemy of stats.enemies) {
+        if (getCombatResult(stats)) break;
+        outcomes.push(...resolveNpcTurn(enemy, 'enemy', stats.party));
+    }
+
+    return { combatStats: stats, outcomes, result: getCombatResult(stats) };
+}
+
+/**
+ * Resolves only the player's action (used when initiative order gives everyone their own turn).
+ * @param {Object} combatStats - Current combat stats
+ * @param {Object} details - Player action details (see resolveCombatRound)
+ * @param {Object} [playerActions] - Current player actions
+ * @returns {{combatStats: Object, outcomes: CombatOutcome[], result: 'victory'|'defeat'|null}} Turn resolution
+ */
+export function resolvePlayerTurn(combatStats, details, playerActions) {
+    const stats = JSON.parse(JSON.stringify(combatStats));
+    const outcomes = applyPlayerAction(stats, details, playerActions);
+    return { combatStats: stats, outcomes, result: getCombatResult(stats) };
+}
+
+/**
+ * Resolves one NPC's turn from the initiative order.
+ * @param {Object} combatStats - Current combat stats
+ * @param {{id: string, name: string, side: 'party'|'enemy'}} turn - Whose turn it is
+ * @returns {{combatStats: Object, outcomes: CombatOutcome[], result: 'victory'|'defeat'|null}} Turn resolution
+ */
+export function resolveCombatantTurn(combatStats, turn) {
+    const stats = JSON.parse(JSON.stringify(combatStats));
+    const ownSide = turn.side === 'enemy' ? stats.enemies : stats.party;
+    const actor = ownSide.find(c => c.id === turn.id && !c.isPlayer);
+    const outcomes = actor
+        ? resolveNpcTurn(actor, turn.side, turn.side === 'enemy' ? stats.party : stats.enemies)
+        : [];
+    return { combatStats: stats, outcomes, result: getCombatResult(stats) };
+}
+
+/**
+ * Formats a settled outcome as a single line for the combat log and the narration prompt.
+ * @param {CombatOutcome} outcome - Outcome to format
+ * @returns {string} Formatted line
+ *
+ * @example
+ * formatCombatOutcome(outcome)
+ * // "Goblin → Alice (Scimitar): 17 [13] + 4 vs AC 15, HIT for 5 [4] + 1 (Alice 7/12 HP)"
+ */
+export function formatCombatOutcome(outcome) {
+    const hp = `(${outcome.target} ${outcome.targetHp}/${outcome.targetMaxHp} HP${outcome.defeated ? ', DEFEATED' : ''})`;
+
+    if (outcome.type === 'heal') {
+        return `${outcome.actor} → ${outcome.target} (${outcome.source}): heals ${outcome.amount} ${outcome.amountBreakdown} ${hp}`;
+    }
+
+    const roll = `${outcome.attackTotal} ${outcome.attackBreakdown} vs AC ${outcome.ac}`;
+    if (!outcome.hit) {
+        return `${outcome.actor} → ${outcome.target} (${outcome.source}): ${roll}, ${outcome.natural === 1 ? 'FUMBLE' : 'MISS'}`;
+    }
+    return `${outcome.actor} → ${outcome.target} (${outcome.source}): ${roll}, ${outcome.critical ? 'CRITICAL HIT' : 'HIT'} for ${outcome.amount} ${outcome.amountBreakdown} ${hp}`;
+}
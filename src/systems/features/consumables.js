@@ -0,0 +1,84 @@
+/**
+ * Consumables Module
+ * Items that are used up (potions, food...) and change custom stats when used.
+ * Each use is kept in chat_metadata until a response has narrated it, like settled skill checks.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings } from '../../core/state.js';
+import { normalizeModifiers } from './equipment.js';
+import { getNarrationQueue, queueNarration, formatPendingNarration, markNarrated } from './narrationQueue.js';
+
+const ITEM_USES_KEY = 'rpg_companion_item_uses';
+
+/**
+ * A used item waiting to be narrated
+ * @typedef {Object} ItemUse
+ * @property {string} id - Unique use ID
+ * @property {string} item - Item name
+ * @property {string} changes - Stat changes it made (e.g., "Health 60 → 85"), or empty string
+ * @property {number} usedAt - Chat message index it was used at
+ * @property {number|null} narratedIn - Message index of the response that narrated it (null while pending)
+ */
+
+/**
+ * Builds consumable effects from the model's or the user's input, keeping only custom stats.
+ * Accepts an object ({"health": 25}) or text ("Health +25, Satiety +40").
+ * @param {Object|string} raw - Raw effects
+ * @returns {Object.<string, number>|null} Change by stat ID, or null if there are none
+ */
+export function normalizeStatEffects(raw) {
+    const modifiers = normalizeModifiers(raw);
+    if (!modifiers) return null;
+
+    const statIds = new Set((extensionSettings.trackerConfig?.userStats?.customStats || []).map(stat => stat?.id).filter(Boolean));
+    const effects = {};
+    Object.entries(modifiers).forEach(([id, amount]) => {
+        if (statIds.has(id)) effects[id] = amount;
+    });
+    return Object.keys(effects).length > 0 ? effects : null;
+}
+
+/**
+ * Gets the chat's item uses, creating the list if needed.
+ * @returns {ItemUse[]} Item uses
+ */
+export function getItemUses() {
+    return getNarrationQueue(ITEM_USES_KEY);
+}
+
+/**
+ * Queues a used item so the next response narrates it.
+ * @param {string} item - Item name
+ * @param {string} [changes=''] - Stat changes it made
+ * @returns {ItemUse} The queued use
+ */
+export function queueItemUse(item, changes = '') {
+    return queueNarration(ITEM_USES_KEY, 'use', {
+        item,
+        changes,
+        usedAt: (getContext().chat || []).length - 1
+    });
+}
+
+/**
+ * Builds the prompt asking the model to narrate items used since the last response.
+ * @param {boolean} isSwipe - Whether this generation replaces the last message
+ * @returns {string} Prompt text, or empty string if there is nothing to inject
+ */
+export function buildItemUsePrompt(isSwipe) {
+    const lines = formatPendingNarration(ITEM_USES_KEY, isSwipe,
+        use => `- ${use.item}${use.changes ? ` (${use.changes})` : ''}`);
+    if (!lines) return '';
+
+    const userName = getContext().name1;
+    return `\n[${userName} used these items since the last response - the game already removed them and applied their effects:\n${lines}\nBriefly narrate the use as part of the scene. Do not list them in the inventory again or change the stats a second time.]\n`;
+}
+
+/**
+ * Marks pending item uses as narrated by a new assistant message and forgets older ones.
+ * @param {number} messageIndex - Index of the received message
+ */
+export function onItemUseMessageReceived(messageIndex) {
+    markNarrated(ITEM_USES_KEY, messageIndex);
+}
@@ -0,0 +1,180 @@
+/**
+ * Crafting Module
+ * User-defined recipes that turn on-person ingredients into new items.
+ * Crafted recipes are kept in chat_metadata until a response has narrated them, like item uses.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings } from '../../core/state.js';
+import { parseItems, splitItemQuantity, formatItemQuantity } from '../../utils/itemParser.js';
+import { isItemLocked } from '../generation/lockManager.js';
+import { getNarrationQueue, queueNarration, formatPendingNarration, markNarrated } from './narrationQueue.js';
+
+const CRAFTING_LOG_KEY = 'rpg_companion_crafting';
+
+/**
+ * Default crafting configuration (stored in trackerConfig.userStats.crafting)
+ */
+export const DEFAULT_CRAFTING_CONFIG = {
+    enabled: true, // Show the Craft view in the inventory
+    recipes: [] // Recipe book
+};
+
+/**
+ * A recipe
+ * @typedef {Object} Recipe
+ * @property {string} id - Unique recipe ID
+ * @property {string} name - Recipe name
+ * @property {string} inputs - Ingredients as an item list (e.g., "2x Cloth, Herbs")
+ * @property {string} outputs - Products as an item list (e.g., "Bandage")
+ * @property {string} [skill] - Skill the user must have, or empty string
+ * @property {string} [time] - How long crafting takes (e.g., "30 minutes"), or empty string
+ */
+
+/**
+ * A crafted recipe waiting to be narrated
+ * @typedef {Object} CraftingEntry
+ * @property {string} id - Unique entry ID
+ * @property {string} products - What was made (e.g., "2x Bandage")
+ * @property {string} ingredients - What was used up (e.g., "2x Cloth")
+ * @property {string} time - How long it took, or empty string
+ * @property {number} craftedAt - Chat message index it was crafted at
+ * @property {number|null} narratedIn - Message index of the response that narrated it (null while pending)
+ */
+
+/**
+ * Gets the crafting configuration with defaults applied.
+ * @returns {typeof DEFAULT_CRAFTING_CONFIG} Crafting configuration
+ */
+export function getCraftingConfig() {
+    return { ...DEFAULT_CRAFTING_CONFIG, ...(extensionSettings.trackerConfig?.userStats?.crafting || {}) };
+}
+
+/**
+ * Gets the recipe book, without recipes that have no ingredients or products.
+ * @returns {Recipe[]} Recipes
+ */
+export function getRecipes() {
+    return (getCraftingConfig().recipes || []).filter(recipe => recipe?.id && parseItems(recipe.inputs).length > 0 && parseItems(recipe.outputs).length > 0);
+}
+
+/**
+ * Parses a recipe's item list into names and quantities, merging repeated names.
+ * @param {string} list - Item list (e.g., "2x Cloth, Herbs")
+ * @returns {Array<{name: string, quantity: number}>} Items
+ */
+export function parseRecipeItems(list) {
+    const items = [];
+    parseItems(list).forEach(item => {
+        const { name, quantity } = splitItemQuantity(item);
+        const existing = items.find(entry => entry.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            items.push({ name, quantity });
+        }
+    });
+    return items;
+}
+
+/**
+ * Gets the names of the user's skills (from the Skills section).
+ * @returns {string[]} Skill names
+ * @private
+ */
+function getUserSkills() {
+    const skills = extensionSettings.userStats?.skills;
+    if (Array.isArray(skills)) {
+        return skills.map(skill => String(skill?.name || skill || '').trim()).filter(Boolean);
+    }
+    if (typeof skills === 'string' && skills !== 'None') {
+        return skills.split(',').map(skill => skill.trim()).filter(Boolean);
+    }
+    return [];
+}
+
+/**
+ * Checks whether a recipe can be crafted from what the user carries.
+ * Locked stacks can't be used up, so they only count as locked.
+ * The skill requirement only applies while the Skills section is enabled.
+ * @param {Recipe} recipe - Recipe
+ * @returns {{ingredients: Array<{name: string, need: number, have: number, locked: number}>, skillMet: boolean, canCraft: boolean}} Status
+ */
+export function getRecipeStatus(recipe) {
+    const carried = parseItems(extensionSettings.userStats?.inventory?.onPerson).map((item, index) => ({
+        ...splitItemQuantity(item),
+        locked: isItemLocked('userStats', `inventory.onPerson[${index}]`)
+    }));
+    const countMatching = (name, locked) => carried
+        .filter(item => item.locked === locked && item.name.toLowerCase() === name.toLowerCase())
+        .reduce((sum, item) => sum + item.quantity, 0);
+    const ingredients = parseRecipeItems(recipe.inputs).map(input => ({
+        name: input.name,
+        need: input.quantity,
+        have: countMatching(input.name, false),
+        locked: countMatching(input.name, true)
+    }));
+
+    const skill = String(recipe.skill || '').trim().toLowerCase();
+    const skillsEnabled = extensionSettings.trackerConfig?.userStats?.skillsSection?.enabled;
+    const skillMet = !skill || !skillsEnabled || getUserSkills().some(name => name.toLowerCase().includes(skill));
+
+    return {
+        ingredients,
+        skillMet,
+        canCraft: skillMet && ingredients.every(ingredient => ingredient.have >= ingredient.need)
+    };
+}
+
+/**
+ * Formats recipe items as an item list (e.g., "2x Cloth, Herbs").
+ * @param {Array<{name: string, quantity: number}>} items - Items
+ * @returns {string} Item list
+ */
+export function formatRecipeItems(items) {
+    return items.map(item => formatItemQuantity(item.name, item.quantity)).join(', ');
+}
+
+/**
+ * Gets the chat's crafting log, creating it if needed.
+ * @returns {CraftingEntry[]} Crafted recipes
+ */
+export function getCraftingLog() {
+    return getNarrationQueue(CRAFTING_LOG_KEY);
+}
+
+/**
+ * Queues a crafted recipe so the next response narrates it.
+ * @param {Recipe} recipe - Recipe that was crafted
+ * @returns {CraftingEntry} The queued entry
+ */
+export function queueCrafting(recipe) {
+    return queueNarration(CRAFTING_LOG_KEY, 'craft', {
+        products: formatRecipeItems(parseRecipeItems(recipe.outputs)),
+        ingredients: formatRecipeItems(parseRecipeItems(recipe.inputs)),
+        time: String(recipe.time || '').trim(),
+        craftedAt: (getContext().chat || []).length - 1
+    });
+}
+
+/**
+ * Builds the prompt reporting what the user crafted since the last response.
+ * @param {boolean} isSwipe - Whether this generation replaces the last message
+ * @returns {string} Prompt text, or empty string if there is nothing to inject
+ */
+export function buildCraftingPrompt(isSwipe) {
+    const lines = formatPendingNarration(CRAFTING_LOG_KEY, isSwipe,
+        entry => `- ${entry.products} from ${entry.ingredients}${entry.time ? ` (took ${entry.time})` : ''}`);
+    if (!lines) return '';
+
+    const userName = getContext().name1;
+    return `\n[${userName} crafted these since the last response - the game already used up the ingredients and added the products to the inventory:\n${lines}\nBriefly narrate the crafting and let the time it took pass in the scene.]\n`;
+}
+
+/**
+ * Marks pending crafting entries as narrated by a new assistant message and forgets older ones.
+ * @param {number} messageIndex - Index of the received message
+ */
+export function onCraftingMessageReceived(messageIndex) {
+    markNarrated(CRAFTING_LOG_KEY, messageIndex);
+}
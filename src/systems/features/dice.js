@@ -10,17 +10,62 @@ import {
 } from '../../core/state.js';
 import { saveSettings } from '../../core/persistence.js';
 import { i18n } from '../../core/i18n.js';
+import { evaluateDiceExpression, formatRollBreakdown } from '../../utils/diceParser.js';
+import { getEquipmentBonuses } from './equipment.js';
+
+/**
+ * Builds the attribute score lookup used to resolve names like "DEX" in dice expressions.
+ * Both the attribute id and its display name are accepted (case-insensitive).
+ * Scores include the modifiers of equipped items.
+ * @returns {Object.<string, number>} Attribute scores keyed by lowercase id and name
+ */
+export function getDiceAttributeScores() {
+    const classicStats = extensionSettings.classicStats || {};
+    const rpgAttributes = extensionSettings.trackerConfig?.userStats?.rpgAttributes || [
+        { id: 'str', name: 'STR' },
+        { id: 'dex', name: 'DEX' },
+        { id: 'con', name: 'CON' },
+        { id: 'int', name: 'INT' },
+        { id: 'wis', name: 'WIS' },
+        { id: 'cha', name: 'CHA' }
+    ];
+
+    const bonuses = getEquipmentBonuses();
+    const scores = {};
+    rpgAttributes.forEach(attr => {
+        if (!attr || !attr.id) return;
+        const base = classicStats[attr.id] !== undefined ? classicStats[attr.id] : 10;
+        const value = bonuses[attr.id] ? (parseFloat(String(base)) || 0) + bonuses[attr.id] : base;
+        scores[attr.id.toLowerCase()] = value;
+        if (attr.name) {
+            scores[attr.name.toLowerCase()] = value;
+        }
+    });
+    return scores;
+}
 
 /**
  * Rolls the dice and displays result.
+ * Uses the expression field when filled, otherwise the count/sides pickers.
  * Works with the DiceModal class for UI updates.
  * @param {DiceModal} diceModal - The DiceModal instance
  */
 export async function rollDice(diceModal) {
     if (!diceModal) return;
 
+    const expression = String($('#rpg-dice-expression').val() || '').trim();
     const count = parseInt(String($('#rpg-dice-count').val())) || 1;
     const sides = parseInt(String($('#rpg-dice-sides').val())) || 20;
+    const formula = expression || `${count}d${sides}`;
+
+    // Roll up front so a typo or an unknown attribute doesn't play the whole animation
+    let rollResult;
+    try {
+        rollResult = evaluateDiceExpression(formula, { attributes: getDiceAttributeScores() });
+    } catch (error) {
+        toastr.warning(error.message, 'Invalid dice expression');
+        return;
+    }
 
     // Start rolling animation
     diceModal.startRolling();
@@ -28,56 +73,40 @@ export async function rollDice(diceModal) {
     // Wait for animation (simulate rolling)
     await new Promise(resolve => setTimeout(resolve, 1200));
 
-    // Execute /roll command
-    const rollCommand = `/roll ${count}d${sides}`;
-    const rollResult = await executeRollCommand(rollCommand);
-
     // Parse result
     const total = rollResult.total || 0;
     const rolls = rollResult.rolls || [];
+    const terms = rollResult.terms || [];
 
     // Store result temporarily (not saved until "Save Roll" is clicked)
     setPendingDiceRoll({
-        formula: `${count}d${sides}`,
+        formula: rollResult.formula || formula,
         total: total,
         rolls: rolls,
+        terms: terms,
+        breakdown: formatRollBreakdown(terms),
         timestamp: Date.now()
     });
 
     // Show result
-    diceModal.showResult(total, rolls);
+    diceModal.showResult(total, rolls, formatRollBreakdown(terms));
 
     // Don't update sidebar display yet - only update when user clicks "Save Roll"
 }
 
 /**
  * Executes a /roll command and returns the result.
- * @param {string} command - The roll command (e.g., "/roll 2d20")
- * @returns {Promise<{total: number, rolls: Array<number>}>} The roll result
+ * Accepts full dice expressions (see parseDiceExpression in diceParser.js),
+ * with attribute names resolved against the current classic stats.
+ * @param {string} command - The roll command (e.g., "/roll 2d20kh1+DEX")
+ * @returns {Promise<{formula: string, total: number, rolls: Array<number>, terms: Array<Object>}>} The roll result
  */
 export async function executeRollCommand(command) {
     try {
-        // Parse the dice notation (e.g., "2d20")
-        const match = command.match(/(\d+)d(\d+)/);
-        if (!match) {
-            return { total: 0, rolls: [] };
-        }
-
-        const count = parseInt(match[1]);
-        const sides = parseInt(match[2]);
-        const rolls = [];
-        let total = 0;
-
-        for (let i = 0; i < count; i++) {
-            const roll = Math.floor(Math.random() * sides) + 1;
-            rolls.push(roll);
-            total += roll;
-        }
-
-        return { total, rolls };
+        return evaluateDiceExpression(command, { attributes: getDiceAttributeScores() });
     } catch (error) {
         console.error('[RPG Companion] Error rolling dice:', error);
-        return { total: 0, rolls: [] };
+        return { formula: '', total: 0, rolls: [], terms: [] };
     }
 }
 
@@ -99,9 +128,20 @@ export function updateDiceDisplay() {
     const noneValue = i18n.getTranslation('global.none') || 'None';
 
     if (lastRoll) {
-        $('#rpg-last-roll-text').text(`${label}(${lastRoll.formula}): ${lastRoll.total}`);
+        // Rolls saved before the expression engine have no breakdown
+        const breakdown = lastRoll.breakdown || formatRollBreakdown(lastRoll.terms);
+        let text = `${label}(${lastRoll.formula}): ${lastRoll.total}`;
+        if (breakdown) {
+            text += ` = ${breakdown}`;
+        }
+        if (lastRoll.check) {
+            text += ` vs DC ${lastRoll.check.dc} - ${lastRoll.check.success ? 'Success' : 'Failure'}`;
+        }
+        $('#rpg-last-roll-text')
+            .text(text)
+            .attr('title', breakdown || '');
     } else {
-        $('#rpg-last-roll-text').text(label + noneValue);
+        $('#rpg-last-roll-text').text(label + noneValue).attr('title', '');
     }
 }
 
@@ -3,6 +3,9 @@
  * Manages combat encounter state and history
  */
 
+import { chat, chat_metadata, saveChatDebounced } from '../../../../../../../script.js';
+import { getContext } from '../../../../../../extensions.js';
+
 /**
  * Current encounter state
  */
@@ -13,21 +16,9 @@ export let currentEncounter = {
     combatStats: null, // Current combat stats (HP, party, enemies, etc.)
     preEncounterContext: [], // Messages from before the encounter started
     encounterStartMessage: '', // The message that triggered the encounter
-    encounterLog: [] // Full log of combat actions for final summary
-};
-
-/**
- * Encounter logs storage (per chat)
- */
-export let encounterLogs = {
-    // chatId: [
-    //   {
-    //     timestamp: Date,
-    //     log: [],
-    //     summary: string,
-    //     result: 'victory'|'defeat'|'fled'
-    //   }
-    // ]
+    encounterLog: [], // Full log of combat actions for final summary
+    initiative: null, // Turn order ({order, turnIndex, round}) when initiative is enabled
+    chatId: null // Chat the encounter belongs to (checkpoints are only written there)
 };
 
 /**
@@ -57,7 +48,9 @@ export function resetEncounter() {
         combatStats: null,
         preEncounterContext: [],
         encounterStartMessage: '',
-        encounterLog: []
+        encounterLog: [],
+        initiative: null,
+        chatId: null
     };
 }
 
@@ -84,47 +77,210 @@ export function addEncounterLogEntry(action, result) {
 }
 
 /**
- * Saves an encounter log for a specific chat
- * @param {string} chatId - The chat identifier
- * @param {object} logData - The encounter log data
+ * Fields of the current encounter saved in a checkpoint
+ * @private
+ */
+const CHECKPOINT_FIELDS = ['combatHistory', 'combatStats', 'playerActions', 'encounterLog', 'initiative', 'preEncounterContext', 'encounterStartMessage'];
+
+/**
+ * Saves the current encounter to chat_metadata.rpg_companion_encounter_checkpoint,
+ * so a reload or a closed modal doesn't lose the fight. Called after every turn.
  */
-export function saveEncounterLog(chatId, logData) {
-    if (!encounterLogs[chatId]) {
-        encounterLogs[chatId] = [];
+export function saveEncounterCheckpoint() {
+    if (!chat_metadata || !currentEncounter.active || !currentEncounter.combatStats) return;
+
+    // The chat may have changed while a turn was generating; never write into another chat
+    if (currentEncounter.chatId && currentEncounter.chatId !== getContext().chatId) return;
+
+    const checkpoint = { savedAt: Date.now() };
+    CHECKPOINT_FIELDS.forEach(field => {
+        if (currentEncounter[field] !== undefined) {
+            checkpoint[field] = JSON.parse(JSON.stringify(currentEncounter[field]));
+        }
+    });
+
+    chat_metadata.rpg_companion_encounter_checkpoint = checkpoint;
+    saveChatDebounced();
+}
+
+/**
+ * Gets the unfinished encounter saved in the current chat
+ * @returns {Object|null} Checkpoint, or null if there is no unfinished fight
+ */
+export function getEncounterCheckpoint() {
+    const checkpoint = chat_metadata?.rpg_companion_encounter_checkpoint;
+    return checkpoint && checkpoint.combatStats ? checkpoint : null;
+}
+
+/**
+ * Removes the current chat's encounter checkpoint (the fight ended or was discarded)
+ */
+export function clearEncounterCheckpoint() {
+    if (chat_metadata?.rpg_companion_encounter_checkpoint) {
+        delete chat_metadata.rpg_companion_encounter_checkpoint;
+        saveChatDebounced();
     }
-    encounterLogs[chatId].push({
-        timestamp: new Date(),
-        log: logData.log || [],
-        summary: logData.summary || '',
-        result: logData.result || 'unknown'
+}
+
+/**
+ * Makes the current chat's checkpoint the active encounter
+ * @returns {boolean} True if an encounter was restored
+ */
+export function restoreEncounterCheckpoint() {
+    const checkpoint = getEncounterCheckpoint();
+    if (!checkpoint) return false;
+
+    resetEncounter();
+    CHECKPOINT_FIELDS.forEach(field => {
+        if (checkpoint[field] !== undefined) {
+            currentEncounter[field] = JSON.parse(JSON.stringify(checkpoint[field]));
+        }
     });
+    currentEncounter.active = true;
+    currentEncounter.initialized = true;
+    currentEncounter.chatId = getContext().chatId;
+    return true;
+}
+
+/**
+ * A finished encounter, stored in chat_metadata.rpg_companion_encounter_logs
+ * @typedef {Object} EncounterLogRecord
+ * @property {string} id - Unique record ID
+ * @property {number} timestamp - When the encounter ended (ms since epoch)
+ * @property {number} messageIndex - Chat length when the encounter ended (the summary message follows it)
+ * @property {'victory'|'defeat'|'fled'|'interrupted'|'unknown'} result - How the encounter ended
+ * @property {string} summary - Narrative summary added to the chat
+ * @property {string[]} party - Party member names
+ * @property {string[]} enemies - Enemy names
+ * @property {string} environment - Combat environment description
+ * @property {Array<{timestamp: number, action: string, result: string}>} log - Turn-by-turn log
+ * @property {import('./loot.js').EncounterLoot} [loot] - Loot offered after a victory
+ */
+
+/**
+ * Gets the encounter log array for the current chat, creating it if needed.
+ * @returns {EncounterLogRecord[]} Encounter logs (oldest first)
+ * @private
+ */
+function getEncounterLogStore() {
+    if (!chat_metadata) return [];
+    if (!Array.isArray(chat_metadata.rpg_companion_encounter_logs)) {
+        chat_metadata.rpg_companion_encounter_logs = [];
+    }
+    return chat_metadata.rpg_companion_encounter_logs;
 }
 
 /**
- * Gets encounter logs for a specific chat
- * @param {string} chatId - The chat identifier
- * @returns {Array} Array of encounter logs
+ * Saves a finished encounter to the current chat's metadata
+ * @param {object} logData - The encounter log data ({log, summary, result, combatStats, loot})
+ * @returns {EncounterLogRecord|null} The stored record
  */
-export function getEncounterLogs(chatId) {
-    return encounterLogs[chatId] || [];
+export function saveEncounterLog(logData) {
+    if (!chat_metadata) return null;
+
+    const combatStats = logData.combatStats || {};
+    const record = {
+        id: `encounter_${Date.now()}`,
+        timestamp: Date.now(),
+        messageIndex: chat ? chat.length : 0,
+        result: logData.result || 'unknown',
+        summary: logData.summary || '',
+        party: (combatStats.party || []).map(member => member?.name).filter(Boolean),
+        enemies: (combatStats.enemies || []).map(enemy => enemy?.name).filter(Boolean),
+        environment: combatStats.environment || '',
+        log: (logData.log || []).map(entry => ({ ...entry })),
+        ...(logData.loot ? { loot: logData.loot } : {})
+    };
+
+    getEncounterLogStore().push(record);
+    saveChatDebounced();
+    return record;
 }
 
 /**
- * Clears all encounter logs for a specific chat
- * @param {string} chatId - The chat identifier
+ * Gets encounter logs for the current chat
+ * @returns {EncounterLogRecord[]} Array of encounter logs (oldest first)
  */
-export function clearEncounterLogs(chatId) {
-    if (encounterLogs[chatId]) {
-        delete encounterLogs[chatId];
+export function getEncounterLogs() {
+    return chat_metadata?.rpg_companion_encounter_logs || [];
+}
+
+/**
+ * Deletes a single encounter log from the current chat
+ * @param {string} id - Record ID
+ */
+export function deleteEncounterLog(id) {
+    const logs = getEncounterLogStore();
+    const index = logs.findIndex(record => record.id === id);
+    if (index !== -1) {
+        logs.splice(index, 1);
+        saveChatDebounced();
     }
 }
 
 /**
- * Exports encounter logs as JSON
- * @param {string} chatId - The chat identifier
- * @returns {string} JSON string of encounter logs
+ * Clears all encounter logs for the current chat
  */
-export function exportEncounterLogs(chatId) {
-    const logs = getEncounterLogs(chatId);
+export function clearEncounterLogs() {
+    if (chat_metadata?.rpg_companion_encounter_logs) {
+        delete chat_metadata.rpg_companion_encounter_logs;
+        saveChatDebounced();
+    }
+}
+
+/**
+ * Formats encounter logs as a Markdown recap
+ * @param {EncounterLogRecord[]} logs - Records to format
+ * @returns {string} Markdown document
+ */
+export function formatEncounterLogsMarkdown(logs) {
+    let markdown = '# Encounter Log\n';
+
+    logs.forEach((record, index) => {
+        const title = record.enemies?.length ? record.enemies.join(', ') : `Encounter ${index + 1}`;
+        markdown += `\n## ${index + 1}. ${title}\n\n`;
+        markdown += `- **Result:** ${record.result}\n`;
+        markdown += `- **Date:** ${new Date(record.timestamp).toLocaleString()}\n`;
+        if (record.party?.length) {
+            markdown += `- **Party:** ${record.party.join(', ')}\n`;
+        }
+        if (record.environment) {
+            markdown += `- **Environment:** ${record.environment}\n`;
+        }
+        const loot = [
+            ...(record.loot?.items || []).map(item => `${item.quantity > 1 ? `${item.quantity}x ` : ''}${item.name}`),
+            ...(record.loot?.currency || []).map(coin => `${coin.amount} ${coin.name}`),
+            ...(record.loot?.xp ? [`${record.loot.xp} XP`] : [])
+        ];
+        if (loot.length) {
+            markdown += `- **Loot:** ${loot.join(', ')}\n`;
+        }
+
+        if (record.summary) {
+            markdown += `\n### Summary\n\n${record.summary}\n`;
+        }
+
+        if (record.log?.length) {
+            markdown += '\n### Turns\n\n';
+            record.log.forEach((entry, turn) => {
+                markdown += `${turn + 1}. **${entry.action}**`;
+                markdown += entry.result ? ` — ${entry.result}\n` : '\n';
+            });
+        }
+    });
+
+    return markdown;
+}
+
+/**
+ * Exports encounter logs for the current chat
+ * @param {'json'|'markdown'} [format='json'] - Export format
+ * @param {EncounterLogRecord[]} [logs] - Records to export (defaults to all logs in the chat)
+ * @returns {string} Exported text
+ */
+export function exportEncounterLogs(format = 'json', logs = getEncounterLogs()) {
+    if (format === 'markdown') {
+        return formatEncounterLogsMarkdown(logs);
+    }
     return JSON.stringify(logs, null, 2);
 }
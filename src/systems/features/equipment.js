@@ -0,0 +1,200 @@
+/**
+ * Equipment Module
+ * Equipment slots (head, body, hands...) holding items from the inventory.
+ * Equipped items' modifiers (from their item details) are added to the attributes and stats they name.
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { getItemDetails } from './itemDetails.js';
+
+/**
+ * Default equipment configuration (stored in trackerConfig.userStats.equipment)
+ */
+export const DEFAULT_EQUIPMENT_CONFIG = {
+    enabled: true, // Show equipment slots and apply equipped items' modifiers
+    slots: [
+        { id: 'head', name: 'Head' },
+        { id: 'body', name: 'Body' },
+        { id: 'hands', name: 'Hands' },
+        { id: 'mainHand', name: 'Main Hand' },
+        { id: 'offHand', name: 'Off Hand' },
+        { id: 'accessory', name: 'Accessory' }
+    ]
+};
+
+/**
+ * Gets the equipment configuration with defaults applied.
+ * @returns {typeof DEFAULT_EQUIPMENT_CONFIG} Equipment configuration
+ */
+export function getEquipmentConfig() {
+    return { ...DEFAULT_EQUIPMENT_CONFIG, ...(extensionSettings.trackerConfig?.userStats?.equipment || {}) };
+}
+
+/**
+ * Gets the configured slots, without nameless or duplicate entries.
+ * @returns {Array<{id: string, name: string}>} Slots
+ */
+export function getEquipmentSlots() {
+    const seen = new Set();
+    return (getEquipmentConfig().slots || [])
+        .map(slot => ({ id: String(slot?.id || '').trim(), name: String(slot?.name || slot?.id || '').trim() }))
+        .filter(slot => {
+            if (!slot.id || seen.has(slot.id)) return false;
+            seen.add(slot.id);
+            return true;
+        });
+}
+
+/**
+ * Finds the slot a name refers to ("mainHand", "Main Hand", "main hand").
+ * @param {string} name - Slot ID or name
+ * @returns {{id: string, name: string}|null} Slot, or null if none matches
+ */
+export function findEquipmentSlot(name) {
+    const key = String(name || '').replace(/[\s_-]/g, '').toLowerCase();
+    if (!key) return null;
+    return getEquipmentSlots().find(slot => slot.id.toLowerCase() === key || slot.name.replace(/\s/g, '').toLowerCase() === key) || null;
+}
+
+/**
+ * Gets the equipped item per slot, creating the map if needed.
+ * @returns {Object.<string, string>} Item name by slot ID
+ */
+export function getEquipped() {
+    const inventory = extensionSettings.userStats?.inventory;
+    if (!inventory || typeof inventory !== 'object') return {};
+    if (!inventory.equipped || typeof inventory.equipped !== 'object' || Array.isArray(inventory.equipped)) {
+        inventory.equipped = {};
+    }
+    return inventory.equipped;
+}
+
+/**
+ * Lists what modifiers can target: the RPG attributes and the custom stats.
+ * @returns {Array<{id: string, name: string, type: 'attribute'|'stat'}>} Targets
+ * @private
+ */
+function getModifierTargets() {
+    const userStatsConfig = extensionSettings.trackerConfig?.userStats || {};
+    const attributes = (userStatsConfig.rpgAttributes || []).filter(attr => attr?.id);
+    const stats = (userStatsConfig.customStats || []).filter(stat => stat?.id);
+    return [
+        ...attributes.map(attr => ({ id: attr.id, name: attr.name || attr.id, type: 'attribute' })),
+        ...stats.map(stat => ({ id: stat.id, name: stat.name || stat.id, type: 'stat' }))
+    ];
+}
+
+/**
+ * Resolves a modifier key ("STR", "Health", "health") to an attribute or stat ID.
+ * @param {string} key - Attribute or stat ID or name
+ * @returns {string} Attribute or stat ID (the lowercased key when nothing matches)
+ */
+export function resolveModifierKey(key) {
+    const lower = String(key || '').trim().toLowerCase();
+    const target = getModifierTargets().find(t => t.id.toLowerCase() === lower || t.name.toLowerCase() === lower);
+    return target ? target.id : lower;
+}
+
+/**
+ * Builds modifiers from the model's or the user's input, dropping zero and invalid values.
+ * Accepts an object ({"STR": 1, "health": 10}) or text ("STR +1, Health +10").
+ * @param {Object|string} raw - Raw modifiers
+ * @returns {Object.<string, number>|null} Modifier by attribute or stat ID, or null if there are none
+ */
+export function normalizeModifiers(raw) {
+    const entries = typeof raw === 'string'
+        ? raw.split(/[,;]/).map(part => part.trim().match(/^(.+?)\s*([+-]\s*\d+(?:\.\d+)?)$/)).filter(Boolean).map(match => [match[1], match[2].replace(/\s/g, '')])
+        : Object.entries(raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {});
+
+    const modifiers = {};
+    entries.forEach(([key, value]) => {
+        const amount = Math.round(parseFloat(String(value)) * 100) / 100;
+        const id = resolveModifierKey(key);
+        if (id && !isNaN(amount) && amount !== 0) {
+            modifiers[id] = (modifiers[id] || 0) + amount;
+        }
+    });
+    return Object.keys(modifiers).length > 0 ? modifiers : null;
+}
+
+/**
+ * Formats modifiers for display or prompts (e.g., "STR +1, Health +10").
+ * @param {Object.<string, number>|null} modifiers - Modifiers
+ * @returns {string} Formatted modifiers, or empty string if there are none
+ */
+export function formatModifiers(modifiers) {
+    if (!modifiers) return '';
+    const targets = getModifierTargets();
+    return Object.entries(modifiers)
+        .map(([id, amount]) => {
+            const name = targets.find(t => t.id === id)?.name || id;
+            return `${name} ${amount > 0 ? '+' : ''}${amount}`;
+        })
+        .join(', ');
+}
+
+/**
+ * Adds up the modifiers of everything equipped.
+ * @returns {Object.<string, number>} Total modifier by attribute or stat ID
+ */
+export function getEquipmentBonuses() {
+    if (!getEquipmentConfig().enabled) return {};
+
+    const bonuses = {};
+    Object.values(getEquipped()).forEach(item => {
+        const modifiers = item ? getItemDetails(item)?.modifiers : null;
+        Object.entries(modifiers || {}).forEach(([id, amount]) => {
+            bonuses[id] = (bonuses[id] || 0) + amount;
+        });
+    });
+    return bonuses;
+}
+
+/**
+ * Gets the equipment bonus to one attribute or stat.
+ * @param {string} id - Attribute or stat ID
+ * @returns {number} Bonus (0 when nothing equipped modifies it)
+ */
+export function getEquipmentBonus(id) {
+    return getEquipmentBonuses()[id] || 0;
+}
+
+/**
+ * Lists the equipment slots with anything still equipped in slots removed from the config appended,
+ * so those items stay visible and can be unequipped.
+ * @param {Object.<string, string>} [equipped] - Item name by slot ID (defaults to the current inventory's)
+ * @returns {Array<{id: string, name: string}>} Slots
+ */
+export function getDisplayedSlots(equipped = getEquipped()) {
+    const slots = getEquipmentSlots();
+    const orphaned = Object.keys(equipped || {})
+        .filter(id => equipped[id] && !slots.some(slot => slot.id === id))
+        .map(id => ({ id, name: id }));
+    return [...slots, ...orphaned];
+}
+
+/**
+ * Lists the equipped items, in slot order.
+ * @param {Object.<string, string>} [equipped] - Item name by slot ID (defaults to the current inventory's)
+ * @returns {Array<{slot: {id: string, name: string}, item: string}>} Equipped items
+ */
+export function getEquippedItems(equipped = getEquipped()) {
+    if (!getEquipmentConfig().enabled || !equipped || typeof equipped !== 'object') return [];
+    return getDisplayedSlots(equipped)
+        .filter(slot => equipped[slot.id])
+        .map(slot => ({ slot, item: equipped[slot.id] }));
+}
+
+/**
+ * Summarises the equipped loadout for prompts (e.g., "Head: Iron Helm (CON +1); Main Hand: Longsword").
+ * @param {Object.<string, string>} [equipped] - Item name by slot ID (defaults to the current inventory's)
+ * @returns {string} Loadout, or empty string when nothing is equipped
+ */
+export function buildEquipmentSummary(equipped = getEquipped()) {
+    return getEquippedItems(equipped)
+        .map(({ slot, item }) => {
+            const modifiers = formatModifiers(getItemDetails(item)?.modifiers);
+            return `${slot.name}: ${item}${modifiers ? ` (${modifiers})` : ''}`;
+        })
+        .join('; ');
+}
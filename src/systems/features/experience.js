@@ -0,0 +1,316 @@
+/**
+ * Experience Module
+ * Tracks XP, applies the configured XP curve, levels the character up and grants attribute points
+ */
+
+import { chat_metadata, saveChatDebounced } from '../../../../../../../script.js';
+import { extensionSettings } from '../../core/state.js';
+import { saveSettings, saveChatData } from '../../core/persistence.js';
+import { repairJSON } from '../../utils/jsonRepair.js';
+import { renderUserStats } from '../rendering/userStats.js';
+
+/**
+ * Total XP required to reach each level in D&D 5e (index 0 = level 1)
+ * @private
+ */
+const DND5E_THRESHOLDS = [
+    0, 300, 900, 2700, 6500, 14000, 23000, 34000, 48000, 64000,
+    85000, 100000, 120000, 140000, 165000, 195000, 225000, 265000, 305000, 355000
+];
+
+const MAX_LEVEL = 100;
+
+/**
+ * Default XP configuration (stored in trackerConfig.userStats.experience)
+ */
+export const DEFAULT_EXPERIENCE_CONFIG = {
+    enabled: true, // Track XP and level up automatically
+    curve: 'dnd5e', // 'dnd5e', 'linear', 'exponential' or 'custom'
+    base: 1000, // XP per level (linear) or for level 2 (exponential)
+    growth: 1.5, // Multiplier applied to each next level's cost (exponential)
+    customThresholds: [300, 900, 2700], // Total XP for level 2, 3, 4... (custom)
+    pointsPerLevel: 2, // Attribute points granted per level gained
+    xpPerEnemy: 50 // Fallback encounter XP per enemy when the model doesn't provide one
+};
+
+/**
+ * Gets the XP configuration with defaults applied.
+ * @returns {typeof DEFAULT_EXPERIENCE_CONFIG} XP configuration
+ */
+export function getExperienceConfig() {
+    return { ...DEFAULT_EXPERIENCE_CONFIG, ...(extensionSettings.trackerConfig?.userStats?.experience || {}) };
+}
+
+/**
+ * Gets the character's XP state, creating it if needed.
+ * @returns {{xp: number, attributePoints: number, spentPoints: Object.<string, number>}} XP state
+ */
+export function getExperienceState() {
+    if (!extensionSettings.experience) {
+        extensionSettings.experience = { xp: 0, attributePoints: 0, spentPoints: {} };
+    }
+    if (!extensionSettings.experience.spentPoints) {
+        extensionSettings.experience.spentPoints = {};
+    }
+    return extensionSettings.experience;
+}
+
+/**
+ * Gets the total XP needed to reach a level under the configured curve.
+ * @param {number} level - Target level (1 = 0 XP)
+ * @returns {number} Total XP threshold
+ */
+export function getXpThreshold(level) {
+    if (level <= 1) return 0;
+
+    const config = getExperienceConfig();
+    const base = Math.max(1, Number(config.base) || DEFAULT_EXPERIENCE_CONFIG.base);
+
+    switch (config.curve) {
+        case 'linear':
+            return base * (level - 1);
+
+        case 'exponential': {
+            const growth = Math.max(1, Number(config.growth) || DEFAULT_EXPERIENCE_CONFIG.growth);
+            if (growth === 1) return base * (level - 1);
+            // Sum of a geometric series: base + base*growth + ... for (level - 1) levels
+            return Math.round(base * (Math.pow(growth, level - 1) - 1) / (growth - 1));
+        }
+
+        case 'custom': {
+            const thresholds = [0, ...(config.customThresholds || []).map(Number).filter(n => !isNaN(n) && n > 0)];
+            return extendThresholds(thresholds, level);
+        }
+
+        default:
+            return extendThresholds(DND5E_THRESHOLDS, level);
+    }
+}
+
+/**
+ * Reads a threshold from a table, continuing past its end with the last step size.
+ * @param {number[]} thresholds - Total XP per level (index 0 = level 1)
+ * @param {number} level - Target level
+ * @returns {number} Total XP threshold
+ * @private
+ */
+function extendThresholds(thresholds, level) {
+    if (level - 1 < thresholds.length) {
+        return thresholds[level - 1];
+    }
+    const last = thresholds[thresholds.length - 1];
+    const step = thresholds.length > 1 ? last - thresholds[thresholds.length - 2] : DEFAULT_EXPERIENCE_CONFIG.base;
+    return last + step * (level - thresholds.length);
+}
+
+/**
+ * Gets the character's progress toward the next level.
+ * @returns {{level: number, xp: number, currentThreshold: number, nextThreshold: number, attributePoints: number}}
+ */
+export function getXpProgress() {
+    const state = getExperienceState();
+    const level = extensionSettings.level || 1;
+    return {
+        level,
+        xp: state.xp,
+        currentThreshold: getXpThreshold(level),
+        nextThreshold: level >= MAX_LEVEL ? getXpThreshold(level) : getXpThreshold(level + 1),
+        attributePoints: state.attributePoints
+    };
+}
+
+/**
+ * Gets the highest level a total XP reaches under the configured curve.
+ * @param {number} xp - Total XP
+ * @returns {number} Level
+ */
+export function getLevelForXp(xp) {
+    let level = 1;
+    while (level < MAX_LEVEL && xp >= getXpThreshold(level + 1)) {
+        level++;
+    }
+    return level;
+}
+
+/**
+ * Takes back attribute points, unspent ones first, then ones already spent (from the stat with the most,
+ * lowering that stat again).
+ * @param {number} points - Points to take back
+ * @private
+ */
+function revokeAttributePoints(points) {
+    const state = getExperienceState();
+    let remaining = Math.max(0, points);
+
+    const unspent = Math.min(state.attributePoints, remaining);
+    state.attributePoints -= unspent;
+    remaining -= unspent;
+
+    while (remaining > 0) {
+        const stat = Object.keys(state.spentPoints)
+            .filter(key => state.spentPoints[key] > 0)
+            .sort((a, b) => state.spentPoints[b] - state.spentPoints[a])[0];
+        if (!stat) break;
+        state.spentPoints[stat]--;
+        if (typeof extensionSettings.classicStats?.[stat] === 'number') {
+            extensionSettings.classicStats[stat] = Math.max(1, extensionSettings.classicStats[stat] - 1);
+        }
+        remaining--;
+    }
+}
+
+/**
+ * Adds (or removes, if negative) XP and levels the character up as thresholds are crossed.
+ * XP never drops below 0. Losing XP drops the levels the remaining XP no longer reaches and takes back their points.
+ * @param {number} amount - XP to add
+ * @param {string} [reason] - Shown in the level-up notification
+ * @returns {{xp: number, levelsGained: number, pointsGained: number}} New XP total, and the levels and attribute points gained
+ */
+export function awardXp(amount, reason = '') {
+    const config = getExperienceConfig();
+    const gained = parseInt(String(amount));
+    if (!config.enabled || isNaN(gained) || gained === 0) {
+        return { xp: getExperienceState().xp, levelsGained: 0, pointsGained: 0 };
+    }
+
+    const state = getExperienceState();
+    state.xp = Math.max(0, state.xp + gained);
+    const pointsPerLevel = Math.max(0, parseInt(String(config.pointsPerLevel)) || 0);
+
+    let levelsGained = 0;
+    let level = extensionSettings.level || 1;
+    if (gained < 0) {
+        const reached = getLevelForXp(state.xp);
+        if (reached < level) {
+            revokeAttributePoints((level - reached) * pointsPerLevel);
+            level = reached;
+            extensionSettings.level = level;
+        }
+    }
+    while (level < MAX_LEVEL && state.xp >= getXpThreshold(level + 1)) {
+        level++;
+        levelsGained++;
+    }
+
+    const pointsGained = levelsGained * pointsPerLevel;
+    if (levelsGained > 0) {
+        extensionSettings.level = level;
+        state.attributePoints += pointsGained;
+        toastr.success(
+            `Reached level ${level}${state.attributePoints > 0 ? ` - ${state.attributePoints} attribute point(s) to spend` : ''}`,
+            reason ? `Level Up! (${reason})` : 'Level Up!'
+        );
+    }
+
+    saveSettings();
+    saveChatData();
+    renderUserStats();
+
+    return { xp: state.xp, levelsGained, pointsGained };
+}
+
+/**
+ * Awards XP reported for a specific chat message. Awards are remembered per message,
+ * so re-parsing the same message does nothing and a swipe only applies the difference.
+ * The levels and attribute points each message granted are remembered under the same key,
+ * so a swipe that lowers or replaces the award takes them back before applying the new one.
+ * @param {number} messageIndex - Chat message index the award came from
+ * @param {number} amount - XP reported for that message
+ * @param {string} [reason] - Award reason
+ * @returns {number} XP actually applied (difference from any previous award for the message)
+ */
+export function awardXpForMessage(messageIndex, amount, reason = '') {
+    if (!chat_metadata || messageIndex < 0) return 0;
+
+    const value = Math.max(0, parseInt(String(amount)) || 0);
+    if (!chat_metadata.rpg_companion_xp_awards) {
+        chat_metadata.rpg_companion_xp_awards = {};
+    }
+
+    const previous = chat_metadata.rpg_companion_xp_awards[messageIndex] || 0;
+    const delta = value - previous;
+    if (delta === 0) return 0;
+
+    if (!chat_metadata.rpg_companion_xp_levels) {
+        chat_metadata.rpg_companion_xp_levels = {};
+    }
+
+    // Undo the level-ups of the award being replaced
+    const granted = chat_metadata.rpg_companion_xp_levels[messageIndex];
+    if (granted) {
+        extensionSettings.level = Math.max(1, (extensionSettings.level || 1) - granted.levels);
+        revokeAttributePoints(granted.points);
+        delete chat_metadata.rpg_companion_xp_levels[messageIndex];
+    }
+
+    chat_metadata.rpg_companion_xp_awards[messageIndex] = value;
+    const { levelsGained, pointsGained } = awardXp(delta, reason);
+    if (levelsGained > 0) {
+        chat_metadata.rpg_companion_xp_levels[messageIndex] = { levels: levelsGained, points: pointsGained };
+    }
+    saveChatDebounced();
+    return delta;
+}
+
+/**
+ * Applies the "xpGained" field from a user stats tracker JSON.
+ * @param {string} userStatsText - Raw user stats tracker (v3 JSON; text trackers are ignored)
+ * @param {number} messageIndex - Chat message index the tracker belongs to
+ * @returns {number} XP applied
+ */
+export function applyTrackerXp(userStatsText, messageIndex) {
+    if (!getExperienceConfig().enabled || !userStatsText || typeof userStatsText !== 'string') return 0;
+
+    const trimmed = userStatsText.trim();
+    if (!trimmed.startsWith('{')) return 0;
+
+    const statsData = repairJSON(trimmed);
+    if (!statsData || statsData.xpGained === undefined) return 0;
+
+    const amount = typeof statsData.xpGained === 'object' ? statsData.xpGained?.amount : statsData.xpGained;
+    const reason = typeof statsData.xpGained === 'object' ? statsData.xpGained?.reason : '';
+    return awardXpForMessage(messageIndex, amount, reason || '');
+}
+
+/**
+ * Calculates the XP reward for defeating a group of enemies.
+ * Uses each enemy's "xp" field when present, otherwise the configured per-enemy fallback.
+ * @param {Array<Object>} enemies - Enemies from the encounter's combat stats
+ * @returns {number} Total XP
+ */
+export function calculateEncounterXp(enemies) {
+    if (!Array.isArray(enemies)) return 0;
+    const fallback = Math.max(0, parseInt(String(getExperienceConfig().xpPerEnemy)) || 0);
+    return enemies.reduce((total, enemy) => {
+        const xp = parseInt(String(enemy?.xp));
+        return total + (isNaN(xp) ? fallback : Math.max(0, xp));
+    }, 0);
+}
+
+/**
+ * Spends an unspent attribute point on a stat.
+ * @param {string} stat - Attribute ID
+ * @returns {boolean} True if a point was available and spent
+ */
+export function spendAttributePoint(stat) {
+    const state = getExperienceState();
+    if (state.attributePoints <= 0) return false;
+
+    state.attributePoints--;
+    state.spentPoints[stat] = (state.spentPoints[stat] || 0) + 1;
+    return true;
+}
+
+/**
+ * Refunds a point previously spent on a stat (so a misclick can be undone).
+ * @param {string} stat - Attribute ID
+ * @returns {boolean} True if a point was refunded
+ */
+export function refundAttributePoint(stat) {
+    const state = getExperienceState();
+    if (!state.spentPoints[stat]) return false;
+
+    state.spentPoints[stat]--;
+    state.attributePoints++;
+    return true;
+}
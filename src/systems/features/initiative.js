@@ -0,0 +1,145 @@
+/**
+ * Initiative Module
+ * Rolls initiative for encounter combatants and tracks whose turn it is
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { evaluateDiceExpression, formatRollBreakdown, getAttributeModifier } from '../../utils/diceParser.js';
+import { currentEncounter, updateCurrentEncounter } from './encounterState.js';
+import { getDiceAttributeScores } from './dice.js';
+
+/**
+ * One combatant's place in the turn order
+ * @typedef {Object} InitiativeEntry
+ * @property {string} id - Combatant ID (see identifyCombatants)
+ * @property {string} name - Combatant name
+ * @property {'party'|'enemy'} side - Combatant's side
+ * @property {boolean} isPlayer - Whether this is the player
+ * @property {number} modifier - Initiative modifier added to the d20
+ * @property {number} total - Initiative result
+ * @property {string} breakdown - Roll breakdown (e.g., "[14] + 2")
+ */
+
+/**
+ * Whether encounters use initiative order (each combatant takes a separate turn).
+ * @returns {boolean} True when initiative is enabled
+ */
+export function isInitiativeEnabled() {
+    return extensionSettings.encounterSettings?.initiative ?? false;
+}
+
+/**
+ * Gets a combatant's initiative modifier: the player's DEX modifier, or the model-provided "initiative" value.
+ * @param {Object} combatant - Party member or enemy
+ * @returns {number} Modifier
+ * @private
+ */
+function getInitiativeModifier(combatant) {
+    const given = parseInt(String(combatant?.initiative));
+    if (!isNaN(given)) return given;
+
+    if (combatant?.isPlayer) {
+        const scores = getDiceAttributeScores();
+        return scores.dex !== undefined ? getAttributeModifier(scores.dex) : 0;
+    }
+    return 0;
+}
+
+/**
+ * Rolls initiative (1d20 + modifier) for every combatant and stores the turn order on the current encounter.
+ * Ties go to the higher modifier, then to the party.
+ * @param {Object} combatStats - Combat stats with party and enemies, already given IDs by identifyCombatants
+ * @returns {InitiativeEntry[]} Turn order, highest first
+ */
+export function rollInitiative(combatStats) {
+    const combatants = [
+        ...(combatStats.party || []).map(c => ({ combatant: c, side: 'party' })),
+        ...(combatStats.enemies || []).map(c => ({ combatant: c, side: 'enemy' }))
+    ];
+
+    const order = combatants.map(({ combatant, side }) => {
+        const modifier = getInitiativeModifier(combatant);
+        const roll = evaluateDiceExpression(`1d20${modifier < 0 ? '-' : '+'}${Math.abs(modifier)}`);
+        return {
+            id: combatant.id,
+            name: combatant.name,
+            side,
+            isPlayer: !!combatant.isPlayer,
+            modifier,
+            total: roll.total,
+            breakdown: formatRollBreakdown(roll.terms)
+        };
+    });
+
+    order.sort((a, b) =>
+        b.total - a.total ||
+        b.modifier - a.modifier ||
+        (a.side === b.side ? 0 : a.side === 'party' ? -1 : 1)
+    );
+
+    updateCurrentEncounter({ initiative: { order, turnIndex: 0, round: 1 } });
+    skipDefeatedTurns(combatStats);
+    return order;
+}
+
+/**
+ * Finds the combat stats entry for a turn order entry.
+ * @param {Object} combatStats - Combat stats
+ * @param {InitiativeEntry} entry - Turn order entry
+ * @returns {Object|undefined} Combatant
+ */
+export function findTurnCombatant(combatStats, entry) {
+    const list = entry.side === 'enemy' ? combatStats?.enemies : combatStats?.party;
+    return (list || []).find(c => c.id === entry.id);
+}
+
+/**
+ * Gets whose turn it is.
+ * @returns {InitiativeEntry|null} Current turn, or null when initiative wasn't rolled
+ */
+export function getCurrentTurn() {
+    const initiative = currentEncounter.initiative;
+    if (!initiative || !initiative.order?.length) return null;
+    return initiative.order[initiative.turnIndex] || null;
+}
+
+/**
+ * Moves past turns of defeated or missing NPCs. The player's turn is never skipped,
+ * so the queue always stops for them (their controls show the defeat state if they are down).
+ * @param {Object} combatStats - Combat stats
+ * @private
+ */
+function skipDefeatedTurns(combatStats) {
+    const initiative = currentEncounter.initiative;
+    for (let i = 0; i < initiative.order.length; i++) {
+        const entry = initiative.order[initiative.turnIndex];
+        const combatant = findTurnCombatant(combatStats, entry);
+        if (entry.isPlayer || (combatant && combatant.hp > 0)) return;
+        stepTurn();
+    }
+}
+
+/**
+ * Moves to the next slot in the order, starting a new round after the last one.
+ * @private
+ */
+function stepTurn() {
+    const initiative = currentEncounter.initiative;
+    initiative.turnIndex++;
+    if (initiative.turnIndex >= initiative.order.length) {
+        initiative.turnIndex = 0;
+        initiative.round++;
+    }
+}
+
+/**
+ * Ends the current turn and moves to the next combatant still standing.
+ * @param {Object} combatStats - Combat stats after the turn
+ * @returns {InitiativeEntry|null} Next turn
+ */
+export function advanceTurn(combatStats) {
+    if (!currentEncounter.initiative) return null;
+    stepTurn();
+    skipDefeatedTurns(combatStats);
+    return getCurrentTurn();
+}
@@ -0,0 +1,150 @@
+/**
+ * Inventory Filters Module
+ * Search, tag filter and sort order for the inventory views. One set of filters applies to every sub-tab;
+ * items keep their tracker index, so editing, moving and locking a filtered or sorted item still works.
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { parseItems, splitItemQuantity } from '../../utils/itemParser.js';
+import { getItemDetails } from './itemDetails.js';
+import { getInventoryLog } from './inventoryLog.js';
+
+/**
+ * Sort orders offered in the inventory toolbar
+ */
+export const INVENTORY_SORTS = [
+    { id: 'default', name: 'Tracker order' },
+    { id: 'name', name: 'Name' },
+    { id: 'quantity', name: 'Quantity' },
+    { id: 'value', name: 'Value' },
+    { id: 'acquired', name: 'Date acquired' }
+];
+
+/**
+ * Default filter state (stored in extensionSettings.inventoryFilters)
+ */
+export const DEFAULT_INVENTORY_FILTERS = {
+    query: '', // Text searched for in item names, tags and descriptions
+    tag: '', // Only show items with this tag
+    sortBy: 'default', // One of INVENTORY_SORTS
+    reverse: false // Flip the sort order
+};
+
+/**
+ * Gets the inventory filters with defaults applied.
+ * @returns {typeof DEFAULT_INVENTORY_FILTERS} Filters
+ */
+export function getInventoryFilters() {
+    return { ...DEFAULT_INVENTORY_FILTERS, ...(extensionSettings.inventoryFilters || {}) };
+}
+
+/**
+ * Whether the search or tag filter hides any items.
+ * @param {typeof DEFAULT_INVENTORY_FILTERS} [filters] - Filters (defaults to the current ones)
+ * @returns {boolean} True if filtering
+ */
+export function isFilteringInventory(filters = getInventoryFilters()) {
+    return Boolean(filters.query.trim() || filters.tag);
+}
+
+/**
+ * Lists every tag used by an item currently in the inventory, for the tag filter.
+ * @returns {string[]} Tags, alphabetically
+ */
+export function getInventoryTags() {
+    const inventory = extensionSettings.userStats?.inventory;
+    if (!inventory || typeof inventory !== 'object') return [];
+
+    const lists = [inventory.onPerson, inventory.clothing, inventory.assets, ...Object.values(inventory.stored || {})];
+    const tags = new Set();
+    lists.forEach(list => {
+        parseItems(list).forEach(item => {
+            (getItemDetails(item)?.tags || []).forEach(tag => tags.add(tag));
+        });
+    });
+    return [...tags].sort();
+}
+
+/**
+ * Finds when each item was last gained, from the chat's inventory log.
+ * Items the log never saw gained (added by hand, or held before the log started) are missing.
+ * @returns {Map<string, number>} Message index by lowercase item name
+ * @private
+ */
+function getAcquiredMessages() {
+    const acquired = new Map();
+    getInventoryLog().forEach(entry => {
+        entry.changes.forEach(change => {
+            if (change.delta > 0) acquired.set(change.name.toLowerCase(), entry.messageIndex);
+        });
+    });
+    return acquired;
+}
+
+/**
+ * Whether an item matches the search and tag filter.
+ * @param {string} item - Item string
+ * @param {typeof DEFAULT_INVENTORY_FILTERS} filters - Filters
+ * @returns {boolean} True if it should be shown
+ */
+export function itemMatchesFilters(item, filters) {
+    const details = getItemDetails(item);
+    const tags = details?.tags || [];
+    if (filters.tag && !tags.includes(filters.tag)) return false;
+
+    const term = filters.query.trim().toLowerCase();
+    if (!term) return true;
+    return [item, details?.description || '', ...tags].some(text => text.toLowerCase().includes(term));
+}
+
+/**
+ * Filters and sorts one item list for display.
+ * Name sorts A to Z; quantity, value and date acquired put the highest or newest first. Ties keep the tracker order.
+ * @param {string|string[]} items - Item list (comma-separated string or parsed items)
+ * @param {typeof DEFAULT_INVENTORY_FILTERS} [filters] - Filters (defaults to the current ones)
+ * @returns {Array<{item: string, index: number}>} Items to show, each with its index in the tracker list
+ */
+export function arrangeInventoryItems(items, filters = getInventoryFilters()) {
+    const list = Array.isArray(items) ? items : parseItems(items);
+    const shown = list
+        .map((item, index) => ({ item, index }))
+        .filter(entry => itemMatchesFilters(entry.item, filters));
+
+    if (filters.sortBy === 'default') {
+        return filters.reverse ? shown.reverse() : shown;
+    }
+
+    const acquired = filters.sortBy === 'acquired' ? getAcquiredMessages() : null;
+    const sortKey = (item) => {
+        const { name, quantity } = splitItemQuantity(item);
+        switch (filters.sortBy) {
+            case 'quantity': return -quantity;
+            case 'value': return -(getItemDetails(item)?.value ?? -1);
+            case 'acquired': return -(acquired.get(name.toLowerCase()) ?? -1);
+            default: return name.toLowerCase();
+        }
+    };
+
+    const keyed = shown.map(entry => ({ ...entry, key: sortKey(entry.item) }));
+    keyed.sort((a, b) => {
+        const order = typeof a.key === 'string' ? a.key.localeCompare(b.key) : a.key - b.key;
+        return (filters.reverse ? -order : order) || a.index - b.index;
+    });
+    return keyed.map(({ item, index }) => ({ item, index }));
+}
+
+/**
+ * Counts the items each sub-tab shows with the current filters, for the sub-tab labels.
+ * @returns {{onPerson: number, clothing: number, stored: number, assets: number}} Matching items per sub-tab
+ */
+export function countFilteredItems() {
+    const inventory = extensionSettings.userStats?.inventory || {};
+    const filters = getInventoryFilters();
+    const count = list => arrangeInventoryItems(list, filters).length;
+    return {
+        onPerson: count(inventory.onPerson),
+        clothing: count(inventory.clothing),
+        stored: Object.values(inventory.stored || {}).reduce((sum, list) => sum + count(list), 0),
+        assets: count(inventory.assets)
+    };
+}
@@ -0,0 +1,170 @@
+/**
+ * Inventory Log Module
+ * Records what each tracker update added to or removed from the inventory, per message,
+ * so silent changes by the model can be seen, searched and traced back to the message that made them.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { chat_metadata, saveChatDebounced } from '../../../../../../../script.js';
+import { extensionSettings } from '../../core/state.js';
+import { parseItems, splitItemQuantity } from '../../utils/itemParser.js';
+
+/**
+ * What one message changed in the inventory
+ * @typedef {Object} InventoryLogEntry
+ * @property {string} id - Unique entry ID
+ * @property {number} messageIndex - Chat message index of the tracker update
+ * @property {Array<{name: string, delta: number}>} changes - Items gained (positive) or lost (negative)
+ * @property {number} timestamp - When the change was recorded
+ */
+
+/**
+ * Copies the item lists of an inventory, to compare against after an update.
+ * @param {Object} [inventory] - Inventory (defaults to the current one)
+ * @returns {{onPerson: string, clothing: string, stored: Object.<string, string>, assets: string}} Snapshot
+ */
+export function snapshotInventory(inventory = extensionSettings.userStats?.inventory) {
+    const source = inventory && typeof inventory === 'object' ? inventory : {};
+    return {
+        onPerson: source.onPerson || 'None',
+        clothing: source.clothing || 'None',
+        stored: { ...(source.stored && typeof source.stored === 'object' ? source.stored : {}) },
+        assets: source.assets || 'None'
+    };
+}
+
+/**
+ * Adds up every item in an inventory by name, across all sections.
+ * Moving an item between sections is therefore not a change.
+ * @param {Object} inventory - Inventory or snapshot
+ * @returns {Map<string, {name: string, quantity: number}>} Totals by lowercase item name
+ * @private
+ */
+function countItems(inventory) {
+    const lists = [inventory.onPerson, inventory.clothing, inventory.assets, ...Object.values(inventory.stored || {})];
+    const totals = new Map();
+    lists.forEach(list => {
+        parseItems(list).forEach(item => {
+            const { name, quantity } = splitItemQuantity(item);
+            const key = name.toLowerCase();
+            const existing = totals.get(key);
+            if (existing) {
+                existing.quantity += quantity;
+            } else {
+                totals.set(key, { name, quantity });
+            }
+        });
+    });
+    return totals;
+}
+
+/**
+ * Compares two inventories item by item.
+ * @param {Object} before - Inventory or snapshot before the update
+ * @param {Object} after - Inventory or snapshot after the update
+ * @returns {Array<{name: string, delta: number}>} Items gained first, then items lost
+ */
+export function diffInventories(before, after) {
+    const previous = countItems(before);
+    const next = countItems(after);
+    const changes = [];
+
+    next.forEach((item, key) => {
+        const delta = item.quantity - (previous.get(key)?.quantity || 0);
+        if (delta !== 0) changes.push({ name: item.name, delta });
+    });
+    previous.forEach((item, key) => {
+        if (!next.has(key)) changes.push({ name: item.name, delta: -item.quantity });
+    });
+
+    return changes.sort((a, b) => Math.sign(b.delta) - Math.sign(a.delta));
+}
+
+/**
+ * Formats changes for display (e.g., "+ Rope, - 3 Arrows").
+ * @param {Array<{name: string, delta: number}>} changes - Changes
+ * @returns {string} Formatted changes
+ */
+export function formatInventoryChanges(changes) {
+    return changes
+        .map(change => {
+            const amount = Math.abs(change.delta);
+            return `${change.delta > 0 ? '+' : '-'} ${amount > 1 ? `${amount} ` : ''}${change.name}`;
+        })
+        .join(', ');
+}
+
+/**
+ * Gets the chat's inventory log, creating it if needed.
+ * @returns {InventoryLogEntry[]} Entries, oldest first
+ */
+export function getInventoryLog() {
+    if (!chat_metadata) return [];
+    if (!Array.isArray(chat_metadata.rpg_companion_inventory_log)) {
+        chat_metadata.rpg_companion_inventory_log = [];
+    }
+    return chat_metadata.rpg_companion_inventory_log;
+}
+
+/**
+ * Records what a new assistant message's tracker changed in the inventory.
+ * The inventory before the message is remembered, so re-parsing or swiping the same message
+ * replaces its entry instead of logging the difference between two swipes.
+ * @param {Object} previousInventory - Snapshot taken before the tracker was applied (see snapshotInventory)
+ * @param {number} messageIndex - Chat message index
+ * @returns {Array<{name: string, delta: number}>} Changes that were recorded (empty if none)
+ */
+export function applyTrackerInventoryLog(previousInventory, messageIndex) {
+    if (!chat_metadata || messageIndex < 0) return [];
+
+    let before = previousInventory;
+    const checkpoint = chat_metadata.rpg_companion_inventory_tick;
+    if (checkpoint && checkpoint.messageIndex === messageIndex) {
+        before = checkpoint.before;
+    } else if (checkpoint && checkpoint.messageIndex > messageIndex) {
+        // Chat went backwards (deleted messages); forget what was logged for the messages that are gone
+        chat_metadata.rpg_companion_inventory_log = getInventoryLog().filter(entry => entry.messageIndex < messageIndex);
+    }
+    chat_metadata.rpg_companion_inventory_tick = { messageIndex, before };
+
+    const changes = diffInventories(before, snapshotInventory());
+    const log = getInventoryLog().filter(entry => entry.messageIndex !== messageIndex);
+    if (changes.length > 0) {
+        log.push({
+            id: `inv_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            messageIndex,
+            changes,
+            timestamp: Date.now()
+        });
+    }
+    chat_metadata.rpg_companion_inventory_log = log;
+    saveChatDebounced();
+    return changes;
+}
+
+/**
+ * Gets the entry for the latest assistant message, for the change strip.
+ * @returns {InventoryLogEntry|null} Entry, or null if the latest response changed nothing
+ */
+export function getLatestInventoryChange() {
+    const chat = getContext().chat || [];
+    let lastAssistant = chat.length - 1;
+    while (lastAssistant >= 0 && chat[lastAssistant].is_user) lastAssistant--;
+
+    const log = getInventoryLog();
+    const latest = log[log.length - 1];
+    return latest && latest.messageIndex >= lastAssistant ? latest : null;
+}
+
+/**
+ * Finds log entries that mention an item, newest first.
+ * @param {string} [query=''] - Part of an item name (case-insensitive); empty matches everything
+ * @returns {InventoryLogEntry[]} Matching entries
+ */
+export function searchInventoryLog(query = '') {
+    const term = String(query).trim().toLowerCase();
+    return getInventoryLog()
+        .filter(entry => !term || entry.changes.some(change => change.name.toLowerCase().includes(term)))
+        .slice()
+        .reverse();
+}
@@ -0,0 +1,277 @@
+/**
+ * Item Details Module
+ * Optional weight, value, rarity and description for inventory items, and the encumbrance the carried weight adds up to.
+ * Details live next to the v2 item lists in inventory.details, keyed by lowercase item name,
+ * so the plaintext lists (and everything that edits them) stay unchanged.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings } from '../../core/state.js';
+import { parseItems, splitItemQuantity } from '../../utils/itemParser.js';
+import { getDiceAttributeScores } from './dice.js';
+import { findEquipmentSlot, formatModifiers, getEquipped, normalizeModifiers } from './equipment.js';
+import { normalizeStatEffects } from './consumables.js';
+
+/**
+ * Rarity tiers, lowest first
+ */
+export const ITEM_RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+
+/**
+ * Default encumbrance configuration (stored in trackerConfig.userStats.encumbrance)
+ */
+export const DEFAULT_ENCUMBRANCE_CONFIG = {
+    enabled: true, // Compute carried weight and flag the character as encumbered
+    weightUnit: 'lb', // Unit shown next to weights
+    capacityPerStr: 15 // Carrying capacity per point of STR (D&D 5e)
+};
+
+/**
+ * Details of one item
+ * @typedef {Object} ItemDetails
+ * @property {number} [weight] - Weight of one item
+ * @property {number} [value] - Value of one item
+ * @property {'common'|'uncommon'|'rare'|'epic'|'legendary'} [rarity] - Rarity tier
+ * @property {string} [description] - Short description
+ * @property {string} [slot] - Equipment slot ID the item can be equipped in
+ * @property {Object.<string, number>} [modifiers] - Bonuses to attributes and stats while equipped
+ * @property {boolean} [consumable] - Whether the item is used up by the "Use" action
+ * @property {Object.<string, number>} [effects] - Changes to custom stats when used (consumables)
+ * @property {string[]} [tags] - The user's own labels for searching and filtering (e.g., "weapon", "quest")
+ */
+
+/**
+ * Gets the encumbrance configuration with defaults applied.
+ * @returns {typeof DEFAULT_ENCUMBRANCE_CONFIG} Encumbrance configuration
+ */
+export function getEncumbranceConfig() {
+    return { ...DEFAULT_ENCUMBRANCE_CONFIG, ...(extensionSettings.trackerConfig?.userStats?.encumbrance || {}) };
+}
+
+/**
+ * Gets the details key for an item string ("3x Arrows" and "arrows" share one entry).
+ * @param {string} item - Item string or name
+ * @returns {string} Key
+ * @private
+ */
+function getDetailsKey(item) {
+    return splitItemQuantity(String(item || '')).name.toLowerCase();
+}
+
+/**
+ * Reads tags typed by the user ("weapon, Quest") into a clean list.
+ * @param {string|string[]} raw - Comma-separated tags or a list
+ * @returns {string[]} Lowercase tags without duplicates
+ */
+export function parseItemTags(raw) {
+    const list = Array.isArray(raw) ? raw : String(raw || '').split(',');
+    const tags = list
+        .map(tag => String(tag).replace(/["<>]/g, '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 24))
+        .filter(Boolean);
+    return [...new Set(tags)].slice(0, 10);
+}
+
+/**
+ * Builds item details from the model's or the user's input, dropping empty and invalid fields.
+ * @param {Object} raw - Raw details ({weight, value, rarity, description, slot, modifiers, consumable, effects, tags})
+ * @returns {ItemDetails|null} Details, or null if none are set
+ */
+export function normalizeItemDetails(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const details = {};
+    const weight = parseFloat(String(raw.weight));
+    if (!isNaN(weight) && weight >= 0) details.weight = Math.round(weight * 100) / 100;
+
+    const value = parseFloat(String(raw.value));
+    if (!isNaN(value) && value >= 0) details.value = Math.round(value * 100) / 100;
+
+    const rarity = String(raw.rarity || '').trim().toLowerCase();
+    if (ITEM_RARITIES.includes(rarity)) details.rarity = rarity;
+
+    const description = typeof raw.description === 'string' ? raw.description.trim().slice(0, 300) : '';
+    if (description) details.description = description;
+
+    const slot = findEquipmentSlot(raw.slot);
+    if (slot) details.slot = slot.id;
+
+    const modifiers = normalizeModifiers(raw.modifiers);
+    if (modifiers) details.modifiers = modifiers;
+
+    // Items with effects are always consumable
+    const effects = normalizeStatEffects(raw.effects);
+    if (effects) details.effects = effects;
+    if (effects || raw.consumable === true || raw.consumable === 'true') details.consumable = true;
+
+    const tags = parseItemTags(raw.tags);
+    if (tags.length > 0) details.tags = tags;
+
+    return Object.keys(details).length > 0 ? details : null;
+}
+
+/**
+ * Gets the details map of the current inventory, creating it if needed.
+ * @returns {Object.<string, ItemDetails>} Details by lowercase item name
+ * @private
+ */
+function getDetailsStore() {
+    const inventory = extensionSettings.userStats?.inventory;
+    if (!inventory || typeof inventory !== 'object') return {};
+    if (!inventory.details || typeof inventory.details !== 'object' || Array.isArray(inventory.details)) {
+        inventory.details = {};
+    }
+    return inventory.details;
+}
+
+/**
+ * Gets an item's details.
+ * @param {string} item - Item string or name
+ * @returns {ItemDetails|null} Details, or null if the item has none
+ */
+export function getItemDetails(item) {
+    const details = extensionSettings.userStats?.inventory?.details;
+    return details?.[getDetailsKey(item)] || null;
+}
+
+/**
+ * Sets (or clears) an item's details. The caller saves the inventory.
+ * @param {string} item - Item string or name
+ * @param {Object|null} raw - New details, or null to clear them
+ */
+export function setItemDetails(item, raw) {
+    const key = getDetailsKey(item);
+    if (!key) return;
+
+    const store = getDetailsStore();
+    const details = normalizeItemDetails(raw);
+    if (details) {
+        store[key] = details;
+    } else {
+        delete store[key];
+    }
+}
+
+/**
+ * Moves an item's details to its new name after a rename. The caller saves the inventory.
+ * @param {string} oldItem - Previous item string or name
+ * @param {string} newItem - New item string or name
+ */
+export function renameItemDetails(oldItem, newItem) {
+    const oldKey = getDetailsKey(oldItem);
+    const newKey = getDetailsKey(newItem);
+    const store = extensionSettings.userStats?.inventory?.details;
+    if (!store?.[oldKey] || oldKey === newKey) return;
+
+    store[newKey] = store[newKey] || store[oldKey];
+    delete store[oldKey];
+}
+
+/**
+ * Collects item details from a v3 JSON inventory ({onPerson: [{name, quantity, weight, ...}], stored: {...}}).
+ * Details the model reports override the previous ones; items it reports without details keep theirs.
+ * @param {Object} inventoryJSON - v3 inventory
+ * @param {Object.<string, ItemDetails>} [previous={}] - Details before this update
+ * @returns {Object.<string, ItemDetails>} Details by lowercase item name
+ */
+export function collectItemDetails(inventoryJSON, previous = {}) {
+    const details = { ...(previous || {}) };
+    const lists = [
+        inventoryJSON?.onPerson,
+        inventoryJSON?.clothing,
+        inventoryJSON?.assets,
+        ...Object.values(inventoryJSON?.stored && typeof inventoryJSON.stored === 'object' ? inventoryJSON.stored : {})
+    ];
+
+    lists.forEach(list => {
+        if (!Array.isArray(list)) return;
+        list.forEach(item => {
+            if (!item || typeof item !== 'object' || !item.name) return;
+            const reported = normalizeItemDetails(item);
+            // Tags are the user's own; the model doesn't get to change them
+            if (reported) delete reported.tags;
+            if (reported && Object.keys(reported).length > 0) {
+                const key = getDetailsKey(item.name);
+                details[key] = { ...(details[key] || {}), ...reported };
+            }
+        });
+    });
+
+    return details;
+}
+
+/**
+ * Builds the v3 JSON object for an item string, with its details.
+ * @param {string} item - Item string (e.g., "3x Arrows")
+ * @returns {Object} Item ({name, quantity, weight?, value?, rarity?, description?})
+ */
+export function toItemJSON(item) {
+    const { name, quantity } = splitItemQuantity(item);
+    const { tags, ...details } = getItemDetails(name) || {};
+    return { name, quantity, ...details };
+}
+
+/**
+ * Formats an item's details for display or prompts (e.g., "2 lb, value 15, rare, STR +1, use: Health +25").
+ * @param {ItemDetails|null} details - Item details
+ * @returns {string} Formatted details, or empty string if there are none
+ */
+export function formatItemDetails(details) {
+    if (!details) return '';
+    const parts = [];
+    if (details.weight !== undefined) parts.push(`${details.weight} ${getEncumbranceConfig().weightUnit}`);
+    if (details.value !== undefined) parts.push(`value ${details.value}`);
+    if (details.rarity) parts.push(details.rarity);
+    if (details.modifiers) parts.push(formatModifiers(details.modifiers));
+    if (details.consumable) parts.push(details.effects ? `use: ${formatModifiers(details.effects)}` : 'consumable');
+    return parts.join(', ');
+}
+
+/**
+ * Adds up the weight of everything carried (on person, worn and equipped). Stored items and assets don't count.
+ * @returns {number} Carried weight
+ */
+export function getCarriedWeight() {
+    const inventory = extensionSettings.userStats?.inventory;
+    if (!inventory || typeof inventory !== 'object') return 0;
+
+    const carried = [...parseItems(inventory.onPerson), ...parseItems(inventory.clothing), ...Object.values(getEquipped()).filter(Boolean)];
+    const total = carried.reduce((sum, item) => {
+        const weight = getItemDetails(item)?.weight || 0;
+        return sum + weight * splitItemQuantity(item).quantity;
+    }, 0);
+    return Math.round(total * 100) / 100;
+}
+
+/**
+ * Gets the character's carrying capacity from STR.
+ * @returns {number} Capacity
+ */
+export function getCarryCapacity() {
+    const str = parseFloat(String(getDiceAttributeScores().str ?? 10)) || 0;
+    return Math.max(0, str * (parseFloat(String(getEncumbranceConfig().capacityPerStr)) || 0));
+}
+
+/**
+ * Gets the character's encumbrance.
+ * @returns {{carried: number, capacity: number, unit: string, encumbered: boolean}|null} Encumbrance, or null when disabled
+ */
+export function getEncumbrance() {
+    const config = getEncumbranceConfig();
+    if (!config.enabled) return null;
+
+    const carried = getCarriedWeight();
+    const capacity = getCarryCapacity();
+    return { carried, capacity, unit: config.weightUnit, encumbered: carried > capacity };
+}
+
+/**
+ * Builds the prompt telling the model the character is encumbered.
+ * @returns {string} Prompt text, or empty string when not encumbered
+ */
+export function buildEncumbrancePrompt() {
+    const encumbrance = getEncumbrance();
+    if (!encumbrance || !encumbrance.encumbered) return '';
+
+    const userName = getContext().name1;
+    return `\n[${userName} is encumbered: carrying ${encumbrance.carried} ${encumbrance.unit} with a capacity of ${encumbrance.capacity} ${encumbrance.unit}. They move slowly, tire quickly and struggle with agile actions until they lighten their load.]\n`;
+}
@@ -0,0 +1,365 @@
+/**
+ * Location History Module
+ * Every place the info box has put the party in, per chat, with when it was first and last visited and the user's notes.
+ * Consecutive locations are linked, so the places form a travel graph, and the known place names are given to the
+ * model so it returns to established places instead of renaming them.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { chat_metadata, saveChatDebounced } from '../../../../../../../script.js';
+import { extensionSettings } from '../../core/state.js';
+import { repairJSON } from '../../utils/jsonRepair.js';
+import { getCalendarConfig, getClock, formatGameDate, formatGameTime } from './calendar.js';
+
+/**
+ * Default location history configuration (stored in trackerConfig.infoBox.locationHistory)
+ */
+export const DEFAULT_LOCATION_HISTORY_CONFIG = {
+    enabled: true, // Record the locations the party visits
+    knownLocationsPrompt: true, // Give the model the names of known places
+    maxPromptLocations: 25 // Most recently visited places named in the prompt
+};
+
+/**
+ * When a location was visited
+ * @typedef {Object} LocationVisit
+ * @property {number} messageIndex - Chat message index
+ * @property {string} gameTime - Game date and time from the clock ('' while the clock is off or not set)
+ * @property {number} timestamp - Real time of the visit (ms)
+ */
+
+/**
+ * A place the party has been
+ * @typedef {Object} KnownLocation
+ * @property {string} id - Unique location ID
+ * @property {string} name - Name, as first written
+ * @property {LocationVisit} firstVisited - First arrival
+ * @property {LocationVisit} lastVisited - Latest message that had the party there
+ * @property {number} visits - Times the party arrived there
+ * @property {string} notes - The user's notes
+ */
+
+/**
+ * A route between two places, inferred from the party moving from one to the other
+ * @typedef {Object} LocationConnection
+ * @property {string} from - Location ID the route was first taken from
+ * @property {string} to - Location ID it led to
+ * @property {number} trips - Moves along the route, either way
+ */
+
+/**
+ * The chat's location history
+ * @typedef {Object} LocationHistory
+ * @property {KnownLocation[]} locations - Places, in the order they were found
+ * @property {LocationConnection[]} connections - Routes between them
+ * @property {string|null} currentId - Location ID the party is at
+ */
+
+/**
+ * Gets the location history configuration with defaults applied.
+ * @returns {typeof DEFAULT_LOCATION_HISTORY_CONFIG} Location history configuration
+ */
+export function getLocationHistoryConfig() {
+    return { ...DEFAULT_LOCATION_HISTORY_CONFIG, ...(extensionSettings.trackerConfig?.infoBox?.locationHistory || {}) };
+}
+
+/**
+ * Gets the chat's location history, creating it if needed.
+ * @returns {LocationHistory} Location history
+ */
+export function getLocationHistory() {
+    if (!chat_metadata) return { locations: [], connections: [], currentId: null };
+    const history = chat_metadata.rpg_companion_locations;
+    if (!history || !Array.isArray(history.locations) || !Array.isArray(history.connections)) {
+        chat_metadata.rpg_companion_locations = { locations: [], connections: [], currentId: null };
+    }
+    return chat_metadata.rpg_companion_locations;
+}
+
+/**
+ * Cleans up a location name, treating placeholders ("None", "Unknown", "Location") as no location.
+ * @param {string} name - Location as written
+ * @returns {string} Name ('' if there is none)
+ */
+export function normalizeLocationName(name) {
+    const cleaned = String(name ?? '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^["'“”]+|["'“”]+$/g, '')
+        .replace(/[.;,]+$/, '')
+        .trim()
+        .slice(0, 100);
+    return ['none', 'unknown', 'location', 'n/a'].includes(cleaned.toLowerCase()) ? '' : cleaned;
+}
+
+/**
+ * Gets the key a location is matched by, so "The Rusty Anchor" and "rusty anchor" are the same place.
+ * @param {string} name - Location name
+ * @returns {string} Key
+ * @private
+ */
+function getLocationKey(name) {
+    return normalizeLocationName(name).toLowerCase().replace(/^the\s+/, '');
+}
+
+/**
+ * Finds a known location by name.
+ * @param {string} name - Location name
+ * @returns {KnownLocation|undefined} Location
+ */
+export function findLocation(name) {
+    const key = getLocationKey(name);
+    return key ? getLocationHistory().locations.find(location => getLocationKey(location.name) === key) : undefined;
+}
+
+/**
+ * Finds a known location by ID.
+ * @param {string} id - Location ID
+ * @returns {KnownLocation|undefined} Location
+ */
+export function getLocationById(id) {
+    return getLocationHistory().locations.find(location => location.id === id);
+}
+
+/**
+ * Lists the places a location has routes to.
+ * @param {string} id - Location ID
+ * @returns {Array<{location: KnownLocation, trips: number}>} Connected places, most travelled first
+ */
+export function getConnectedLocations(id) {
+    return getLocationHistory().connections
+        .filter(connection => connection.from === id || connection.to === id)
+        .map(connection => ({ location: getLocationById(connection.from === id ? connection.to : connection.from), trips: connection.trips }))
+        .filter(entry => entry.location)
+        .sort((a, b) => b.trips - a.trips);
+}
+
+/**
+ * Builds a visit for a message, with the game clock's time when it is running.
+ * @param {number} messageIndex - Chat message index
+ * @returns {LocationVisit} Visit
+ * @private
+ */
+function createVisit(messageIndex) {
+    const minutes = getCalendarConfig().enabled ? getClock().minutes : null;
+    return {
+        messageIndex,
+        gameTime: minutes === null ? '' : `${formatGameDate(minutes)}, ${formatGameTime(minutes)}`,
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Records the party being at a location. Arriving somewhere new (or coming back) counts a visit
+ * and adds a trip to the route from the previous location; staying only updates the last visit.
+ * @param {string} name - Location name
+ * @param {number} messageIndex - Chat message index
+ * @returns {KnownLocation|null} Location, or null if the name is empty
+ */
+export function recordLocation(name, messageIndex) {
+    const cleaned = normalizeLocationName(name);
+    if (!cleaned) return null;
+
+    const history = getLocationHistory();
+    const visit = createVisit(messageIndex);
+    let location = findLocation(cleaned);
+    if (!location) {
+        location = {
+            id: `location_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            name: cleaned,
+            firstVisited: visit,
+            lastVisited: visit,
+            visits: 1,
+            notes: ''
+        };
+        history.locations.push(location);
+    } else if (location.id !== history.currentId) {
+        location.visits++;
+    }
+    location.lastVisited = visit;
+
+    const previousId = history.currentId;
+    if (previousId && previousId !== location.id && getLocationById(previousId)) {
+        const route = history.connections.find(connection =>
+            (connection.from === previousId && connection.to === location.id) || (connection.from === location.id && connection.to === previousId));
+        if (route) {
+            route.trips++;
+        } else {
+            history.connections.push({ from: previousId, to: location.id, trips: 1 });
+        }
+    }
+    history.currentId = location.id;
+    return location;
+}
+
+/**
+ * Reads the location of an info box tracker.
+ * @param {string} infoBoxText - Raw info box tracker (v3 JSON or text)
+ * @returns {string} Location ('' if there is none)
+ */
+export function readInfoBoxLocation(infoBoxText) {
+    if (!infoBoxText || typeof infoBoxText !== 'string') return '';
+    const trimmed = infoBoxText.trim();
+
+    if (trimmed.startsWith('{')) {
+        const location = repairJSON(trimmed)?.location;
+        return normalizeLocationName(location && typeof location === 'object' ? location.value : location);
+    }
+
+    // Text format: "Location: The Rusty Anchor"
+    const line = trimmed.split('\n').find(l => /^\s*location\s*:/i.test(l) || l.includes('🗺️'));
+    return line ? normalizeLocationName(line.replace(/^[^:]*:/, '')) : '';
+}
+
+/**
+ * Gets the key a route is matched by, whichever way it was travelled.
+ * @param {LocationConnection} connection - Route
+ * @returns {string} Key
+ * @private
+ */
+function getRouteKey(connection) {
+    return [connection.from, connection.to].sort().join('|');
+}
+
+/**
+ * Takes a message's recorded visit back out of the history, keeping what the user did since:
+ * places and routes they deleted stay deleted, notes stay, and a new place they wrote notes on is kept.
+ * @param {Object} visit - Changes the message made (see applyTrackerLocation)
+ * @private
+ */
+function undoLocationVisit(visit) {
+    const history = getLocationHistory();
+
+    visit.locations.forEach(({ id, created, before, after }) => {
+        const location = getLocationById(id);
+        if (!location) return;
+        if (created) {
+            if (!location.notes.trim()) {
+                history.locations = history.locations.filter(l => l.id !== id);
+                history.connections = history.connections.filter(c => c.from !== id && c.to !== id);
+            }
+            return;
+        }
+        if (location.visits === after.visits) location.visits = before.visits;
+        if (location.lastVisited?.messageIndex === after.lastVisited.messageIndex) location.lastVisited = before.lastVisited;
+    });
+
+    visit.routes.forEach(({ key, created }) => {
+        const route = history.connections.find(connection => getRouteKey(connection) === key);
+        if (!route) return;
+        if (created || route.trips <= 1) {
+            history.connections = history.connections.filter(connection => connection !== route);
+        } else {
+            route.trips--;
+        }
+    });
+
+    if (history.currentId === visit.currentId.after) {
+        history.currentId = visit.currentId.before && getLocationById(visit.currentId.before) ? visit.currentId.before : null;
+    }
+}
+
+/**
+ * Records the location of a new assistant message's info box.
+ * The visit and route the message added are remembered, so re-parsing or swiping the same message
+ * takes them back and records the new one instead of counting a second visit.
+ * @param {string} infoBoxText - Raw info box tracker
+ * @param {number} messageIndex - Chat message index
+ */
+export function applyTrackerLocation(infoBoxText, messageIndex) {
+    if (!getLocationHistoryConfig().enabled || !chat_metadata || messageIndex < 0) return;
+
+    const checkpoint = chat_metadata.rpg_companion_locations_tick;
+    if (checkpoint && checkpoint.messageIndex === messageIndex && checkpoint.visit) {
+        undoLocationVisit(checkpoint.visit);
+    }
+
+    const history = getLocationHistory();
+    const beforeLocations = new Map(history.locations.map(l => [l.id, JSON.parse(JSON.stringify({ visits: l.visits, lastVisited: l.lastVisited }))]));
+    const beforeTrips = new Map(history.connections.map(connection => [getRouteKey(connection), connection.trips]));
+    const beforeCurrentId = history.currentId;
+
+    const location = recordLocation(readInfoBoxLocation(infoBoxText), messageIndex);
+    const visit = { locations: [], routes: [], currentId: { before: beforeCurrentId, after: history.currentId } };
+    if (location) {
+        const before = beforeLocations.get(location.id) || null;
+        visit.locations.push({
+            id: location.id,
+            created: !before,
+            before,
+            after: JSON.parse(JSON.stringify({ visits: location.visits, lastVisited: location.lastVisited }))
+        });
+        history.connections.forEach(connection => {
+            const key = getRouteKey(connection);
+            if (beforeTrips.get(key) !== connection.trips) {
+                visit.routes.push({ key, created: !beforeTrips.has(key) });
+            }
+        });
+    }
+
+    chat_metadata.rpg_companion_locations_tick = { messageIndex, visit };
+    saveChatDebounced();
+}
+
+/**
+ * Records a location the user typed into the info box.
+ * @param {string} name - Location name
+ */
+export function recordLocationChange(name) {
+    if (!getLocationHistoryConfig().enabled || !chat_metadata) return;
+    if (recordLocation(name, Math.max(0, (getContext().chat || []).length - 1))) {
+        saveChatDebounced();
+    }
+}
+
+/**
+ * Sets the user's notes on a location.
+ * @param {string} id - Location ID
+ * @param {string} notes - Notes
+ */
+export function setLocationNotes(id, notes) {
+    const location = getLocationById(id);
+    if (!location) return;
+    location.notes = String(notes || '').slice(0, 1000);
+    saveChatDebounced();
+}
+
+/**
+ * Forgets a location and its routes.
+ * @param {string} id - Location ID
+ */
+export function deleteLocation(id) {
+    const history = getLocationHistory();
+    history.locations = history.locations.filter(location => location.id !== id);
+    history.connections = history.connections.filter(connection => connection.from !== id && connection.to !== id);
+    if (history.currentId === id) history.currentId = null;
+    saveChatDebounced();
+}
+
+/**
+ * Builds the prompt that lists the places already established in the story, most recently visited first,
+ * so the model reuses their names.
+ * @returns {string} Prompt text, or empty string if there is nothing to inject
+ */
+export function buildKnownLocationsPrompt() {
+    const config = getLocationHistoryConfig();
+    if (!config.enabled || !config.knownLocationsPrompt || !chat_metadata) return '';
+
+    const history = getLocationHistory();
+    const limit = Math.max(1, parseInt(config.maxPromptLocations) || DEFAULT_LOCATION_HISTORY_CONFIG.maxPromptLocations);
+    const others = history.locations
+        .filter(location => location.id !== history.currentId)
+        .sort((a, b) => b.lastVisited.messageIndex - a.lastVisited.messageIndex || b.lastVisited.timestamp - a.lastVisited.timestamp)
+        .slice(0, limit);
+    if (others.length === 0) return '';
+
+    const describe = location => location.notes.trim() ? `${location.name} (${location.notes.trim().replace(/\s+/g, ' ').slice(0, 100)})` : location.name;
+    let prompt = `\n[Places already established in this story: ${others.map(describe).join('; ')}. When the party goes to one of them, use its exact name as the info box location.`;
+
+    const current = history.currentId ? getLocationById(history.currentId) : null;
+    if (current) {
+        const routes = getConnectedLocations(current.id).map(entry => entry.location.name);
+        prompt += ` The party is at ${current.name}${routes.length > 0 ? `; routes they have taken lead from there to ${routes.join(', ')}` : ''}.`;
+    }
+    return `${prompt}]\n`;
+}
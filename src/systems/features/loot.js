@@ -0,0 +1,169 @@
+/**
+ * Loot Module
+ * Reads the rewards the model reports after a won encounter and moves the ones the user keeps into the inventory
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { repairJSON } from '../../utils/jsonRepair.js';
+import { sanitizeItemName } from '../../utils/security.js';
+import { addItemToInventory } from '../interaction/inventoryActions.js';
+import { awardXp } from './experience.js';
+import { getWalletConfig, findDenomination, modifyWallet } from './wallet.js';
+
+/**
+ * Rewards from an encounter
+ * @typedef {Object} EncounterLoot
+ * @property {Array<{name: string, quantity: number}>} items - Items that can be taken
+ * @property {Array<{name: string, amount: number}>} currency - Coins and other money
+ * @property {number} xp - Extra XP beyond defeating the enemies (e.g., a bounty)
+ */
+
+/**
+ * Builds loot from the model's JSON, dropping nameless entries and bad quantities.
+ * @param {Object} raw - Parsed loot JSON
+ * @returns {EncounterLoot} Loot
+ */
+export function normalizeLoot(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const positive = (value) => Math.max(0, Math.floor(parseFloat(String(value))) || 0);
+
+    const items = (Array.isArray(source.items) ? source.items : [])
+        .map(item => typeof item === 'string' ? { name: item } : (item || {}))
+        .map(item => ({ name: sanitizeItemName(String(item.name || '')), quantity: positive(item.quantity ?? 1) }))
+        .filter(item => item.name && item.quantity > 0);
+
+    const currency = (Array.isArray(source.currency) ? source.currency : [])
+        .map(coin => ({ name: sanitizeItemName(String(coin?.name || '')), amount: positive(coin?.amount) }))
+        .filter(coin => coin.name && coin.amount > 0);
+
+    return { items, currency, xp: positive(source.xp) };
+}
+
+/**
+ * Whether loot has anything to hand out.
+ * @param {EncounterLoot|null} loot - Loot
+ * @returns {boolean} True if there are items, currency or XP
+ */
+export function hasLoot(loot) {
+    return !!loot && (loot.items.length > 0 || loot.currency.length > 0 || loot.xp > 0);
+}
+
+/**
+ * Finds the end of the JSON object starting at an index, skipping braces inside strings.
+ * @param {string} text - Text
+ * @param {number} start - Index of the opening brace
+ * @returns {number} Index of the matching closing brace, or -1 if the object never closes
+ * @private
+ */
+function findObjectEnd(text, start) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Splits the [LOOT]...[/LOOT] block off a combat summary response.
+ * If the model left out [/LOOT], the block ends with the JSON object after the tag.
+ * The response is left untouched when the block can't be parsed.
+ * @param {string} response - Summary response
+ * @returns {{text: string, loot: EncounterLoot|null}} Response without the block, and the loot it listed
+ */
+export function extractLoot(response) {
+    const text = String(response || '');
+    let block = text.match(/\[LOOT\][\s\S]*?\[\/LOOT\]/i)?.[0];
+    if (!block) {
+        const start = text.search(/\[LOOT\]/i);
+        if (start === -1) {
+            return { text, loot: null };
+        }
+        const open = text.indexOf('{', start);
+        const end = open === -1 ? -1 : findObjectEnd(text, open);
+        if (end === -1) {
+            console.warn('[RPG Companion] Could not find the end of the encounter loot block');
+            return { text, loot: null };
+        }
+        // Take a code fence closing right after the object along with it
+        block = text.slice(start, end + 1) + (text.slice(end + 1).match(/^\s*```/)?.[0] || '');
+    }
+
+    const json = block.replace(/^\[LOOT\]|\[\/LOOT\]$/gi, '').replace(/```(?:json)?/gi, '').trim();
+    const parsed = json.startsWith('{') ? repairJSON(json) : null;
+    if (!parsed) {
+        console.warn('[RPG Companion] Could not parse encounter loot:', json);
+        return { text, loot: null };
+    }
+
+    return {
+        text: text.replace(block, '').trim(),
+        loot: normalizeLoot(parsed)
+    };
+}
+
+/**
+ * Lists where loot can be put: on the player's person or any stored location.
+ * @returns {Array<{value: string, label: string}>} Destinations ('onPerson' or 'stored:<location>')
+ */
+export function getLootDestinations() {
+    const stored = extensionSettings.userStats?.inventory?.stored || {};
+    return [
+        { value: 'onPerson', label: 'On Person' },
+        ...Object.keys(stored).map(location => ({ value: `stored:${location}`, label: `Stored: ${location}` }))
+    ];
+}
+
+/**
+ * Gets the wallet denomination a currency entry goes into.
+ * @param {string} name - Currency name (e.g., "gp" or "Gold Coins")
+ * @returns {import('./wallet.js').Denomination|null} Denomination, or null when the wallet is off or doesn't know it
+ */
+export function getLootDenomination(name) {
+    return getWalletConfig().enabled ? findDenomination(name) : null;
+}
+
+/**
+ * Gives the player the loot they accepted.
+ * Currency goes into the wallet ('wallet' destination); other currency is added as an item stack (e.g., "25x Gold Coins").
+ * @param {Array<{name: string, quantity: number, destination: string}>} accepted - Accepted items and currency
+ * @param {number} [xp=0] - Accepted extra XP
+ * @returns {number} Number of item stacks (or coin kinds) added
+ */
+export function grantLoot(accepted, xp = 0) {
+    let added = 0;
+    const coins = {};
+    (accepted || []).forEach(entry => {
+        const destination = entry.destination || 'onPerson';
+        const denomination = destination === 'wallet' ? getLootDenomination(entry.name) : null;
+        if (denomination) {
+            coins[denomination.id] = (coins[denomination.id] || 0) + entry.quantity;
+            added++;
+            return;
+        }
+
+        const total = destination.startsWith('stored:')
+            ? addItemToInventory('stored', entry.name, entry.quantity, destination.slice('stored:'.length))
+            : addItemToInventory('onPerson', entry.name, entry.quantity);
+        if (total > 0) added++;
+    });
+
+    if (Object.keys(coins).length > 0) {
+        modifyWallet(coins);
+    }
+
+    if (xp > 0) {
+        awardXp(xp, 'Encounter loot');
+    }
+    return added;
+}
@@ -0,0 +1,236 @@
+/**
+ * Merchant Module
+ * Stock, prices and deals for the trade screen. The model only supplies the merchant's goods and prices;
+ * what the user can afford and what changes hands is settled here, with prices kept in the wallet's smallest denomination.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings } from '../../core/state.js';
+import { sanitizeItemName } from '../../utils/security.js';
+import { parseItems, splitItemQuantity, formatItemQuantity } from '../../utils/itemParser.js';
+import { isItemLocked } from '../generation/lockManager.js';
+import { tradeItems } from '../interaction/inventoryActions.js';
+import {
+    getWalletConfig,
+    getWallet,
+    getDenominations,
+    parseMoney,
+    getWalletTotal,
+    splitIntoDenominations,
+    formatMoney,
+    applyWalletDelta,
+    isWalletLocked,
+    modifyWallet
+} from './wallet.js';
+
+/**
+ * A merchant and their goods
+ * @typedef {Object} Merchant
+ * @property {string} name - Merchant name
+ * @property {string} description - Short description of the merchant or shop
+ * @property {Array<{name: string, quantity: number, price: number, description: string}>} stock - Goods for sale (price per item)
+ * @property {Object.<string, number>} offers - What the merchant pays per item, by lowercase item name
+ */
+
+/**
+ * A deal being put together on the trade screen
+ * @typedef {Object} Deal
+ * @property {Array<{stockIndex: number, name: string, quantity: number, price: number}>} bought - Goods bought
+ * @property {Array<{index: number, name: string, quantity: number, price: number}>} sold - Carried items sold (index in On Person)
+ * @property {number} cost - Total price of the goods bought
+ * @property {number} income - Total paid for the items sold
+ * @property {number} net - Change to the wallet (negative when the user pays)
+ */
+
+/**
+ * Whether trading is possible: it needs the wallet to pay and be paid.
+ * @returns {{ok: boolean, reason: string}} Availability, with the reason when it isn't
+ */
+export function getTradeAvailability() {
+    if (!getWalletConfig().enabled) {
+        return { ok: false, reason: 'Trading needs the wallet. Turn it on in Tracker Editor → User Stats → Wallet.' };
+    }
+    if (isWalletLocked()) {
+        return { ok: false, reason: 'The wallet is locked, so no money can change hands.' };
+    }
+    return { ok: true, reason: '' };
+}
+
+/**
+ * Reads a price the model wrote ("2 gp 5 sp", "30 gold", 12).
+ * A bare number counts in the smallest denomination.
+ * @param {string|number} raw - Raw price
+ * @returns {number|null} Price in the smallest denomination, or null if it couldn't be read
+ */
+export function parsePrice(raw) {
+    if (typeof raw === 'number') {
+        return Number.isFinite(raw) && raw >= 0 ? Math.round(raw) : null;
+    }
+    const amounts = parseMoney(raw);
+    if (!amounts) return null;
+    const total = getWalletTotal(amounts);
+    return total >= 0 ? total : null;
+}
+
+/**
+ * Formats a price for display or chat (e.g., "1 gp, 5 sp").
+ * @param {number} amount - Price in the smallest denomination
+ * @returns {string} Formatted price
+ */
+export function formatPrice(amount) {
+    return formatMoney(splitIntoDenominations(amount));
+}
+
+/**
+ * Builds a merchant from the model's JSON, dropping nameless goods and unreadable prices.
+ * @param {Object} raw - Parsed merchant JSON ({merchant, stock, offers})
+ * @returns {Merchant|null} Merchant, or null if there is nothing to buy or sell
+ */
+export function normalizeMerchant(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const info = raw.merchant && typeof raw.merchant === 'object' ? raw.merchant : {};
+    const stock = (Array.isArray(raw.stock) ? raw.stock : [])
+        .map(item => ({
+            name: sanitizeItemName(String(item?.name || '')),
+            quantity: Math.max(0, Math.floor(parseFloat(String(item?.quantity ?? 1))) || 0),
+            price: parsePrice(item?.price),
+            description: String(item?.description || '').trim()
+        }))
+        .filter(item => item.name && item.quantity > 0 && item.price !== null);
+
+    const offers = {};
+    (Array.isArray(raw.offers) ? raw.offers : []).forEach(offer => {
+        const name = String(offer?.name || '').trim().toLowerCase();
+        const price = parsePrice(offer?.price);
+        if (name && price !== null) offers[name] = price;
+    });
+
+    if (stock.length === 0 && Object.keys(offers).length === 0) return null;
+
+    return {
+        name: String(info.name || 'Merchant').trim(),
+        description: String(info.description || '').trim(),
+        stock,
+        offers
+    };
+}
+
+/**
+ * Lists the user's carried items with what the merchant pays for each.
+ * Locked items are left out, since the model isn't allowed to change them either.
+ * @param {Merchant} merchant - Merchant
+ * @returns {Array<{index: number, name: string, quantity: number, price: number|null}>} Items (price is null when the merchant won't buy it)
+ */
+export function getSellableItems(merchant) {
+    const items = parseItems(extensionSettings.userStats?.inventory?.onPerson);
+    return items
+        .map((item, index) => {
+            const { name, quantity } = splitItemQuantity(item);
+            const price = merchant.offers[name.toLowerCase()];
+            return { index, name, quantity, price: price === undefined ? null : price };
+        })
+        .filter(item => !isItemLocked('userStats', `inventory.onPerson[${item.index}]`));
+}
+
+/**
+ * Works out a deal from the quantities picked on the trade screen.
+ * @param {Merchant} merchant - Merchant
+ * @param {Object.<number, number>} buy - Quantity to buy by stock index
+ * @param {Object.<number, number>} sell - Quantity to sell by On Person index
+ * @returns {Deal} Deal
+ */
+export function calculateDeal(merchant, buy, sell) {
+    const bought = Object.entries(buy || {})
+        .map(([stockIndex, quantity]) => {
+            const item = merchant.stock[stockIndex];
+            const count = Math.min(Math.max(0, Math.floor(quantity) || 0), item?.quantity || 0);
+            return item && count > 0 ? { stockIndex: parseInt(stockIndex), name: item.name, quantity: count, price: item.price } : null;
+        })
+        .filter(Boolean);
+
+    const sellable = getSellableItems(merchant);
+    const sold = Object.entries(sell || {})
+        .map(([index, quantity]) => {
+            const item = sellable.find(entry => entry.index === parseInt(index));
+            const count = Math.min(Math.max(0, Math.floor(quantity) || 0), item?.quantity || 0);
+            return item && item.price !== null && count > 0 ? { index: item.index, name: item.name, quantity: count, price: item.price } : null;
+        })
+        .filter(Boolean);
+
+    const cost = bought.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const income = sold.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    return { bought, sold, cost, income, net: income - cost };
+}
+
+/**
+ * Whether the wallet covers a deal.
+ * @param {Deal} deal - Deal
+ * @returns {boolean} True if it can be paid
+ */
+export function canAffordDeal(deal) {
+    return getWalletTotal() + deal.net >= 0;
+}
+
+/**
+ * Carries out a deal: sold items leave the inventory, bought goods join it and the wallet pays the difference.
+ * Everything is checked before anything changes, so a deal either happens in full or not at all.
+ * @param {Merchant} merchant - Merchant (bought goods are taken out of its stock)
+ * @param {Deal} deal - Deal
+ * @returns {{success: boolean, error: string}} Result, with the reason when it failed
+ */
+export function executeTrade(merchant, deal) {
+    const availability = getTradeAvailability();
+    if (!availability.ok) {
+        return { success: false, error: availability.reason };
+    }
+    if (deal.bought.length === 0 && deal.sold.length === 0) {
+        return { success: false, error: 'Pick something to buy or sell first.' };
+    }
+
+    // Payments break coins as needed; earnings come in the fewest coins
+    const smallest = getDenominations().slice(-1)[0];
+    const delta = deal.net < 0 ? { [smallest.id]: deal.net } : splitIntoDenominations(deal.net);
+    if (applyWalletDelta(getWallet().balances, delta).shortfall > 0) {
+        return { success: false, error: `Not enough money: the deal costs ${formatPrice(-deal.net)} and you have ${formatMoney()}.` };
+    }
+
+    const traded = tradeItems(
+        deal.sold.map(item => ({ index: item.index, quantity: item.quantity })),
+        deal.bought.map(item => ({ name: item.name, quantity: item.quantity }))
+    );
+    if (!traded) {
+        return { success: false, error: 'Your inventory changed while trading. Check the items you are selling and try again.' };
+    }
+
+    if (deal.net !== 0) {
+        modifyWallet(delta);
+    }
+
+    deal.bought.forEach(item => {
+        merchant.stock[item.stockIndex].quantity -= item.quantity;
+    });
+    merchant.stock = merchant.stock.filter(item => item.quantity > 0);
+    return { success: true, error: '' };
+}
+
+/**
+ * Summarises a deal for the chat (e.g., "Aria traded with Marta: bought 2x Rope (4 sp); sold Dagger (8 sp). Received 4 sp.").
+ * @param {string} merchantName - Merchant name
+ * @param {Deal} deal - Deal
+ * @returns {string} Summary
+ */
+export function buildDealSummary(merchantName, deal) {
+    const userName = getContext().name1;
+    const list = items => items.map(item => `${formatItemQuantity(item.name, item.quantity)} (${formatPrice(item.price * item.quantity)})`).join(', ');
+
+    const parts = [];
+    if (deal.bought.length > 0) parts.push(`bought ${list(deal.bought)}`);
+    if (deal.sold.length > 0) parts.push(`sold ${list(deal.sold)}`);
+
+    let total = 'No money changed hands.';
+    if (deal.net < 0) total = `Paid ${formatPrice(-deal.net)}.`;
+    else if (deal.net > 0) total = `Received ${formatPrice(deal.net)}.`;
+
+    return `${userName} traded with ${merchantName}: ${parts.join('; ')}. ${total}`;
+}
@@ -0,0 +1,80 @@
+/**
+ * Narration Queue Module
+ * Things the user did in the panel (used items, crafted recipes...) wait in a chat_metadata list
+ * until a response has narrated them. Each entry remembers the message that narrated it so a swipe
+ * narrates it again, and entries narrated by older messages are forgotten.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { chat_metadata, saveChatDebounced } from '../../../../../../../script.js';
+
+/**
+ * Gets a chat's narration queue, creating it if needed.
+ * @param {string} key - chat_metadata key of the queue
+ * @returns {Array<{id: string, narratedIn: number|null}>} Queued entries
+ */
+export function getNarrationQueue(key) {
+    if (!chat_metadata) return [];
+    if (!Array.isArray(chat_metadata[key])) {
+        chat_metadata[key] = [];
+    }
+    return chat_metadata[key];
+}
+
+/**
+ * Adds an entry to a narration queue so the next response narrates it.
+ * @param {string} key - chat_metadata key of the queue
+ * @param {string} idPrefix - Prefix for the entry ID
+ * @param {Object} fields - Entry fields
+ * @returns {Object} The queued entry
+ */
+export function queueNarration(key, idPrefix, fields) {
+    const entry = {
+        id: `${idPrefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        ...fields,
+        narratedIn: null
+    };
+    getNarrationQueue(key).push(entry);
+    saveChatDebounced();
+    return entry;
+}
+
+/**
+ * Formats the entries the next response should narrate, one per line.
+ * Includes pending entries, plus the ones narrated by the message being swiped when regenerating.
+ * @param {string} key - chat_metadata key of the queue
+ * @param {boolean} isSwipe - Whether this generation replaces the last message
+ * @param {function(Object): string} formatLine - Formats one entry
+ * @returns {string} Lines, or empty string if there is nothing to narrate
+ */
+export function formatPendingNarration(key, isSwipe, formatLine) {
+    const lastIndex = (getContext().chat || []).length - 1;
+    return getNarrationQueue(key)
+        .filter(entry => entry.narratedIn === null || (isSwipe && entry.narratedIn === lastIndex))
+        .map(formatLine)
+        .join('\n');
+}
+
+/**
+ * Marks pending entries as narrated by a new assistant message and forgets older ones.
+ * @param {string} key - chat_metadata key of the queue
+ * @param {number} messageIndex - Index of the received message
+ */
+export function markNarrated(key, messageIndex) {
+    const chat = getContext().chat || [];
+    const message = chat[messageIndex];
+    if (!message || message.is_user || !chat_metadata) return;
+
+    const queue = getNarrationQueue(key);
+    if (queue.length === 0) return;
+
+    // Entries narrated by earlier messages can't be swiped anymore
+    const entries = queue.filter(entry => entry.narratedIn === null || entry.narratedIn >= messageIndex);
+    entries.forEach(entry => {
+        if (entry.narratedIn === null) {
+            entry.narratedIn = messageIndex;
+        }
+    });
+    chat_metadata[key] = entries;
+    saveChatDebounced();
+}
@@ -0,0 +1,246 @@
+/**
+ * NPC Inventory Module
+ * What each present character carries, kept in the characters tracker as "inventory": ["Longsword", "2x Healing Potion"],
+ * and the Give/Take actions that move items between the user's On Person items and a character.
+ * Only JSON trackers have somewhere to keep NPC items; text trackers are left alone.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
+import { saveChatData } from '../../core/persistence.js';
+import { sanitizeItemName } from '../../utils/security.js';
+import { parseItems, splitItemQuantity, formatItemQuantity } from '../../utils/itemParser.js';
+import { isItemLocked } from '../generation/lockManager.js';
+import { tradeItems } from '../interaction/inventoryActions.js';
+
+/**
+ * Default NPC inventory configuration (stored in trackerConfig.presentCharacters.inventory)
+ */
+export const DEFAULT_NPC_INVENTORY_CONFIG = {
+    enabled: false // Give present characters an inventory and ask the model to keep it
+};
+
+/**
+ * Gets the NPC inventory configuration with defaults applied.
+ * @returns {typeof DEFAULT_NPC_INVENTORY_CONFIG} NPC inventory configuration
+ */
+export function getNpcInventoryConfig() {
+    return { ...DEFAULT_NPC_INVENTORY_CONFIG, ...(extensionSettings.trackerConfig?.presentCharacters?.inventory || {}) };
+}
+
+/**
+ * Reads a character's inventory as the model or the user wrote it
+ * (["Rope", "2x Arrows"], [{name, quantity}], "Rope, 2x Arrows", or a locked {value} wrapper).
+ * @param {*} raw - Raw inventory
+ * @returns {string[]} Item strings, stacked by name
+ */
+export function normalizeNpcItems(raw) {
+    if (raw && typeof raw === 'object' && !Array.isArray(raw) && 'value' in raw) {
+        raw = raw.value;
+    }
+    const list = Array.isArray(raw) ? raw : parseItems(typeof raw === 'string' ? raw : '');
+
+    const items = [];
+    list.forEach(entry => {
+        let name;
+        let quantity;
+        if (entry && typeof entry === 'object') {
+            name = sanitizeItemName(String(entry.name || ''));
+            quantity = Math.max(1, parseInt(String(entry.quantity ?? 1)) || 1);
+        } else {
+            ({ name, quantity } = splitItemQuantity(sanitizeItemName(String(entry ?? ''))));
+        }
+        if (!name || name.toLowerCase() === 'none') return;
+
+        const existing = items.findIndex(item => splitItemQuantity(item).name.toLowerCase() === name.toLowerCase());
+        if (existing === -1) {
+            items.push(formatItemQuantity(name, quantity));
+        } else {
+            const stack = splitItemQuantity(items[existing]);
+            items[existing] = formatItemQuantity(stack.name, stack.quantity + quantity);
+        }
+    });
+    return items;
+}
+
+/**
+ * Parses characters tracker data into its character list.
+ * @param {string|Object|Array} data - Characters tracker data
+ * @returns {{root: Object|Array, characters: Array<Object>}|null} Parsed data and its character array, or null for text trackers
+ * @private
+ */
+function parseCharacterData(data) {
+    if (!data) return null;
+    try {
+        const root = typeof data === 'string' ? JSON.parse(data) : data;
+        if (Array.isArray(root)) return { root, characters: root };
+        if (root && Array.isArray(root.characters)) return { root, characters: root.characters };
+    } catch {
+        // Text format
+    }
+    return null;
+}
+
+/**
+ * Finds a character by name (case-insensitive).
+ * @param {Array<Object>} characters - Character objects
+ * @param {string} characterName - Name to look for
+ * @returns {Object|undefined} Character
+ * @private
+ */
+function findCharacter(characters, characterName) {
+    const name = String(characterName || '').trim().toLowerCase();
+    return characters.find(char => String(char?.name || '').trim().toLowerCase() === name);
+}
+
+/**
+ * Gets what a present character carries.
+ * @param {string} characterName - Character name
+ * @returns {string[]} Item strings (empty if the character has none or isn't tracked as JSON)
+ */
+export function getNpcInventory(characterName) {
+    const parsed = parseCharacterData(lastGeneratedData.characterThoughts || committedTrackerData.characterThoughts);
+    const char = parsed && findCharacter(parsed.characters, characterName);
+    return char ? normalizeNpcItems(char.inventory) : [];
+}
+
+/**
+ * Whether a character's inventory is locked against changes by the model.
+ * @param {string} characterName - Character name
+ * @returns {boolean} True if locked
+ */
+export function isNpcInventoryLocked(characterName) {
+    return isItemLocked('characters', `${characterName}.inventory`);
+}
+
+/**
+ * Changes a character's inventory in the displayed and committed tracker data and in the last message's swipe,
+ * so the model sees the change in the next generation.
+ * @param {string} characterName - Character name
+ * @param {function(string[]): string[]|null} update - Gets the current items, returns the new ones (or null to cancel)
+ * @returns {boolean} Whether the inventory was changed
+ * @private
+ */
+function updateNpcInventory(characterName, update) {
+    const parsed = parseCharacterData(lastGeneratedData.characterThoughts || committedTrackerData.characterThoughts);
+    const char = parsed && findCharacter(parsed.characters, characterName);
+    if (!char) return false;
+
+    const items = update(normalizeNpcItems(char.inventory));
+    if (!items) return false;
+    char.inventory = items;
+
+    const updatedJSON = JSON.stringify(parsed.root, null, 2);
+    lastGeneratedData.characterThoughts = updatedJSON;
+    committedTrackerData.characterThoughts = updatedJSON;
+
+    const chat = getContext().chat || [];
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const message = chat[i];
+        if (!message.is_user) {
+            const swipe = message.extra?.rpg_companion_swipes?.[message.swipe_id || 0];
+            if (swipe) swipe.characterThoughts = updatedJSON;
+            break;
+        }
+    }
+
+    saveChatData();
+    return true;
+}
+
+/**
+ * Hands some of an On Person item to a present character.
+ * @param {string} characterName - Character name
+ * @param {number} itemIndex - Index of the item in On Person
+ * @param {number} quantity - How many to give
+ * @returns {{success: boolean, error: string}} Result, with the reason when it failed
+ */
+export function giveItemToNpc(characterName, itemIndex, quantity) {
+    const item = parseItems(extensionSettings.userStats?.inventory?.onPerson)[itemIndex];
+    if (!item) {
+        return { success: false, error: 'That item is no longer carried.' };
+    }
+    if (isItemLocked('userStats', `inventory.onPerson[${itemIndex}]`)) {
+        return { success: false, error: 'Locked items can\'t be given away.' };
+    }
+    const parsed = parseCharacterData(lastGeneratedData.characterThoughts || committedTrackerData.characterThoughts);
+    if (!getNpcInventoryConfig().enabled || !parsed) {
+        return { success: false, error: 'Character inventories need JSON trackers with character inventories turned on.' };
+    }
+    if (!findCharacter(parsed.characters, characterName)) {
+        return { success: false, error: `${characterName} is no longer present.` };
+    }
+
+    const { name, quantity: held } = splitItemQuantity(item);
+    const count = Math.min(Math.max(1, Math.floor(quantity) || 1), held);
+    if (!tradeItems([{ index: itemIndex, quantity: count }], [])) {
+        return { success: false, error: 'Your inventory changed. Try again.' };
+    }
+
+    updateNpcInventory(characterName, items => normalizeNpcItems([...items, formatItemQuantity(name, count)]));
+    return { success: true, error: '' };
+}
+
+/**
+ * Takes some of a present character's item into the user's On Person items.
+ * @param {string} characterName - Character name
+ * @param {number} itemIndex - Index of the item in the character's inventory
+ * @param {number} quantity - How many to take
+ * @returns {{success: boolean, error: string}} Result, with the reason when it failed
+ */
+export function takeItemFromNpc(characterName, itemIndex, quantity) {
+    const item = getNpcInventory(characterName)[itemIndex];
+    if (!item) {
+        return { success: false, error: `${characterName} no longer has that item.` };
+    }
+    if (isNpcInventoryLocked(characterName)) {
+        return { success: false, error: `${characterName}'s inventory is locked.` };
+    }
+
+    const { name, quantity: held } = splitItemQuantity(item);
+    const count = Math.min(Math.max(1, Math.floor(quantity) || 1), held);
+    const removed = updateNpcInventory(characterName, items => {
+        const remaining = held - count;
+        if (remaining > 0) {
+            items[itemIndex] = formatItemQuantity(name, remaining);
+        } else {
+            items.splice(itemIndex, 1);
+        }
+        return items;
+    });
+    if (!removed) {
+        return { success: false, error: `${characterName} is no longer present.` };
+    }
+
+    tradeItems([], [{ name, quantity: count }]);
+    return { success: true, error: '' };
+}
+
+/**
+ * Keeps what characters held when a new characters tracker leaves their inventory out,
+ * so a sword handed to a companion doesn't vanish because the model forgot to list it.
+ * An inventory the model does report (even an empty one) replaces the previous one.
+ * @param {string} characterThoughts - New characters tracker data
+ * @param {string} previousCharacterThoughts - Characters tracker data the model was given
+ * @returns {string} Characters tracker data with inventories carried over
+ */
+export function carryForwardNpcInventories(characterThoughts, previousCharacterThoughts) {
+    if (!getNpcInventoryConfig().enabled) return characterThoughts;
+
+    const next = parseCharacterData(characterThoughts);
+    const previous = parseCharacterData(previousCharacterThoughts);
+    if (!next || !previous) return characterThoughts;
+
+    let changed = false;
+    next.characters.forEach(char => {
+        if (!char || typeof char !== 'object' || char.inventory !== undefined) return;
+        const before = findCharacter(previous.characters, char.name);
+        const items = before ? normalizeNpcItems(before.inventory) : [];
+        if (items.length > 0) {
+            char.inventory = items;
+            changed = true;
+        }
+    });
+
+    return changed ? JSON.stringify(next.root, null, 2) : characterThoughts;
+}
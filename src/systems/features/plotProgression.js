@@ -12,8 +12,10 @@ import { Generate } from '../../../../../../../script.js';
  * Sets up the plot progression buttons inside the send form area.
  * @param {Function} handlePlotClick - Callback function to handle plot button clicks
  * @param {Function} handleEncounterClick - Callback function to handle encounter button click
+ * @param {Function} handleEncounterLogsClick - Callback function to handle encounter log button click
+ * @param {Function} handleTradeClick - Callback function to handle trade button click
  */
-export function setupPlotButtons(handlePlotClick, handleEncounterClick) {
+export function setupPlotButtons(handlePlotClick, handleEncounterClick, handleEncounterLogsClick, handleTradeClick) {
     // Remove existing buttons if any
     $('#rpg-plot-buttons').remove();
 
@@ -61,6 +63,30 @@ export function setupPlotButtons(handlePlotClick, handleEncounterClick) {
             " tabindex="0" role="button" title="Enter combat encounter">
                 <i class="fa-solid fa-fire"></i>&nbsp;<span class="rpg-btn-text">Enter Encounter</span>
             </button>
+            <button id="rpg-encounter-logs-button" class="menu_button interactable" style="
+                background-color: #7a2828;
+                color: white;
+                border: none;
+                padding: 8px 12px;
+                border-radius: 4px;
+                font-size: 13px;
+                cursor: pointer;
+                margin: 0 2px;
+            " tabindex="0" role="button" title="Browse past encounters in this chat">
+                <i class="fa-solid fa-book-skull"></i>
+            </button>
+            <button id="rpg-trade-button" class="menu_button interactable" style="
+                background-color: #b8860b;
+                color: white;
+                border: none;
+                padding: 8px 12px;
+                border-radius: 4px;
+                font-size: 13px;
+                cursor: pointer;
+                margin: 0 2px;
+            " tabindex="0" role="button" title="Trade with a merchant in the scene">
+                <i class="fa-solid fa-scale-balanced"></i>&nbsp;<span class="rpg-btn-text">Trade</span>
+            </button>
         </span>
     `;
 
@@ -71,6 +97,8 @@ export function setupPlotButtons(handlePlotClick, handleEncounterClick) {
     $('#rpg-plot-random').on('click', () => handlePlotClick('random'));
     $('#rpg-plot-natural').on('click', () => handlePlotClick('natural'));
     $('#rpg-encounter-button').on('click', () => handleEncounterClick());
+    $('#rpg-encounter-logs-button').on('click', () => handleEncounterLogsClick());
+    $('#rpg-trade-button').on('click', () => handleTradeClick());
 
     // Show/hide based on setting
     togglePlotButtons();
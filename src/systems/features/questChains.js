@@ -0,0 +1,144 @@
+/**
+ * Quest Chains Module
+ * Quests authored in advance in the tracker editor, each unlocked by completing its prerequisites.
+ * Unlocked quests are added to the tracker (the next step of an arc becomes the main quest), and quests
+ * that are still locked are kept out of the tracker and the prompt, so the model can't jump ahead.
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { getQuestJournal } from './questJournal.js';
+import { getQuestTitle, setQuestDetails } from './questDetails.js';
+
+/**
+ * Default quest chain configuration (stored in trackerConfig.userStats.questChains)
+ */
+export const DEFAULT_QUEST_CHAINS_CONFIG = {
+    enabled: true, // Add authored quests to the tracker as they unlock
+    quests: [] // Authored quests
+};
+
+/**
+ * An authored quest
+ * @typedef {Object} ChainQuest
+ * @property {string} id - Unique quest ID
+ * @property {string} title - Quest title
+ * @property {string} prerequisites - Titles of the quests that must be completed first, comma-separated (empty = available from the start)
+ * @property {string} description - What the quest is about
+ * @property {string} objectives - Objectives, one per line
+ * @property {boolean} side - Add as an optional quest instead of promoting it to the main quest
+ */
+
+/**
+ * Gets the quest chain configuration with defaults applied.
+ * @returns {typeof DEFAULT_QUEST_CHAINS_CONFIG} Quest chain configuration
+ */
+export function getQuestChainsConfig() {
+    return { ...DEFAULT_QUEST_CHAINS_CONFIG, ...(extensionSettings.trackerConfig?.userStats?.questChains || {}) };
+}
+
+/**
+ * Gets the authored quests, without untitled ones. Empty while quest chains are off.
+ * @returns {ChainQuest[]} Quests
+ */
+export function getChainQuests() {
+    const config = getQuestChainsConfig();
+    if (!config.enabled) return [];
+    return (config.quests || []).filter(quest => quest?.id && String(quest.title || '').trim());
+}
+
+/**
+ * Reads a quest's prerequisites.
+ * @param {ChainQuest} quest - Authored quest
+ * @returns {string[]} Lowercase titles
+ */
+export function getPrerequisites(quest) {
+    return String(quest.prerequisites || '')
+        .split(',')
+        .map(title => title.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Finds the chat's completed quests, from the quest journal.
+ * @returns {Set<string>} Lowercase titles
+ * @private
+ */
+function getCompletedTitles() {
+    return new Set(getQuestJournal().filter(entry => entry.status === 'completed').map(entry => entry.title.toLowerCase()));
+}
+
+/**
+ * Whether every prerequisite of an authored quest has been completed in this chat.
+ * @param {ChainQuest} quest - Authored quest
+ * @param {Set<string>} [completed] - Completed titles (defaults to the journal's)
+ * @returns {boolean} True if unlocked
+ */
+export function isChainQuestUnlocked(quest, completed = getCompletedTitles()) {
+    return getPrerequisites(quest).every(title => completed.has(title));
+}
+
+/**
+ * Adds newly unlocked authored quests to the tracker and takes out ones that are still locked.
+ * A quest counts as started once the journal has it (unless it only got there by appearing too early),
+ * so a finished or abandoned quest isn't added again. The caller saves the quests.
+ * @returns {{added: string[], removed: string[]}} Titles added to and removed from the tracker
+ */
+export function applyQuestChains() {
+    const result = { added: [], removed: [] };
+    const chainQuests = getChainQuests();
+    if (chainQuests.length === 0 || !extensionSettings.quests) return result;
+
+    const quests = extensionSettings.quests;
+    const completed = getCompletedTitles();
+    const started = new Set(getQuestJournal().filter(entry => !entry.dropped).map(entry => entry.title.toLowerCase()));
+    const locked = new Set(chainQuests.filter(quest => !isChainQuestUnlocked(quest, completed)).map(quest => quest.title.trim().toLowerCase()));
+
+    // Take out locked quests the model (or the user) listed too early
+    const mainTitle = getQuestTitle(quests.main);
+    if (mainTitle && locked.has(mainTitle.toLowerCase())) {
+        result.removed.push(mainTitle);
+        quests.main = 'None';
+    }
+    quests.optional = (quests.optional || []).filter(quest => {
+        const title = getQuestTitle(quest);
+        if (!title || !locked.has(title.toLowerCase())) return true;
+        result.removed.push(title);
+        return false;
+    });
+
+    const listed = new Set([getQuestTitle(quests.main), ...quests.optional.map(getQuestTitle)].filter(Boolean).map(title => title.toLowerCase()));
+    chainQuests.forEach(quest => {
+        const title = quest.title.trim();
+        const key = title.toLowerCase();
+        if (locked.has(key) || started.has(key) || listed.has(key)) return;
+
+        setQuestDetails(title, { description: quest.description, objectives: quest.objectives || '' });
+        const main = getQuestTitle(quests.main);
+        if (!quest.side && (!main || completed.has(main.toLowerCase()))) {
+            quests.main = title;
+        } else {
+            quests.optional.push(title);
+        }
+        listed.add(key);
+        result.added.push(title);
+    });
+
+    return result;
+}
+
+/**
+ * Builds the prompt that keeps the model on the unlocked steps of the authored arcs.
+ * Only quests that are unlocked and active are named; locked ones are never mentioned.
+ * @returns {string} Prompt text, or empty string if no authored quest is active
+ */
+export function buildQuestChainPrompt() {
+    const chainQuests = getChainQuests();
+    if (chainQuests.length === 0) return '';
+
+    const active = new Set(getQuestJournal().filter(entry => entry.status === 'active').map(entry => entry.title.toLowerCase()));
+    const titles = chainQuests.map(quest => quest.title.trim()).filter(title => active.has(title.toLowerCase()));
+    if (titles.length === 0) return '';
+
+    const list = titles.map(title => `"${title}"`).join(', ');
+    return `\n[${list} ${titles.length > 1 ? 'are steps' : 'is a step'} of a planned story arc. Keep the story on ${titles.length > 1 ? 'them' : 'it'} and report ${titles.length > 1 ? 'each one' : 'it'} in "questsEnded" once achieved. The next steps are revealed only after that, so don't invent or start them.]\n`;
+}
@@ -0,0 +1,284 @@
+/**
+ * Quest Details Module
+ * Description, objectives checklist, quest giver and rewards for quests.
+ * Details live next to the quest titles in quests.details, keyed by lowercase title,
+ * so the title strings (and everything that reads them) stay unchanged.
+ */
+
+import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
+
+/**
+ * One step of a quest
+ * @typedef {Object} QuestObjective
+ * @property {string} text - What has to be done
+ * @property {boolean} done - Whether it has been achieved
+ */
+
+/**
+ * Details of one quest
+ * @typedef {Object} QuestDetails
+ * @property {string} [description] - What the quest is about
+ * @property {QuestObjective[]} [objectives] - Steps to complete, in order
+ * @property {string} [giver] - Name of the character who gave the quest
+ * @property {string} [rewards] - What was promised for completing it
+ */
+
+/**
+ * Gets the details key for a quest title.
+ * @param {string} title - Quest title
+ * @returns {string} Key
+ * @private
+ */
+function getDetailsKey(title) {
+    return String(title || '').trim().toLowerCase();
+}
+
+/**
+ * Reads a quest as the model or the tracker wrote it ("Title", {title, ...} or a locked {value} wrapper).
+ * @param {*} quest - Raw quest
+ * @returns {Object|string|null} Quest object or title string
+ * @private
+ */
+function unwrapQuest(quest) {
+    if (quest && typeof quest === 'object' && !Array.isArray(quest) && 'value' in quest) {
+        return unwrapQuest(quest.value);
+    }
+    return quest ?? null;
+}
+
+/**
+ * Gets a quest's title, whatever form it comes in.
+ * @param {*} quest - Raw quest
+ * @returns {string} Title ('' if there is none)
+ */
+export function getQuestTitle(quest) {
+    const unwrapped = unwrapQuest(quest);
+    if (!unwrapped) return '';
+    const title = String(typeof unwrapped === 'object' ? (unwrapped.title || unwrapped.name || '') : unwrapped).trim();
+    return title.toLowerCase() === 'none' ? '' : title;
+}
+
+/**
+ * Reads objectives from the model's or the user's input.
+ * Accepts [{text, done}] and plain lines, where a leading "[x]" marks a line as done.
+ * @param {string|Array} raw - Objectives list or newline-separated lines
+ * @returns {QuestObjective[]} Objectives
+ */
+export function normalizeObjectives(raw) {
+    const list = Array.isArray(raw) ? raw : String(raw || '').split('\n');
+    return list
+        .map(entry => {
+            if (entry && typeof entry === 'object') {
+                const text = String(entry.text || entry.title || entry.name || '').trim();
+                return { text, done: entry.done === true || entry.completed === true || entry.done === 'true' };
+            }
+            const match = String(entry ?? '').trim().match(/^\[( |x)?\]\s*(.*)$/i);
+            return match
+                ? { text: match[2].trim(), done: Boolean(match[1]?.trim()) }
+                : { text: String(entry ?? '').trim(), done: false };
+        })
+        .filter(objective => objective.text)
+        .map(objective => ({ text: objective.text.slice(0, 150), done: objective.done }))
+        .slice(0, 15);
+}
+
+/**
+ * Builds quest details from the model's or the user's input, dropping empty fields.
+ * @param {Object} raw - Raw details ({description, objectives, giver, rewards})
+ * @returns {QuestDetails|null} Details, or null if none are set
+ */
+export function normalizeQuestDetails(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const details = {};
+    const text = (value, max) => String(value ?? '').trim().slice(0, max);
+
+    const description = text(raw.description, 500);
+    if (description) details.description = description;
+
+    if (raw.objectives !== undefined) {
+        const objectives = normalizeObjectives(raw.objectives);
+        if (objectives.length > 0) details.objectives = objectives;
+    }
+
+    const giver = text(raw.giver, 60);
+    if (giver && giver.toLowerCase() !== 'none') details.giver = giver;
+
+    const rewards = text(Array.isArray(raw.rewards) ? raw.rewards.join(', ') : raw.rewards, 200);
+    if (rewards && rewards.toLowerCase() !== 'none') details.rewards = rewards;
+
+    return Object.keys(details).length > 0 ? details : null;
+}
+
+/**
+ * Gets the details map of the current quests, creating it if needed.
+ * @returns {Object.<string, QuestDetails>} Details by lowercase title
+ * @private
+ */
+function getDetailsStore() {
+    const quests = extensionSettings.quests;
+    if (!quests || typeof quests !== 'object') return {};
+    if (!quests.details || typeof quests.details !== 'object' || Array.isArray(quests.details)) {
+        quests.details = {};
+    }
+    return quests.details;
+}
+
+/**
+ * Gets a quest's details.
+ * @param {string} title - Quest title
+ * @returns {QuestDetails|null} Details, or null if the quest has none
+ */
+export function getQuestDetails(title) {
+    return extensionSettings.quests?.details?.[getDetailsKey(title)] || null;
+}
+
+/**
+ * Sets (or clears) a quest's details. The caller saves the quests.
+ * @param {string} title - Quest title
+ * @param {Object|null} raw - New details, or null to clear them
+ */
+export function setQuestDetails(title, raw) {
+    const key = getDetailsKey(title);
+    if (!key) return;
+
+    const store = getDetailsStore();
+    const details = normalizeQuestDetails(raw);
+    if (details) {
+        store[key] = details;
+    } else {
+        delete store[key];
+    }
+}
+
+/**
+ * Moves a quest's details to its new title after a rename. The caller saves the quests.
+ * @param {string} oldTitle - Previous title
+ * @param {string} newTitle - New title
+ */
+export function renameQuestDetails(oldTitle, newTitle) {
+    const oldKey = getDetailsKey(oldTitle);
+    const newKey = getDetailsKey(newTitle);
+    const store = extensionSettings.quests?.details;
+    if (!store?.[oldKey] || !newKey || oldKey === newKey) return;
+
+    store[newKey] = store[newKey] || store[oldKey];
+    delete store[oldKey];
+}
+
+/**
+ * Ticks or unticks one of a quest's objectives. The caller saves the quests.
+ * @param {string} title - Quest title
+ * @param {number} index - Objective index
+ * @param {boolean} done - New state
+ * @returns {boolean} Whether the objective exists
+ */
+export function setObjectiveDone(title, index, done) {
+    const objective = getQuestDetails(title)?.objectives?.[index];
+    if (!objective) return false;
+    objective.done = Boolean(done);
+    return true;
+}
+
+/**
+ * Collects quest details from v3 JSON quests ({main: {title, objectives, ...}, optional: [...]}).
+ * Fields the model reports override the previous ones (so it can tick objectives); quests it reports
+ * as bare titles keep theirs. Details of quests that are no longer listed are dropped.
+ * @param {Object} questsJSON - v3 quests
+ * @param {Object.<string, QuestDetails>} [previous={}] - Details before this update
+ * @returns {Object.<string, QuestDetails>} Details by lowercase title
+ */
+export function collectQuestDetails(questsJSON, previous = {}) {
+    const details = {};
+    const quests = [questsJSON?.main, ...(Array.isArray(questsJSON?.optional) ? questsJSON.optional : [])];
+
+    quests.forEach(raw => {
+        const key = getDetailsKey(getQuestTitle(raw));
+        if (!key) return;
+
+        const quest = unwrapQuest(raw);
+        const reported = typeof quest === 'object' ? normalizeQuestDetails(quest) : null;
+        const merged = { ...(previous?.[key] || {}), ...(reported || {}) };
+        if (Object.keys(merged).length > 0) details[key] = merged;
+    });
+
+    return details;
+}
+
+/**
+ * Builds the v3 JSON object for a quest title, with its details.
+ * @param {string} title - Quest title
+ * @returns {Object} Quest ({title, description?, objectives?, giver?, rewards?})
+ */
+export function toQuestJSON(title) {
+    return { title, ...(getQuestDetails(title) || {}) };
+}
+
+/**
+ * Builds the v3 JSON quests section from the current quests, for the tracker data the model sees.
+ * @returns {{main: Object|string, optional: Object[]}} Quests
+ */
+export function toQuestsJSON() {
+    const quests = extensionSettings.quests || {};
+    const main = getQuestTitle(quests.main);
+    return {
+        main: main ? toQuestJSON(main) : 'None',
+        optional: (quests.optional || []).map(getQuestTitle).filter(Boolean).map(toQuestJSON)
+    };
+}
+
+/**
+ * Formats a quest with its details for the context summary
+ * (e.g., "Find the relic (given by Mara; objectives: [x] Reach the temple, [ ] Open the vault; reward: 100 gold)").
+ * @param {*} quest - Raw quest (title string or quest object)
+ * @returns {string} Formatted quest, or empty string if there is none
+ */
+export function formatQuestForContext(quest) {
+    const title = getQuestTitle(quest);
+    if (!title) return '';
+
+    const unwrapped = unwrapQuest(quest);
+    const details = (typeof unwrapped === 'object' ? normalizeQuestDetails(unwrapped) : null) || getQuestDetails(title);
+    if (!details) return title;
+
+    const parts = [];
+    if (details.description) parts.push(details.description);
+    if (details.giver) parts.push(`given by ${details.giver}`);
+    if (details.objectives) {
+        parts.push(`objectives: ${details.objectives.map(o => `[${o.done ? 'x' : ' '}] ${o.text}`).join(', ')}`);
+    }
+    if (details.rewards) parts.push(`reward: ${details.rewards}`);
+    return `${title} (${parts.join('; ')})`;
+}
+
+/**
+ * Lists the characters present in the scene, for linking a quest to its giver.
+ * @returns {string[]} Character names
+ */
+export function getPresentCharacterNames() {
+    const data = lastGeneratedData.characterThoughts || committedTrackerData.characterThoughts;
+    if (!data) return [];
+
+    let names;
+    try {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        const characters = Array.isArray(parsed) ? parsed : (parsed?.characters || []);
+        names = characters.map(char => String(char?.name || '').trim());
+    } catch {
+        // Text format: one "- Name" line per character
+        names = String(data).split('\n')
+            .filter(line => line.trim().startsWith('- '))
+            .map(line => line.trim().substring(2).trim());
+    }
+    return [...new Set(names.filter(name => name && name.toLowerCase() !== 'unavailable'))];
+}
+
+/**
+ * Whether a quest's giver is one of the characters present in the scene.
+ * @param {string} giver - Giver name
+ * @returns {boolean} True if present
+ */
+export function isGiverPresent(giver) {
+    const name = getDetailsKey(giver);
+    return Boolean(name) && getPresentCharacterNames().some(present => present.toLowerCase() === name);
+}
@@ -0,0 +1,347 @@
+/**
+ * Quest Journal Module
+ * Keeps every quest the chat has seen, with its status, the messages it started and ended on, and the user's notes,
+ * so a quest the model drops from the tracker is marked instead of silently lost.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { chat_metadata, saveChatDebounced } from '../../../../../../../script.js';
+import { extensionSettings } from '../../core/state.js';
+import { repairJSON } from '../../utils/jsonRepair.js';
+import { getQuestDetails, getQuestTitle } from './questDetails.js';
+
+/**
+ * Quest statuses, in the order the journal lists them
+ */
+export const QUEST_STATUSES = [
+    { id: 'active', name: 'Active', icon: 'fa-hourglass-half' },
+    { id: 'completed', name: 'Completed', icon: 'fa-circle-check' },
+    { id: 'failed', name: 'Failed', icon: 'fa-circle-xmark' },
+    { id: 'abandoned', name: 'Abandoned', icon: 'fa-ban' }
+];
+
+/**
+ * One quest in the journal
+ * @typedef {Object} QuestJournalEntry
+ * @property {string} id - Unique entry ID
+ * @property {string} title - Quest title
+ * @property {'main'|'optional'} field - Where the quest was last listed
+ * @property {'active'|'completed'|'failed'|'abandoned'} status - Quest status
+ * @property {number} startMessage - Chat message index the quest first appeared on
+ * @property {number|null} endMessage - Chat message index the quest ended on (null while active)
+ * @property {boolean} dropped - Whether the quest ended by disappearing from the tracker, without being reported done
+ * @property {Object|null} details - Description, objectives, giver and rewards as last seen
+ * @property {string} notes - The user's notes
+ */
+
+/**
+ * Gets the chat's quest journal, creating it if needed.
+ * @returns {QuestJournalEntry[]} Entries, oldest first
+ */
+export function getQuestJournal() {
+    if (!chat_metadata) return [];
+    if (!Array.isArray(chat_metadata.rpg_companion_quest_journal)) {
+        chat_metadata.rpg_companion_quest_journal = [];
+    }
+    return chat_metadata.rpg_companion_quest_journal;
+}
+
+/**
+ * Gets the index of the latest chat message, for changes made by hand.
+ * @returns {number} Message index
+ * @private
+ */
+function getCurrentMessageIndex() {
+    return Math.max(0, (getContext().chat || []).length - 1);
+}
+
+/**
+ * Finds the journal entry of a quest that is still active.
+ * @param {string} title - Quest title
+ * @returns {QuestJournalEntry|undefined} Entry
+ * @private
+ */
+function findActiveEntry(title) {
+    const key = String(title || '').trim().toLowerCase();
+    return getQuestJournal().find(entry => entry.status === 'active' && entry.title.toLowerCase() === key);
+}
+
+/**
+ * Lists the quests currently in the tracker.
+ * @returns {Array<{title: string, field: 'main'|'optional'}>} Quests
+ * @private
+ */
+function getCurrentQuests() {
+    const quests = extensionSettings.quests || {};
+    const current = [];
+    const main = getQuestTitle(quests.main);
+    if (main) current.push({ title: main, field: 'main' });
+    (quests.optional || []).forEach(quest => {
+        const title = getQuestTitle(quest);
+        if (title) current.push({ title, field: 'optional' });
+    });
+    return current;
+}
+
+/**
+ * Brings the journal up to date with the quests in the tracker.
+ * New quests get an active entry (a quest that was dropped and comes back picks up its old entry);
+ * active quests that are gone end with the status given for them, or as abandoned and dropped.
+ * @param {number} messageIndex - Chat message index of the change
+ * @param {Object.<string, string>} [endings={}] - Status by lowercase title for quests reported finished or failed
+ */
+export function recordQuests(messageIndex, endings = {}) {
+    const journal = getQuestJournal();
+    const current = getCurrentQuests();
+    const currentKeys = new Set(current.map(quest => quest.title.toLowerCase()));
+
+    journal.forEach(entry => {
+        if (entry.status !== 'active' || currentKeys.has(entry.title.toLowerCase())) return;
+        const ending = endings[entry.title.toLowerCase()];
+        entry.status = ending || 'abandoned';
+        entry.endMessage = messageIndex;
+        entry.dropped = !ending;
+    });
+
+    current.forEach(({ title, field }) => {
+        let entry = findActiveEntry(title);
+        if (!entry) {
+            const key = title.toLowerCase();
+            entry = [...journal].reverse().find(e => e.dropped && e.title.toLowerCase() === key);
+            if (entry) {
+                entry.status = 'active';
+                entry.endMessage = null;
+                entry.dropped = false;
+            } else {
+                entry = {
+                    id: `quest_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                    title,
+                    field,
+                    status: 'active',
+                    startMessage: messageIndex,
+                    endMessage: null,
+                    dropped: false,
+                    details: null,
+                    notes: ''
+                };
+                journal.push(entry);
+            }
+        }
+        entry.field = field;
+        entry.details = getQuestDetails(title) ? JSON.parse(JSON.stringify(getQuestDetails(title))) : entry.details;
+    });
+}
+
+/**
+ * Records the quests in the tracker after a change made by hand.
+ */
+export function recordQuestChange() {
+    if (!chat_metadata) return;
+    recordQuests(getCurrentMessageIndex());
+    saveChatDebounced();
+}
+
+/**
+ * Ends a quest that is being removed from the tracker by hand. The caller removes it.
+ * @param {string} title - Quest title
+ * @param {'completed'|'failed'|'abandoned'} status - How it ended
+ */
+export function endQuest(title, status) {
+    if (!chat_metadata) return;
+    recordQuests(getCurrentMessageIndex());
+    const entry = findActiveEntry(title);
+    if (!entry) return;
+
+    entry.status = status;
+    entry.endMessage = getCurrentMessageIndex();
+    entry.dropped = false;
+    entry.details = getQuestDetails(title) ? JSON.parse(JSON.stringify(getQuestDetails(title))) : entry.details;
+    saveChatDebounced();
+}
+
+/**
+ * Carries a quest's journal entry over to its new title after a rename.
+ * @param {string} oldTitle - Previous title
+ * @param {string} newTitle - New title
+ */
+export function renameJournalQuest(oldTitle, newTitle) {
+    const entry = findActiveEntry(oldTitle);
+    if (entry && newTitle) {
+        entry.title = newTitle;
+        saveChatDebounced();
+    }
+}
+
+/**
+ * Forgets the active entry of a quest that should not have been started (e.g., a locked step of a quest chain).
+ * @param {string} title - Quest title
+ */
+export function discardJournalQuest(title) {
+    const entry = findActiveEntry(title);
+    if (!entry || !chat_metadata) return;
+    chat_metadata.rpg_companion_quest_journal = getQuestJournal().filter(e => e !== entry);
+    saveChatDebounced();
+}
+
+/**
+ * Finds a journal entry by ID.
+ * @param {string} id - Entry ID
+ * @returns {QuestJournalEntry|undefined} Entry
+ */
+export function getJournalEntry(id) {
+    return getQuestJournal().find(entry => entry.id === id);
+}
+
+/**
+ * Changes how an ended quest ended. Active quests change status by leaving the tracker.
+ * @param {string} id - Entry ID
+ * @param {'completed'|'failed'|'abandoned'} status - New status
+ * @returns {boolean} Whether the entry was changed
+ */
+export function setJournalStatus(id, status) {
+    const entry = getJournalEntry(id);
+    if (!entry || entry.status === 'active' || status === 'active' || !QUEST_STATUSES.some(s => s.id === status)) return false;
+    entry.status = status;
+    entry.dropped = false;
+    saveChatDebounced();
+    return true;
+}
+
+/**
+ * Marks an ended quest active again. The caller puts it back in the tracker.
+ * @param {string} id - Entry ID
+ * @returns {QuestJournalEntry|null} Entry, or null if there is no ended quest with that ID
+ */
+export function reopenJournalEntry(id) {
+    const entry = getJournalEntry(id);
+    if (!entry || entry.status === 'active') return null;
+    entry.status = 'active';
+    entry.endMessage = null;
+    entry.dropped = false;
+    saveChatDebounced();
+    return entry;
+}
+
+/**
+ * Sets the user's notes on a journal entry.
+ * @param {string} id - Entry ID
+ * @param {string} notes - Notes
+ */
+export function setJournalNotes(id, notes) {
+    const entry = getJournalEntry(id);
+    if (!entry) return;
+    entry.notes = String(notes || '').slice(0, 2000);
+    saveChatDebounced();
+}
+
+/**
+ * Deletes an ended quest from the journal.
+ * @param {string} id - Entry ID
+ */
+export function deleteJournalEntry(id) {
+    if (!chat_metadata) return;
+    chat_metadata.rpg_companion_quest_journal = getQuestJournal().filter(entry => entry.id !== id || entry.status === 'active');
+    saveChatDebounced();
+}
+
+/**
+ * Reads the "questsEnded" field of a v3 JSON user stats tracker.
+ * @param {Object} statsData - Parsed user stats
+ * @returns {Object.<string, string>} Status by lowercase title
+ * @private
+ */
+function readQuestEndings(statsData) {
+    const endings = {};
+    const raw = statsData?.questsEnded;
+    if (!Array.isArray(raw)) return endings;
+
+    raw.forEach(ended => {
+        const title = getQuestTitle(ended);
+        const status = String(ended?.status || '').toLowerCase();
+        if (title && ['completed', 'failed', 'abandoned'].includes(status)) {
+            endings[title.toLowerCase()] = status;
+        }
+    });
+    return endings;
+}
+
+/**
+ * Copies the parts of a journal entry the tracker changes (not the title or the user's notes).
+ * @param {QuestJournalEntry} entry - Entry
+ * @returns {{status: string, endMessage: number|null, dropped: boolean, field: string, details: Object|null}} Tracked fields
+ * @private
+ */
+function getTrackedFields(entry) {
+    return JSON.parse(JSON.stringify({
+        status: entry.status,
+        endMessage: entry.endMessage,
+        dropped: entry.dropped,
+        field: entry.field,
+        details: entry.details
+    }));
+}
+
+/**
+ * Takes a message's recorded journal changes back out, keeping what the user did since:
+ * entries they deleted stay deleted, statuses they changed or reopened stay, and new entries they wrote notes on are kept.
+ * @param {Array<{id: string, created: boolean, before: Object|null, after: Object}>} changes - Changes the message made
+ * @private
+ */
+function undoJournalChanges(changes) {
+    const journal = getQuestJournal();
+    const removed = new Set();
+
+    changes.forEach(({ id, created, before, after }) => {
+        const entry = journal.find(e => e.id === id);
+        if (!entry) return;
+
+        if (created) {
+            if (!entry.notes.trim()) removed.add(id);
+            return;
+        }
+
+        if (entry.status === after.status && entry.endMessage === after.endMessage && entry.dropped === after.dropped) {
+            entry.status = before.status;
+            entry.endMessage = before.endMessage;
+            entry.dropped = before.dropped;
+        }
+        entry.field = before.field;
+        entry.details = before.details;
+    });
+
+    if (removed.size > 0) {
+        chat_metadata.rpg_companion_quest_journal = journal.filter(entry => !removed.has(entry.id));
+    }
+}
+
+/**
+ * Records the quests a new assistant message's tracker started and ended.
+ * The changes the message made are remembered, so re-parsing or swiping the same message
+ * takes them back and records the new ones instead of ending quests twice.
+ * @param {string} userStatsText - Raw user stats tracker (only v3 JSON reports finished quests)
+ * @param {number} messageIndex - Chat message index
+ */
+export function applyTrackerQuestJournal(userStatsText, messageIndex) {
+    if (!chat_metadata || messageIndex < 0) return;
+
+    const checkpoint = chat_metadata.rpg_companion_quest_journal_tick;
+    if (checkpoint && checkpoint.messageIndex === messageIndex) {
+        undoJournalChanges(checkpoint.changes || []);
+    }
+
+    const before = new Map(getQuestJournal().map(entry => [entry.id, getTrackedFields(entry)]));
+
+    const trimmed = typeof userStatsText === 'string' ? userStatsText.trim() : '';
+    recordQuests(messageIndex, trimmed.startsWith('{') ? readQuestEndings(repairJSON(trimmed)) : {});
+
+    const changes = [];
+    getQuestJournal().forEach(entry => {
+        const after = getTrackedFields(entry);
+        const previous = before.get(entry.id) || null;
+        if (!previous || JSON.stringify(previous) !== JSON.stringify(after)) {
+            changes.push({ id: entry.id, created: !previous, before: previous, after });
+        }
+    });
+    chat_metadata.rpg_companion_quest_journal_tick = { messageIndex, changes };
+    saveChatDebounced();
+}
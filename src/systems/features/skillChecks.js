@@ -0,0 +1,332 @@
+/**
+ * Skill Checks Module
+ * Rolls attribute checks and saves against a DC, settles success/failure in code,
+ * and keeps a per-chat history in chat_metadata so the narrative can be forced to honor results
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { chat_metadata, saveChatDebounced } from '../../../../../../../script.js';
+import { extensionSettings, setPendingDiceRoll } from '../../core/state.js';
+import { evaluateDiceExpression, formatRollBreakdown } from '../../utils/diceParser.js';
+import { getDiceAttributeScores } from './dice.js';
+
+/**
+ * Matches check tags the model writes into its response, e.g. "[CHECK: DEX save DC 14]"
+ * @private
+ */
+const CHECK_TAG_REGEX = /\[CHECK:\s*([^\]]+?)\s*\]/gi;
+
+/**
+ * A settled skill check
+ * @typedef {Object} SkillCheck
+ * @property {string} id - Unique check ID
+ * @property {string} attributeId - Attribute ID (e.g., "dex")
+ * @property {string} attribute - Attribute display name (e.g., "DEX")
+ * @property {'check'|'save'} type - Ability check or saving throw
+ * @property {number} dc - Difficulty class
+ * @property {'adv'|'dis'|null} advantage - Advantage/disadvantage
+ * @property {string} reason - Optional description of what was attempted
+ * @property {string} formula - Rolled formula (e.g., "1d20+DEX+2")
+ * @property {number} natural - The kept d20 face
+ * @property {number} total - Final total
+ * @property {string} breakdown - Per-term breakdown text
+ * @property {boolean} success - Whether the check succeeded
+ * @property {'success'|'failure'|null} critical - Natural 20 / natural 1
+ * @property {'user'|'model'} source - Who declared the check
+ * @property {number} declaredAt - Chat message index the check was declared at
+ * @property {number|null} resolvedIn - Message index of the response that narrated it (null while pending)
+ * @property {number} timestamp - When the check was rolled
+ */
+
+/**
+ * Gets the skill check settings with defaults applied.
+ * @returns {{enabled: boolean, allowModelChecks: boolean, addLevelBonus: boolean}}
+ */
+export function getSkillCheckSettings() {
+    return {
+        enabled: extensionSettings.skillChecks?.enabled ?? true,
+        allowModelChecks: extensionSettings.skillChecks?.allowModelChecks ?? true,
+        addLevelBonus: extensionSettings.skillChecks?.addLevelBonus ?? true
+    };
+}
+
+/**
+ * Gets the skill check history for the current chat.
+ * @returns {SkillCheck[]} Checks in the order they were rolled
+ */
+export function getSkillCheckHistory() {
+    if (!chat_metadata) return [];
+    if (!Array.isArray(chat_metadata.rpg_companion_skill_checks)) {
+        chat_metadata.rpg_companion_skill_checks = [];
+    }
+    return chat_metadata.rpg_companion_skill_checks;
+}
+
+/**
+ * Clears the skill check history for the current chat.
+ */
+export function clearSkillCheckHistory() {
+    if (!chat_metadata) return;
+    chat_metadata.rpg_companion_skill_checks = [];
+    saveChatDebounced();
+}
+
+/**
+ * Finds a configured attribute by ID or display name (case-insensitive).
+ * @param {string} token - Attribute ID or name (e.g., "dex", "DEX")
+ * @returns {{id: string, name: string}|null} The attribute, or null if not configured
+ */
+export function resolveCheckAttribute(token) {
+    if (!token) return null;
+    const needle = String(token).trim().toLowerCase();
+    const rpgAttributes = extensionSettings.trackerConfig?.userStats?.rpgAttributes || [
+        { id: 'str', name: 'STR' },
+        { id: 'dex', name: 'DEX' },
+        { id: 'con', name: 'CON' },
+        { id: 'int', name: 'INT' },
+        { id: 'wis', name: 'WIS' },
+        { id: 'cha', name: 'CHA' }
+    ];
+
+    const attr = rpgAttributes.find(a => a && a.id && (a.id.toLowerCase() === needle || (a.name || '').toLowerCase() === needle));
+    return attr ? { id: attr.id, name: attr.name || attr.id.toUpperCase() } : null;
+}
+
+/**
+ * Parses a check declaration like "DEX save DC 14", "wis check 12 adv" or "STR DC 15 dis - force the door".
+ * Anything after " - " or ":" is kept as the reason.
+ *
+ * @param {string} text - Declaration text
+ * @returns {{attributeId: string, attribute: string, type: 'check'|'save', dc: number, advantage: 'adv'|'dis'|null, reason: string}|null}
+ *          Parsed declaration, or null if it doesn't describe a check against a known attribute
+ */
+export function parseCheckDeclaration(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const [head, ...reasonParts] = text.split(/\s+-\s+|:\s*/);
+    const match = head.trim().match(/^(\S+)\s*(save|saving\s+throw|check)?\s*(?:vs\.?\s*)?(?:DC\s*)?(\d+)\s*(adv(?:antage)?|dis(?:advantage)?)?$/i);
+    if (!match) return null;
+
+    const attr = resolveCheckAttribute(match[1]);
+    if (!attr) return null;
+
+    const modeToken = (match[4] || '').toLowerCase();
+    return {
+        attributeId: attr.id,
+        attribute: attr.name,
+        type: /^sav/i.test(match[2] || '') ? 'save' : 'check',
+        dc: parseInt(match[3]),
+        advantage: modeToken.startsWith('adv') ? 'adv' : (modeToken.startsWith('dis') ? 'dis' : null),
+        reason: reasonParts.join(' ').trim()
+    };
+}
+
+/**
+ * Gets the level-based bonus added to checks (D&D proficiency progression: +2 at 1, +3 at 5, ...).
+ * @param {number} level - Character level
+ * @returns {number} Bonus
+ */
+export function getLevelCheckBonus(level) {
+    const lvl = Math.max(1, parseInt(String(level)) || 1);
+    return 2 + Math.floor((lvl - 1) / 4);
+}
+
+/**
+ * Rolls a check and settles it. Does not record it - see recordSkillCheck.
+ * Natural 20 always succeeds and natural 1 always fails.
+ *
+ * @param {{attributeId: string, type?: 'check'|'save', dc: number, advantage?: 'adv'|'dis'|null, reason?: string}} declaration - What to roll
+ * @param {'user'|'model'} [source='user'] - Who declared the check
+ * @returns {SkillCheck} The settled check
+ * @throws {Error} If the attribute is not configured or the DC is invalid
+ */
+export function rollSkillCheck(declaration, source = 'user') {
+    const attr = resolveCheckAttribute(declaration.attributeId);
+    if (!attr) {
+        throw new Error(`Unknown attribute "${declaration.attributeId}"`);
+    }
+    const dc = parseInt(String(declaration.dc));
+    if (isNaN(dc) || dc < 1) {
+        throw new Error('DC must be a positive number');
+    }
+
+    const advantage = declaration.advantage === 'adv' || declaration.advantage === 'dis' ? declaration.advantage : null;
+    const bonus = getSkillCheckSettings().addLevelBonus ? getLevelCheckBonus(extensionSettings.level) : 0;
+    const formula = `1d20${advantage || ''}+${attr.id}${bonus ? `+${bonus}` : ''}`;
+
+    const result = evaluateDiceExpression(formula, { attributes: getDiceAttributeScores() });
+
+    // Show the attribute by its display name rather than its internal ID
+    result.terms.forEach(term => {
+        if (term.type === 'attribute') term.notation = attr.name;
+    });
+
+    const natural = result.terms[0].rolls.find(r => r.kept).value;
+    const critical = natural === 20 ? 'success' : (natural === 1 ? 'failure' : null);
+    const success = critical ? critical === 'success' : result.total >= dc;
+
+    return {
+        id: `check_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+        attributeId: attr.id,
+        attribute: attr.name,
+        type: declaration.type === 'save' ? 'save' : 'check',
+        dc,
+        advantage,
+        reason: declaration.reason || '',
+        formula: result.terms.map((term, index) => `${index > 0 ? '+' : ''}${term.notation}`).join(''),
+        natural,
+        total: result.total,
+        breakdown: formatRollBreakdown(result.terms),
+        success,
+        critical,
+        source,
+        declaredAt: -1,
+        resolvedIn: null,
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Adds a settled check to the chat's history so it is injected into the next generation.
+ * @param {SkillCheck} check - Check from rollSkillCheck
+ * @param {number} [messageIndex] - Message index it was declared at (defaults to the last message)
+ * @returns {SkillCheck} The recorded check
+ */
+export function recordSkillCheck(check, messageIndex) {
+    const chat = getContext().chat || [];
+    check.declaredAt = messageIndex ?? chat.length - 1;
+    getSkillCheckHistory().push(check);
+    saveChatDebounced();
+    return check;
+}
+
+/**
+ * Rolls the check configured in the dice popup and shows the settled result.
+ * The check is only recorded when the user clicks "Save Roll".
+ * @param {DiceModal} diceModal - The DiceModal instance
+ */
+export async function rollCheckFromPopup(diceModal) {
+    if (!diceModal) return;
+
+    let check;
+    try {
+        check = rollSkillCheck({
+            attributeId: String($('#rpg-check-attribute').val() || ''),
+            type: String($('#rpg-check-type').val()) === 'save' ? 'save' : 'check',
+            dc: parseInt(String($('#rpg-check-dc').val())),
+            advantage: String($('#rpg-check-advantage').val() || '') || null
+        }, 'user');
+    } catch (error) {
+        toastr.warning(error.message, 'Skill Check');
+        return;
+    }
+
+    diceModal.startRolling();
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    // Store result temporarily (not saved until "Save Roll" is clicked)
+    setPendingDiceRoll({
+        formula: check.formula,
+        total: check.total,
+        rolls: [check.natural],
+        breakdown: check.breakdown,
+        check: check,
+        timestamp: Date.now()
+    });
+
+    diceModal.showCheckResult(check);
+}
+
+/**
+ * Formats a check as a single human-readable line.
+ * @param {SkillCheck} check - The check
+ * @returns {string} E.g., "DEX save DC 14: 16 (12 + DEX(+2) + 2) - Success"
+ */
+export function formatSkillCheck(check) {
+    const mode = check.advantage === 'adv' ? ' with advantage' : (check.advantage === 'dis' ? ' with disadvantage' : '');
+    const outcome = check.critical === 'success'
+        ? 'Critical Success'
+        : (check.critical === 'failure' ? 'Critical Failure' : (check.success ? 'Success' : 'Failure'));
+    return `${check.attribute} ${check.type} DC ${check.dc}${mode}: ${check.total} (${check.breakdown}) - ${outcome}`;
+}
+
+/**
+ * Builds the prompt that forces the model to honor settled checks.
+ * Includes pending checks, plus the ones narrated by the message being swiped when regenerating.
+ * @param {boolean} isSwipe - Whether this generation replaces the last message
+ * @returns {string} Prompt text, or empty string if there is nothing to inject
+ */
+export function buildSkillCheckPrompt(isSwipe) {
+    const settings = getSkillCheckSettings();
+    if (!settings.enabled) return '';
+
+    const context = getContext();
+    const userName = context.name1;
+    const lastIndex = (context.chat || []).length - 1;
+
+    const checks = getSkillCheckHistory().filter(check =>
+        check.resolvedIn === null || (isSwipe && check.resolvedIn === lastIndex)
+    );
+
+    let prompt = '';
+    if (checks.length > 0) {
+        prompt += `\n[Skill check results - these were rolled by the game and are final]\n`;
+        checks.forEach(check => {
+            const reason = check.reason ? ` to ${check.reason}` : '';
+            prompt += `- ${userName}'s ${formatSkillCheck(check)}${reason}\n`;
+        });
+        prompt += `Narrate these outcomes exactly as settled: a success must succeed and a failure must fail. Do not reroll, soften, or contradict them.\n`;
+    }
+
+    if (settings.allowModelChecks) {
+        prompt += `\n- When ${userName} attempts something whose outcome is uncertain, you may call for a roll by writing a tag like [CHECK: DEX save DC 14] or [CHECK: STR check DC 12] using one of ${userName}'s attributes, then stop before revealing the outcome. The game will roll it and give you the result next turn.\n`;
+    }
+
+    return prompt;
+}
+
+/**
+ * Updates check history when a new assistant message arrives:
+ * marks pending checks as narrated by this message and rolls any checks the model called for.
+ * @param {number} messageIndex - Index of the received message
+ * @returns {SkillCheck[]} Checks newly declared by the model in this message
+ */
+export function onSkillCheckMessageReceived(messageIndex) {
+    const settings = getSkillCheckSettings();
+    if (!settings.enabled) return [];
+
+    const chat = getContext().chat || [];
+    const message = chat[messageIndex];
+    if (!message || message.is_user) return [];
+
+    const history = getSkillCheckHistory();
+
+    // Checks the model called for in a previous swipe of this message no longer apply
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].source === 'model' && history[i].declaredAt === messageIndex && history[i].resolvedIn === null) {
+            history.splice(i, 1);
+        }
+    }
+
+    history.forEach(check => {
+        if (check.resolvedIn === null) {
+            check.resolvedIn = messageIndex;
+        }
+    });
+
+    const declared = [];
+    if (settings.allowModelChecks) {
+        for (const tag of (message.mes || '').matchAll(CHECK_TAG_REGEX)) {
+            const declaration = parseCheckDeclaration(tag[1]);
+            if (!declaration) continue;
+            try {
+                declared.push(recordSkillCheck(rollSkillCheck(declaration, 'model'), messageIndex));
+            } catch (error) {
+                console.error('[RPG Companion] Error rolling model skill check:', error);
+            }
+        }
+    }
+
+    saveChatDebounced();
+    return declared;
+}
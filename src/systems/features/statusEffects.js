@@ -0,0 +1,329 @@
+/**
+ * Status Effects Module
+ * Typed status effects (poisoned, stunned, blessed, custom) with durations in turns or in-game hours.
+ * Durations are tracked here, so effects tick down and expire without the model having to remember them.
+ */
+
+import { chat_metadata } from '../../../../../../../script.js';
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings } from '../../core/state.js';
+import { saveChatData } from '../../core/persistence.js';
+import { repairJSON } from '../../utils/jsonRepair.js';
+
+/**
+ * Built-in effect types. Anything else is a custom effect.
+ */
+export const STATUS_EFFECT_TYPES = {
+    poisoned: { name: 'Poisoned', emoji: '🤢', description: 'takes damage over time' },
+    stunned: { name: 'Stunned', emoji: '💫', description: 'cannot act' },
+    blessed: { name: 'Blessed', emoji: '✨', description: 'adds 1d4 to attack rolls' },
+    custom: { name: 'Effect', emoji: '🔮', description: '' }
+};
+
+/**
+ * A status effect with its remaining duration
+ * @typedef {Object} StatusEffect
+ * @property {string} id - Unique ID
+ * @property {'poisoned'|'stunned'|'blessed'|'custom'} type - Effect type
+ * @property {string} name - Display name
+ * @property {string} emoji - Badge emoji
+ * @property {number} duration - Remaining duration
+ * @property {'turns'|'hours'} unit - What the duration counts
+ * @property {string} [description] - What the effect does (custom effects)
+ */
+
+/**
+ * Builds a typed effect from whatever the model or the user provided.
+ * Accepts a plain name ("Poisoned") or an object ({name, type, emoji, duration, unit}).
+ * @param {string|Object} raw - Effect description
+ * @param {'turns'|'hours'} [defaultUnit='turns'] - Unit when none is given
+ * @returns {StatusEffect|null} Effect, or null if it has no name
+ */
+export function normalizeStatusEffect(raw, defaultUnit = 'turns') {
+    const source = typeof raw === 'string' ? { name: raw } : (raw || {});
+    const rawName = String(source.name || '').trim();
+    const rawType = String(source.type || rawName).trim().toLowerCase();
+    const type = Object.keys(STATUS_EFFECT_TYPES).find(key => key !== 'custom' && rawType.startsWith(key.slice(0, 4))) || 'custom';
+    const definition = STATUS_EFFECT_TYPES[type];
+
+    const name = rawName || (type !== 'custom' ? definition.name : '');
+    if (!name) return null;
+
+    const duration = parseFloat(String(source.duration));
+    const unit = String(source.unit || '').toLowerCase().startsWith('h') ? 'hours' : (source.unit ? 'turns' : defaultUnit);
+
+    return {
+        id: source.id || `effect_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+        type,
+        name,
+        emoji: source.emoji || definition.emoji,
+        duration: isNaN(duration) ? 3 : Math.max(0, duration),
+        unit,
+        ...(source.description || type === 'custom' ? { description: source.description || '' } : {})
+    };
+}
+
+/**
+ * Formats an effect's remaining duration (e.g., "2 turns", "1.5 hours").
+ * @param {StatusEffect} effect - Effect
+ * @returns {string} Remaining duration
+ */
+export function formatEffectDuration(effect) {
+    const value = Math.round(effect.duration * 10) / 10;
+    const unit = effect.unit === 'hours' ? 'hour' : 'turn';
+    return `${value} ${unit}${value === 1 ? '' : 's'}`;
+}
+
+/**
+ * Counts down effects of one unit. Effects measured in the other unit are untouched.
+ * @param {StatusEffect[]} effects - Effects to tick
+ * @param {'turns'|'hours'} unit - Unit that passed
+ * @param {number} [amount=1] - How much passed
+ * @returns {{remaining: StatusEffect[], expired: StatusEffect[]}} Effects still active and those that ran out
+ */
+export function tickStatusEffects(effects, unit, amount = 1) {
+    const remaining = [];
+    const expired = [];
+
+    (effects || []).forEach(effect => {
+        if (effect.unit !== unit || amount <= 0) {
+            remaining.push(effect);
+            return;
+        }
+        const next = { ...effect, duration: Math.max(0, Math.round((effect.duration - amount) * 100) / 100) };
+        (next.duration > 0 ? remaining : expired).push(next);
+    });
+
+    return { remaining, expired };
+}
+
+/**
+ * Merges effects reported by the model into the tracked list.
+ * Tracked effects keep their own durations (so an echoed duration can't undo a tick),
+ * new effects are added, and an effect reported with duration 0 is removed (cured, dispelled...).
+ * @param {StatusEffect[]} tracked - Effects being tracked
+ * @param {Array<string|Object>} reported - Effects from the model
+ * @param {'turns'|'hours'} [defaultUnit='turns'] - Unit for new effects without one
+ * @returns {StatusEffect[]} Merged effects
+ */
+export function mergeStatusEffects(tracked, reported, defaultUnit = 'turns') {
+    const merged = (tracked || []).map(effect => normalizeStatusEffect(effect)).filter(Boolean);
+    const sameEffect = (a, b) => a.name.toLowerCase() === b.name.toLowerCase();
+
+    (Array.isArray(reported) ? reported : []).forEach(raw => {
+        const effect = normalizeStatusEffect(raw, defaultUnit);
+        if (!effect) return;
+
+        const index = merged.findIndex(existing => sameEffect(existing, effect));
+        if (effect.duration <= 0) {
+            if (index !== -1) merged.splice(index, 1);
+        } else if (index === -1) {
+            merged.push(effect);
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Gets the player's active effects.
+ * @returns {StatusEffect[]} Effects
+ */
+export function getPlayerStatusEffects() {
+    if (!Array.isArray(extensionSettings.statusEffects)) {
+        extensionSettings.statusEffects = [];
+    }
+    return extensionSettings.statusEffects;
+}
+
+/**
+ * Replaces the player's effects (e.g., with their statuses at the end of an encounter).
+ * @param {Array<string|Object>} effects - New effects
+ */
+export function setPlayerStatusEffects(effects) {
+    extensionSettings.statusEffects = (effects || [])
+        .map(effect => normalizeStatusEffect(effect))
+        .filter(effect => effect && effect.duration > 0);
+    saveChatData();
+}
+
+/**
+ * Adds an effect to the player, replacing one with the same name.
+ * @param {string|Object} raw - Effect description
+ * @returns {StatusEffect|null} Added effect
+ */
+export function addPlayerStatusEffect(raw) {
+    const effect = normalizeStatusEffect(raw);
+    if (!effect || effect.duration <= 0) return null;
+
+    extensionSettings.statusEffects = getPlayerStatusEffects()
+        .filter(existing => existing.name.toLowerCase() !== effect.name.toLowerCase())
+        .concat(effect);
+    saveChatData();
+    return effect;
+}
+
+/**
+ * Removes one of the player's effects.
+ * @param {string} idOrName - Effect ID or name (case-insensitive)
+ * @returns {boolean} True if an effect was removed
+ */
+export function removePlayerStatusEffect(idOrName) {
+    const key = String(idOrName || '').toLowerCase();
+    const effects = getPlayerStatusEffects();
+    const remaining = effects.filter(effect => effect.id !== idOrName && effect.name.toLowerCase() !== key);
+    if (remaining.length === effects.length) return false;
+
+    extensionSettings.statusEffects = remaining;
+    saveChatData();
+    return true;
+}
+
+/**
+ * Reads a clock time like "14:30", "2:30 PM" or "9 AM" as hours since midnight.
+ * @param {string} text - Time text
+ * @returns {number|null} Hours, or null if no time was found
+ * @private
+ */
+function parseClockHours(text) {
+    const match = String(text || '').match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/i);
+    if (!match || (!match[2] && !match[3])) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = match[2] ? parseInt(match[2]) : 0;
+    const meridiem = (match[3] || '').toLowerCase().replace(/\./g, '');
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+    return hours + minutes / 60;
+}
+
+/**
+ * Gets how many in-game hours a response covered, from the info box's time start and end.
+ * @param {string} infoBoxText - Raw info box tracker (v3 JSON or text)
+ * @returns {number} Elapsed hours (0 when unknown)
+ */
+export function getElapsedHours(infoBoxText) {
+    if (!infoBoxText || typeof infoBoxText !== 'string') return 0;
+
+    let start = null;
+    let end = null;
+    const trimmed = infoBoxText.trim();
+    if (trimmed.startsWith('{')) {
+        const data = repairJSON(trimmed);
+        start = data?.time?.start;
+        end = data?.time?.end;
+    } else {
+        // Text format: "Time: 14:00 → 15:30"
+        const line = trimmed.split('\n').find(l => /^\s*time\s*:/i.test(l) || l.includes('🕒'));
+        const parts = line ? line.replace(/^[^:]*:/, '').split(/\s*(?:→|->|–|-|\bto\b)\s*/) : [];
+        [start, end] = parts;
+    }
+
+    const startHours = parseClockHours(start);
+    const endHours = parseClockHours(end);
+    if (startHours === null || endHours === null) return 0;
+
+    // Crossing midnight
+    return endHours >= startHours ? endHours - startHours : endHours + 24 - startHours;
+}
+
+/**
+ * Takes a message's recorded changes back out of a list of effects, keeping what the user did since:
+ * effects they removed stay removed and effects they added stay.
+ * @param {StatusEffect[]} effects - Current effects
+ * @param {{added: string[], changed: Array<{id: string, before: number, after: number}>, removed: StatusEffect[]}} changes - Changes the message made
+ * @returns {StatusEffect[]} Effects without the message's changes
+ * @private
+ */
+function undoStatusChanges(effects, changes) {
+    const added = new Set(changes.added || []);
+    const undone = effects
+        .filter(effect => !added.has(effect.id))
+        .map(effect => {
+            const change = (changes.changed || []).find(c => c.id === effect.id);
+            return change && effect.duration === change.after ? { ...effect, duration: change.before } : { ...effect };
+        });
+
+    // Bring back effects the message expired or cured, unless the user has since added one with the same name
+    (changes.removed || []).forEach(effect => {
+        if (!undone.some(existing => existing.id === effect.id || existing.name.toLowerCase() === effect.name.toLowerCase())) {
+            undone.push({ ...effect });
+        }
+    });
+    return undone;
+}
+
+/**
+ * Applies a new assistant message to the player's effects: adds newly reported effects,
+ * counts down one turn, and counts down the in-game hours the message covered.
+ * The changes the message made are remembered, so re-parsing or swiping the same message
+ * takes them back and replays the tick instead of ticking twice.
+ * @param {string} userStatsText - Raw user stats tracker (only v3 JSON reports new effects)
+ * @param {string} infoBoxText - Raw info box tracker (for elapsed time)
+ * @param {number} messageIndex - Chat message index
+ * @returns {StatusEffect[]} Effects that expired with this message
+ */
+export function applyTrackerStatusEffects(userStatsText, infoBoxText, messageIndex) {
+    if (!chat_metadata || messageIndex < 0) return [];
+
+    const checkpoint = chat_metadata.rpg_companion_status_tick;
+    if (checkpoint && checkpoint.messageIndex === messageIndex && checkpoint.changes) {
+        extensionSettings.statusEffects = undoStatusChanges(getPlayerStatusEffects(), checkpoint.changes);
+    }
+
+    const before = getPlayerStatusEffects().map(effect => ({ ...effect }));
+
+    // Effects applied in this response start counting from the next message
+    let reported = [];
+    const trimmed = typeof userStatsText === 'string' ? userStatsText.trim() : '';
+    if (trimmed.startsWith('{')) {
+        reported = repairJSON(trimmed)?.statusEffectsApplied || [];
+    }
+
+    let { remaining, expired } = tickStatusEffects(before, 'turns', 1);
+    const hours = tickStatusEffects(remaining, 'hours', getElapsedHours(infoBoxText));
+    remaining = mergeStatusEffects(hours.remaining, reported);
+    expired = expired.concat(hours.expired);
+
+    const changes = {
+        added: remaining.filter(effect => !before.some(b => b.id === effect.id)).map(effect => effect.id),
+        changed: remaining
+            .map(effect => ({ id: effect.id, before: before.find(b => b.id === effect.id)?.duration, after: effect.duration }))
+            .filter(change => change.before !== undefined && change.before !== change.after),
+        removed: before.filter(effect => !remaining.some(r => r.id === effect.id))
+    };
+    chat_metadata.rpg_companion_status_tick = { messageIndex, changes };
+
+    extensionSettings.statusEffects = remaining;
+    saveChatData();
+
+    if (expired.length > 0) {
+        toastr.info(expired.map(effect => `${effect.emoji} ${effect.name}`).join(', '), 'Status effects expired');
+    }
+    return expired;
+}
+
+/**
+ * Builds the prompt listing the player's active effects, so the narration respects them.
+ * @param {boolean} isSwipe - Whether this generation replaces the last message (uses the effects from before it)
+ * @returns {string} Prompt text, or empty string if no effects are active
+ */
+export function buildStatusEffectsPrompt(isSwipe) {
+    const context = getContext();
+    const lastIndex = (context.chat || []).length - 1;
+    const checkpoint = chat_metadata?.rpg_companion_status_tick;
+    const effects = isSwipe && checkpoint?.messageIndex === lastIndex && checkpoint.changes
+        ? undoStatusChanges(getPlayerStatusEffects(), checkpoint.changes)
+        : getPlayerStatusEffects();
+    if (effects.length === 0) return '';
+
+    const userName = context.name1;
+    let prompt = `\n[Active status effects on ${userName} - tracked by the game, which counts down their durations]\n`;
+    effects.forEach(effect => {
+        const description = effect.description || STATUS_EFFECT_TYPES[effect.type]?.description;
+        prompt += `- ${effect.emoji} ${effect.name}${description ? ` (${description})` : ''}: ${formatEffectDuration(effect)} left\n`;
+    });
+    prompt += `Reflect these effects in the narrative. Only report effects that are newly applied or removed in "statusEffectsApplied"; do not repeat the ones above.\n`;
+    return prompt;
+}
@@ -0,0 +1,410 @@
+/**
+ * Wallet Module
+ * Tracks money in configurable denominations (gp/sp/cp, credits, yen...) instead of free-form inventory items.
+ * The model only reports what was gained or spent; balances, change and conversion are handled here.
+ */
+
+import { chat_metadata } from '../../../../../../../script.js';
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings } from '../../core/state.js';
+import { saveChatData } from '../../core/persistence.js';
+import { repairJSON } from '../../utils/jsonRepair.js';
+import { isItemLocked } from '../generation/lockManager.js';
+import { renderInventory } from '../rendering/inventory.js';
+import { updateStripWidgets } from '../ui/desktop.js';
+import { updateFabWidgets } from '../ui/mobile.js';
+
+/**
+ * Denomination sets offered in the tracker editor. Rates are worth in the smallest denomination.
+ */
+export const WALLET_PRESETS = {
+    fantasy: {
+        label: 'Fantasy (gp / sp / cp)',
+        denominations: [
+            { id: 'gp', name: 'Gold', rate: 100 },
+            { id: 'sp', name: 'Silver', rate: 10 },
+            { id: 'cp', name: 'Copper', rate: 1 }
+        ]
+    },
+    credits: {
+        label: 'Sci-fi (credits)',
+        denominations: [
+            { id: 'cr', name: 'Credits', rate: 1 }
+        ]
+    },
+    yen: {
+        label: 'Modern (yen)',
+        denominations: [
+            { id: 'yen', name: 'Yen', rate: 1 }
+        ]
+    }
+};
+
+/**
+ * Default wallet configuration (stored in trackerConfig.userStats.wallet)
+ */
+export const DEFAULT_WALLET_CONFIG = {
+    enabled: false, // Track money in the wallet instead of as inventory items
+    preset: 'fantasy', // Preset the denominations came from ('custom' once edited)
+    denominations: WALLET_PRESETS.fantasy.denominations,
+    autoConvert: true // Exchange small coins into larger ones automatically (100 cp -> 1 gp)
+};
+
+/**
+ * A kind of money
+ * @typedef {Object} Denomination
+ * @property {string} id - Short key used in the tracker JSON (e.g., 'gp')
+ * @property {string} name - Display name (e.g., 'Gold')
+ * @property {number} rate - Worth in the smallest denomination
+ */
+
+/**
+ * Gets the wallet configuration with defaults applied.
+ * @returns {typeof DEFAULT_WALLET_CONFIG} Wallet configuration
+ */
+export function getWalletConfig() {
+    return { ...DEFAULT_WALLET_CONFIG, ...(extensionSettings.trackerConfig?.userStats?.wallet || {}) };
+}
+
+/**
+ * Gets the configured denominations, largest first, without invalid or duplicate entries.
+ * @returns {Denomination[]} Denominations
+ */
+export function getDenominations() {
+    const seen = new Set();
+    const denominations = (getWalletConfig().denominations || [])
+        .map(denomination => ({
+            id: String(denomination?.id || '').trim().toLowerCase(),
+            name: String(denomination?.name || denomination?.id || '').trim(),
+            rate: Math.floor(parseFloat(String(denomination?.rate))) || 0
+        }))
+        .filter(denomination => {
+            if (!denomination.id || denomination.rate < 1 || seen.has(denomination.id)) return false;
+            seen.add(denomination.id);
+            return true;
+        })
+        .sort((a, b) => b.rate - a.rate);
+
+    return denominations.length > 0 ? denominations : WALLET_PRESETS.fantasy.denominations.map(d => ({ ...d }));
+}
+
+/**
+ * Finds the denomination a name refers to ("gp", "Gold", "gold coins"...).
+ * @param {string} name - Denomination ID or name
+ * @returns {Denomination|null} Denomination, or null if none matches
+ */
+export function findDenomination(name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (!key) return null;
+
+    const denominations = getDenominations();
+    return denominations.find(d => d.id === key || d.name.toLowerCase() === key)
+        || denominations.find(d => {
+            const denominationName = d.name.toLowerCase();
+            return key === `${denominationName}s` || key.startsWith(`${denominationName} coin`) || key.startsWith(`${denominationName} piece`);
+        })
+        || null;
+}
+
+/**
+ * Gets the wallet state of the current chat, creating it if needed.
+ * @returns {{balances: Object.<string, number>}} Wallet (balances keyed by denomination ID)
+ */
+export function getWallet() {
+    if (!extensionSettings.wallet || typeof extensionSettings.wallet !== 'object') {
+        extensionSettings.wallet = { balances: {} };
+    }
+    if (!extensionSettings.wallet.balances || typeof extensionSettings.wallet.balances !== 'object') {
+        extensionSettings.wallet.balances = {};
+    }
+    return extensionSettings.wallet;
+}
+
+/**
+ * Whether the wallet is locked (the model's changes are ignored).
+ * @returns {boolean} True if locked
+ */
+export function isWalletLocked() {
+    return isItemLocked('userStats', 'wallet');
+}
+
+/**
+ * Gets the balance of every configured denomination.
+ * @param {Object.<string, number>} [balances] - Balances to read (defaults to the wallet)
+ * @returns {Object.<string, number>} Whole, non-negative count per denomination ID
+ */
+export function getBalances(balances = getWallet().balances) {
+    const result = {};
+    getDenominations().forEach(denomination => {
+        result[denomination.id] = Math.max(0, Math.floor(parseFloat(String(balances?.[denomination.id]))) || 0);
+    });
+    return result;
+}
+
+/**
+ * Adds up balances in the smallest denomination.
+ * @param {Object.<string, number>} [balances] - Balances (defaults to the wallet)
+ * @returns {number} Total worth
+ */
+export function getWalletTotal(balances = getWallet().balances) {
+    return getDenominations().reduce((total, denomination) => {
+        return total + (Math.floor(parseFloat(String(balances?.[denomination.id]))) || 0) * denomination.rate;
+    }, 0);
+}
+
+/**
+ * Splits an amount into the fewest coins (1250 -> 12 gp, 5 sp).
+ * @param {number} total - Amount in the smallest denomination
+ * @returns {Object.<string, number>} Count per denomination ID
+ */
+export function splitIntoDenominations(total) {
+    let remaining = Math.max(0, Math.floor(total) || 0);
+    const balances = {};
+    getDenominations().forEach(denomination => {
+        balances[denomination.id] = Math.floor(remaining / denomination.rate);
+        remaining -= balances[denomination.id] * denomination.rate;
+    });
+    return balances;
+}
+
+/**
+ * Formats balances for display or prompts (e.g., "12 gp, 5 sp").
+ * @param {Object.<string, number>} [balances] - Balances (defaults to the wallet)
+ * @returns {string} Formatted money ("0 cp" style when empty)
+ */
+export function formatMoney(balances = getWallet().balances) {
+    const denominations = getDenominations();
+    const parts = denominations
+        .filter(denomination => (balances?.[denomination.id] || 0) !== 0)
+        .map(denomination => `${balances[denomination.id]} ${denomination.id}`);
+    return parts.length > 0 ? parts.join(', ') : `0 ${denominations[denominations.length - 1].id}`;
+}
+
+/**
+ * Reads money written as text ("12gp 5 sp", "30 gold", "-2 gp").
+ * A bare number counts in the smallest denomination.
+ * @param {string} text - Money text
+ * @returns {Object.<string, number>|null} Count per denomination ID, or null if nothing was recognised
+ */
+export function parseMoney(text) {
+    const amounts = {};
+    let found = false;
+    const denominations = getDenominations();
+    const pattern = /([+-]?\d+)\s*([^\d,;+-]*)/g;
+    let match;
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+        const name = match[2].trim();
+        const denomination = name ? findDenomination(name) : denominations[denominations.length - 1];
+        if (!denomination) return null;
+        amounts[denomination.id] = (amounts[denomination.id] || 0) + parseInt(match[1]);
+        found = true;
+    }
+    return found ? amounts : null;
+}
+
+/**
+ * Applies a change to balances. Spending more coins of a denomination than are held breaks larger
+ * coins (paying with the smallest first and taking the change back), so "-5 sp" works with only gold.
+ * @param {Object.<string, number>} balances - Current balances
+ * @param {Object.<string, number>} delta - Change per denomination ID (negative to spend)
+ * @param {boolean} [autoConvert] - Exchange into the fewest coins afterwards (defaults to the config)
+ * @returns {{balances: Object.<string, number>, shortfall: number}} New balances, and how much could not be paid
+ */
+export function applyWalletDelta(balances, delta, autoConvert = getWalletConfig().autoConvert) {
+    const denominations = getDenominations();
+    const next = getBalances(balances);
+
+    let debt = 0;
+    denominations.forEach(denomination => {
+        const change = Math.trunc(parseFloat(String(delta?.[denomination.id]))) || 0;
+        next[denomination.id] += change;
+        if (next[denomination.id] < 0) {
+            debt += -next[denomination.id] * denomination.rate;
+            next[denomination.id] = 0;
+        }
+    });
+
+    if (autoConvert) {
+        const total = getWalletTotal(next) - debt;
+        return { balances: splitIntoDenominations(total), shortfall: Math.max(0, -total) };
+    }
+
+    // Pay the debt with the smallest coins first, then take the change back in the fewest coins
+    [...denominations].reverse().forEach(denomination => {
+        if (debt <= 0) return;
+        const used = Math.min(next[denomination.id], Math.ceil(debt / denomination.rate));
+        next[denomination.id] -= used;
+        debt -= used * denomination.rate;
+    });
+
+    if (debt < 0) {
+        const change = splitIntoDenominations(-debt);
+        denominations.forEach(denomination => {
+            next[denomination.id] += change[denomination.id];
+        });
+    }
+
+    return { balances: next, shortfall: Math.max(0, debt) };
+}
+
+/**
+ * Re-renders everything that shows the wallet.
+ * @private
+ */
+function refreshWalletDisplays() {
+    renderInventory();
+    updateStripWidgets();
+    updateFabWidgets();
+}
+
+/**
+ * Changes the wallet (loot, purchases, manual edits).
+ * @param {Object.<string, number>} delta - Change per denomination ID (negative to spend)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowShortfall=false] - Apply the change even if it can't be paid in full (empties the wallet)
+ * @returns {boolean} True if the change was applied
+ */
+export function modifyWallet(delta, { allowShortfall = false } = {}) {
+    const wallet = getWallet();
+    const result = applyWalletDelta(wallet.balances, delta);
+    if (result.shortfall > 0 && !allowShortfall) {
+        return false;
+    }
+
+    wallet.balances = result.balances;
+    saveChatData();
+    refreshWalletDisplays();
+    return true;
+}
+
+/**
+ * Sets the wallet's balances outright (e.g., from the inventory panel).
+ * @param {Object.<string, number>} balances - New count per denomination ID
+ */
+export function setWalletBalances(balances) {
+    const wallet = getWallet();
+    const next = getBalances(balances);
+    wallet.balances = getWalletConfig().autoConvert ? splitIntoDenominations(getWalletTotal(next)) : next;
+    saveChatData();
+    refreshWalletDisplays();
+}
+
+/**
+ * Exchanges the wallet's coins into the fewest coins (100 cp -> 1 gp).
+ */
+export function consolidateWallet() {
+    setWalletBalances(splitIntoDenominations(getWalletTotal()));
+}
+
+/**
+ * Reads the "walletChange" field of a v3 JSON user stats tracker.
+ * @param {Object} statsData - Parsed user stats
+ * @returns {Object.<string, number>} Change per denomination ID (empty if none)
+ * @private
+ */
+function readWalletChange(statsData) {
+    const raw = statsData?.walletChange;
+    const delta = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return delta;
+
+    Object.entries(raw).forEach(([key, value]) => {
+        const denomination = findDenomination(key);
+        const amount = Math.trunc(parseFloat(String(typeof value === 'object' ? value?.value : value)));
+        if (denomination && !isNaN(amount) && amount !== 0) {
+            delta[denomination.id] = (delta[denomination.id] || 0) + amount;
+        }
+    });
+    return delta;
+}
+
+/**
+ * Takes a message's recorded wallet change back out of the balances, leaving any other change
+ * (manual edits, loot, purchases) made since then in place.
+ * @param {Object.<string, number>} balances - Current balances
+ * @param {{messageIndex: number, applied: Object.<string, number>}} checkpoint - Wallet checkpoint
+ * @returns {Object.<string, number>} Balances without the message's change
+ * @private
+ */
+function undoTrackerWalletChange(balances, checkpoint) {
+    const reverse = {};
+    Object.entries(checkpoint.applied || {}).forEach(([id, amount]) => {
+        reverse[id] = -amount;
+    });
+    return applyWalletDelta(balances, reverse).balances;
+}
+
+/**
+ * Applies the money a new assistant message reports in "walletChange".
+ * The change actually made to the balances is remembered, so re-parsing or swiping the same message
+ * takes it back and applies the new one instead of adding both. A locked wallet ignores the model's changes.
+ * @param {string} userStatsText - Raw user stats tracker (only v3 JSON reports changes)
+ * @param {number} messageIndex - Chat message index
+ * @returns {Object.<string, number>|null} Change that was applied, or null if none
+ */
+export function applyTrackerWallet(userStatsText, messageIndex) {
+    if (!getWalletConfig().enabled || !chat_metadata || messageIndex < 0) return null;
+
+    const wallet = getWallet();
+    const checkpoint = chat_metadata.rpg_companion_wallet_tick;
+    if (checkpoint && checkpoint.messageIndex === messageIndex) {
+        wallet.balances = undoTrackerWalletChange(wallet.balances, checkpoint);
+    }
+
+    chat_metadata.rpg_companion_wallet_tick = { messageIndex, applied: {} };
+
+    const trimmed = typeof userStatsText === 'string' ? userStatsText.trim() : '';
+    const delta = trimmed.startsWith('{') ? readWalletChange(repairJSON(trimmed)) : {};
+    if (Object.keys(delta).length === 0 || isWalletLocked()) {
+        saveChatData();
+        refreshWalletDisplays();
+        return null;
+    }
+
+    const before = getBalances(wallet.balances);
+    const result = applyWalletDelta(wallet.balances, delta);
+    wallet.balances = result.balances;
+    getDenominations().forEach(denomination => {
+        const change = (result.balances[denomination.id] || 0) - before[denomination.id];
+        if (change !== 0) {
+            chat_metadata.rpg_companion_wallet_tick.applied[denomination.id] = change;
+        }
+    });
+    saveChatData();
+    refreshWalletDisplays();
+
+    const summary = Object.entries(delta).map(([id, amount]) => `${amount > 0 ? '+' : ''}${amount} ${id}`).join(', ');
+    if (result.shortfall > 0) {
+        toastr.warning(`${summary} - not enough money, the wallet is now empty`, 'Wallet');
+    } else {
+        toastr.info(`${summary} (now ${formatMoney()})`, 'Wallet');
+    }
+    return delta;
+}
+
+/**
+ * Builds the prompt telling the model what the character is carrying, so it never has to count money itself.
+ * @param {boolean} isSwipe - Whether this generation replaces the last message (uses the balances from before it)
+ * @returns {string} Prompt text, or empty string when the wallet is disabled
+ */
+export function buildWalletPrompt(isSwipe) {
+    if (!getWalletConfig().enabled) return '';
+
+    const context = getContext();
+    const lastIndex = (context.chat || []).length - 1;
+    const checkpoint = chat_metadata?.rpg_companion_wallet_tick;
+    const balances = isSwipe && checkpoint?.messageIndex === lastIndex
+        ? undoTrackerWalletChange(getWallet().balances, checkpoint)
+        : getWallet().balances;
+    const denominations = getDenominations();
+    const smallest = denominations[denominations.length - 1];
+    const currencies = denominations.map(d => `${d.id} (${d.name}${d.rate > 1 ? ` = ${d.rate} ${smallest.id}` : ''})`).join(', ');
+
+    const userName = context.name1;
+    let prompt = `\n[${userName}'s wallet - tracked by the game: ${formatMoney(balances)}. Currencies: ${currencies}.\n`;
+    if (isWalletLocked()) {
+        prompt += `The wallet is locked: its contents cannot change, so ${userName} can't pay for anything or receive money.]\n`;
+    } else {
+        prompt += `Never list money as an inventory item. Report only money gained (+) or spent (-) in THIS response in "walletChange"; the game works out the change and the new balance.]\n`;
+    }
+    return prompt;
+}
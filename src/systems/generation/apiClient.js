@@ -25,12 +25,20 @@ import {
 } from './promptBuilder.js';
 import { parseResponse, parseUserStats } from './parser.js';
 import { parseAndStoreSpotifyUrl } from '../features/musicPlayer.js';
+import { applyTrackerXp } from '../features/experience.js';
+import { applyTrackerStatusEffects } from '../features/statusEffects.js';
+import { applyTrackerWallet } from '../features/wallet.js';
+import { snapshotInventory, applyTrackerInventoryLog } from '../features/inventoryLog.js';
+import { applyTrackerQuestJournal } from '../features/questJournal.js';
+import { applyTrackerClock } from '../features/calendar.js';
+import { applyTrackerLocation } from '../features/locationHistory.js';
+import { carryForwardNpcInventories } from '../features/npcInventory.js';
 import { renderUserStats } from '../rendering/userStats.js';
 import { renderInfoBox } from '../rendering/infoBox.js';
 import { removeLocks } from './lockManager.js';
 import { renderThoughts } from '../rendering/thoughts.js';
 import { renderInventory } from '../rendering/inventory.js';
-import { renderQuests } from '../rendering/quests.js';
+import { renderQuests, advanceQuestChains } from '../rendering/quests.js';
 import { renderMusicPlayer } from '../rendering/musicPlayer.js';
 import { i18n } from '../../core/i18n.js';
 import { generateAvatarsForCharacters } from '../features/avatarGenerator.js';
@@ -280,6 +288,8 @@ export async function updateRPGData(renderUserStats, renderInfoBox, renderThough
             }
             if (parsedData.characterThoughts) {
                 parsedData.characterThoughts = removeLocks(parsedData.characterThoughts);
+                // Characters keep what they held when the model leaves their inventory out
+                parsedData.characterThoughts = carryForwardNpcInventories(parsedData.characterThoughts, committedTrackerData.characterThoughts);
             }
 
             // Parse and store Spotify URL if feature is enabled
@@ -298,15 +308,28 @@ export async function updateRPGData(renderUserStats, renderInfoBox, renderThough
             // Update lastGeneratedData for display (regardless of message type)
             if (parsedData.userStats) {
                 lastGeneratedData.userStats = parsedData.userStats;
+                const inventoryBefore = snapshotInventory();
                 parseUserStats(parsedData.userStats);
+                // Keyed by message, so refreshing the same message replaces its award instead of stacking
+                applyTrackerXp(parsedData.userStats, chat.length - 1);
+                applyTrackerWallet(parsedData.userStats, chat.length - 1);
+                applyTrackerInventoryLog(inventoryBefore, chat.length - 1);
+                applyTrackerQuestJournal(parsedData.userStats, chat.length - 1);
+                advanceQuestChains();
             }
             if (parsedData.infoBox) {
+                // Hold the date and time to the game clock (refreshing the same message replays the check)
+                parsedData.infoBox = applyTrackerClock(parsedData.infoBox, chat.length - 1);
+                applyTrackerLocation(parsedData.infoBox, chat.length - 1);
                 lastGeneratedData.infoBox = parsedData.infoBox;
             }
             if (parsedData.characterThoughts) {
                 lastGeneratedData.characterThoughts = parsedData.characterThoughts;
             }
 
+            // Count down status effects for this message (refreshing the same message replays the tick)
+            applyTrackerStatusEffects(parsedData.userStats, parsedData.infoBox, chat.length - 1);
+
             // Also store on assistant message if present (existing behavior)
             if (lastMessage && !lastMessage.is_user) {
                 if (!lastMessage.extra) {
@@ -11,6 +11,26 @@ import { currentEncounter } from '../features/encounterState.js';
 import { repairJSON } from '../../utils/jsonRepair.js';
 import { buildInventorySummary, generateTrackerInstructions, generateTrackerExample } from './promptBuilder.js';
 import { applyLocks } from './lockManager.js';
+import { isDeterministicCombat, formatCombatOutcome } from '../features/combatEngine.js';
+import { isInitiativeEnabled } from '../features/initiative.js';
+import { STATUS_EFFECT_TYPES, normalizeStatusEffect, formatEffectDuration } from '../features/statusEffects.js';
+import { getWalletConfig, getDenominations } from '../features/wallet.js';
+
+/**
+ * Formats combatant statuses with what they do and how long they last
+ * @param {Array} statuses - Combatant statuses
+ * @returns {string} Comma-separated list
+ */
+function formatStatusList(statuses) {
+    return statuses
+        .map(status => normalizeStatusEffect(status))
+        .filter(Boolean)
+        .map(status => {
+            const description = status.description || STATUS_EFFECT_TYPES[status.type]?.description;
+            return `${status.emoji} ${status.name}${description ? `, ${description}` : ''} (${formatEffectDuration(status)} left)`;
+        })
+        .join(', ');
+}
 
 /**
  * Gets character information from the current chat
@@ -258,6 +278,8 @@ export async function buildEncounterInitPrompt() {
 
     initInstruction += `The combat starts now.\n\n`;
     initInstruction += `Based on everything above, generate the initial combat state. Analyze who is in the party fighting alongside ${userName} (if anyone), and who the enemies are. Replace placeholders in [brackets] and X with actual values. Return ONLY a JSON object with the following structure:\n\n`;
+    const deterministic = isDeterministicCombat();
+    const initiative = isInitiativeEnabled();
     initInstruction += `FORMAT:\n`;
     initInstruction += `{\n`;
     initInstruction += `  "party": [\n`;
@@ -265,10 +287,22 @@ export async function buildEncounterInitPrompt() {
     initInstruction += `      "name": "${userName}",\n`;
     initInstruction += `      "hp": X,\n`;
     initInstruction += `      "maxHp": X,\n`;
-    initInstruction += `      "attacks": [\n`;
-    initInstruction += `        {"name": "Attack", "type": "single-target|AoE|both"},\n`;
-    initInstruction += `        {"name": "Skill1", "type": "single-target|AoE|both"}\n`;
-    initInstruction += `      ],\n`;
+    if (initiative) {
+        initInstruction += `      "initiative": X, // Initiative modifier, typically -1 to +5\n`;
+    }
+    if (deterministic) {
+        initInstruction += `      "ac": X, // Armor class, typically 10-20\n`;
+        initInstruction += `      "attackBonus": X, // Added to attack rolls, typically 2-8\n`;
+        initInstruction += `      "attacks": [\n`;
+        initInstruction += `        {"name": "Attack", "type": "single-target|AoE|both", "damage": "1d8"},\n`;
+        initInstruction += `        {"name": "Skill1", "type": "single-target|AoE|both", "damage": "2d6"}\n`;
+        initInstruction += `      ],\n`;
+    } else {
+        initInstruction += `      "attacks": [\n`;
+        initInstruction += `        {"name": "Attack", "type": "single-target|AoE|both"},\n`;
+        initInstruction += `        {"name": "Skill1", "type": "single-target|AoE|both"}\n`;
+        initInstruction += `      ],\n`;
+    }
     initInstruction += `      "items": ["Item Name x3", "Another Item x1"],\n`;
     initInstruction += `      "statuses": [],\n`;
     initInstruction += `      "isPlayer": true\n`;
@@ -280,12 +314,27 @@ export async function buildEncounterInitPrompt() {
     initInstruction += `      "name": "Enemy Name",\n`;
     initInstruction += `      "hp": X,\n`;
     initInstruction += `      "maxHp": X,\n`;
-    initInstruction += `      "attacks": [\n`;
-    initInstruction += `        {"name": "Attack1", "type": "single-target|AoE|both"},\n`;
-    initInstruction += `        {"name": "Attack2", "type": "single-target|AoE|both"}\n`;
-    initInstruction += `      ],\n`;
+    if (initiative) {
+        initInstruction += `      "initiative": X, // Initiative modifier, typically -1 to +5\n`;
+    }
+    if (deterministic) {
+        initInstruction += `      "ac": X,\n`;
+        initInstruction += `      "attackBonus": X,\n`;
+        initInstruction += `      "attacks": [\n`;
+        initInstruction += `        {"name": "Attack1", "type": "single-target|AoE|both", "damage": "1d6+2"},\n`;
+        initInstruction += `        {"name": "Attack2", "type": "single-target|AoE|both", "damage": "2d8"}\n`;
+        initInstruction += `      ],\n`;
+    } else {
+        initInstruction += `      "attacks": [\n`;
+        initInstruction += `        {"name": "Attack1", "type": "single-target|AoE|both"},\n`;
+        initInstruction += `        {"name": "Attack2", "type": "single-target|AoE|both"}\n`;
+        initInstruction += `      ],\n`;
+    }
     initInstruction += `      "statuses": [],\n`;
     initInstruction += `      "description": "Brief enemy description",\n`;
+    if (extensionSettings.trackerConfig?.userStats?.experience?.enabled !== false) {
+        initInstruction += `      "xp": X, // XP awarded for defeating this enemy, scaled to its threat\n`;
+    }
     initInstruction += `      "sprite": "emoji or brief visual description"\n`;
     initInstruction += `    }\n`;
     initInstruction += `    // Add all enemies participating in this combat\n`;
@@ -307,7 +356,7 @@ export async function buildEncounterInitPrompt() {
     initInstruction += `  - If only one item exists, you can use "Item Name x1" or just "Item Name"\n`;
     initInstruction += `  - Items will be consumed when used - the quantity will decrease in future turns\n`;
     initInstruction += `- Statuses array: May start empty, but don't have to if characters applied them before the combat\n`;
-    initInstruction += `  - Each status has a format: {"name": "Status Name", "emoji": "💀", "duration": X}\n`;
+    initInstruction += `  - Each status has a format: {"name": "Status Name", "type": "poisoned|stunned|blessed|custom", "emoji": "💀", "duration": X} (duration in turns)\n`;
     initInstruction += `  - Examples: Poisoned (🧪), Burning (🔥), Blessed (✨), Stunned (💫), Weakened (⬇️), Strengthened (⬆️)\n\n`;
     initInstruction += `The styleNotes object will be used to visually style the combat window - choose ONE value from each category that best fits the environment described in the chat history.\n\n`;
     initInstruction += `Use the user's current stats, inventory, and skills to populate the party data. For ${userName}'s attacks array, include their available skills. For items, include usable items from their inventory WITH QUANTITIES (e.g., "Health Potion x3"). Set HP based on their current Health stat if available.\n\n`;
@@ -333,10 +382,12 @@ export async function buildEncounterInitPrompt() {
  * Builds a combat action prompt
  * This is sent when the user takes an action in combat
  * @param {string} action - The action taken by the user
- * @param {object} combatStats - Current combat statistics
+ * @param {object} combatStats - Current combat statistics (already updated when a resolution is given)
+ * @param {object} [resolution] - Round settled by the rules engine ({outcomes, result}); the model then only narrates
+ * @param {object} [turn] - Initiative entry of the NPC whose turn this is ({name, side}); null for the player's turn
  * @returns {Array} Message array for the API
  */
-export async function buildCombatActionPrompt(action, combatStats) {
+export async function buildCombatActionPrompt(action, combatStats, resolution = null, turn = null) {
     const context = getContext();
     const userName = context.name1;
     const depth = extensionSettings.encounterSettings?.historyDepth || 8;
@@ -486,7 +537,7 @@ export async function buildCombatActionPrompt(action, combatStats) {
 
     stateMessage += `Party Members:\n`;
     combatStats.party.forEach(member => {
-        stateMessage += `- ${member.name}${member.isPlayer ? ' (Player)' : ''}: ${member.hp}/${member.maxHp} HP\n`;
+        stateMessage += `- ${member.name}${member.isPlayer ? ' (Player)' : ''}${member.id ? ` [id: ${member.id}]` : ''}: ${member.hp}/${member.maxHp} HP\n`;
 
         // For the player, use playerActions if available, otherwise fall back to member data
         if (member.isPlayer && currentEncounter.playerActions) {
@@ -509,14 +560,14 @@ export async function buildCombatActionPrompt(action, combatStats) {
         if (member.statuses && member.statuses.length > 0) {
             const validStatuses = member.statuses.filter(s => s && (s.emoji || s.name));
             if (validStatuses.length > 0) {
-                stateMessage += `  Status Effects: ${validStatuses.map(s => `${s.emoji || ''} ${s.name || ''}`.trim()).join(', ')}\n`;
+                stateMessage += `  Status Effects: ${formatStatusList(validStatuses)}\n`;
             }
         }
     });
 
     stateMessage += `\nEnemies:\n`;
     combatStats.enemies.forEach(enemy => {
-        stateMessage += `- ${enemy.name} (${enemy.sprite || ''}): ${enemy.hp}/${enemy.maxHp} HP\n`;
+        stateMessage += `- ${enemy.name} (${enemy.sprite || ''})${enemy.id ? ` [id: ${enemy.id}]` : ''}: ${enemy.hp}/${enemy.maxHp} HP\n`;
         if (enemy.description) {
             stateMessage += `  ${enemy.description}\n`;
         }
@@ -526,52 +577,108 @@ export async function buildCombatActionPrompt(action, combatStats) {
         if (enemy.statuses && enemy.statuses.length > 0) {
             const validStatuses = enemy.statuses.filter(s => s && (s.emoji || s.name));
             if (validStatuses.length > 0) {
-                stateMessage += `  Status Effects: ${validStatuses.map(s => `${s.emoji || ''} ${s.name || ''}`.trim()).join(', ')}\n`;
+                stateMessage += `  Status Effects: ${formatStatusList(validStatuses)}\n`;
             }
         }
     });
 
-    stateMessage += `\n${userName}'s Action: ${action}\n\n`;
-    stateMessage += `Respond with the exact JSON object as below, containing ONLY these specified values. Remember to consider the user's party and their moves. DO NOT regenerate character descriptions, sprites, or environment.\n\n`;
-    stateMessage += `IMPORTANT - Update ${userName}'s attacks and items arrays based on what happens in combat:\n`;
-    stateMessage += `- ${userName}'s action is already specified above - do NOT regenerate it. Only update ${userName}'s attacks/items arrays if their action consumed resources (used item, lost ability, etc.).\n`;
-    stateMessage += `- If they use an item, decrement its quantity ("Health Potion x3" becomes "Health Potion x2"). If quantity reaches 0, remove the item entirely.\n`;
-    stateMessage += `- If they gain or lose an ability due to status effects, add or remove it from their attacks array.\n`;
-    stateMessage += `  Examples: Disarmed → remove weapon attacks. Bound → remove all attacks or set to []. Freed → restore attacks.\n`;
-    stateMessage += `- If they pick up a weapon/item during combat, add it to their items or attacks array.\n`;
-    stateMessage += `- If environmental changes enable new actions (near water → "Splash Attack"), add them. If they disable actions (fire goes out → remove "Ignite"), remove them.\n`;
-    stateMessage += `- Status effects should persist and decrease duration each turn. Remove statuses when duration reaches 0.\n\n`;
-    stateMessage += `FORMAT:\n`;
-    stateMessage += `{\n`;
-    stateMessage += `  "combatStats": {\n`;
-    stateMessage += `    "party": [\n`;
-    stateMessage += `      {\n`;
-    stateMessage += `        "name": "Name",\n`;
-    stateMessage += `        "hp": X,\n`;
-    stateMessage += `        "maxHp": X,\n`;
-    stateMessage += `        "statuses": [{"name": "Status", "emoji": "💀", "duration": X}],\n`;
-    stateMessage += `        "isPlayer": true|false\n`;
-    stateMessage += `      }\n`;
-    stateMessage += `    ],\n`;
-    stateMessage += `    "enemies": [\n`;
-    stateMessage += `      {\n`;
-    stateMessage += `        "name": "Name",\n`;
-    stateMessage += `        "hp": X,\n`;
-    stateMessage += `        "maxHp": X,\n`;
-    stateMessage += `        "statuses": [{"name": "Status", "emoji": "💀", "duration": X}]\n`;
-    stateMessage += `      }\n`;
-    stateMessage += `    ]\n`;
-    stateMessage += `  },\n`;
-    stateMessage += `  "playerActions": {\n`;
-    stateMessage += `    "attacks": [{"name": "Attack", "type": "single-target|AoE|both"}],\n`;
-    stateMessage += `    "items": ["Item Name x3", "Another Item x1"]\n`;
-    stateMessage += `  },\n`;
-    stateMessage += `  "enemyActions": [{ "enemyName": "Name", "action": "what they do", "target": "target" }],\n`;
-    stateMessage += `  "partyActions": [{ "memberName": "Name", "action": "what they do", "target": "target" }],\n`;
-    stateMessage += `  "narrative": "The roleplay description of what happens"\n`;
-    stateMessage += `}\n\n`;
-    stateMessage += `If all enemies are defeated or escape: add "combatEnd": true, "result": "victory". If all party defeated: add "combatEnd": true, "result": "defeat". It's also possible for the encounter to be interrupted by external interference (e.g., an explosion knocks everyone out, sudden environmental catastrophe, third party intervention, etc.). If this occurs, add "combatEnd": true, "result": "interrupted". Each status (if applied) has a format: {"name": "Status Name", "emoji": "💀", "duration": X}.\n`;
-    stateMessage += `Scale combat difficulty appropriately: Powerful entities (gods, dragons, legendary creatures) should be formidable challenges requiring multiple rounds and strategic play. Weaker foes (common animals, basic enemies, minions) should be resolved more quickly, typically 2-4 rounds. Match HP damage and combat pacing to the narrative weight of the encounter. A wolf should not take 20 rounds to defeat, nor should a deity fall in one hit.\n`;
+    const actorName = turn ? turn.name : userName;
+    const soloTurn = isInitiativeEnabled() && currentEncounter.initiative;
+    if (turn) {
+        stateMessage += `\nIt is ${turn.name}'s turn (${turn.side === 'enemy' ? 'enemy' : `${userName}'s ally`}). ${userName} does not act this turn.\n\n`;
+    } else {
+        stateMessage += `\n${userName}'s Action: ${action}\n\n`;
+    }
+
+    if (resolution) {
+        // Rules-engine mode: hit/miss, damage and HP are already settled, the model only narrates
+        stateMessage += `This round has ALREADY been resolved by the game's rules engine. The HP values above are final. These are the settled outcomes, in order:\n`;
+        if (resolution.outcomes.length > 0) {
+            resolution.outcomes.forEach(outcome => {
+                stateMessage += `- ${formatCombatOutcome(outcome)}\n`;
+            });
+        } else {
+            stateMessage += `- No attacks were made this round.\n`;
+        }
+        if (resolution.result) {
+            stateMessage += `The fight is over: ${resolution.result === 'victory' ? `${userName}'s side won` : `${userName}'s side was defeated`}.\n`;
+        }
+        stateMessage += `\nNarrate exactly these outcomes. Do NOT change who hit or missed, the damage dealt, the healing done, or anyone's HP, and do NOT invent extra attacks or damage. You may describe ${actorName}'s action vividly, but its mechanical result is fixed.\n\n`;
+        stateMessage += `Respond with the exact JSON object as below, containing ONLY these specified values. DO NOT regenerate character descriptions, sprites, HP, or environment.\n`;
+        stateMessage += `- Only update ${userName}'s attacks/items arrays if their action consumed resources (used item, lost ability, etc.). Keep each attack's "damage" dice.\n`;
+        stateMessage += `- If they use an item, decrement its quantity ("Health Potion x3" becomes "Health Potion x2"). If quantity reaches 0, remove the item entirely.\n`;
+        stateMessage += `- Status effect durations are counted down by the game. Keep listing active statuses; add new ones with their full duration and a type (poisoned, stunned, blessed or custom); set a status's duration to 0 to end it early (cured, dispelled, etc.).\n\n`;
+        stateMessage += `FORMAT:\n`;
+        stateMessage += `{\n`;
+        stateMessage += `  "statuses": {\n`;
+        stateMessage += `    "Combatant Name": [{"name": "Status", "type": "poisoned|stunned|blessed|custom", "emoji": "💀", "duration": X}]\n`;
+        stateMessage += `  },\n`;
+        stateMessage += `  "playerActions": {\n`;
+        stateMessage += `    "attacks": [{"name": "Attack", "type": "single-target|AoE|both", "damage": "1d8"}],\n`;
+        stateMessage += `    "items": ["Item Name x3", "Another Item x1"]\n`;
+        stateMessage += `  },\n`;
+        stateMessage += `  "narrative": "The roleplay description of what happens"\n`;
+        stateMessage += `}\n\n`;
+        stateMessage += `List every combatant that has statuses under "statuses" (omit those with none).\n`;
+    } else {
+        if (turn) {
+            stateMessage += `Turn order is in effect. Decide and resolve ONLY ${turn.name}'s action this turn, in character and according to the situation. Nobody else acts.\n`;
+        } else if (soloTurn) {
+            stateMessage += `Turn order is in effect. Resolve ONLY ${userName}'s action. Allies and enemies act on their own turns, so do not have them act now.\n`;
+        }
+        stateMessage += `Respond with the exact JSON object as below, containing ONLY these specified values. Remember to consider the user's party and their moves. DO NOT regenerate character descriptions, sprites, or environment.\n\n`;
+        stateMessage += `IMPORTANT - Update ${userName}'s attacks and items arrays based on what happens in combat:\n`;
+        if (turn) {
+            stateMessage += `- ${userName} does not act this turn. Only update ${userName}'s attacks/items arrays if ${turn.name}'s action changes them (disarmed, item stolen, etc.).\n`;
+        } else {
+            stateMessage += `- ${userName}'s action is already specified above - do NOT regenerate it. Only update ${userName}'s attacks/items arrays if their action consumed resources (used item, lost ability, etc.).\n`;
+        }
+        stateMessage += `- If they use an item, decrement its quantity ("Health Potion x3" becomes "Health Potion x2"). If quantity reaches 0, remove the item entirely.\n`;
+        stateMessage += `- If they gain or lose an ability due to status effects, add or remove it from their attacks array.\n`;
+        stateMessage += `  Examples: Disarmed → remove weapon attacks. Bound → remove all attacks or set to []. Freed → restore attacks.\n`;
+        stateMessage += `- If they pick up a weapon/item during combat, add it to their items or attacks array.\n`;
+        stateMessage += `- If environmental changes enable new actions (near water → "Splash Attack"), add them. If they disable actions (fire goes out → remove "Ignite"), remove them.\n`;
+        stateMessage += `- Status effect durations are counted down by the game. Keep listing active statuses; add new ones with their full duration and a type (poisoned, stunned, blessed or custom); set a status's duration to 0 to end it early (cured, dispelled, etc.).\n\n`;
+        stateMessage += `FORMAT:\n`;
+        stateMessage += `{\n`;
+        stateMessage += `  "combatStats": {\n`;
+        stateMessage += `    "party": [\n`;
+        stateMessage += `      {\n`;
+        stateMessage += `        "id": "the id listed above, unchanged (omit for newcomers)",\n`;
+        stateMessage += `        "name": "Name",\n`;
+        stateMessage += `        "hp": X,\n`;
+        stateMessage += `        "maxHp": X,\n`;
+        stateMessage += `        "statuses": [{"name": "Status", "type": "poisoned|stunned|blessed|custom", "emoji": "💀", "duration": X}],\n`;
+        stateMessage += `        "isPlayer": true|false\n`;
+        stateMessage += `      }\n`;
+        stateMessage += `    ],\n`;
+        stateMessage += `    "enemies": [\n`;
+        stateMessage += `      {\n`;
+        stateMessage += `        "id": "the id listed above, unchanged (omit for newcomers)",\n`;
+        stateMessage += `        "name": "Name",\n`;
+        stateMessage += `        "hp": X,\n`;
+        stateMessage += `        "maxHp": X,\n`;
+        stateMessage += `        "statuses": [{"name": "Status", "type": "poisoned|stunned|blessed|custom", "emoji": "💀", "duration": X}]\n`;
+        stateMessage += `      }\n`;
+        stateMessage += `    ]\n`;
+        stateMessage += `  },\n`;
+        stateMessage += `  "playerActions": {\n`;
+        stateMessage += `    "attacks": [{"name": "Attack", "type": "single-target|AoE|both"}],\n`;
+        stateMessage += `    "items": ["Item Name x3", "Another Item x1"]\n`;
+        stateMessage += `  },\n`;
+        if (turn) {
+            stateMessage += `  "action": "what ${turn.name} does",\n`;
+            stateMessage += `  "target": "target",\n`;
+        } else if (!soloTurn) {
+            stateMessage += `  "enemyActions": [{ "enemyName": "Name", "action": "what they do", "target": "target" }],\n`;
+            stateMessage += `  "partyActions": [{ "memberName": "Name", "action": "what they do", "target": "target" }],\n`;
+        }
+        stateMessage += `  "narrative": "The roleplay description of what happens"\n`;
+        stateMessage += `}\n\n`;
+        stateMessage += `If all enemies are defeated or escape: add "combatEnd": true, "result": "victory". If all party defeated: add "combatEnd": true, "result": "defeat". It's also possible for the encounter to be interrupted by external interference (e.g., an explosion knocks everyone out, sudden environmental catastrophe, third party intervention, etc.). If this occurs, add "combatEnd": true, "result": "interrupted". Each status (if applied) has a format: {"name": "Status Name", "type": "poisoned|stunned|blessed|custom", "emoji": "💀", "duration": X}.\n`;
+        stateMessage += `Scale combat difficulty appropriately: Powerful entities (gods, dragons, legendary creatures) should be formidable challenges requiring multiple rounds and strategic play. Weaker foes (common animals, basic enemies, minions) should be resolved more quickly, typically 2-4 rounds. Match HP damage and combat pacing to the narrative weight of the encounter. A wolf should not take 20 rounds to defeat, nor should a deity fall in one hit.\n`;
+    }
+
     stateMessage += `For the narrative, write it with intent in ${tense} tense ${person}-person ${narration} from ${pov}'s point of view.\n`;
 
     // Use custom combat narrative prompt if available
@@ -594,6 +701,17 @@ export async function buildCombatActionPrompt(action, combatStats) {
     return messages;
 }
 
+/**
+ * Builds the prompt for an NPC's turn in initiative order
+ * @param {object} turn - Initiative entry of the acting NPC ({name, side})
+ * @param {object} combatStats - Current combat statistics (already updated when a resolution is given)
+ * @param {object} [resolution] - Turn settled by the rules engine
+ * @returns {Promise<Array>} Message array for the API
+ */
+export async function buildCombatTurnPrompt(turn, combatStats, resolution = null) {
+    return buildCombatActionPrompt(`${turn.name}'s turn`, combatStats, resolution, turn);
+}
+
 /**
  * Builds the final summary prompt
  * This is sent when combat ends to get a narrative summary
@@ -708,6 +826,19 @@ export async function buildCombatSummaryPrompt(combatLog, result) {
     summaryMessage += `- Include ALL dialogue lines spoken by enemies and NPC party members during the encounter in direct quotes.\n`;
     summaryMessage += `- Never quote ${userName} directly. Express their actions and dialogue using ONLY indirect speech (e.g., "${userName} swung their sword" or "${userName} asked for help").\n\n`;
 
+    // Ask for the spoils of a won fight in a form the loot screen can offer to the user
+    if (result === 'victory') {
+        summaryMessage += `Loot:\n`;
+        summaryMessage += `Right after the summary, list what ${userName} can take from the fight (dropped weapons, coins, trophies, a bounty...) as JSON between [LOOT] and [/LOOT] tags:\n`;
+        const walletDenominations = getWalletConfig().enabled ? getDenominations() : [];
+        const currencyName = walletDenominations.length > 0 ? walletDenominations[0].id : 'Gold Coins';
+        summaryMessage += `[LOOT]\n{"items": [{"name": "Item Name", "quantity": 1}], "currency": [{"name": "${currencyName}", "amount": 10}], "xp": 0}\n[/LOOT]\n`;
+        if (walletDenominations.length > 0) {
+            summaryMessage += `Currency names must be one of: ${walletDenominations.map(d => `${d.id} (${d.name})`).join(', ')}.\n`;
+        }
+        summaryMessage += `Only list loot that fits the defeated enemies and the setting, and use empty arrays when there is nothing worth taking. "xp" is extra XP for rewards beyond defeating the enemies (such as a bounty), usually 0. Do not mention the loot list in the summary and do not add the loot to any tracker; ${userName} decides what to keep.\n\n`;
+    }
+
     // If in Together mode and trackers are enabled, add tracker update instructions
     if (extensionSettings.generationMode === 'together' && (extensionSettings.showUserStats || extensionSettings.showInfoBox || extensionSettings.showCharacterThoughts)) {
         summaryMessage += `\n--- TRACKER UPDATE ---\n\n`;
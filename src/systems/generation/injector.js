@@ -27,6 +27,15 @@ import {
     SPOTIFY_FORMAT_INSTRUCTION
 } from './promptBuilder.js';
 import { restoreCheckpointOnLoad } from '../features/chapterCheckpoint.js';
+import { buildSkillCheckPrompt } from '../features/skillChecks.js';
+import { buildStatusEffectsPrompt } from '../features/statusEffects.js';
+import { buildEncumbrancePrompt } from '../features/itemDetails.js';
+import { buildWalletPrompt } from '../features/wallet.js';
+import { buildItemUsePrompt } from '../features/consumables.js';
+import { buildCraftingPrompt } from '../features/crafting.js';
+import { buildQuestChainPrompt } from '../features/questChains.js';
+import { buildClockPrompt } from '../features/calendar.js';
+import { buildKnownLocationsPrompt } from '../features/locationHistory.js';
 
 // Track suppression state for event handler
 let currentSuppressionState = false;
@@ -565,6 +574,15 @@ export async function onGenerationStarted(type, data, dryRun) {
         setExtensionPrompt('rpg-companion-dialogue-coloring', '', extension_prompt_types.IN_CHAT, 0, false);
         setExtensionPrompt('rpg-companion-spotify', '', extension_prompt_types.IN_CHAT, 0, false);
         setExtensionPrompt('rpg-companion-context', '', extension_prompt_types.IN_CHAT, 1, false);
+        setExtensionPrompt('rpg-companion-skill-checks', '', extension_prompt_types.IN_CHAT, 0, false);
+        setExtensionPrompt('rpg-companion-status-effects', '', extension_prompt_types.IN_CHAT, 0, false);
+        setExtensionPrompt('rpg-companion-encumbrance', '', extension_prompt_types.IN_CHAT, 0, false);
+        setExtensionPrompt('rpg-companion-wallet', '', extension_prompt_types.IN_CHAT, 0, false);
+        setExtensionPrompt('rpg-companion-item-uses', '', extension_prompt_types.IN_CHAT, 0, false);
+        setExtensionPrompt('rpg-companion-crafting', '', extension_prompt_types.IN_CHAT, 0, false);
+        setExtensionPrompt('rpg-companion-quest-chains', '', extension_prompt_types.IN_CHAT, 0, false);
+        setExtensionPrompt('rpg-companion-clock', '', extension_prompt_types.IN_CHAT, 0, false);
+        setExtensionPrompt('rpg-companion-known-locations', '', extension_prompt_types.IN_CHAT, 0, false);
         return;
     }
 
@@ -921,6 +939,78 @@ Ensure these details naturally reflect and influence the narrative. Character be
         setExtensionPrompt('rpg-companion-spotify', '', extension_prompt_types.IN_CHAT, 0, false);
     }
 
+    // Inject settled skill check results at depth 0 in every generation mode
+    const skillCheckPrompt = buildSkillCheckPrompt(lastActionWasSwipe);
+    if (skillCheckPrompt && !shouldSuppress) {
+        setExtensionPrompt('rpg-companion-skill-checks', skillCheckPrompt, extension_prompt_types.IN_CHAT, 0, false);
+    } else {
+        setExtensionPrompt('rpg-companion-skill-checks', '', extension_prompt_types.IN_CHAT, 0, false);
+    }
+
+    // Inject active status effects so the narration respects them (durations are tracked by the extension)
+    const statusEffectsPrompt = buildStatusEffectsPrompt(lastActionWasSwipe);
+    if (statusEffectsPrompt && !shouldSuppress) {
+        setExtensionPrompt('rpg-companion-status-effects', statusEffectsPrompt, extension_prompt_types.IN_CHAT, 0, false);
+    } else {
+        setExtensionPrompt('rpg-companion-status-effects', '', extension_prompt_types.IN_CHAT, 0, false);
+    }
+
+    // Tell the model when the character carries more than their STR allows
+    const encumbrancePrompt = extensionSettings.showInventory ? buildEncumbrancePrompt() : '';
+    if (encumbrancePrompt && !shouldSuppress) {
+        setExtensionPrompt('rpg-companion-encumbrance', encumbrancePrompt, extension_prompt_types.IN_CHAT, 0, false);
+    } else {
+        setExtensionPrompt('rpg-companion-encumbrance', '', extension_prompt_types.IN_CHAT, 0, false);
+    }
+
+    // Tell the model how much money the character has, so it reports changes instead of counting coins
+    const walletPrompt = extensionSettings.showInventory ? buildWalletPrompt(lastActionWasSwipe) : '';
+    if (walletPrompt && !shouldSuppress) {
+        setExtensionPrompt('rpg-companion-wallet', walletPrompt, extension_prompt_types.IN_CHAT, 0, false);
+    } else {
+        setExtensionPrompt('rpg-companion-wallet', '', extension_prompt_types.IN_CHAT, 0, false);
+    }
+
+    // Ask the model to narrate consumables the user used (their effects are already applied)
+    const itemUsePrompt = extensionSettings.showInventory ? buildItemUsePrompt(lastActionWasSwipe) : '';
+    if (itemUsePrompt && !shouldSuppress) {
+        setExtensionPrompt('rpg-companion-item-uses', itemUsePrompt, extension_prompt_types.IN_CHAT, 0, false);
+    } else {
+        setExtensionPrompt('rpg-companion-item-uses', '', extension_prompt_types.IN_CHAT, 0, false);
+    }
+
+    // Report what the user crafted (ingredients and products are already updated)
+    const craftingPrompt = extensionSettings.showInventory ? buildCraftingPrompt(lastActionWasSwipe) : '';
+    if (craftingPrompt && !shouldSuppress) {
+        setExtensionPrompt('rpg-companion-crafting', craftingPrompt, extension_prompt_types.IN_CHAT, 0, false);
+    } else {
+        setExtensionPrompt('rpg-companion-crafting', '', extension_prompt_types.IN_CHAT, 0, false);
+    }
+
+    // Keep the model on the unlocked steps of authored quest chains
+    const questChainPrompt = buildQuestChainPrompt();
+    if (questChainPrompt && !shouldSuppress) {
+        setExtensionPrompt('rpg-companion-quest-chains', questChainPrompt, extension_prompt_types.IN_CHAT, 0, false);
+    } else {
+        setExtensionPrompt('rpg-companion-quest-chains', '', extension_prompt_types.IN_CHAT, 0, false);
+    }
+
+    // Give the model the game clock's time, and any time the user skipped
+    const clockPrompt = extensionSettings.showInfoBox ? buildClockPrompt(lastActionWasSwipe) : '';
+    if (clockPrompt && !shouldSuppress) {
+        setExtensionPrompt('rpg-companion-clock', clockPrompt, extension_prompt_types.IN_CHAT, 0, false);
+    } else {
+        setExtensionPrompt('rpg-companion-clock', '', extension_prompt_types.IN_CHAT, 0, false);
+    }
+
+    // Name the places already visited, so the model reuses them instead of inventing new names
+    const knownLocationsPrompt = extensionSettings.showInfoBox ? buildKnownLocationsPrompt() : '';
+    if (knownLocationsPrompt && !shouldSuppress) {
+        setExtensionPrompt('rpg-companion-known-locations', knownLocationsPrompt, extension_prompt_types.IN_CHAT, 0, false);
+    } else {
+        setExtensionPrompt('rpg-companion-known-locations', '', extension_prompt_types.IN_CHAT, 0, false);
+    }
+
     // Set suppression state for the historical context injection
     currentSuppressionState = shouldSuppress;
 
@@ -5,6 +5,9 @@
 
 import { extensionSettings, committedTrackerData } from '../../core/state.js';
 import { getContext } from '../../../../../../extensions.js';
+import { getWalletConfig, getDenominations } from '../features/wallet.js';
+import { getEquipmentConfig, getEquipmentSlots } from '../features/equipment.js';
+import { getNpcInventoryConfig } from '../features/npcInventory.js';
 
 /**
  * Converts a field name to snake_case for use as JSON key
@@ -82,17 +85,26 @@ export function buildUserStatsJSONInstruction() {
 
     // Inventory section
     if (extensionSettings.showInventory) {
+        const weightUnit = userStatsConfig?.encumbrance?.weightUnit || 'lb';
         instruction += '  "inventory": {\n';
         instruction += '    "onPerson": [\n';
-        instruction += '      {"name": "Item1", "quantity": X},\n';
-        instruction += '      {"name": "Item2", "quantity": X}\n';
+        instruction += `      {"name": "Item1", "quantity": X, "weight": X, "value": X, "rarity": "common|uncommon|rare|epic|legendary", "description": "Short description"},  // weight (${weightUnit}) and value are per item; details are optional, keep the ones already given\n`;
+        const equipmentSlots = getEquipmentConfig().enabled ? getEquipmentSlots() : [];
+        if (equipmentSlots.length > 0) {
+            const slotIds = equipmentSlots.map(slot => slot.id).join('|');
+            instruction += `      {"name": "Item2", "quantity": X, "slot": "${slotIds}", "modifiers": {"STR": X}},  // Equippable gear: slot it fits and attribute/stat bonuses while equipped. Equipped items are tracked separately - never list them here\n`;
+        } else {
+            instruction += '      {"name": "Item2", "quantity": X},\n';
+        }
+        const effectStat = (userStatsConfig?.customStats || []).find(stat => stat && stat.enabled && stat.id)?.id || 'health';
+        instruction += `      {"name": "Item3", "quantity": X, "consumable": true, "effects": {"${effectStat}": X}}  // Potions, food...: stat changes when used. The game applies them when the user uses one\n`;
         instruction += '    ],\n';
         instruction += '    "clothing": [\n';
         instruction += '      {"name": "Clothing1"}\n';
         instruction += '    ],\n';
         instruction += '    "stored": {\n';
         instruction += '      "Location1": [\n';
-        instruction += '        {"name": "Item", "quantity": X}\n';
+        instruction += '        {"name": "Item", "quantity": X, "weight": X, "value": X}\n';
         instruction += '      ]\n';
         instruction += '    },\n';
         instruction += '    "assets": [\n';
@@ -101,11 +113,28 @@ export function buildUserStatsJSONInstruction() {
         instruction += '  },\n';
     }
 
+    // XP award section (applied once per message, see experience.js)
+    if (userStatsConfig?.experience?.enabled !== false && userStatsConfig?.showLevel !== false) {
+        instruction += '  "xpGained": {"amount": X, "reason": "Why"},  // XP earned in THIS response only (0 if none)\n';
+    }
+
+    // Money gained or spent (balances and change are kept by wallet.js)
+    if (extensionSettings.showInventory && getWalletConfig().enabled) {
+        const walletKeys = getDenominations().map(d => `"${d.id}": X`).join(', ');
+        instruction += `  "walletChange": {${walletKeys}},  // Money gained (+) or spent (-) in THIS response only; {} if none. Never list money in the inventory\n`;
+    }
+
+    // Status effects newly applied or removed (durations are counted down by statusEffects.js)
+    instruction += '  "statusEffectsApplied": [{"type": "poisoned|stunned|blessed|custom", "name": "Effect", "emoji": "🤢", "duration": X, "unit": "turns|hours"}],  // Only effects gained (or removed, with duration 0) in THIS response; [] if none\n';
+
+    // Quests finished or failed (recorded in the quest journal by questJournal.js)
+    instruction += '  "questsEnded": [{"title": "Quest title", "status": "completed|failed"}],  // Quests finished or failed in THIS response (also remove them from "quests"); [] if none\n';
+
     // Quests section
-    instruction += '  "quests": {\n';
-    instruction += '    "main": {"title": "Quest title"},\n';
+    instruction += '  "quests": {  // Keep quest titles unchanged; mark an objective "done": true when it is achieved instead of renaming the quest. Leave out fields that are unknown\n';
+    instruction += '    "main": {"title": "Quest title", "description": "What the quest is about", "objectives": [{"text": "Step", "done": false}], "giver": "Character who gave it", "rewards": "What was promised"},\n';
     instruction += '    "optional": [\n';
-    instruction += '      {"title": "Quest1"},\n';
+    instruction += '      {"title": "Quest1", "objectives": [{"text": "Step", "done": true}]},\n';
     instruction += '      {"title": "Quest2"}\n';
     instruction += '    ]\n';
     instruction += '  }\n';
@@ -209,6 +238,11 @@ export function buildCharactersJSONInstruction() {
         instruction += '    ]';
     }
 
+    // Inventory
+    if (getNpcInventoryConfig().enabled) {
+        instruction += ',\n    "inventory": ["Item Name", "2x Item Name"]  // Everything the character carries; keep items from the previous trackers unless the story moves them';
+    }
+
     // Thoughts
     if (thoughtsConfig?.enabled) {
         const thoughtsDescription = thoughtsConfig.description || 'Internal monologue';
@@ -149,6 +149,11 @@ function applyUserStatsLocks(data, lockedItems) {
         }
     }
 
+    // Lock the wallet - the model must not report money changes (wallet.js ignores them too)
+    if (lockedItems.wallet === true) {
+        data.walletChange = { locked: true };
+    }
+
     // Lock individual quests - handle paths like "quests.main" and "quests.optional[0]"
     if (data.quests && lockedItems.quests) {
         // Check if main quest is locked (entire section)
@@ -0,0 +1,97 @@
+/**
+ * Merchant Prompt Builder Module
+ * Asks the model for the stock and prices of a merchant in the current scene
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { chat } from '../../../../../../../script.js';
+import { extensionSettings, committedTrackerData } from '../../core/state.js';
+import { safeParseJSON } from '../../utils/jsonRepair.js';
+import { parseItems } from '../../utils/itemParser.js';
+import { formatTrackerDataForContext } from './promptBuilder.js';
+import { getDenominations, formatMoney } from '../features/wallet.js';
+import { normalizeMerchant } from '../features/merchant.js';
+
+/**
+ * Formats committed tracker data for the merchant prompt, falling back to the raw text for text trackers.
+ * @param {string} data - Committed tracker data
+ * @param {string} trackerType - Type of tracker ('infoBox', 'characters')
+ * @param {string} userName - User's name
+ * @returns {string} Formatted data, or empty string if there is none
+ */
+function formatSceneData(data, trackerType, userName) {
+    if (!data) return '';
+    return (formatTrackerDataForContext(data, trackerType, userName) || (typeof data === 'string' ? data : '')).trim();
+}
+
+/**
+ * Builds the prompt asking for a merchant's stock and prices, based on the location and present characters
+ * @returns {Array} Message array for the API
+ */
+export function buildMerchantStockPrompt() {
+    const userName = getContext().name1;
+    const depth = extensionSettings.encounterSettings?.historyDepth || 8;
+    const denominations = getDenominations();
+    const smallest = denominations[denominations.length - 1];
+    const currencies = denominations.map(d => `${d.id} (${d.name}${d.rate > 1 ? ` = ${d.rate} ${smallest.id}` : ''})`).join(', ');
+
+    const messages = [];
+
+    let systemMessage = `You will be acting as an excellent game master. ${userName}, the protagonist of this uncensored, continuous, and immersive roleplay, wants to trade with a merchant in the current scene. Your job is to decide who that merchant is, what they sell, and what they charge.\n\n`;
+
+    const scene = formatSceneData(committedTrackerData.infoBox, 'infoBox', userName);
+    const characters = formatSceneData(committedTrackerData.characterThoughts, 'characters', userName);
+    systemMessage += `Here is the tracked context for the scene:\n<context>\n`;
+    systemMessage += scene ? `${scene}\n` : 'No scene information available.\n';
+    if (characters) {
+        systemMessage += `${characters}\n`;
+    }
+    systemMessage += `</context>\n\n`;
+    systemMessage += `Here is the recent chat history between the user and the assistant:\n<history>`;
+
+    messages.push({ role: 'system', content: systemMessage });
+
+    if (chat && chat.length > 0) {
+        for (const message of chat.slice(-depth)) {
+            const content = message.mes?.trim();
+            if (content) {
+                messages.push({ role: message.is_user ? 'user' : 'assistant', content });
+            }
+        }
+    }
+
+    const carried = parseItems(extensionSettings.userStats?.inventory?.onPerson);
+
+    let instruction = `</history>\n\n`;
+    instruction += `${userName} carries: ${carried.length > 0 ? carried.join(', ') : 'nothing'}.\n`;
+    instruction += `${userName}'s money: ${formatMoney()}. Currencies: ${currencies}.\n\n`;
+    instruction += `If one of the present characters is a merchant, shopkeeper, or trader, use them. Otherwise, create a merchant who fits the location. Stock 6-12 goods that this merchant would plausibly sell here, priced for the setting. Also say what the merchant would pay for the items ${userName} carries, usually well below their worth; leave out anything this merchant wouldn't buy.\n\n`;
+    instruction += `Write every price as money in the currencies above (e.g., "2 ${denominations[0].id}" or "1 ${denominations[0].id} 5 ${smallest.id}"), per single item. Return ONLY a JSON object with the following structure:\n\n`;
+    instruction += `{\n`;
+    instruction += `  "merchant": {"name": "Merchant Name", "description": "One sentence about the merchant and their shop"},\n`;
+    instruction += `  "stock": [\n`;
+    instruction += `    {"name": "Item Name", "quantity": X, "price": "X ${smallest.id}", "description": "Short description"}\n`;
+    instruction += `  ],\n`;
+    instruction += `  "offers": [\n`;
+    instruction += `    {"name": "Exact name of an item ${userName} carries", "price": "X ${smallest.id}"}\n`;
+    instruction += `  ]\n`;
+    instruction += `}\n\n`;
+    instruction += `Return ONLY the JSON object, no other text.`;
+
+    messages.push({ role: 'user', content: instruction });
+    return messages;
+}
+
+/**
+ * Parses the merchant the model described
+ * @param {string} response - The AI response
+ * @returns {import('../features/merchant.js').Merchant|null} Merchant, or null if the response couldn't be used
+ */
+export function parseMerchantResponse(response) {
+    const result = safeParseJSON(response);
+    if (!result.success) {
+        console.error('[RPG Companion] Failed to parse merchant JSON:', result.error);
+        return null;
+    }
+    return normalizeMerchant(result.data);
+}
@@ -8,6 +8,8 @@ import { extensionSettings, FEATURE_FLAGS, addDebugLog } from '../../core/state.
 import { saveSettings } from '../../core/persistence.js';
 import { extractInventory } from './inventoryParser.js';
 import { repairJSON } from '../../utils/jsonRepair.js';
+import { collectItemDetails } from '../features/itemDetails.js';
+import { collectQuestDetails, getQuestTitle } from '../features/questDetails.js';
 
 /**
  * Helper to separate emoji from text in a string
@@ -601,11 +603,17 @@ export function parseUserStats(statsText) {
                         return result;
                     };
 
+                    const previousInventory = extensionSettings.userStats.inventory;
                     extensionSettings.userStats.inventory = {
+                        version: 2,
                         onPerson: convertItems(inv.onPerson),
                         clothing: convertItems(inv.clothing),
                         stored: convertStoredInventory(inv.stored),
-                        assets: convertItems(inv.assets)
+                        assets: convertItems(inv.assets),
+                        // Weight, value, rarity and description are kept beside the item lists
+                        details: collectItemDetails(inv, previousInventory?.details),
+                        // Equipped items are managed by the extension, not the model
+                        equipped: previousInventory?.equipped || {}
                     };
                     // console.log('[RPG Parser] ✓ Converted v3 inventory:', extensionSettings.userStats.inventory);
                 }
@@ -617,8 +625,8 @@ export function parseUserStats(statsText) {
                         if (!quest) return '';
                         if (typeof quest === 'string') return quest;
                         if (typeof quest === 'object') {
-                            // v3 format: {title, description, status}
-                            return quest.title || quest.description || JSON.stringify(quest);
+                            // v3 format: {title, description, objectives, giver, rewards}
+                            return getQuestTitle(quest) || quest.description || 'None';
                         }
                         return String(quest);
                     };
@@ -627,7 +635,9 @@ export function parseUserStats(statsText) {
                         main: convertQuest(statsData.quests.main),
                         optional: Array.isArray(statsData.quests.optional)
                             ? statsData.quests.optional.map(convertQuest)
-                            : []
+                            : [],
+                        // Description, objectives, giver and rewards are kept beside the titles
+                        details: collectQuestDetails(statsData.quests, extensionSettings.quests?.details)
                     };
                     // console.log('[RPG Parser] ✓ Converted v3 quests:', extensionSettings.quests);
                 }
@@ -758,7 +768,13 @@ export function parseUserStats(statsText) {
         if (FEATURE_FLAGS.useNewInventory) {
             const inventoryData = extractInventory(statsText);
             if (inventoryData) {
-                extensionSettings.userStats.inventory = inventoryData;
+                // Text trackers carry no item details or equipment; keep the ones already known
+                const { details, equipped } = extensionSettings.userStats.inventory || {};
+                extensionSettings.userStats.inventory = {
+                    ...inventoryData,
+                    ...(details ? { details } : {}),
+                    ...(equipped ? { equipped } : {})
+                };
                 debugLog('[RPG Parser] Inventory v2 extracted:', inventoryData);
             } else {
                 debugLog('[RPG Parser] Inventory v2 extraction failed');
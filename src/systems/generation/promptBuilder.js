@@ -14,6 +14,8 @@ import {
     addLockInstruction
 } from './jsonPromptHelpers.js';
 import { applyLocks } from './lockManager.js';
+import { buildEquipmentSummary, getEquipmentBonuses } from '../features/equipment.js';
+import { formatQuestForContext } from '../features/questDetails.js';
 
 // Type imports
 /** @typedef {import('../../types/inventory.js').InventoryV2} InventoryV2 */
@@ -162,6 +164,12 @@ export function buildInventorySummary(inventory) {
     if (inventory && typeof inventory === 'object' && inventory.version === 2) {
         let summary = '';
 
+        // Add Equipped section (the loadout is managed by the extension, outside the item lists)
+        const loadout = buildEquipmentSummary(inventory.equipped);
+        if (loadout) {
+            summary += `Equipped: ${loadout}\n`;
+        }
+
         // Add On Person section
         if (inventory.onPerson && inventory.onPerson !== 'None') {
             summary += `On Person: ${inventory.onPerson}\n`;
@@ -195,7 +203,7 @@ export function buildInventorySummary(inventory) {
 
 /**
  * Builds a dynamic attributes string based on configured RPG attributes.
- * Uses custom attribute names and values from classicStats.
+ * Uses custom attribute names and values from classicStats, plus the modifiers of equipped items.
  *
  * @returns {string} Formatted attributes string (e.g., "STR 10, DEX 12, INT 15, LVL 5")
  */
@@ -217,8 +225,10 @@ function buildAttributesString() {
     const enabledAttributes = rpgAttributes.filter(attr => attr && attr.enabled && attr.name && attr.id);
 
     // Build attributes string dynamically
+    const bonuses = getEquipmentBonuses();
     const attributeParts = enabledAttributes.map(attr => {
-        const value = classicStats[attr.id] !== undefined ? classicStats[attr.id] : 10;
+        const base = classicStats[attr.id] !== undefined ? classicStats[attr.id] : 10;
+        const value = bonuses[attr.id] ? (parseFloat(String(base)) || 0) + bonuses[attr.id] : base;
         return `${attr.name} ${value}`;
     });
 
@@ -402,7 +412,8 @@ export function generateTrackerInstructions(includeHtmlPrompt = true, includeCon
         }
 
         // Add dice roll context if there was one (independent of attributes)
-        if (extensionSettings.lastDiceRoll) {
+        // Skill checks are settled in code and injected separately, so they are skipped here
+        if (extensionSettings.lastDiceRoll && !extensionSettings.lastDiceRoll.check) {
             const roll = extensionSettings.lastDiceRoll;
             const showRPGAttributes = trackerConfig?.userStats?.showRPGAttributes !== false;
             const alwaysSendAttributes = trackerConfig?.userStats?.alwaysSendAttributes;
@@ -457,7 +468,7 @@ export function generateTrackerInstructions(includeHtmlPrompt = true, includeCon
  * @param {string} userName - User's name for personalization
  * @returns {string} Formatted text summary
  */
-function formatTrackerDataForContext(jsonData, trackerType, userName) {
+export function formatTrackerDataForContext(jsonData, trackerType, userName) {
     if (!jsonData) return '';
 
     try {
@@ -627,6 +638,10 @@ function formatTrackerDataForContext(jsonData, trackerType, userName) {
             if (data.inventory) {
                 const inv = data.inventory;
 
+                // Equipped items live outside the tracker JSON
+                const loadout = buildEquipmentSummary();
+                if (loadout) formatted += `Equipped: ${loadout}\n`;
+
                 if (inv.onPerson && Array.isArray(inv.onPerson) && inv.onPerson.length > 0) {
                     const items = inv.onPerson.map(i => getValue(i)).filter(i => i);
                     if (items.length > 0) formatted += `On Person: ${items.join(', ')}\n`;
@@ -658,24 +673,24 @@ function formatTrackerDataForContext(jsonData, trackerType, userName) {
             if (data.quests) {
                 const quests = data.quests;
 
-                // Main quest - handle string, array, or object with {title}
+                // Main quest - handle string, array, or object with {title, objectives, ...}
                 if (quests.main) {
                     if (typeof quests.main === 'string') {
                         const mainQuest = getValue(quests.main);
                         if (mainQuest) formatted += `Main Quest: ${mainQuest}\n`;
                     } else if (Array.isArray(quests.main) && quests.main.length > 0) {
-                        const questsList = quests.main.map(q => getValue(q)).filter(q => q);
+                        const questsList = quests.main.map(q => formatQuestForContext(q)).filter(q => q);
                         if (questsList.length > 0) formatted += `Main Quests: ${questsList.join(', ')}\n`;
                     } else if (typeof quests.main === 'object') {
-                        // Handle {title: "..."} format
-                        const mainQuest = getValue(quests.main);
+                        // Handle {title: "..."} format, with its description, objectives, giver and rewards
+                        const mainQuest = formatQuestForContext(quests.main);
                         if (mainQuest) formatted += `Main Quest: ${mainQuest}\n`;
                     }
                 }
 
                 // Optional quests
                 if (quests.optional && Array.isArray(quests.optional) && quests.optional.length > 0) {
-                    const questsList = quests.optional.map(q => getValue(q)).filter(q => q);
+                    const questsList = quests.optional.map(q => formatQuestForContext(q)).filter(q => q);
                     if (questsList.length > 0) formatted += `Optional Quests: ${questsList.join(', ')}\n`;
                 }
             }
@@ -1068,7 +1083,8 @@ export function generateContextualSummary() {
     }
 
     // Add dice roll context if there was one (independent of attributes)
-    if (extensionSettings.lastDiceRoll) {
+    // Skill checks are settled in code and injected separately, so they are skipped here
+    if (extensionSettings.lastDiceRoll && !extensionSettings.lastDiceRoll.check) {
         const roll = extensionSettings.lastDiceRoll;
 
         if (shouldSendAttributes) {
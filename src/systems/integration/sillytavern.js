@@ -37,7 +37,7 @@ import { renderUserStats } from '../rendering/userStats.js';
 import { renderInfoBox } from '../rendering/infoBox.js';
 import { renderThoughts, updateChatThoughts } from '../rendering/thoughts.js';
 import { renderInventory } from '../rendering/inventory.js';
-import { renderQuests } from '../rendering/quests.js';
+import { renderQuests, advanceQuestChains } from '../rendering/quests.js';
 import { renderMusicPlayer } from '../rendering/musicPlayer.js';
 
 // Utils
@@ -51,6 +51,21 @@ import { updateStripWidgets } from '../ui/desktop.js';
 import { updateAllCheckpointIndicators } from '../ui/checkpointUI.js';
 import { restoreCheckpointOnLoad } from '../features/chapterCheckpoint.js';
 
+// Skill checks
+import { onSkillCheckMessageReceived, formatSkillCheck } from '../features/skillChecks.js';
+import { onItemUseMessageReceived } from '../features/consumables.js';
+import { onCraftingMessageReceived } from '../features/crafting.js';
+import { snapshotInventory, applyTrackerInventoryLog } from '../features/inventoryLog.js';
+import { applyTrackerQuestJournal } from '../features/questJournal.js';
+import { applyTrackerClock, onClockMessageReceived } from '../features/calendar.js';
+import { applyTrackerLocation } from '../features/locationHistory.js';
+import { applyTrackerXp } from '../features/experience.js';
+import { applyTrackerStatusEffects } from '../features/statusEffects.js';
+import { applyTrackerWallet } from '../features/wallet.js';
+import { carryForwardNpcInventories } from '../features/npcInventory.js';
+import { currentEncounter } from '../features/encounterState.js';
+import { encounterModal } from '../ui/encounterUI.js';
+
 /**
  * Commits the tracker data from the last assistant message to be used as source for next generation.
  * This should be called when the user has replied to a message, ensuring all swipes of the next
@@ -167,6 +182,8 @@ export async function onMessageReceived(data) {
             }
             if (parsedData.characterThoughts) {
                 parsedData.characterThoughts = removeLocks(parsedData.characterThoughts);
+                // Characters keep what they held when the model leaves their inventory out
+                parsedData.characterThoughts = carryForwardNpcInventories(parsedData.characterThoughts, committedTrackerData.characterThoughts);
             }
 
             // Parse and store Spotify URL if feature is enabled
@@ -176,15 +193,34 @@ export async function onMessageReceived(data) {
             // console.log('[RPG Companion] 📝 TOGETHER MODE: Updating lastGeneratedData with parsed response');
             if (parsedData.userStats) {
                 lastGeneratedData.userStats = parsedData.userStats;
+                const inventoryBefore = snapshotInventory();
                 parseUserStats(parsedData.userStats);
+                // Award XP and money only for fresh generations, not when this event fires for chat history
+                if (isAwaitingNewMessage) {
+                    applyTrackerXp(parsedData.userStats, chat.length - 1);
+                    applyTrackerWallet(parsedData.userStats, chat.length - 1);
+                    applyTrackerInventoryLog(inventoryBefore, chat.length - 1);
+                    applyTrackerQuestJournal(parsedData.userStats, chat.length - 1);
+                    advanceQuestChains();
+                }
             }
             if (parsedData.infoBox) {
+                // Hold the date and time to the game clock (swiping replays the same check)
+                if (isAwaitingNewMessage) {
+                    parsedData.infoBox = applyTrackerClock(parsedData.infoBox, chat.length - 1);
+                    applyTrackerLocation(parsedData.infoBox, chat.length - 1);
+                }
                 lastGeneratedData.infoBox = parsedData.infoBox;
             }
             if (parsedData.characterThoughts) {
                 lastGeneratedData.characterThoughts = parsedData.characterThoughts;
             }
 
+            // Count down status effects once per new message (swiping replays the same tick)
+            if (isAwaitingNewMessage) {
+                applyTrackerStatusEffects(parsedData.userStats, parsedData.infoBox, chat.length - 1);
+            }
+
             // Store RPG data for this specific swipe in the message's extra field
             if (!lastMessage.extra) {
                 lastMessage.extra = {};
@@ -282,6 +318,17 @@ export async function onMessageReceived(data) {
         }
     }
 
+    // Settle skill checks, item uses, crafting and time skips against the new message (skip when loading chat history)
+    if (isAwaitingNewMessage) {
+        const declaredChecks = onSkillCheckMessageReceived(chat.length - 1);
+        declaredChecks.forEach(check => {
+            toastr.info(formatSkillCheck(check), 'Skill Check');
+        });
+        onItemUseMessageReceived(chat.length - 1);
+        onCraftingMessageReceived(chat.length - 1);
+        onClockMessageReceived(chat.length - 1);
+    }
+
     // Reset the awaiting flag after processing the message
     setIsAwaitingNewMessage(false);
 
@@ -318,6 +365,11 @@ export function onCharacterChanged() {
     //     console.log('[RPG Companion] Auto-switched preset for character');
     // }
 
+    // Close a running encounter; its checkpoint stays in the chat it belongs to and can be resumed there
+    if (currentEncounter.active) {
+        encounterModal.close();
+    }
+
     // Load chat-specific data when switching chats
     loadChatData();
 
@@ -0,0 +1,747 @@
+/**
+ * Slash Commands Module
+ * Registers the /rpg-* STscript commands so Quick Replies and lorebook scripts
+ * can read and change tracker state without going through the panel
+ */
+
+import { SlashCommandParser } from '../../../../../../../scripts/slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../../../../../scripts/slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument } from '../../../../../../../scripts/slash-commands/SlashCommandArgument.js';
+
+import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
+import { repairJSON } from '../../utils/jsonRepair.js';
+import { parseItems, splitItemQuantity } from '../../utils/itemParser.js';
+
+// Updaters reused from the panel modules
+import { renderUserStats, setUserStatValue, setUserLevel } from '../rendering/userStats.js';
+import { setClassicStatValue } from '../features/classicStats.js';
+import { addItemToInventory, removeItemFromInventory } from '../interaction/inventoryActions.js';
+import { setMainQuest, addOptionalQuest, completeQuest } from '../rendering/quests.js';
+import { renderInfoBox, updateInfoBoxField } from '../rendering/infoBox.js';
+import { renderThoughts } from '../rendering/thoughts.js';
+import { renderInventory } from '../rendering/inventory.js';
+import { updateRPGData } from '../generation/apiClient.js';
+import { currentEncounter, exportEncounterLogs } from '../features/encounterState.js';
+import { encounterModal } from '../ui/encounterUI.js';
+import { openEncounterLogBrowser } from '../ui/encounterLogBrowser.js';
+import {
+    parseCheckDeclaration,
+    rollSkillCheck,
+    recordSkillCheck,
+    formatSkillCheck,
+    getSkillCheckHistory,
+    clearSkillCheckHistory
+} from '../features/skillChecks.js';
+import { awardXp, getXpProgress } from '../features/experience.js';
+import { getPlayerStatusEffects, addPlayerStatusEffect, removePlayerStatusEffect } from '../features/statusEffects.js';
+import { getWalletConfig, getBalances, formatMoney, parseMoney, modifyWallet, setWalletBalances } from '../features/wallet.js';
+import { readInfoBoxLocation } from '../features/locationHistory.js';
+
+/**
+ * Inventory sections that hold a flat item list (as opposed to 'stored')
+ */
+const FLAT_INVENTORY_FIELDS = ['onPerson', 'clothing', 'assets'];
+
+/**
+ * Splits a command argument string into tokens, keeping quoted strings together.
+ * @param {string} input - Raw unnamed argument string
+ * @returns {string[]} Tokens with surrounding quotes removed
+ * @example
+ * tokenizeArgs('add "Coil of Rope" 2 onPerson') // ['add', 'Coil of Rope', '2', 'onPerson']
+ */
+function tokenizeArgs(input) {
+    const tokens = [];
+    const regex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = regex.exec(String(input ?? ''))) !== null) {
+        tokens.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return tokens;
+}
+
+/**
+ * Normalizes an unnamed argument that may arrive as a string or an array.
+ * @param {string|string[]} args - Unnamed argument(s) from the parser
+ * @returns {string} Argument string
+ */
+function argsToString(args) {
+    return Array.isArray(args) ? args.join(' ') : String(args ?? '');
+}
+
+/**
+ * Guards commands against running while the extension is disabled.
+ * @returns {boolean} True if the extension is enabled
+ */
+function ensureEnabled() {
+    if (!extensionSettings.enabled) {
+        toastr.warning('RPG Companion is disabled.', 'RPG Companion');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Applies a value expression to a current number.
+ * "+5" and "-10" are relative, anything else is absolute.
+ * @param {number} current - Current value
+ * @param {string} expression - Value expression
+ * @returns {number|null} New value, or null if the expression isn't numeric
+ */
+function applyValueExpression(current, expression) {
+    const trimmed = String(expression).trim();
+    const value = parseInt(trimmed);
+    if (isNaN(value)) {
+        return null;
+    }
+    return /^[+-]/.test(trimmed) ? (Number(current) || 0) + value : value;
+}
+
+/**
+ * Parses an inventory location token into a field and optional storage location.
+ * Accepts 'onPerson', 'clothing', 'assets', 'stored:<Location>' or a bare stored location name.
+ * @param {string} [token] - Location token (defaults to onPerson)
+ * @returns {{field: string, location: (string|undefined)}} Inventory target
+ */
+function parseInventoryTarget(token) {
+    if (!token) {
+        return { field: 'onPerson', location: undefined };
+    }
+
+    const flatField = FLAT_INVENTORY_FIELDS.find(f => f.toLowerCase() === token.toLowerCase());
+    if (flatField) {
+        return { field: flatField, location: undefined };
+    }
+
+    const location = token.replace(/^stored:/i, '').trim();
+    return { field: 'stored', location };
+}
+
+/**
+ * Parses the current Info Box data into an object.
+ * @returns {Object} Info Box fields (empty object if unavailable or in text format)
+ */
+function getInfoBoxObject() {
+    const infoBoxData = lastGeneratedData.infoBox || committedTrackerData.infoBox;
+    if (!infoBoxData) {
+        return {};
+    }
+    const trimmed = infoBoxData.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        return repairJSON(infoBoxData) || {};
+    }
+    return {};
+}
+
+/**
+ * Builds a read-only snapshot of tracker state for /rpg-get.
+ * @returns {Object} Snapshot keyed by stats, attributes, level, xp, status, inventory, quests, infoBox, lastRoll
+ */
+function buildTrackerSnapshot() {
+    const userStats = extensionSettings.userStats || {};
+    const customStats = extensionSettings.trackerConfig?.userStats?.customStats || [];
+    const statusFields = extensionSettings.trackerConfig?.userStats?.statusSection?.customFields || [];
+
+    const stats = {};
+    for (const stat of customStats) {
+        if (stat && stat.id) {
+            stats[stat.id] = userStats[stat.id] !== undefined ? userStats[stat.id] : 100;
+        }
+    }
+
+    const status = { mood: userStats.mood };
+    for (const fieldName of statusFields) {
+        const fieldKey = fieldName.toLowerCase();
+        status[fieldKey] = userStats[fieldKey];
+    }
+
+    return {
+        stats,
+        attributes: { ...extensionSettings.classicStats },
+        level: extensionSettings.level,
+        xp: getXpProgress(),
+        status,
+        effects: getPlayerStatusEffects(),
+        wallet: getBalances(),
+        skills: userStats.skills,
+        inventory: userStats.inventory || {},
+        quests: extensionSettings.quests,
+        infoBox: getInfoBoxObject(),
+        lastRoll: extensionSettings.lastDiceRoll,
+        encounter: { active: !!currentEncounter.active }
+    };
+}
+
+/**
+ * Resolves a dotted path against an object (case-insensitive keys).
+ * @param {Object} source - Object to read from
+ * @param {string} path - Dotted path (e.g., 'stats.health')
+ * @returns {*} Resolved value or undefined
+ */
+function resolvePath(source, path) {
+    let current = source;
+    for (const key of path.split('.').filter(k => k)) {
+        if (current === null || current === undefined || typeof current !== 'object') {
+            return undefined;
+        }
+        const actualKey = Object.keys(current).find(k => k.toLowerCase() === key.toLowerCase());
+        current = actualKey !== undefined ? current[actualKey] : undefined;
+    }
+    return current;
+}
+
+/**
+ * Converts a value into a slash command return string.
+ * @param {*} value - Value to return
+ * @returns {string} String form (objects are JSON-encoded)
+ */
+function toCommandResult(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * /rpg-stat <stat> [value|+n|-n]
+ * Works on custom stats (health, satiety, ...), RPG attributes (str, dex, ...) and level.
+ * @returns {string} The stat's value after the change
+ */
+function statCommand(_namedArgs, unnamedArgs) {
+    if (!ensureEnabled()) return '';
+
+    const [statToken, expression] = tokenizeArgs(argsToString(unnamedArgs));
+    if (!statToken) {
+        toastr.warning('Usage: /rpg-stat <stat> [value|+n|-n]', 'RPG Companion');
+        return '';
+    }
+
+    const config = extensionSettings.trackerConfig?.userStats || {};
+    const lowered = statToken.toLowerCase();
+    const customStat = (config.customStats || []).find(s => s && (s.id.toLowerCase() === lowered || s.name?.toLowerCase() === lowered));
+    const attribute = (config.rpgAttributes || []).find(a => a && (a.id.toLowerCase() === lowered || a.name?.toLowerCase() === lowered));
+
+    if (lowered === 'level' || lowered === 'lvl') {
+        if (expression === undefined) return String(extensionSettings.level);
+        const newLevel = applyValueExpression(extensionSettings.level, expression);
+        if (newLevel === null) return String(extensionSettings.level);
+        return String(setUserLevel(newLevel));
+    }
+
+    if (customStat) {
+        const current = extensionSettings.userStats[customStat.id] ?? 100;
+        if (expression === undefined) return String(current);
+        const newValue = applyValueExpression(current, expression);
+        if (newValue === null) return String(current);
+        return String(setUserStatValue(customStat.id, newValue));
+    }
+
+    if (attribute) {
+        const current = extensionSettings.classicStats[attribute.id] ?? 10;
+        if (expression === undefined) return String(current);
+        const newValue = applyValueExpression(current, expression);
+        if (newValue === null) return String(current);
+        return String(setClassicStatValue(attribute.id, newValue));
+    }
+
+    toastr.warning(`Unknown stat "${statToken}".`, 'RPG Companion');
+    return '';
+}
+
+/**
+ * /rpg-item add|remove|count "<name>" [quantity] [location]
+ * @returns {string} The item's quantity after the change
+ */
+function itemCommand(_namedArgs, unnamedArgs) {
+    if (!ensureEnabled()) return '';
+
+    const tokens = tokenizeArgs(argsToString(unnamedArgs));
+    const action = tokens.shift()?.toLowerCase();
+    const itemName = tokens.shift();
+    if (!action || !itemName) {
+        toastr.warning('Usage: /rpg-item add|remove|count "<name>" [quantity] [location]', 'RPG Companion');
+        return '';
+    }
+
+    // Quantity is optional, so the next token is either a number or a location
+    let quantity;
+    if (tokens.length > 0 && /^\d+$/.test(tokens[0])) {
+        quantity = parseInt(tokens.shift());
+    }
+    const { field, location } = parseInventoryTarget(tokens.join(' '));
+
+    if (action === 'add') {
+        return String(addItemToInventory(field, itemName, quantity ?? 1, location));
+    }
+
+    if (action === 'remove') {
+        const remaining = removeItemFromInventory(field, itemName, quantity, location);
+        if (remaining === null) {
+            toastr.warning(`"${itemName}" not found.`, 'RPG Companion');
+            return '';
+        }
+        return String(remaining);
+    }
+
+    if (action === 'count') {
+        const inventory = extensionSettings.userStats.inventory;
+        const itemString = field === 'stored' ? inventory.stored?.[location] : inventory[field];
+        const found = parseItems(itemString)
+            .map(splitItemQuantity)
+            .find(item => item.name.toLowerCase() === itemName.toLowerCase());
+        return String(found ? found.quantity : 0);
+    }
+
+    toastr.warning(`Unknown item action "${action}".`, 'RPG Companion');
+    return '';
+}
+
+/**
+ * /rpg-quest [get|set|add|complete|fail|abandon] [main|optional|index] [title]
+ * @returns {string} Main quest title, or the title of the affected quest
+ */
+function questCommand(_namedArgs, unnamedArgs) {
+    if (!ensureEnabled()) return '';
+
+    const tokens = tokenizeArgs(argsToString(unnamedArgs));
+    const action = (tokens.shift() || 'get').toLowerCase();
+    const optional = extensionSettings.quests.optional || [];
+
+    if (action === 'get') {
+        const target = tokens[0]?.toLowerCase();
+        return target === 'optional' ? JSON.stringify(optional) : (extensionSettings.quests.main || 'None');
+    }
+
+    if (action === 'set') {
+        const title = tokens.join(' ').trim();
+        setMainQuest(title);
+        return title || 'None';
+    }
+
+    if (action === 'add') {
+        let target = 'optional';
+        if (tokens[0] && ['main', 'optional'].includes(tokens[0].toLowerCase())) {
+            target = tokens.shift().toLowerCase();
+        }
+        const title = tokens.join(' ').trim();
+        if (!title) return '';
+        if (target === 'main') {
+            setMainQuest(title);
+        } else {
+            addOptionalQuest(title);
+        }
+        return title;
+    }
+
+    const endings = { complete: 'completed', fail: 'failed', abandon: 'abandoned', remove: 'abandoned' };
+    if (endings[action]) {
+        const status = endings[action];
+        const target = tokens.join(' ').trim();
+        if (!target || target.toLowerCase() === 'main') {
+            return toCommandResult(completeQuest('main', undefined, status));
+        }
+        // Optional quest by index or title
+        let index = /^\d+$/.test(target) ? parseInt(target) : -1;
+        if (index === -1) {
+            index = optional.findIndex(q => q.toLowerCase() === target.toLowerCase());
+        }
+        if (index < 0 || index >= optional.length) {
+            toastr.warning(`Quest "${target}" not found.`, 'RPG Companion');
+            return '';
+        }
+        return toCommandResult(completeQuest('optional', index, status));
+    }
+
+    toastr.warning(`Unknown quest action "${action}".`, 'RPG Companion');
+    return '';
+}
+
+/**
+ * /rpg-location [new location]
+ * @returns {string} Current location after the change
+ */
+function locationCommand(_namedArgs, unnamedArgs) {
+    if (!ensureEnabled()) return '';
+
+    const newLocation = argsToString(unnamedArgs).trim();
+    if (newLocation) {
+        updateInfoBoxField('location', newLocation);
+    }
+    // Text-format info boxes have no JSON object, so read their "Location:" line instead
+    return getInfoBoxObject().location?.value
+        || readInfoBoxLocation(lastGeneratedData.infoBox || committedTrackerData.infoBox)
+        || newLocation;
+}
+
+/**
+ * /rpg-refresh
+ * Triggers a tracker update (separate and external modes only).
+ * @returns {Promise<string>} Empty string
+ */
+async function refreshCommand() {
+    if (!ensureEnabled()) return '';
+
+    if (extensionSettings.generationMode !== 'separate' && extensionSettings.generationMode !== 'external') {
+        toastr.info('Refresh is only available in Separate or External generation mode.', 'RPG Companion');
+        return '';
+    }
+    await updateRPGData(renderUserStats, renderInfoBox, renderThoughts, renderInventory);
+    return '';
+}
+
+/**
+ * /rpg-encounter [start|resume|end|status|logs|export [json|markdown]]
+ * @returns {Promise<string>} 'active' or 'inactive', or the exported encounter logs
+ */
+async function encounterCommand(_namedArgs, unnamedArgs) {
+    if (!ensureEnabled()) return '';
+
+    const [actionToken, formatToken] = tokenizeArgs(argsToString(unnamedArgs));
+    const action = (actionToken || 'status').toLowerCase();
+
+    if (action === 'export') {
+        const format = (formatToken || 'json').toLowerCase();
+        return exportEncounterLogs(format === 'md' || format === 'markdown' ? 'markdown' : 'json');
+    }
+
+    if (action === 'logs') {
+        openEncounterLogBrowser();
+    } else if (action === 'start') {
+        if (!currentEncounter.active) {
+            // Don't await - the config modal waits for user input
+            encounterModal.open();
+        }
+    } else if (action === 'resume') {
+        if (!currentEncounter.active) {
+            // Don't await - the turn queue may keep generating
+            encounterModal.resume();
+        }
+    } else if (action === 'end') {
+        await encounterModal.concludeEncounter();
+    } else if (action !== 'status') {
+        toastr.warning(`Unknown encounter action "${action}".`, 'RPG Companion');
+    }
+
+    return currentEncounter.active ? 'active' : 'inactive';
+}
+
+/**
+ * /rpg-check <attribute> [save|check] DC <n> [adv|dis] [- reason] | history | clear
+ * Rolls a skill check and records it so the next response must honor the outcome.
+ * @returns {string} 'success' or 'failure', or the check history as JSON
+ */
+function checkCommand(_namedArgs, unnamedArgs) {
+    if (!ensureEnabled()) return '';
+
+    const input = argsToString(unnamedArgs).trim();
+    const action = input.toLowerCase();
+
+    if (action === 'history') {
+        return toCommandResult(getSkillCheckHistory());
+    }
+    if (action === 'clear') {
+        clearSkillCheckHistory();
+        return '';
+    }
+
+    const declaration = parseCheckDeclaration(input);
+    if (!declaration) {
+        toastr.warning(`Could not read check "${input}". Try: DEX save DC 14`, 'RPG Companion');
+        return '';
+    }
+
+    let rolled;
+    try {
+        rolled = rollSkillCheck(declaration, 'user');
+    } catch (error) {
+        toastr.warning(`Could not roll check "${input}": ${error.message}`, 'RPG Companion');
+        return '';
+    }
+
+    const check = recordSkillCheck(rolled);
+    toastr.info(formatSkillCheck(check), 'Skill Check');
+    return check.success ? 'success' : 'failure';
+}
+
+/**
+ * /rpg-xp [+n|-n] [reason]
+ * Awards XP (levelling up as thresholds are crossed) or reads the current total.
+ * @returns {string} Total XP after the change
+ */
+function xpCommand(_namedArgs, unnamedArgs) {
+    if (!ensureEnabled()) return '';
+
+    const [amountToken, ...reasonTokens] = tokenizeArgs(argsToString(unnamedArgs));
+    if (amountToken === undefined) {
+        return String(getXpProgress().xp);
+    }
+
+    const amount = parseInt(amountToken);
+    if (isNaN(amount)) {
+        toastr.warning('Usage: /rpg-xp [+n|-n] [reason]', 'RPG Companion');
+        return String(getXpProgress().xp);
+    }
+
+    return String(awardXp(amount, reasonTokens.join(' ')).xp);
+}
+
+/**
+ * /rpg-effect add <name|type> [duration] [turns|hours] | remove <name> | list
+ * Applies or removes a status effect on the user. Durations count down automatically.
+ * @returns {string} Active effects as JSON
+ */
+function effectCommand(_namedArgs, unnamedArgs) {
+    if (!ensureEnabled()) return '';
+
+    const [action, name, durationToken, unitToken] = tokenizeArgs(argsToString(unnamedArgs));
+    const verb = (action || 'list').toLowerCase();
+
+    if (verb === 'add' && name) {
+        const effect = addPlayerStatusEffect({
+            name,
+            duration: durationToken !== undefined ? durationToken : 3,
+            unit: unitToken || 'turns'
+        });
+        if (!effect) {
+            toastr.warning('Usage: /rpg-effect add <name> [duration] [turns|hours]', 'RPG Companion');
+        }
+        renderUserStats();
+    } else if (verb === 'remove' && name) {
+        if (!removePlayerStatusEffect(name)) {
+            toastr.warning(`No active effect named "${name}"`, 'RPG Companion');
+        }
+        renderUserStats();
+    } else if (verb !== 'list') {
+        toastr.warning('Usage: /rpg-effect add <name> [duration] [turns|hours] | remove <name> | list', 'RPG Companion');
+    }
+
+    return toCommandResult(getPlayerStatusEffects());
+}
+
+/**
+ * /rpg-wallet [add|spend|set <money>]
+ * Changes the wallet (spending breaks larger coins as needed) or reads it.
+ * @returns {string} Balances after the change as JSON
+ */
+function walletCommand(_namedArgs, unnamedArgs) {
+    if (!ensureEnabled()) return '';
+    if (!getWalletConfig().enabled) {
+        toastr.warning('The wallet is disabled in the tracker editor', 'RPG Companion');
+        return '';
+    }
+
+    const [action, ...moneyTokens] = tokenizeArgs(argsToString(unnamedArgs));
+    const verb = (action || '').toLowerCase();
+    if (!verb) {
+        return toCommandResult(getBalances());
+    }
+
+    const money = parseMoney(moneyTokens.join(' '));
+    if (!money || !['add', 'spend', 'set'].includes(verb)) {
+        toastr.warning('Usage: /rpg-wallet [add|spend|set <amount> <denomination>...]', 'RPG Companion');
+        return toCommandResult(getBalances());
+    }
+
+    if (verb === 'set') {
+        setWalletBalances(money);
+    } else {
+        const delta = {};
+        Object.entries(money).forEach(([id, amount]) => {
+            delta[id] = verb === 'spend' ? -Math.abs(amount) : Math.abs(amount);
+        });
+        if (!modifyWallet(delta)) {
+            toastr.warning(`Not enough money (${formatMoney()})`, 'Wallet');
+        }
+    }
+
+    return toCommandResult(getBalances());
+}
+
+/**
+ * /rpg-get <path>
+ * @returns {string} Value at the path (objects are JSON-encoded)
+ */
+function getCommand(_namedArgs, unnamedArgs) {
+    const path = argsToString(unnamedArgs).trim();
+    const snapshot = buildTrackerSnapshot();
+    return toCommandResult(path ? resolvePath(snapshot, path) : snapshot);
+}
+
+/**
+ * Registers all /rpg-* slash commands with SillyTavern.
+ * Should be called once during extension initialization.
+ */
+export function registerSlashCommands() {
+    const textArgument = (description, isRequired = false) => [
+        SlashCommandArgument.fromProps({
+            description,
+            typeList: [ARGUMENT_TYPE.STRING],
+            isRequired
+        })
+    ];
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-stat',
+        callback: statCommand,
+        returns: 'the stat value after the change',
+        unnamedArgumentList: textArgument('stat id or name, then an optional value (50, +10, -10)', true),
+        helpString: `
+            <div>Gets or changes a user stat, RPG attribute or level.</div>
+            <div><strong>Examples:</strong></div>
+            <ul>
+                <li><pre><code>/rpg-stat health -10</code></pre></li>
+                <li><pre><code>/rpg-stat str +1</code></pre></li>
+                <li><pre><code>/rpg-stat level</code></pre> returns the current level</li>
+            </ul>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-item',
+        callback: itemCommand,
+        returns: 'the item quantity after the change',
+        unnamedArgumentList: textArgument('add|remove|count, item name, optional quantity, optional location (onPerson, clothing, assets, or a stored location)', true),
+        helpString: `
+            <div>Adds, removes or counts an inventory item. The location defaults to onPerson.</div>
+            <div><strong>Examples:</strong></div>
+            <ul>
+                <li><pre><code>/rpg-item add "Rope" 2 onPerson</code></pre></li>
+                <li><pre><code>/rpg-item remove "Arrows" 3</code></pre></li>
+                <li><pre><code>/rpg-item add "Old Map" stored:Home</code></pre></li>
+                <li><pre><code>/rpg-item count "Rope"</code></pre></li>
+            </ul>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-quest',
+        callback: questCommand,
+        returns: 'the affected quest title',
+        unnamedArgumentList: textArgument('get|set|add|complete|fail|abandon, then a target and/or title'),
+        helpString: `
+            <div>Reads or changes quests.</div>
+            <div><strong>Examples:</strong></div>
+            <ul>
+                <li><pre><code>/rpg-quest</code></pre> returns the main quest</li>
+                <li><pre><code>/rpg-quest get optional</code></pre> returns optional quests as JSON</li>
+                <li><pre><code>/rpg-quest set Find the lost heir</code></pre></li>
+                <li><pre><code>/rpg-quest add Gather herbs</code></pre> adds an optional quest</li>
+                <li><pre><code>/rpg-quest complete</code></pre> completes the main quest</li>
+                <li><pre><code>/rpg-quest complete 0</code></pre> completes the first optional quest</li>
+                <li><pre><code>/rpg-quest fail Gather herbs</code></pre> removes a quest and records it as failed in the journal</li>
+            </ul>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-location',
+        callback: locationCommand,
+        returns: 'the current location',
+        unnamedArgumentList: textArgument('new location (omit to read the current one)'),
+        helpString: `
+            <div>Gets or sets the Info Box location.</div>
+            <div><strong>Example:</strong> <pre><code>/rpg-location The Prancing Pony</code></pre></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-refresh',
+        callback: refreshCommand,
+        helpString: '<div>Refreshes the RPG trackers, same as the Refresh RPG Info button (Separate and External modes).</div>'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-encounter',
+        callback: encounterCommand,
+        returns: "'active' or 'inactive', or the exported encounter logs",
+        unnamedArgumentList: textArgument('start|end|status|logs|export [json|markdown]'),
+        helpString: `
+            <div>Starts, resumes or ends a combat encounter, or reports whether one is active. <code>logs</code> opens the encounter log browser and <code>export</code> returns this chat's past encounters.</div>
+            <div><strong>Examples:</strong></div>
+            <ul>
+                <li><pre><code>/rpg-encounter start</code></pre></li>
+                <li><pre><code>/rpg-encounter resume</code></pre> continues this chat's unfinished fight</li>
+                <li><pre><code>/rpg-encounter export markdown</code></pre> returns a Markdown recap of past fights</li>
+            </ul>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-check',
+        callback: checkCommand,
+        returns: "'success' or 'failure'",
+        unnamedArgumentList: textArgument('attribute, save|check, DC, optional adv|dis and " - reason"; or history|clear', true),
+        helpString: `
+            <div>Rolls a skill check against the RPG attributes and level. The result is settled immediately and the next response must honor it.</div>
+            <div><strong>Examples:</strong></div>
+            <ul>
+                <li><pre><code>/rpg-check DEX save DC 14</code></pre></li>
+                <li><pre><code>/rpg-check STR check DC 15 adv - force the door</code></pre></li>
+                <li><pre><code>/rpg-check history</code></pre> returns this chat's checks as JSON</li>
+            </ul>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-xp',
+        callback: xpCommand,
+        returns: 'total XP after the change',
+        unnamedArgumentList: textArgument('XP to award (+n or -n) and an optional reason'),
+        helpString: `
+            <div>Awards XP, levelling up when the XP curve's thresholds are crossed. Without arguments, returns the current XP.</div>
+            <div><strong>Examples:</strong></div>
+            <ul>
+                <li><pre><code>/rpg-xp +150 Solved the riddle</code></pre></li>
+                <li><pre><code>/rpg-xp</code></pre> returns the current XP</li>
+            </ul>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-effect',
+        callback: effectCommand,
+        returns: 'active status effects as JSON',
+        unnamedArgumentList: textArgument('add <name> [duration] [turns|hours], remove <name>, or list'),
+        helpString: `
+            <div>Applies or removes a status effect on you. Poisoned, stunned and blessed are recognised by name; anything else is a custom effect. Durations count down every message (turns) or with in-game time (hours).</div>
+            <div><strong>Examples:</strong></div>
+            <ul>
+                <li><pre><code>/rpg-effect add Poisoned 3</code></pre></li>
+                <li><pre><code>/rpg-effect add "Well Rested" 8 hours</code></pre></li>
+                <li><pre><code>/rpg-effect remove Poisoned</code></pre></li>
+            </ul>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-wallet',
+        callback: walletCommand,
+        returns: 'wallet balances as JSON',
+        unnamedArgumentList: textArgument('add <money>, spend <money>, or set <money> (e.g., 5gp 3sp)'),
+        helpString: `
+            <div>Changes the money in your wallet. Spending breaks larger coins when needed, and fails if you can't afford it. Without arguments, returns the balances.</div>
+            <div><strong>Examples:</strong></div>
+            <ul>
+                <li><pre><code>/rpg-wallet add 25gp</code></pre></li>
+                <li><pre><code>/rpg-wallet spend 3sp 5cp</code></pre></li>
+                <li><pre><code>/rpg-wallet set 10 gold 4 silver</code></pre></li>
+            </ul>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-get',
+        callback: getCommand,
+        returns: 'the tracker value (objects as JSON)',
+        unnamedArgumentList: textArgument('dotted path: stats.*, attributes.*, level, xp.*, status.*, effects, wallet.*, skills, inventory.*, quests.*, infoBox.*, lastRoll, encounter.active'),
+        helpString: `
+            <div>Reads a tracker value. Without a path, returns the whole tracker state as JSON.</div>
+            <div><strong>Examples:</strong></div>
+            <ul>
+                <li><pre><code>/rpg-get stats.health</code></pre></li>
+                <li><pre><code>/rpg-get attributes.dex</code></pre></li>
+                <li><pre><code>/rpg-get infoBox.location.value</code></pre></li>
+                <li><pre><code>/rpg-get inventory.onPerson</code></pre></li>
+            </ul>
+        `
+    }));
+}
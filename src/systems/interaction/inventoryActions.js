@@ -6,10 +6,16 @@
 import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
 import { saveSettings, saveChatData, updateMessageSwipeData } from '../../core/persistence.js';
 import { buildInventorySummary } from '../generation/promptBuilder.js';
-import { buildUserStatsText } from '../rendering/userStats.js';
+import { buildUserStatsText, renderUserStats, setUserStatValue } from '../rendering/userStats.js';
 import { renderInventory, getLocationId } from '../rendering/inventory.js';
-import { parseItems, serializeItems } from '../../utils/itemParser.js';
+import { parseItems, serializeItems, splitItemQuantity, formatItemQuantity } from '../../utils/itemParser.js';
 import { sanitizeLocationName, sanitizeItemName } from '../../utils/security.js';
+import { toItemJSON, getItemDetails, setItemDetails, ITEM_RARITIES, getEncumbranceConfig } from '../features/itemDetails.js';
+import { getEquipmentSlots, getEquipped, formatModifiers } from '../features/equipment.js';
+import { isItemLocked, setItemLock } from '../generation/lockManager.js';
+import { queueItemUse } from '../features/consumables.js';
+import { getRecipes, getRecipeStatus, parseRecipeItems, formatRecipeItems, queueCrafting } from '../features/crafting.js';
+import { getInventoryFilters } from '../features/inventoryFilters.js';
 
 // Type imports
 /** @typedef {import('../../types/inventory.js').InventoryV2} InventoryV2 */
@@ -26,6 +32,12 @@ let currentActiveSubTab = 'onPerson';
  */
 let collapsedLocations = [];
 
+/**
+ * Item being dragged to another inventory section
+ * @type {{field: string, index: number, location: string|undefined, row: HTMLElement|null}|null}
+ */
+let draggedItem = null;
+
 /**
  * Tracks which inline forms are currently open
  * @type {Object}
@@ -56,23 +68,17 @@ function updateLastGeneratedDataInventory() {
                     // Update inventory in JSON
                     const stats = extensionSettings.userStats;
 
-                    // Convert inventory back to v3 format (arrays of {name, quantity})
-                    const convertToV3Items = (itemString) => {
-                        if (!itemString) return [];
-                        const items = itemString.split(',').map(s => s.trim()).filter(s => s);
-                        return items.map(item => {
-                            const qtyMatch = item.match(/^(\d+)x\s+(.+)$/);
-                            if (qtyMatch) {
-                                return { name: qtyMatch[2].trim(), quantity: parseInt(qtyMatch[1]) };
-                            }
-                            return { name: item, quantity: 1 };
-                        });
-                    };
+                    // Convert inventory back to v3 format (arrays of {name, quantity} with any item details)
+                    const convertToV3Items = (itemString) => parseItems(itemString).map(toItemJSON);
+                    const stored = {};
+                    for (const [location, items] of Object.entries(stats.inventory.stored || {})) {
+                        stored[location] = convertToV3Items(items);
+                    }
 
                     jsonData.inventory = {
                         onPerson: convertToV3Items(stats.inventory.onPerson),
                         clothing: convertToV3Items(stats.inventory.clothing),
-                        stored: stats.inventory.stored || {},
+                        stored: stored,
                         assets: convertToV3Items(stats.inventory.assets)
                     };
 
@@ -93,6 +99,136 @@ function updateLastGeneratedDataInventory() {
     committedTrackerData.userStats = statsText;
 }
 
+/**
+ * Reads the parsed item list for an inventory field.
+ * @param {InventoryV2} inventory - Inventory object
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {string} [location] - Location name (required for 'stored' field)
+ * @returns {string[]} Array of item strings
+ */
+function getFieldItems(inventory, field, location) {
+    const currentString = field === 'stored'
+        ? (inventory.stored[location] || 'None')
+        : (inventory[field] || 'None');
+    return parseItems(currentString);
+}
+
+/**
+ * Serializes an item list back into an inventory field.
+ * @param {InventoryV2} inventory - Inventory object
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {string[]} items - Array of item strings
+ * @param {string} [location] - Location name (required for 'stored' field)
+ */
+function setFieldItems(inventory, field, items, location) {
+    const newString = serializeItems(items);
+    if (field === 'stored') {
+        inventory.stored[location] = newString;
+    } else {
+        inventory[field] = newString;
+    }
+}
+
+/**
+ * Persists an inventory change and refreshes the inventory panel.
+ */
+function commitInventoryChange() {
+    updateLastGeneratedDataInventory();
+    saveSettings();
+    saveChatData();
+    updateMessageSwipeData();
+    renderInventory();
+}
+
+/**
+ * Adds a quantity of an item to a parsed item list, merging with an existing stack of the same name.
+ * @param {string[]} items - Array of item strings (modified in place)
+ * @param {string} itemName - Item name (without quantity prefix)
+ * @param {number} quantity - Quantity to add
+ * @returns {number} New total quantity of the item
+ */
+function stackItem(items, itemName, quantity) {
+    const existingIndex = items.findIndex(item => splitItemQuantity(item).name.toLowerCase() === itemName.toLowerCase());
+    if (existingIndex === -1) {
+        items.push(formatItemQuantity(itemName, quantity));
+        return quantity;
+    }
+
+    const existing = splitItemQuantity(items[existingIndex]);
+    const total = existing.quantity + quantity;
+    items[existingIndex] = formatItemQuantity(existing.name, total);
+    return total;
+}
+
+/**
+ * Adds a quantity of an item to the inventory, merging with an existing stack of the same name.
+ * Used by programmatic callers (slash commands, etc.) that don't go through the inline forms.
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {string} rawItemName - Item name (without quantity prefix)
+ * @param {number} [quantity=1] - Quantity to add
+ * @param {string} [location] - Location name (required for 'stored' field)
+ * @returns {number} New total quantity of the item, or 0 if the item name was invalid
+ */
+export function addItemToInventory(field, rawItemName, quantity = 1, location) {
+    const inventory = extensionSettings.userStats.inventory;
+    const itemName = sanitizeItemName(rawItemName);
+    if (!itemName || quantity < 1) {
+        return 0;
+    }
+
+    if (field === 'stored') {
+        const locationName = sanitizeLocationName(location);
+        if (!locationName) {
+            return 0;
+        }
+        location = locationName;
+        if (!inventory.stored[location]) {
+            inventory.stored[location] = 'None';
+        }
+    }
+
+    const items = getFieldItems(inventory, field, location);
+    const total = stackItem(items, itemName, quantity);
+
+    setFieldItems(inventory, field, items, location);
+    commitInventoryChange();
+    return total;
+}
+
+/**
+ * Removes a quantity of an item from the inventory by name.
+ * The whole stack is removed when quantity is omitted or exceeds what is held.
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {string} itemName - Item name (case-insensitive, without quantity prefix)
+ * @param {number} [quantity] - Quantity to remove (defaults to the whole stack)
+ * @param {string} [location] - Location name (required for 'stored' field)
+ * @returns {number|null} Remaining quantity, or null if the item was not found
+ */
+export function removeItemFromInventory(field, itemName, quantity, location) {
+    const inventory = extensionSettings.userStats.inventory;
+    if (field === 'stored' && !inventory.stored?.[location]) {
+        return null;
+    }
+
+    const items = getFieldItems(inventory, field, location);
+    const index = items.findIndex(item => splitItemQuantity(item).name.toLowerCase() === String(itemName).trim().toLowerCase());
+    if (index === -1) {
+        return null;
+    }
+
+    const existing = splitItemQuantity(items[index]);
+    const remaining = quantity === undefined ? 0 : Math.max(0, existing.quantity - quantity);
+    if (remaining > 0) {
+        items[index] = formatItemQuantity(existing.name, remaining);
+    } else {
+        items.splice(index, 1);
+    }
+
+    setFieldItems(inventory, field, items, location);
+    commitInventoryChange();
+    return remaining;
+}
+
 /**
  * Shows the inline form for adding a new item.
  * @param {string} field - Field name ('onPerson', 'stored', 'assets')
@@ -194,32 +330,13 @@ export function saveAddItem(field, location) {
     }
 
     // Get current items, add new one, serialize back
-    let currentString;
-    if (field === 'stored') {
-        currentString = inventory.stored[location] || 'None';
-    } else {
-        currentString = inventory[field] || 'None';
-    }
-
-    const items = parseItems(currentString);
+    const items = getFieldItems(inventory, field, location);
     items.push(itemName);
-    const newString = serializeItems(items);
+    setFieldItems(inventory, field, items, location);
 
-    // Save back to inventory
-    if (field === 'stored') {
-        inventory.stored[location] = newString;
-    } else {
-        inventory[field] = newString;
-    }
-
-    updateLastGeneratedDataInventory();
-    saveSettings();
-    saveChatData();
-    updateMessageSwipeData();
-
-    // Hide form and re-render
+    // Hide form, then persist and re-render
     hideAddItemForm(field, location);
-    renderInventory();
+    commitInventoryChange();
 }
 
 /**
@@ -268,7 +385,577 @@ export function removeItem(field, itemIndex, location) {
 
     // Re-render
     renderInventory();
-}/**
+}
+
+/**
+ * Shows the inline form for editing an item's weight, value, rarity, description, slot, modifiers, consumable effects and tags below its row.
+ * @param {HTMLElement} button - The details button that was clicked
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {number} itemIndex - Index of item in the field
+ * @param {string} [location] - Location name (required for 'stored' field)
+ */
+export function showItemDetailsForm(button, field, itemIndex, location) {
+    const item = getFieldItems(extensionSettings.userStats.inventory, field, location)[itemIndex];
+    if (!item) return;
+
+    const $row = $(button).closest('.rpg-item-row, .rpg-item-card');
+    const wasOpen = $row.next('.rpg-item-details-form').length > 0;
+    $('.rpg-item-details-form').remove();
+    if (wasOpen) return;
+
+    const details = getItemDetails(item) || {};
+    const unit = getEncumbranceConfig().weightUnit;
+    const rarityOptions = ['', ...ITEM_RARITIES]
+        .map(rarity => `<option value="${rarity}" ${details.rarity === rarity ? 'selected' : ''}>${rarity ? rarity.charAt(0).toUpperCase() + rarity.slice(1) : '—'}</option>`)
+        .join('');
+    const slots = getEquipmentSlots();
+    const slotOptions = [{ id: '', name: '—' }, ...slots]
+        .map(slot => `<option value="${escapeAttr(slot.id)}" ${(details.slot || '') === slot.id ? 'selected' : ''}>${escapeAttr(slot.name)}</option>`)
+        .join('');
+
+    const $form = $(`
+        <div class="rpg-inline-form rpg-item-details-form">
+            <div class="rpg-item-details-fields">
+                <label>Weight (${unit}) <input type="number" class="rpg-inline-input rpg-item-detail-weight" min="0" step="0.1" value="${details.weight ?? ''}" /></label>
+                <label>Value <input type="number" class="rpg-inline-input rpg-item-detail-value" min="0" step="1" value="${details.value ?? ''}" /></label>
+                <label>Rarity <select class="rpg-select rpg-item-detail-rarity">${rarityOptions}</select></label>
+                ${slots.length > 0 ? `<label>Slot <select class="rpg-select rpg-item-detail-slot">${slotOptions}</select></label>` : ''}
+            </div>
+            <input type="text" class="rpg-inline-input rpg-item-detail-modifiers" placeholder="Modifiers while equipped (e.g., STR +1, Health +10)" />
+            <div class="rpg-item-details-consumable">
+                <label><input type="checkbox" class="rpg-item-detail-consumable" ${details.consumable ? 'checked' : ''} /> Consumable</label>
+                <input type="text" class="rpg-inline-input rpg-item-detail-effects" placeholder="Effects when used (e.g., Health +25, Satiety +40)" />
+            </div>
+            <textarea class="rpg-inline-input rpg-item-detail-description" rows="2" maxlength="300" placeholder="Description..."></textarea>
+            <input type="text" class="rpg-inline-input rpg-item-detail-tags" placeholder="Tags (e.g., weapon, quest, food)" />
+            <div class="rpg-inline-buttons">
+                <button class="rpg-inline-btn rpg-inline-cancel" data-action="cancel-item-details">
+                    <i class="fa-solid fa-times"></i> Cancel
+                </button>
+                <button class="rpg-inline-btn rpg-inline-save" data-action="save-item-details">
+                    <i class="fa-solid fa-check"></i> Save
+                </button>
+            </div>
+        </div>
+    `);
+    $form.find('.rpg-item-detail-description').val(details.description || '');
+    $form.find('.rpg-item-detail-modifiers').val(formatModifiers(details.modifiers));
+    $form.find('.rpg-item-detail-effects').val(formatModifiers(details.effects));
+    $form.find('.rpg-item-detail-tags').val((details.tags || []).join(', '));
+
+    $form.find('[data-action="cancel-item-details"]').on('click', (e) => {
+        e.preventDefault();
+        $form.remove();
+    });
+    $form.find('[data-action="save-item-details"]').on('click', (e) => {
+        e.preventDefault();
+        saveItemDetails(item, {
+            weight: $form.find('.rpg-item-detail-weight').val(),
+            value: $form.find('.rpg-item-detail-value').val(),
+            rarity: $form.find('.rpg-item-detail-rarity').val(),
+            description: String($form.find('.rpg-item-detail-description').val()),
+            slot: $form.find('.rpg-item-detail-slot').val(),
+            modifiers: String($form.find('.rpg-item-detail-modifiers').val() || ''),
+            consumable: $form.find('.rpg-item-detail-consumable').is(':checked'),
+            effects: String($form.find('.rpg-item-detail-effects').val() || ''),
+            tags: String($form.find('.rpg-item-detail-tags').val() || '')
+        });
+    });
+
+    $row.after($form);
+    $form.find('.rpg-item-detail-weight').trigger('focus');
+}
+
+/**
+ * Saves an item's details and refreshes the inventory (and the carried weight).
+ * @param {string} item - Item string
+ * @param {Object} details - New details ({weight, value, rarity, description, slot, modifiers, consumable, effects, tags}); empty fields are cleared
+ */
+export function saveItemDetails(item, details) {
+    setItemDetails(item, details);
+    commitInventoryChange();
+    // Modifiers of equipped items feed the displayed attributes and stats
+    renderUserStats();
+}
+
+/**
+ * Equips one of an on-person item in a slot. Whatever the slot held goes back on person.
+ * @param {string} field - Field name (only 'onPerson' can be equipped from)
+ * @param {number} itemIndex - Index of item in the field
+ * @param {string} slotId - Equipment slot ID
+ * @returns {boolean} Whether the item was equipped
+ */
+export function equipItem(field, itemIndex, slotId) {
+    const inventory = extensionSettings.userStats.inventory;
+    if (field !== 'onPerson' || !getEquipmentSlots().some(slot => slot.id === slotId)) {
+        return false;
+    }
+
+    const items = getFieldItems(inventory, field);
+    const item = items[itemIndex];
+    if (!item) {
+        return false;
+    }
+
+    // Take one off the stack
+    const { name, quantity } = splitItemQuantity(item);
+    if (quantity > 1) {
+        items[itemIndex] = formatItemQuantity(name, quantity - 1);
+    } else {
+        items.splice(itemIndex, 1);
+    }
+
+    const equipped = getEquipped();
+    if (equipped[slotId]) {
+        stackItem(items, equipped[slotId], 1);
+    }
+    equipped[slotId] = name;
+
+    setFieldItems(inventory, field, items);
+    commitInventoryChange();
+    renderUserStats();
+    return true;
+}
+
+/**
+ * Unequips a slot, putting its item back on person.
+ * @param {string} slotId - Equipment slot ID
+ * @returns {boolean} Whether anything was unequipped
+ */
+export function unequipItem(slotId) {
+    const inventory = extensionSettings.userStats.inventory;
+    const equipped = getEquipped();
+    const name = equipped[slotId];
+    if (!name) {
+        return false;
+    }
+
+    delete equipped[slotId];
+    const items = getFieldItems(inventory, 'onPerson');
+    stackItem(items, name, 1);
+    setFieldItems(inventory, 'onPerson', items);
+
+    commitInventoryChange();
+    renderUserStats();
+    return true;
+}
+
+/**
+ * Equips an on-person item: straight into its slot when its details name one,
+ * otherwise through an inline slot picker below its row.
+ * @param {HTMLElement} button - The equip button that was clicked
+ * @param {string} field - Field name ('onPerson')
+ * @param {number} itemIndex - Index of item in the field
+ */
+export function showEquipForm(button, field, itemIndex) {
+    const item = getFieldItems(extensionSettings.userStats.inventory, field)[itemIndex];
+    if (!item) return;
+
+    const slots = getEquipmentSlots();
+    const preferredSlot = getItemDetails(item)?.slot;
+    if (preferredSlot && slots.some(slot => slot.id === preferredSlot)) {
+        equipItem(field, itemIndex, preferredSlot);
+        return;
+    }
+
+    const $row = $(button).closest('.rpg-item-row, .rpg-item-card');
+    const wasOpen = $row.next('.rpg-item-equip-form').length > 0;
+    $('.rpg-item-equip-form').remove();
+    if (wasOpen) return;
+
+    const equipped = getEquipped();
+    const slotOptions = slots
+        .map(slot => `<option value="${escapeAttr(slot.id)}">${escapeAttr(slot.name)}${equipped[slot.id] ? ` (${escapeAttr(equipped[slot.id])})` : ''}</option>`)
+        .join('');
+
+    const $form = $(`
+        <div class="rpg-inline-form rpg-item-equip-form">
+            <select class="rpg-select rpg-item-equip-slot">${slotOptions}</select>
+            <div class="rpg-inline-buttons">
+                <button class="rpg-inline-btn rpg-inline-cancel" data-action="cancel-equip">
+                    <i class="fa-solid fa-times"></i> Cancel
+                </button>
+                <button class="rpg-inline-btn rpg-inline-save" data-action="confirm-equip">
+                    <i class="fa-solid fa-check"></i> Equip
+                </button>
+            </div>
+        </div>
+    `);
+
+    $form.find('[data-action="cancel-equip"]').on('click', (e) => {
+        e.preventDefault();
+        $form.remove();
+    });
+    $form.find('[data-action="confirm-equip"]').on('click', (e) => {
+        e.preventDefault();
+        equipItem(field, itemIndex, String($form.find('.rpg-item-equip-slot').val()));
+    });
+
+    $row.after($form);
+}
+
+/**
+ * Gets the lock path of an inventory item (as used by the lock icons).
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {number} index - Item index
+ * @param {string} [location] - Location name (required for 'stored' field)
+ * @returns {string} Lock path (e.g., "inventory.stored.Home[2]")
+ */
+function getItemLockPath(field, index, location) {
+    return field === 'stored' ? `inventory.stored.${location}[${index}]` : `inventory.${field}[${index}]`;
+}
+
+/**
+ * Moves the locks of a list's items up by one after the item at removedIndex left it,
+ * so every lock stays on the item it was set for.
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {string|undefined} location - Location name (required for 'stored' field)
+ * @param {number} removedIndex - Index of the removed item
+ * @param {number} previousLength - Length of the list before the removal
+ */
+function shiftItemLocks(field, location, removedIndex, previousLength) {
+    for (let index = removedIndex; index < previousLength - 1; index++) {
+        const nextLocked = isItemLocked('userStats', getItemLockPath(field, index + 1, location));
+        setItemLock('userStats', getItemLockPath(field, index, location), nextLocked);
+    }
+    setItemLock('userStats', getItemLockPath(field, previousLength - 1, location), false);
+}
+
+/**
+ * Lists the places an item can be moved to: on person, clothing, every stored location and assets.
+ * @returns {Array<{field: string, location?: string, label: string}>} Destinations
+ */
+function getMoveDestinations() {
+    const stored = extensionSettings.userStats.inventory.stored || {};
+    return [
+        { field: 'onPerson', label: 'On Person' },
+        { field: 'clothing', label: 'Clothing' },
+        ...Object.keys(stored).map(location => ({ field: 'stored', location, label: `Stored: ${location}` })),
+        { field: 'assets', label: 'Assets' }
+    ];
+}
+
+/**
+ * Moves an item (or part of its stack) to another inventory section, merging it with a stack of the same name there.
+ * A lock on the item moves with it; when only part of a stack moves, both stacks keep the lock.
+ * @param {string} fromField - Field the item is in ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {number} fromIndex - Index of the item in that field
+ * @param {string|undefined} fromLocation - Location name (required when fromField is 'stored')
+ * @param {string} toField - Field to move to ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {string} [toLocation] - Location name (required when toField is 'stored')
+ * @param {number} [quantity] - How many to move (defaults to the whole stack)
+ * @returns {boolean} Whether the item was moved
+ */
+export function moveItem(fromField, fromIndex, fromLocation, toField, toLocation, quantity) {
+    const inventory = extensionSettings.userStats.inventory;
+    fromLocation = fromField === 'stored' ? String(fromLocation) : undefined;
+    toLocation = toField === 'stored' ? String(toLocation) : undefined;
+
+    if (fromField === toField && fromLocation === toLocation) {
+        return false;
+    }
+    if (!['onPerson', 'clothing', 'stored', 'assets'].includes(toField)) {
+        return false;
+    }
+    if (toField === 'stored' && !Object.prototype.hasOwnProperty.call(inventory.stored || {}, toLocation)) {
+        return false;
+    }
+
+    const sourceItems = getFieldItems(inventory, fromField, fromLocation);
+    const item = sourceItems[fromIndex];
+    if (!item) {
+        return false;
+    }
+
+    const { name, quantity: held } = splitItemQuantity(item);
+    const moving = Math.min(held, Math.max(1, Math.floor(quantity ?? held) || held));
+    const wasLocked = isItemLocked('userStats', getItemLockPath(fromField, fromIndex, fromLocation));
+    const sourceLength = sourceItems.length;
+
+    // Split the stack, or take all of it
+    if (moving < held) {
+        sourceItems[fromIndex] = formatItemQuantity(name, held - moving);
+    } else {
+        sourceItems.splice(fromIndex, 1);
+    }
+    setFieldItems(inventory, fromField, sourceItems, fromLocation);
+
+    const targetItems = getFieldItems(inventory, toField, toLocation);
+    stackItem(targetItems, name, moving);
+    setFieldItems(inventory, toField, targetItems, toLocation);
+
+    if (moving === held) {
+        shiftItemLocks(fromField, fromLocation, fromIndex, sourceLength);
+    }
+    if (wasLocked) {
+        const targetIndex = targetItems.findIndex(target => splitItemQuantity(target).name.toLowerCase() === name.toLowerCase());
+        setItemLock('userStats', getItemLockPath(toField, targetIndex, toLocation), true);
+    }
+
+    commitInventoryChange();
+    return true;
+}
+
+/**
+ * Shows the inline "Move to…" form below an item, with a destination and (for stacks) how many to move.
+ * @param {HTMLElement} button - The move button (or dragged row) the form belongs to
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {number} itemIndex - Index of item in the field
+ * @param {string} [location] - Location name (required for 'stored' field)
+ * @param {{field: string, location?: string}} [preselected] - Destination to select initially
+ */
+export function showMoveItemForm(button, field, itemIndex, location, preselected) {
+    const item = getFieldItems(extensionSettings.userStats.inventory, field, location)[itemIndex];
+    if (!item) return;
+
+    const $row = $(button).closest('.rpg-item-row, .rpg-item-card');
+    const wasOpen = $row.next('.rpg-item-move-form').length > 0;
+    $('.rpg-item-move-form').remove();
+    if (wasOpen && !preselected) return;
+
+    const currentLocation = field === 'stored' ? String(location) : undefined;
+    const destinations = getMoveDestinations().filter(dest => !(dest.field === field && dest.location === currentLocation));
+    if (destinations.length === 0) return;
+
+    const { quantity } = splitItemQuantity(item);
+    const options = destinations.map((dest, index) => {
+        const selected = preselected && dest.field === preselected.field && (dest.location === undefined || dest.location === preselected.location);
+        return `<option value="${index}" ${selected ? 'selected' : ''}>${escapeAttr(dest.label)}</option>`;
+    }).join('');
+
+    const $form = $(`
+        <div class="rpg-inline-form rpg-item-move-form">
+            <div class="rpg-item-move-fields">
+                <select class="rpg-select rpg-item-move-destination">${options}</select>
+                ${quantity > 1 ? `<input type="number" class="rpg-inline-input rpg-item-move-quantity" min="1" max="${quantity}" step="1" value="${quantity}" title="How many to move" />` : ''}
+            </div>
+            <div class="rpg-inline-buttons">
+                <button class="rpg-inline-btn rpg-inline-cancel" data-action="cancel-move">
+                    <i class="fa-solid fa-times"></i> Cancel
+                </button>
+                <button class="rpg-inline-btn rpg-inline-save" data-action="confirm-move">
+                    <i class="fa-solid fa-check"></i> Move
+                </button>
+            </div>
+        </div>
+    `);
+
+    $form.find('[data-action="cancel-move"]').on('click', (e) => {
+        e.preventDefault();
+        $form.remove();
+    });
+    $form.find('[data-action="confirm-move"]').on('click', (e) => {
+        e.preventDefault();
+        const dest = destinations[parseInt(String($form.find('.rpg-item-move-destination').val()))];
+        const amount = parseInt(String($form.find('.rpg-item-move-quantity').val() ?? quantity)) || quantity;
+        if (dest) {
+            moveItem(field, itemIndex, location, dest.field, dest.location, amount);
+        }
+    });
+
+    $row.after($form);
+    $form.find('.rpg-item-move-quantity').trigger('focus');
+}
+
+/**
+ * Uses one of a consumable item: takes it off the stack, applies its effects to the custom stats
+ * and queues a note so the next response narrates the use.
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {number} itemIndex - Index of item in the field
+ * @param {string} [location] - Location name (required for 'stored' field)
+ * @returns {string|null} Stat changes made (e.g., "Health 60 → 85"), or null if the item isn't consumable or is locked
+ */
+export function useItem(field, itemIndex, location) {
+    const inventory = extensionSettings.userStats.inventory;
+    const items = getFieldItems(inventory, field, location);
+    const item = items[itemIndex];
+    const details = item ? getItemDetails(item) : null;
+    if (!details?.consumable) {
+        return null;
+    }
+
+    const { name, quantity } = splitItemQuantity(item);
+    if (isItemLocked('userStats', getItemLockPath(field, itemIndex, location))) {
+        toastr.warning(`${name} is locked and can't be used.`, 'RPG Companion');
+        return null;
+    }
+    const length = items.length;
+    if (quantity > 1) {
+        items[itemIndex] = formatItemQuantity(name, quantity - 1);
+    } else {
+        items.splice(itemIndex, 1);
+    }
+    setFieldItems(inventory, field, items, location);
+
+    // Stats first: setUserStatValue rewrites the tracker data, and the inventory commit below has the final say on items
+    const customStats = extensionSettings.trackerConfig?.userStats?.customStats || [];
+    const changes = Object.entries(details.effects || {})
+        .map(([statId, amount]) => {
+            const stat = customStats.find(s => s && s.id === statId);
+            if (!stat) return '';
+            const before = extensionSettings.userStats[statId] !== undefined ? extensionSettings.userStats[statId] : 100;
+            const after = setUserStatValue(statId, before + amount);
+            return `${stat.name || statId} ${before} → ${after}`;
+        })
+        .filter(Boolean)
+        .join(', ');
+
+    if (quantity <= 1) {
+        shiftItemLocks(field, field === 'stored' ? String(location) : undefined, itemIndex, length);
+    }
+    commitInventoryChange();
+    queueItemUse(name, changes);
+
+    toastr.success(changes ? `${name}: ${changes}` : name, 'Item Used');
+    return changes;
+}
+
+/**
+ * Crafts a recipe: uses up its ingredients from the carried items, adds its products there
+ * and queues a note so the next response narrates it.
+ * @param {string} recipeId - Recipe ID
+ * @returns {boolean} Whether the recipe was crafted
+ */
+export function craftRecipe(recipeId) {
+    const recipe = getRecipes().find(r => r.id === recipeId);
+    if (!recipe) {
+        return false;
+    }
+
+    const status = getRecipeStatus(recipe);
+    if (!status.canCraft) {
+        const missing = status.ingredients
+            .filter(ingredient => ingredient.have < ingredient.need)
+            .map(ingredient => formatItemQuantity(ingredient.name, ingredient.need - ingredient.have)
+                + (ingredient.locked > 0 ? ` (${ingredient.locked} locked)` : ''));
+        const reasons = [
+            ...(status.skillMet ? [] : [`requires the ${recipe.skill} skill`]),
+            ...(missing.length > 0 ? [`missing ${missing.join(', ')}`] : [])
+        ];
+        toastr.warning(`Can't craft ${recipe.name}: ${reasons.join('; ')}.`, 'Crafting');
+        return false;
+    }
+
+    const inventory = extensionSettings.userStats.inventory;
+    const items = getFieldItems(inventory, 'onPerson');
+
+    // Use up ingredients, possibly across several stacks of the same name (never locked ones)
+    parseRecipeItems(recipe.inputs).forEach(input => {
+        let remaining = input.quantity;
+        for (let index = items.length - 1; index >= 0 && remaining > 0; index--) {
+            const { name, quantity } = splitItemQuantity(items[index]);
+            if (name.toLowerCase() !== input.name.toLowerCase()) continue;
+            if (isItemLocked('userStats', getItemLockPath('onPerson', index))) continue;
+
+            const taken = Math.min(quantity, remaining);
+            remaining -= taken;
+            if (taken < quantity) {
+                items[index] = formatItemQuantity(name, quantity - taken);
+            } else {
+                shiftItemLocks('onPerson', undefined, index, items.length);
+                items.splice(index, 1);
+            }
+        }
+    });
+
+    const products = parseRecipeItems(recipe.outputs);
+    products.forEach(output => stackItem(items, output.name, output.quantity));
+
+    setFieldItems(inventory, 'onPerson', items);
+    commitInventoryChange();
+    queueCrafting(recipe);
+
+    toastr.success(`Crafted ${formatRecipeItems(products)}${recipe.time ? ` (${recipe.time})` : ''}`, 'Crafting');
+    return true;
+}
+
+/**
+ * Swaps carried items in one change, for trades: the sold quantities leave the On Person list
+ * and the bought items join it. Nothing changes unless every sold item is still there, unlocked and in stock.
+ * @param {Array<{index: number, quantity: number}>} sold - On Person items to give up (by index)
+ * @param {Array<{name: string, quantity: number}>} bought - Items to receive
+ * @returns {boolean} Whether the items were exchanged
+ */
+export function tradeItems(sold, bought) {
+    const inventory = extensionSettings.userStats.inventory;
+    const items = getFieldItems(inventory, 'onPerson');
+
+    const valid = sold.every(entry => {
+        const item = items[entry.index];
+        return item
+            && entry.quantity >= 1
+            && splitItemQuantity(item).quantity >= entry.quantity
+            && !isItemLocked('userStats', getItemLockPath('onPerson', entry.index));
+    });
+    if (!valid) {
+        return false;
+    }
+
+    // Highest index first, so removing a stack doesn't move the ones still to be sold
+    [...sold].sort((a, b) => b.index - a.index).forEach(entry => {
+        const { name, quantity } = splitItemQuantity(items[entry.index]);
+        if (quantity > entry.quantity) {
+            items[entry.index] = formatItemQuantity(name, quantity - entry.quantity);
+        } else {
+            shiftItemLocks('onPerson', undefined, entry.index, items.length);
+            items.splice(entry.index, 1);
+        }
+    });
+
+    bought.forEach(entry => {
+        const name = sanitizeItemName(entry.name);
+        if (name && entry.quantity >= 1) {
+            stackItem(items, name, entry.quantity);
+        }
+    });
+
+    setFieldItems(inventory, 'onPerson', items);
+    commitInventoryChange();
+    return true;
+}
+
+/**
+ * Handles an item dropped on a sub-tab, section or storage location.
+ * Holding Shift opens the "Move to…" form to move part of a stack instead.
+ * @param {{field: string, location?: string}} target - Where the item was dropped
+ * @param {boolean} askQuantity - Whether to ask how many to move
+ */
+function dropDraggedItem(target, askQuantity) {
+    const source = draggedItem;
+    draggedItem = null;
+    if (!source) return;
+
+    // The Stored tab only tells us the section; pick the location when there is more than one
+    if (target.field === 'stored' && target.location === undefined) {
+        const locations = Object.keys(extensionSettings.userStats.inventory.stored || {});
+        if (locations.length === 0) {
+            toastr.info('Add a storage location first.', 'RPG Companion');
+            return;
+        }
+        if (locations.length > 1 || askQuantity) {
+            showMoveItemForm(source.row, source.field, source.index, source.location, { field: 'stored', location: locations[0] });
+            return;
+        }
+        target = { field: 'stored', location: locations[0] };
+    }
+
+    if (askQuantity) {
+        showMoveItemForm(source.row, source.field, source.index, source.location, target);
+        return;
+    }
+    moveItem(source.field, source.index, source.location, target.field, target.location);
+}
+
+/**
+ * Escapes text for use in HTML attributes and option labels.
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeAttr(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
  * Shows the inline form for adding a new storage location.
  */
 export function showAddLocationForm() {
@@ -453,6 +1140,23 @@ export function switchViewMode(field, mode) {
     renderInventory();
 }
 
+/**
+ * Changes the search, tag filter or sort order shared by all inventory sub-tabs.
+ * @param {Object} changes - Filter fields to change ({query, tag, sortBy, reverse})
+ */
+export function setInventoryFilters(changes) {
+    extensionSettings.inventoryFilters = { ...getInventoryFilters(), ...changes };
+    saveSettings();
+    renderInventory();
+}
+
+/**
+ * Clears the search and tag filter, keeping the sort order.
+ */
+export function clearInventoryFilters() {
+    setInventoryFilters({ query: '', tag: '' });
+}
+
 /**
  * Initializes all event listeners for inventory interactions.
  * Uses event delegation to handle dynamically created elements.
@@ -509,6 +1213,107 @@ export function initInventoryEventListeners() {
         removeItem(field, itemIndex, location);
     });
 
+    // Item details button - shows inline details form
+    $(document).on('click', '.rpg-item-details-btn[data-action="edit-item-details"]', function(e) {
+        e.preventDefault();
+        const field = $(this).data('field');
+        const itemIndex = parseInt($(this).data('index'));
+        const location = $(this).data('location');
+        showItemDetailsForm(this, field, itemIndex, location);
+    });
+
+    // Equip button - equips into the item's slot or shows the slot picker
+    $(document).on('click', '.rpg-item-equip-btn[data-action="equip-item"]', function(e) {
+        e.preventDefault();
+        const field = $(this).data('field');
+        const itemIndex = parseInt($(this).data('index'));
+        showEquipForm(this, field, itemIndex);
+    });
+
+    // Unequip button on an equipment slot
+    $(document).on('click', '.rpg-equipment-unequip[data-action="unequip-item"]', function(e) {
+        e.preventDefault();
+        unequipItem(String($(this).data('slot')));
+    });
+
+    // Craft button in the Craft view
+    $(document).on('click', '.rpg-craft-btn[data-action="craft-recipe"]', function(e) {
+        e.preventDefault();
+        craftRecipe(String($(this).data('recipe')));
+    });
+
+    // Use button on consumables
+    $(document).on('click', '.rpg-item-use-btn[data-action="use-item"]', function(e) {
+        e.preventDefault();
+        const field = $(this).data('field');
+        const itemIndex = parseInt($(this).data('index'));
+        const location = $(this).data('location');
+        useItem(field, itemIndex, location);
+    });
+
+    // Move button - shows the "Move to…" form (the way to move items on touch screens)
+    $(document).on('click', '.rpg-item-move-btn[data-action="move-item"]', function(e) {
+        e.preventDefault();
+        const field = $(this).data('field');
+        const itemIndex = parseInt($(this).data('index'));
+        const location = $(this).data('location');
+        showMoveItemForm(this, field, itemIndex, location);
+    });
+
+    // Drag an item by its handle onto a sub-tab, another section or a storage location
+    $(document).on('dragstart', '.rpg-item-drag-handle', function(e) {
+        const $row = $(this).closest('.rpg-item-row, .rpg-item-card');
+        draggedItem = {
+            field: $(this).data('field'),
+            index: parseInt($(this).data('index')),
+            location: $(this).data('location'),
+            row: $row[0] || null
+        };
+        const dataTransfer = e.originalEvent?.dataTransfer;
+        if (dataTransfer) {
+            dataTransfer.effectAllowed = 'move';
+            dataTransfer.setData('text/plain', $row.find('.rpg-item-name').first().text());
+            if ($row[0]) dataTransfer.setDragImage($row[0], 10, 10);
+        }
+        $row.addClass('rpg-item-dragging');
+    });
+
+    $(document).on('dragend', '.rpg-item-drag-handle', function() {
+        draggedItem = null;
+        $('.rpg-item-dragging').removeClass('rpg-item-dragging');
+        $('.rpg-drop-target').removeClass('rpg-drop-target');
+    });
+
+    const dropTargets = '.rpg-inventory-subtab[data-tab]:not([data-tab="craft"]), .rpg-inventory-section[data-section]:not([data-section="stored"]):not([data-section="craft"]), .rpg-storage-location[data-location]';
+    const getDropTarget = ($target) => {
+        if ($target.hasClass('rpg-storage-location')) {
+            return { field: 'stored', location: String($target.data('location')) };
+        }
+        return { field: $target.data('tab') || $target.data('section') };
+    };
+
+    $(document).on('dragover', dropTargets, function(e) {
+        if (!draggedItem) return;
+        e.preventDefault();
+        e.stopPropagation();
+        $('.rpg-drop-target').not(this).removeClass('rpg-drop-target');
+        $(this).addClass('rpg-drop-target');
+    });
+
+    $(document).on('dragleave', dropTargets, function(e) {
+        if (!this.contains(e.originalEvent?.relatedTarget)) {
+            $(this).removeClass('rpg-drop-target');
+        }
+    });
+
+    $(document).on('drop', dropTargets, function(e) {
+        if (!draggedItem) return;
+        e.preventDefault();
+        e.stopPropagation();
+        $(this).removeClass('rpg-drop-target');
+        dropDraggedItem(getDropTarget($(this)), !!e.originalEvent?.shiftKey);
+    });
+
     // Add location button - shows inline form
     $(document).on('click', '.rpg-inventory-add-btn[data-action="add-location"]', function(e) {
         e.preventDefault();
@@ -578,6 +1383,45 @@ export function initInventoryEventListeners() {
         switchViewMode(field, view);
     });
 
+    // Search, tag filter and sort order
+    let searchTimer = null;
+    $(document).on('input', '.rpg-inventory-search', function() {
+        const query = String($(this).val());
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            setInventoryFilters({ query });
+            // Re-rendering replaced the search box; keep typing where the user was
+            const input = $('.rpg-inventory-search').get(0);
+            if (input) {
+                input.focus();
+                input.setSelectionRange(query.length, query.length);
+            }
+        }, 250);
+    });
+
+    $(document).on('change', '.rpg-inventory-tag-filter', function() {
+        setInventoryFilters({ tag: String($(this).val()) });
+    });
+
+    $(document).on('click', '.rpg-item-tag[data-action="filter-tag"]', function(e) {
+        e.preventDefault();
+        setInventoryFilters({ tag: String($(this).data('tag')) });
+    });
+
+    $(document).on('change', '.rpg-inventory-sort', function() {
+        setInventoryFilters({ sortBy: String($(this).val()) });
+    });
+
+    $(document).on('click', '.rpg-inventory-sort-direction', function(e) {
+        e.preventDefault();
+        setInventoryFilters({ reverse: !getInventoryFilters().reverse });
+    });
+
+    $(document).on('click', '.rpg-inventory-filter-clear', function(e) {
+        e.preventDefault();
+        clearInventoryFilters();
+    });
+
     // console.log('[RPG Companion] Inventory event listeners initialized');
 }
 
@@ -9,6 +9,7 @@ import { buildInventorySummary } from '../generation/promptBuilder.js';
 import { renderInventory } from '../rendering/inventory.js';
 import { parseItems, serializeItems } from '../../utils/itemParser.js';
 import { sanitizeItemName } from '../../utils/security.js';
+import { toItemJSON, renameItemDetails } from '../features/itemDetails.js';
 
 /**
  * Updates an existing inventory item's name.
@@ -52,7 +53,8 @@ export function updateInventoryItem(field, index, newName, location) {
         return;
     }
 
-    // Update the item at this index
+    // Update the item at this index (its details follow the new name)
+    renameItemDetails(items[index], sanitizedName);
     items[index] = sanitizedName;
 
     // Serialize back to string
@@ -97,23 +99,17 @@ function updateLastGeneratedDataInventory() {
                     // Update inventory in JSON
                     const stats = extensionSettings.userStats;
 
-                    // Convert inventory back to v3 format (arrays of {name, quantity})
-                    const convertToV3Items = (itemString) => {
-                        if (!itemString) return [];
-                        const items = itemString.split(',').map(s => s.trim()).filter(s => s);
-                        return items.map(item => {
-                            const qtyMatch = item.match(/^(\d+)x\s+(.+)$/);
-                            if (qtyMatch) {
-                                return { name: qtyMatch[2].trim(), quantity: parseInt(qtyMatch[1]) };
-                            }
-                            return { name: item, quantity: 1 };
-                        });
-                    };
+                    // Convert inventory back to v3 format (arrays of {name, quantity} with any item details)
+                    const convertToV3Items = (itemString) => parseItems(itemString).map(toItemJSON);
+                    const stored = {};
+                    for (const [location, items] of Object.entries(stats.inventory.stored || {})) {
+                        stored[location] = convertToV3Items(items);
+                    }
 
                     jsonData.inventory = {
                         onPerson: convertToV3Items(stats.inventory.onPerson),
                         clothing: convertToV3Items(stats.inventory.clothing),
-                        stored: stats.inventory.stored || {},
+                        stored: stored,
                         assets: convertToV3Items(stats.inventory.assets)
                     };
 
@@ -15,6 +15,14 @@ import { i18n } from '../../core/i18n.js';
 import { isItemLocked } from '../generation/lockManager.js';
 import { repairJSON } from '../../utils/jsonRepair.js';
 import { updateFabWidgets } from '../ui/mobile.js';
+import { getCalendarConfig, getClock, formatGameDate, formatGameTime, advanceClock, restUntilMorning, syncClockToInfoBox } from '../features/calendar.js';
+import { getLocationHistoryConfig, recordLocationChange } from '../features/locationHistory.js';
+import { openLocationBrowser } from '../ui/locationBrowser.js';
+
+/**
+ * Info Box fields that set the game clock when edited
+ */
+const CLOCK_FIELDS = ['weekday', 'month', 'year', 'timeStart', 'timeEnd'];
 
 /**
  * Helper to generate lock icon HTML if setting is enabled
@@ -453,6 +461,14 @@ export function renderInfoBox() {
 
         const timeLockIconHtml = getLockIconHtml('infoBox', 'time');
 
+        // Time skip buttons once the game clock is running
+        const clockMinutes = getCalendarConfig().enabled ? getClock().minutes : null;
+        const clockControlsHtml = clockMinutes === null ? '' : `
+                <div class="rpg-clock-controls" title="Game clock: ${formatGameDate(clockMinutes)}, ${formatGameTime(clockMinutes)}">
+                    <button class="rpg-clock-action" data-action="advance-hour" title="Advance 1 hour"><i class="fa-solid fa-forward"></i> 1h</button>
+                    <button class="rpg-clock-action" data-action="rest-until-morning" title="Rest until morning"><i class="fa-solid fa-bed"></i></button>
+                </div>`;
+
         row1Widgets.push(`
             <div class="rpg-dashboard-widget rpg-clock-widget">
                 ${timeLockIconHtml}
@@ -467,7 +483,7 @@ export function renderInfoBox() {
                     <div class="rpg-time-value rpg-editable" contenteditable="true" data-field="timeStart" title="Click to edit start time">${timeStartDisplay}</div>
                     <span class="rpg-time-separator">→</span>
                     <div class="rpg-time-value rpg-editable" contenteditable="true" data-field="timeEnd" title="Click to edit end time">${timeEndDisplay}</div>
-                </div>
+                </div>${clockControlsHtml}
             </div>
         `);
     }
@@ -483,6 +499,9 @@ export function renderInfoBox() {
     if (config?.widgets?.location?.enabled) {
         const locationDisplay = data.location || 'Location';
         const locationLockIconHtml = getLockIconHtml('infoBox', 'location');
+        const travelMapButtonHtml = getLocationHistoryConfig().enabled
+            ? '<button class="rpg-location-history-btn" title="Travel map"><i class="fa-solid fa-map-location-dot"></i></button>'
+            : '';
 
         html += `
             <div class="rpg-dashboard rpg-dashboard-row-2">
@@ -492,6 +511,7 @@ export function renderInfoBox() {
                         <div class="rpg-map-marker">📍</div>
                     </div>
                     <div class="rpg-location-text rpg-editable" contenteditable="true" data-field="location" title="Click to edit">${locationDisplay}</div>
+                    ${travelMapButtonHtml}
                 </div>
             </div>
         `;
@@ -636,6 +656,25 @@ export function renderInfoBox() {
         }
     });
 
+    // Open the chat's travel map from the location widget
+    $infoBoxContainer.find('.rpg-location-history-btn').on('click', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        openLocationBrowser();
+    });
+
+    // Skip game time from the clock widget
+    $infoBoxContainer.find('.rpg-clock-action').on('click', function(e) {
+        e.preventDefault();
+        const result = $(this).data('action') === 'rest-until-morning' ? restUntilMorning() : advanceClock(60, 'waited an hour');
+        if (!result.success) {
+            toastr.warning(result.error, 'Game Clock');
+            return;
+        }
+        renderInfoBox();
+        updateFabWidgets();
+    });
+
     // Add event handler for lock icons (support both click and touch)
     $infoBoxContainer.find('.rpg-section-lock-icon').on('click touchend', function(e) {
         e.preventDefault();
@@ -734,6 +773,8 @@ export function updateInfoBoxField(field, value) {
             // Save back as JSON
             lastGeneratedData.infoBox = JSON.stringify(jsonData, null, 2);
             committedTrackerData.infoBox = lastGeneratedData.infoBox;
+            if (CLOCK_FIELDS.includes(field)) syncClockToInfoBox(lastGeneratedData.infoBox);
+            if (field === 'location') recordLocationChange(value);
             saveChatData();
             renderInfoBox();
             // console.log('[RPG Companion] Updated info box field (v3 JSON):', { field, value });
@@ -979,6 +1020,8 @@ export function updateInfoBoxField(field, value) {
     // Update BOTH lastGeneratedData AND committedTrackerData
     // This makes manual edits immediately visible to AI
     committedTrackerData.infoBox = updatedLines.join('\n');
+    if (CLOCK_FIELDS.includes(field)) syncClockToInfoBox(lastGeneratedData.infoBox);
+    if (field === 'location') recordLocationChange(value);
 
     // Update the message's swipe data
     const chat = getContext().chat;
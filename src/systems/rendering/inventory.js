@@ -9,6 +9,20 @@ import { getInventoryRenderOptions, restoreFormStates } from '../interaction/inv
 import { updateInventoryItem } from '../interaction/inventoryEdit.js';
 import { parseItems } from '../../utils/itemParser.js';
 import { isItemLocked, setItemLock } from '../generation/lockManager.js';
+import { getItemDetails, formatItemDetails, getEncumbrance } from '../features/itemDetails.js';
+import { getEquipmentConfig, getEquipmentSlots, getDisplayedSlots, getEquipped, formatModifiers } from '../features/equipment.js';
+import { getCraftingConfig, getRecipes, getRecipeStatus, parseRecipeItems, formatRecipeItems } from '../features/crafting.js';
+import { getWalletConfig, getDenominations, getBalances, getWalletTotal, setWalletBalances, consolidateWallet } from '../features/wallet.js';
+import { getLatestInventoryChange, getInventoryLog, formatInventoryChanges } from '../features/inventoryLog.js';
+import { openInventoryLogBrowser, jumpToMessage } from '../ui/inventoryLogBrowser.js';
+import {
+    INVENTORY_SORTS,
+    getInventoryFilters,
+    isFilteringInventory,
+    getInventoryTags,
+    arrangeInventoryItems,
+    countFilteredItems
+} from '../features/inventoryFilters.js';
 
 // Type imports
 /** @typedef {import('../../types/inventory.js').InventoryV2} InventoryV2 */
@@ -30,6 +44,235 @@ function getLockIconHtml(tracker, path) {
     return `<span class="rpg-section-lock-icon${lockedClass}" data-tracker="${tracker}" data-path="${path}" title="${lockTitle}">${lockIcon}</span>`;
 }
 
+/**
+ * Gets the rarity class for an item row or card
+ * @param {string} item - Item string
+ * @returns {string} Class (with a leading space) or empty string
+ */
+function getRarityClass(item) {
+    const rarity = getItemDetails(item)?.rarity;
+    return rarity ? ` rpg-item-rarity-${rarity}` : '';
+}
+
+/**
+ * Renders an item's details (weight, value, rarity, description), its tags and the button that edits them
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {number} index - Item index
+ * @param {string} item - Item string
+ * @param {string} [location] - Location name (stored items)
+ * @returns {string} HTML for the details line and button
+ */
+function getItemDetailsHtml(field, index, item, location) {
+    const details = getItemDetails(item);
+    const summary = formatItemDetails(details);
+    const locationAttr = location !== undefined ? ` data-location="${escapeHtml(location)}"` : '';
+    return `
+        ${summary || details?.description ? `<span class="rpg-item-details" title="${escapeHtml(details?.description || '')}">${escapeHtml(summary)}${details?.description ? ' <i class="fa-solid fa-feather"></i>' : ''}</span>` : ''}
+        ${details?.tags ? `<span class="rpg-item-tags">${details.tags.map(tag => `<button class="rpg-item-tag" data-action="filter-tag" data-tag="${escapeHtml(tag)}" title="Show only items tagged ${escapeHtml(tag)}">${escapeHtml(tag)}</button>`).join('')}</span>` : ''}
+        <button class="rpg-item-details-btn" data-action="edit-item-details" data-field="${field}"${locationAttr} data-index="${index}" title="Item details">
+            <i class="fa-solid fa-circle-info"></i>
+        </button>
+    `;
+}
+
+/**
+ * Renders the "Use" button of a consumable item
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {number} index - Item index
+ * @param {string} item - Item string
+ * @param {string} [location] - Location name (stored items)
+ * @returns {string} HTML for the button, or empty string when the item isn't consumable
+ */
+function getItemUseButtonHtml(field, index, item, location) {
+    if (!getItemDetails(item)?.consumable) return '';
+    const locationAttr = location !== undefined ? ` data-location="${escapeHtml(location)}"` : '';
+    return `
+        <button class="rpg-item-use-btn" data-action="use-item" data-field="${field}"${locationAttr} data-index="${index}" title="Use (consumes one)">
+            <i class="fa-solid fa-flask"></i> Use
+        </button>
+    `;
+}
+
+/**
+ * Renders the "Move to…" button and the drag handle that move an item to another section
+ * @param {string} field - Field name ('onPerson', 'clothing', 'stored', 'assets')
+ * @param {number} index - Item index
+ * @param {string} [location] - Location name (stored items)
+ * @returns {string} HTML for the move button and drag handle
+ */
+function getItemTransferHtml(field, index, location) {
+    const attrs = `data-field="${field}"${location !== undefined ? ` data-location="${escapeHtml(location)}"` : ''} data-index="${index}"`;
+    return `
+        <button class="rpg-item-move-btn" data-action="move-item" ${attrs} title="Move to…">
+            <i class="fa-solid fa-right-left"></i>
+        </button>
+        <span class="rpg-item-drag-handle" draggable="true" ${attrs} title="Drag to another tab or storage location (hold Shift when dropping to move only some)">
+            <i class="fa-solid fa-grip-vertical"></i>
+        </span>
+    `;
+}
+
+/**
+ * Renders the button that equips an on-person item
+ * @param {number} index - Item index in onPerson
+ * @returns {string} HTML for the button, or empty string when equipment is disabled
+ */
+function getEquipButtonHtml(index) {
+    if (!getEquipmentConfig().enabled || getEquipmentSlots().length === 0) return '';
+    return `
+        <button class="rpg-item-equip-btn" data-action="equip-item" data-field="onPerson" data-index="${index}" title="Equip">
+            <i class="fa-solid fa-shirt"></i>
+        </button>
+    `;
+}
+
+/**
+ * Renders the equipment slots with what is equipped in each
+ * @returns {string} HTML for the equipment panel, or empty string when disabled
+ */
+function renderEquipmentPanel() {
+    const equipped = getEquipped();
+    const slots = getDisplayedSlots(equipped);
+    if (!getEquipmentConfig().enabled || slots.length === 0) return '';
+
+    const slotsHtml = slots.map(slot => {
+        const item = equipped[slot.id];
+        const modifiers = item ? formatModifiers(getItemDetails(item)?.modifiers) : '';
+        return `
+            <div class="rpg-equipment-slot${item ? ' rpg-equipment-slot-filled' : ''}${item ? getRarityClass(item) : ''}">
+                <span class="rpg-equipment-slot-name">${escapeHtml(slot.name)}</span>
+                <span class="rpg-equipment-slot-item">${item ? escapeHtml(item) : 'Empty'}</span>
+                ${modifiers ? `<span class="rpg-equipment-slot-modifiers">${escapeHtml(modifiers)}</span>` : ''}
+                ${item ? `
+                    <button class="rpg-equipment-unequip" data-action="unequip-item" data-slot="${escapeHtml(slot.id)}" title="Unequip (back to carried items)">
+                        <i class="fa-solid fa-times"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="rpg-equipment">
+            <div class="rpg-equipment-header"><i class="fa-solid fa-shield-halved"></i> Equipment</div>
+            <div class="rpg-equipment-slots">${slotsHtml}</div>
+        </div>
+    `;
+}
+
+/**
+ * Renders the carried weight against the STR-based capacity
+ * @returns {string} HTML for the encumbrance bar, or empty string when disabled
+ */
+function renderEncumbranceBar() {
+    const encumbrance = getEncumbrance();
+    if (!encumbrance) return '';
+
+    const percent = encumbrance.capacity > 0 ? Math.min(100, Math.round(encumbrance.carried / encumbrance.capacity * 100)) : 100;
+    return `
+        <div class="rpg-encumbrance ${encumbrance.encumbered ? 'rpg-encumbered' : ''}" title="Capacity comes from STR. Stored items and assets don't count.">
+            <div class="rpg-encumbrance-label">
+                <span><i class="fa-solid fa-weight-hanging"></i> ${encumbrance.carried} / ${encumbrance.capacity} ${escapeHtml(encumbrance.unit)}</span>
+                ${encumbrance.encumbered ? '<span class="rpg-encumbrance-state">Encumbered</span>' : ''}
+            </div>
+            <div class="rpg-encumbrance-bar"><div class="rpg-encumbrance-fill" style="width: ${percent}%;"></div></div>
+        </div>
+    `;
+}
+
+/**
+ * Renders the wallet with an editable count per denomination
+ * @returns {string} HTML for the wallet, or empty string when disabled
+ */
+function renderWalletBar() {
+    const config = getWalletConfig();
+    if (!config.enabled) return '';
+
+    const denominations = getDenominations();
+    const balances = getBalances();
+    const smallest = denominations[denominations.length - 1];
+    const coinsHtml = denominations.map(denomination => `
+        <label class="rpg-wallet-coin" title="${escapeHtml(denomination.name)}">
+            <input type="number" class="rpg-wallet-input" data-denomination="${escapeHtml(denomination.id)}" min="0" step="1" value="${balances[denomination.id]}">
+            <span>${escapeHtml(denomination.id)}</span>
+        </label>
+    `).join('');
+
+    return `
+        <div class="rpg-wallet">
+            <div class="rpg-wallet-header">
+                <span><i class="fa-solid fa-coins"></i> Wallet</span>
+                ${denominations.length > 1 ? `<span class="rpg-wallet-total" title="Total worth">= ${getWalletTotal()} ${escapeHtml(smallest.id)}</span>` : ''}
+                ${!config.autoConvert && denominations.length > 1 ? '<button class="rpg-wallet-consolidate" title="Exchange into the fewest coins"><i class="fa-solid fa-right-left"></i></button>' : ''}
+                ${getLockIconHtml('userStats', 'wallet')}
+            </div>
+            <div class="rpg-wallet-coins">${coinsHtml}</div>
+        </div>
+    `;
+}
+
+/**
+ * Renders what the latest response added to or removed from the inventory, with a link to the full history
+ * @returns {string} HTML for the change strip, or empty string when there is no history yet
+ */
+function renderInventoryChangeStrip() {
+    const latest = getLatestInventoryChange();
+    if (!latest && getInventoryLog().length === 0) return '';
+
+    const changesHtml = latest
+        ? latest.changes.map(change => `<span class="${change.delta > 0 ? 'rpg-inventory-change-gain' : 'rpg-inventory-change-loss'}">${escapeHtml(formatInventoryChanges([change]))}</span>`).join('')
+        : '<span class="rpg-inventory-changes-none">No changes in the last response</span>';
+
+    return `
+        <div class="rpg-inventory-changes">
+            <div class="rpg-inventory-changes-list${latest ? ' rpg-inventory-changes-jump' : ''}"${latest ? ` data-message="${latest.messageIndex}" title="Jump to message #${latest.messageIndex}"` : ''}>${changesHtml}</div>
+            <button class="rpg-inventory-changes-history" title="Inventory history"><i class="fa-solid fa-clock-rotate-left"></i></button>
+        </div>
+    `;
+}
+
+/**
+ * Renders the search box, tag filter and sort order shared by the item sub-tabs
+ * @returns {string} HTML for the inventory toolbar
+ */
+function renderInventoryToolbar() {
+    const filters = getInventoryFilters();
+    const tags = getInventoryTags();
+    // Keep the selected tag listed even when no item carries it anymore
+    if (filters.tag && !tags.includes(filters.tag)) tags.push(filters.tag);
+
+    const tagOptions = ['', ...tags]
+        .map(tag => `<option value="${escapeHtml(tag)}" ${filters.tag === tag ? 'selected' : ''}>${tag ? escapeHtml(tag) : 'All tags'}</option>`)
+        .join('');
+    const sortOptions = INVENTORY_SORTS
+        .map(sort => `<option value="${sort.id}" ${filters.sortBy === sort.id ? 'selected' : ''}>${sort.name}</option>`)
+        .join('');
+
+    return `
+        <div class="rpg-inventory-toolbar">
+            <input type="search" class="text_pole rpg-inventory-search" placeholder="Search items, tags, descriptions..." value="${escapeHtml(filters.query).replace(/"/g, '&quot;')}" />
+            ${tags.length > 0 ? `<select class="rpg-select rpg-inventory-tag-filter" title="Filter by tag">${tagOptions}</select>` : ''}
+            <select class="rpg-select rpg-inventory-sort" title="Sort by">${sortOptions}</select>
+            <button class="rpg-inventory-sort-direction" title="Reverse the order">
+                <i class="fa-solid fa-arrow-${filters.reverse ? 'up' : 'down'}-wide-short"></i>
+            </button>
+            ${isFilteringInventory(filters) ? `
+                <button class="rpg-inventory-filter-clear" title="Clear the search and tag filter">
+                    <i class="fa-solid fa-filter-circle-xmark"></i>
+                </button>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders the notice shown when the search or tag filter hides every item of a section
+ * @returns {string} HTML for the notice
+ */
+function renderNoMatchesHtml() {
+    return '<div class="rpg-inventory-empty">No items match the search or tag filter</div>';
+}
+
 /**
  * Converts a location name to a safe ID for use in HTML element IDs.
  * Must match the logic used in inventoryActions.js.
@@ -42,25 +285,32 @@ export function getLocationId(locationName) {
 }
 
 /**
- * Renders the inventory sub-tab navigation (On Person, Clothing, Stored, Assets)
- * @param {string} activeTab - Currently active sub-tab ('onPerson', 'clothing', 'stored', 'assets')
+ * Renders the inventory sub-tab navigation (On Person, Clothing, Stored, Assets, and Craft when crafting is enabled)
+ * @param {string} activeTab - Currently active sub-tab ('onPerson', 'clothing', 'stored', 'assets', 'craft')
+ * @param {Object.<string, number>|null} [matches=null] - Items matching the search per sub-tab, shown while filtering
  * @returns {string} HTML for sub-tab navigation
  */
-export function renderInventorySubTabs(activeTab = 'onPerson') {
+export function renderInventorySubTabs(activeTab = 'onPerson', matches = null) {
+    const count = tab => matches ? ` <span class="rpg-inventory-subtab-count">${matches[tab]}</span>` : '';
     return `
         <div class="rpg-inventory-subtabs">
             <button class="rpg-inventory-subtab ${activeTab === 'onPerson' ? 'active' : ''}" data-tab="onPerson">
-                On Person
+                On Person${count('onPerson')}
             </button>
             <button class="rpg-inventory-subtab ${activeTab === 'clothing' ? 'active' : ''}" data-tab="clothing">
-                Clothing
+                Clothing${count('clothing')}
             </button>
             <button class="rpg-inventory-subtab ${activeTab === 'stored' ? 'active' : ''}" data-tab="stored">
-                Stored
+                Stored${count('stored')}
             </button>
             <button class="rpg-inventory-subtab ${activeTab === 'assets' ? 'active' : ''}" data-tab="assets">
-                Assets
+                Assets${count('assets')}
             </button>
+            ${getCraftingConfig().enabled ? `
+                <button class="rpg-inventory-subtab ${activeTab === 'craft' ? 'active' : ''}" data-tab="craft">
+                    <i class="fa-solid fa-hammer"></i> Craft
+                </button>
+            ` : ''}
         </div>
     `;
 }
@@ -73,32 +323,43 @@ export function renderInventorySubTabs(activeTab = 'onPerson') {
  */
 export function renderOnPersonView(onPersonItems, viewMode = 'list') {
     const items = parseItems(onPersonItems);
+    const shown = arrangeInventoryItems(items);
 
     let itemsHtml = '';
     if (items.length === 0) {
         itemsHtml = '<div class="rpg-inventory-empty">No items carried</div>';
+    } else if (shown.length === 0) {
+        itemsHtml = renderNoMatchesHtml();
     } else {
         if (viewMode === 'grid') {
             // Grid view: card-style items
-            itemsHtml = items.map((item, index) => {
+            itemsHtml = shown.map(({ item, index }) => {
                 const lockIconHtml = getLockIconHtml('userStats', `inventory.onPerson[${index}]`);
                 return `
-                <div class="rpg-item-card" data-field="onPerson" data-index="${index}">
+                <div class="rpg-item-card${getRarityClass(item)}" data-field="onPerson" data-index="${index}">
                     ${lockIconHtml}
                     <button class="rpg-item-remove" data-action="remove-item" data-field="onPerson" data-index="${index}" title="Remove item">
                         <i class="fa-solid fa-times"></i>
                     </button>
                     <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="onPerson" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
+                    ${getItemDetailsHtml('onPerson', index, item)}
+                    ${getItemUseButtonHtml('onPerson', index, item)}
+                    ${getItemTransferHtml('onPerson', index)}
+                    ${getEquipButtonHtml(index)}
                 </div>
             `}).join('');
         } else {
             // List view: full-width rows
-            itemsHtml = items.map((item, index) => {
+            itemsHtml = shown.map(({ item, index }) => {
                 const lockIconHtml = getLockIconHtml('userStats', `inventory.onPerson[${index}]`);
                 return `
-                <div class="rpg-item-row" data-field="onPerson" data-index="${index}">
+                <div class="rpg-item-row${getRarityClass(item)}" data-field="onPerson" data-index="${index}">
                     ${lockIconHtml}
                     <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="onPerson" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
+                    ${getItemDetailsHtml('onPerson', index, item)}
+                    ${getItemUseButtonHtml('onPerson', index, item)}
+                    ${getItemTransferHtml('onPerson', index)}
+                    ${getEquipButtonHtml(index)}
                     <button class="rpg-item-remove" data-action="remove-item" data-field="onPerson" data-index="${index}" title="Remove item">
                         <i class="fa-solid fa-times"></i>
                     </button>
@@ -155,32 +416,41 @@ export function renderOnPersonView(onPersonItems, viewMode = 'list') {
  */
 export function renderClothingView(clothingItems, viewMode = 'list') {
     const items = parseItems(clothingItems);
+    const shown = arrangeInventoryItems(items);
 
     let itemsHtml = '';
     if (items.length === 0) {
         itemsHtml = '<div class="rpg-inventory-empty">No clothing worn</div>';
+    } else if (shown.length === 0) {
+        itemsHtml = renderNoMatchesHtml();
     } else {
         if (viewMode === 'grid') {
             // Grid view: card-style items
-            itemsHtml = items.map((item, index) => {
+            itemsHtml = shown.map(({ item, index }) => {
                 const lockIconHtml = getLockIconHtml('userStats', `inventory.clothing[${index}]`);
                 return `
-                <div class="rpg-item-card" data-field="clothing" data-index="${index}">
+                <div class="rpg-item-card${getRarityClass(item)}" data-field="clothing" data-index="${index}">
                     ${lockIconHtml}
                     <button class="rpg-item-remove" data-action="remove-item" data-field="clothing" data-index="${index}" title="Remove item">
                         <i class="fa-solid fa-times"></i>
                     </button>
                     <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="clothing" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
+                    ${getItemDetailsHtml('clothing', index, item)}
+                    ${getItemUseButtonHtml('clothing', index, item)}
+                    ${getItemTransferHtml('clothing', index)}
                 </div>
             `}).join('');
         } else {
             // List view: full-width rows
-            itemsHtml = items.map((item, index) => {
+            itemsHtml = shown.map(({ item, index }) => {
                 const lockIconHtml = getLockIconHtml('userStats', `inventory.clothing[${index}]`);
                 return `
-                <div class="rpg-item-row" data-field="clothing" data-index="${index}">
+                <div class="rpg-item-row${getRarityClass(item)}" data-field="clothing" data-index="${index}">
                     ${lockIconHtml}
                     <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="clothing" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
+                    ${getItemDetailsHtml('clothing', index, item)}
+                    ${getItemUseButtonHtml('clothing', index, item)}
+                    ${getItemTransferHtml('clothing', index)}
                     <button class="rpg-item-remove" data-action="remove-item" data-field="clothing" data-index="${index}" title="Remove item">
                         <i class="fa-solid fa-times"></i>
                     </button>
@@ -229,6 +499,56 @@ export function renderClothingView(clothingItems, viewMode = 'list') {
     `;
 }
 
+/**
+ * Renders the "Craft" view: every recipe with the ingredients carried against those needed
+ * @returns {string} HTML for the craft view
+ */
+export function renderCraftView() {
+    const recipes = getRecipes();
+
+    let recipesHtml = '';
+    if (recipes.length === 0) {
+        recipesHtml = '<div class="rpg-inventory-empty">No recipes yet. Add them in Tracker Editor → User Stats → Crafting.</div>';
+    } else {
+        recipesHtml = recipes.map(recipe => {
+            const status = getRecipeStatus(recipe);
+            const ingredientsHtml = status.ingredients.map(ingredient => `
+                <span class="rpg-craft-ingredient ${ingredient.have >= ingredient.need ? 'rpg-craft-ok' : 'rpg-craft-missing'}"${ingredient.locked > 0 ? ` title="${ingredient.locked} more in locked stacks"` : ''}>
+                    ${escapeHtml(ingredient.name)} ${ingredient.have}/${ingredient.need}${ingredient.locked > 0 ? ' <i class="fa-solid fa-lock"></i>' : ''}
+                </span>
+            `).join('');
+            return `
+                <div class="rpg-craft-recipe${status.canCraft ? '' : ' rpg-craft-unavailable'}">
+                    <div class="rpg-craft-recipe-header">
+                        <span class="rpg-craft-recipe-name">${escapeHtml(recipe.name || formatRecipeItems(parseRecipeItems(recipe.outputs)))}</span>
+                        <span class="rpg-craft-recipe-output">→ ${escapeHtml(formatRecipeItems(parseRecipeItems(recipe.outputs)))}</span>
+                    </div>
+                    <div class="rpg-craft-ingredients">${ingredientsHtml}</div>
+                    <div class="rpg-craft-recipe-footer">
+                        ${recipe.skill ? `<span class="rpg-craft-requirement ${status.skillMet ? 'rpg-craft-ok' : 'rpg-craft-missing'}"><i class="fa-solid fa-star"></i> ${escapeHtml(recipe.skill)}</span>` : ''}
+                        ${recipe.time ? `<span class="rpg-craft-time"><i class="fa-solid fa-hourglass-half"></i> ${escapeHtml(recipe.time)}</span>` : ''}
+                        <button class="rpg-craft-btn" data-action="craft-recipe" data-recipe="${escapeHtml(recipe.id)}" ${status.canCraft ? '' : 'disabled'} title="${status.canCraft ? 'Craft' : 'Missing ingredients or skill'}">
+                            <i class="fa-solid fa-hammer"></i> Craft
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    return `
+        <div class="rpg-inventory-section" data-section="craft">
+            <div class="rpg-inventory-header">
+                <h4>Crafting</h4>
+            </div>
+            <div class="rpg-inventory-content">
+                <p class="rpg-craft-hint">Ingredients are taken from the items you carry, and what you make is added there.</p>
+                <div class="rpg-craft-recipes">${recipesHtml}</div>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Renders the "Stored" inventory view with collapsible locations and list/grid views
  * @param {Object.<string, string>} stored - Stored items by location
@@ -238,6 +558,8 @@ export function renderClothingView(clothingItems, viewMode = 'list') {
  */
 export function renderStoredView(stored, collapsedLocations = [], viewMode = 'list') {
     const locations = Object.keys(stored || {});
+    const filtering = isFilteringInventory();
+    let matchingLocations = 0;
 
     let html = `
         <div class="rpg-inventory-section" data-section="stored">
@@ -281,34 +603,45 @@ export function renderStoredView(stored, collapsedLocations = [], viewMode = 'li
         for (const location of locations) {
             const itemString = stored[location];
             const items = parseItems(itemString);
+            const shown = arrangeInventoryItems(items);
+            if (filtering && shown.length === 0) continue;
+            matchingLocations++;
             const isCollapsed = collapsedLocations.includes(location);
             const locationId = getLocationId(location);
 
             let itemsHtml = '';
             if (items.length === 0) {
                 itemsHtml = '<div class="rpg-inventory-empty">No items stored here</div>';
+            } else if (shown.length === 0) {
+                itemsHtml = renderNoMatchesHtml();
             } else {
                 if (viewMode === 'grid') {
                     // Grid view: card-style items
-                    itemsHtml = items.map((item, index) => {
+                    itemsHtml = shown.map(({ item, index }) => {
                         const lockIconHtml = getLockIconHtml('userStats', `inventory.stored.${location}[${index}]`);
                         return `
-                        <div class="rpg-item-card" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}">
+                        <div class="rpg-item-card${getRarityClass(item)}" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}">
                             ${lockIconHtml}
                             <button class="rpg-item-remove" data-action="remove-item" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}" title="Remove item">
                                 <i class="fa-solid fa-times"></i>
                             </button>
                             <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
+                            ${getItemDetailsHtml('stored', index, item, location)}
+                            ${getItemUseButtonHtml('stored', index, item, location)}
+                            ${getItemTransferHtml('stored', index, location)}
                         </div>
                     `}).join('');
                 } else {
                     // List view: full-width rows
-                    itemsHtml = items.map((item, index) => {
+                    itemsHtml = shown.map(({ item, index }) => {
                         const lockIconHtml = getLockIconHtml('userStats', `inventory.stored.${location}[${index}]`);
                         return `
-                        <div class="rpg-item-row" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}">
+                        <div class="rpg-item-row${getRarityClass(item)}" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}">
                             ${lockIconHtml}
                             <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
+                            ${getItemDetailsHtml('stored', index, item, location)}
+                            ${getItemUseButtonHtml('stored', index, item, location)}
+                            ${getItemTransferHtml('stored', index, location)}
                             <button class="rpg-item-remove" data-action="remove-item" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}" title="Remove item">
                                 <i class="fa-solid fa-times"></i>
                             </button>
@@ -367,6 +700,10 @@ export function renderStoredView(stored, collapsedLocations = [], viewMode = 'li
                 </div>
             `;
         }
+
+        if (filtering && matchingLocations === 0) {
+            html += renderNoMatchesHtml();
+        }
     }
 
     html += `
@@ -385,32 +722,41 @@ export function renderStoredView(stored, collapsedLocations = [], viewMode = 'li
  */
 export function renderAssetsView(assets, viewMode = 'list') {
     const items = parseItems(assets);
+    const shown = arrangeInventoryItems(items);
 
     let itemsHtml = '';
     if (items.length === 0) {
         itemsHtml = '<div class="rpg-inventory-empty">No assets owned</div>';
+    } else if (shown.length === 0) {
+        itemsHtml = renderNoMatchesHtml();
     } else {
         if (viewMode === 'grid') {
             // Grid view: card-style items
-            itemsHtml = items.map((item, index) => {
+            itemsHtml = shown.map(({ item, index }) => {
                 const lockIconHtml = getLockIconHtml('userStats', `inventory.assets[${index}]`);
                 return `
-                <div class="rpg-item-card" data-field="assets" data-index="${index}">
+                <div class="rpg-item-card${getRarityClass(item)}" data-field="assets" data-index="${index}">
                     ${lockIconHtml}
                     <button class="rpg-item-remove" data-action="remove-item" data-field="assets" data-index="${index}" title="Remove asset">
                         <i class="fa-solid fa-times"></i>
                     </button>
                     <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="assets" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
+                    ${getItemDetailsHtml('assets', index, item)}
+                    ${getItemUseButtonHtml('assets', index, item)}
+                    ${getItemTransferHtml('assets', index)}
                 </div>
             `}).join('');
         } else {
             // List view: full-width rows
-            itemsHtml = items.map((item, index) => {
+            itemsHtml = shown.map(({ item, index }) => {
                 const lockIconHtml = getLockIconHtml('userStats', `inventory.assets[${index}]`);
                 return `
-                <div class="rpg-item-row" data-field="assets" data-index="${index}">
+                <div class="rpg-item-row${getRarityClass(item)}" data-field="assets" data-index="${index}">
                     ${lockIconHtml}
                     <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="assets" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
+                    ${getItemDetailsHtml('assets', index, item)}
+                    ${getItemUseButtonHtml('assets', index, item)}
+                    ${getItemTransferHtml('assets', index)}
                     <button class="rpg-item-remove" data-action="remove-item" data-field="assets" data-index="${index}" title="Remove asset">
                         <i class="fa-solid fa-times"></i>
                     </button>
@@ -512,7 +858,11 @@ function generateInventoryHTML(inventory, options = {}) {
 
     let html = `
         <div class="rpg-inventory-container">
-            ${renderInventorySubTabs(activeSubTab)}
+            ${renderWalletBar()}
+            ${renderEncumbranceBar()}
+            ${renderInventoryChangeStrip()}
+            ${activeSubTab === 'craft' && getCraftingConfig().enabled ? '' : renderInventoryToolbar()}
+            ${renderInventorySubTabs(activeSubTab, isFilteringInventory() ? countFilteredItems() : null)}
             <div class="rpg-inventory-views">
     `;
 
@@ -527,6 +877,7 @@ function generateInventoryHTML(inventory, options = {}) {
     // Render the active view
     switch (activeSubTab) {
         case 'onPerson':
+            html += renderEquipmentPanel();
             html += renderOnPersonView(v2Inventory.onPerson, viewModes.onPerson);
             break;
         case 'clothing':
@@ -538,7 +889,14 @@ function generateInventoryHTML(inventory, options = {}) {
         case 'assets':
             html += renderAssetsView(v2Inventory.assets, viewModes.assets);
             break;
+        case 'craft':
+            if (getCraftingConfig().enabled) {
+                html += renderCraftView();
+                break;
+            }
+            // falls through - crafting was turned off while its tab was open
         default:
+            html += renderEquipmentPanel();
             html += renderOnPersonView(v2Inventory.onPerson, viewModes.onPerson);
     }
 
@@ -603,6 +961,27 @@ export function renderInventory() {
         updateInventoryItem(field, index, newName, location);
     });
 
+    // Wallet counts typed in by the user
+    $inventoryContainer.find('.rpg-wallet-input').on('change', function() {
+        const balances = {};
+        $inventoryContainer.find('.rpg-wallet-input').each(function() {
+            balances[$(this).data('denomination')] = parseInt(String($(this).val())) || 0;
+        });
+        setWalletBalances(balances);
+    });
+
+    $inventoryContainer.find('.rpg-wallet-consolidate').on('click', function() {
+        consolidateWallet();
+    });
+
+    $inventoryContainer.find('.rpg-inventory-changes-jump').on('click', function() {
+        jumpToMessage(parseInt($(this).data('message')));
+    });
+
+    $inventoryContainer.find('.rpg-inventory-changes-history').on('click', function() {
+        openInventoryLogBrowser();
+    });
+
     // Add event listener for section lock icon clicks (support both click and touch)
     $inventoryContainer.find('.rpg-section-lock-icon').on('click touchend', function(e) {
         e.preventDefault();
@@ -6,30 +6,173 @@
 import { extensionSettings, $questsContainer, committedTrackerData, lastGeneratedData } from '../../core/state.js';
 import { saveSettings, saveChatData } from '../../core/persistence.js';
 import { isItemLocked, setItemLock } from '../generation/lockManager.js';
+import {
+    getQuestDetails,
+    setQuestDetails,
+    renameQuestDetails,
+    setObjectiveDone,
+    toQuestsJSON,
+    getPresentCharacterNames,
+    isGiverPresent
+} from '../features/questDetails.js';
+import {
+    QUEST_STATUSES,
+    getQuestJournal,
+    recordQuestChange,
+    endQuest,
+    renameJournalQuest,
+    reopenJournalEntry,
+    setJournalStatus,
+    setJournalNotes,
+    deleteJournalEntry,
+    discardJournalQuest
+} from '../features/questJournal.js';
+import { applyQuestChains } from '../features/questChains.js';
+import { jumpToMessage } from '../ui/inventoryLogBrowser.js';
 
 /**
- * Syncs the current extensionSettings.quests to committedTrackerData.userStats
- * This ensures quest changes made via UI are reflected in the data sent to AI
+ * Syncs the current extensionSettings.quests to committedTrackerData.userStats and lastGeneratedData.userStats
+ * This ensures quest changes made via UI are reflected in the data sent to AI.
+ * Each is updated on its own, so a freshly generated tracker keeps its other fields.
  */
 function syncQuestsToCommittedData() {
-    const currentData = committedTrackerData.userStats || lastGeneratedData.userStats;
-    if (!currentData) return;
-
-    const trimmed = currentData.trim();
-    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const withQuests = (data) => {
+        const trimmed = data ? data.trim() : '';
+        if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return null;
         try {
-            const jsonData = JSON.parse(currentData);
-            if (jsonData && typeof jsonData === 'object') {
-                // Update quests in the JSON data
-                jsonData.quests = extensionSettings.quests || { main: 'None', optional: [] };
-                const updatedJSON = JSON.stringify(jsonData, null, 2);
-                committedTrackerData.userStats = updatedJSON;
-                lastGeneratedData.userStats = updatedJSON;
-            }
+            const jsonData = JSON.parse(data);
+            if (!jsonData || typeof jsonData !== 'object') return null;
+            // Update quests in the JSON data (with their objectives, giver and rewards)
+            jsonData.quests = toQuestsJSON();
+            return JSON.stringify(jsonData, null, 2);
         } catch (e) {
             console.warn('[RPG Quests] Failed to sync quests to committed data:', e);
+            return null;
         }
+    };
+
+    const committed = withQuests(committedTrackerData.userStats || lastGeneratedData.userStats);
+    if (committed) committedTrackerData.userStats = committed;
+    const generated = withQuests(lastGeneratedData.userStats || committedTrackerData.userStats);
+    if (generated) lastGeneratedData.userStats = generated;
+}
+
+/**
+ * Persists a quest change and re-renders the quests panel
+ */
+function commitQuestChange() {
+    // Sync quest changes to committedTrackerData so AI sees them
+    syncQuestsToCommittedData();
+    recordQuestChange();
+    saveSettings();
+    saveChatData();
+    renderQuests();
+}
+
+/**
+ * Sets the main quest title
+ * @param {string} title - New main quest title ('None' clears it)
+ */
+export function setMainQuest(title) {
+    extensionSettings.quests.main = title || 'None';
+    commitQuestChange();
+}
+
+/**
+ * Adds an optional quest
+ * @param {string} title - Optional quest title
+ */
+export function addOptionalQuest(title) {
+    if (!extensionSettings.quests.optional) {
+        extensionSettings.quests.optional = [];
     }
+    extensionSettings.quests.optional.push(title);
+    commitQuestChange();
+}
+
+/**
+ * Completes (removes) a quest, recording how it ended in the quest journal
+ * @param {string} field - 'main' or 'optional'
+ * @param {number} [index] - Index of the optional quest
+ * @param {'completed'|'failed'|'abandoned'} [status='completed'] - How the quest ended
+ * @returns {string|null} Title of the removed quest, or null if there was none
+ */
+export function completeQuest(field, index, status = 'completed') {
+    const title = getQuestTitleAt(field, index);
+    if (title) endQuest(title, status);
+
+    let removed = null;
+    if (field === 'main') {
+        const main = extensionSettings.quests.main;
+        removed = (main && main !== 'None') ? main : null;
+        extensionSettings.quests.main = 'None';
+    } else {
+        const optional = extensionSettings.quests.optional || [];
+        if (index >= 0 && index < optional.length) {
+            removed = optional.splice(index, 1)[0];
+        }
+    }
+    if (removed && getQuestTitleAt('main') !== removed && !(extensionSettings.quests.optional || []).includes(removed)) {
+        setQuestDetails(removed, null);
+    }
+    commitQuestChange();
+    advanceQuestChains();
+    return removed;
+}
+
+/**
+ * Adds the quest chain steps that just unlocked to the tracker and takes out locked steps listed too early.
+ * Call after the quest journal has recorded a change.
+ * @returns {string[]} Titles of the quests that were added
+ */
+export function advanceQuestChains() {
+    const { added, removed } = applyQuestChains();
+    if (added.length === 0 && removed.length === 0) return added;
+
+    // A locked step that was listed too early hasn't really started
+    removed.forEach(title => discardJournalQuest(title));
+    commitQuestChange();
+
+    if (added.length > 0) {
+        toastr.info(`New quest: ${added.join(', ')}`, 'RPG Companion');
+    }
+    return added;
+}
+
+/**
+ * Gets the title of the main quest or of an optional quest.
+ * @param {string} field - 'main' or 'optional'
+ * @param {number} [index] - Index of the optional quest
+ * @returns {string} Title ('' if there is no such quest)
+ */
+function getQuestTitleAt(field, index) {
+    const title = field === 'main'
+        ? extensionSettings.quests.main
+        : (extensionSettings.quests.optional || [])[index];
+    return (title && title !== 'None') ? title : '';
+}
+
+/**
+ * Puts a quest from the journal back in the tracker, with its details.
+ * It becomes the main quest if it was one and there is no main quest now, otherwise an optional quest.
+ * @param {string} id - Journal entry ID
+ * @returns {string|null} Title of the reopened quest, or null if there was no ended quest with that ID
+ */
+export function reopenQuest(id) {
+    const entry = reopenJournalEntry(id);
+    if (!entry) return null;
+
+    if (entry.details) setQuestDetails(entry.title, entry.details);
+    if (entry.field === 'main' && !getQuestTitleAt('main')) {
+        extensionSettings.quests.main = entry.title;
+    } else {
+        if (!extensionSettings.quests.optional) {
+            extensionSettings.quests.optional = [];
+        }
+        extensionSettings.quests.optional.push(entry.title);
+    }
+    commitQuestChange();
+    return entry.title;
 }
 
 /**
@@ -61,8 +204,76 @@ function escapeHtml(text) {
 }
 
 /**
- * Renders the quests sub-tab navigation (Main, Optional)
- * @param {string} activeTab - Currently active sub-tab ('main', 'optional')
+ * Renders a quest's objective count for its title row (e.g., "1/3")
+ * @param {string} title - Quest title
+ * @returns {string} HTML for the progress badge, or empty string if the quest has no objectives
+ */
+function renderQuestProgress(title) {
+    const objectives = getQuestDetails(title)?.objectives || [];
+    if (objectives.length === 0) return '';
+    const done = objectives.filter(objective => objective.done).length;
+    const complete = done === objectives.length ? ' complete' : '';
+    return `<span class="rpg-quest-progress${complete}" title="Objectives done">${done}/${objectives.length}</span>`;
+}
+
+/**
+ * Renders a quest's description, objectives checklist, giver and rewards, and the form that edits them
+ * @param {string} title - Quest title
+ * @param {string} field - 'main' or 'optional'
+ * @param {number} [index] - Index of the optional quest
+ * @returns {string} HTML for the quest details
+ */
+function renderQuestDetails(title, field, index) {
+    const details = getQuestDetails(title) || {};
+    const indexAttr = index !== undefined ? ` data-index="${index}"` : '';
+    const objectives = details.objectives || [];
+
+    let html = '<div class="rpg-quest-details">';
+    if (details.description) {
+        html += `<div class="rpg-quest-description">${escapeHtml(details.description)}</div>`;
+    }
+    if (objectives.length > 0) {
+        html += '<div class="rpg-quest-objectives">';
+        html += objectives.map((objective, i) => `
+            <label class="rpg-quest-objective${objective.done ? ' done' : ''}">
+                <input type="checkbox" class="rpg-quest-objective-check" data-field="${field}"${indexAttr} data-objective="${i}" ${objective.done ? 'checked' : ''} />
+                <span>${escapeHtml(objective.text)}</span>
+            </label>
+        `).join('');
+        html += '</div>';
+    }
+    if (details.giver) {
+        const present = isGiverPresent(details.giver);
+        html += `
+            <div class="rpg-quest-meta rpg-quest-giver${present ? ' present' : ''}" title="${present ? 'Present in the scene' : 'Not in the scene'}">
+                <i class="fa-solid fa-user"></i> Given by ${escapeHtml(details.giver)}${present ? ' <span class="rpg-quest-giver-here">here</span>' : ''}
+            </div>
+        `;
+    }
+    if (details.rewards) {
+        html += `<div class="rpg-quest-meta rpg-quest-rewards"><i class="fa-solid fa-gift"></i> ${escapeHtml(details.rewards)}</div>`;
+    }
+    html += '</div>';
+
+    const objectiveLines = objectives.map(objective => `${objective.done ? '[x] ' : ''}${objective.text}`).join('\n');
+    html += `
+        <div class="rpg-quest-edit-form rpg-quest-details-form" data-field="${field}"${indexAttr} style="display: none;">
+            <textarea class="rpg-quest-detail-description" rows="2" placeholder="Description...">${escapeHtml(details.description || '')}</textarea>
+            <textarea class="rpg-quest-detail-objectives" rows="4" placeholder="Objectives, one per line (start a line with [x] when it's done)">${escapeHtml(objectiveLines)}</textarea>
+            <input type="text" class="rpg-quest-detail-giver" list="rpg-quest-givers" placeholder="Quest giver" value="${escapeHtml(details.giver || '').replace(/"/g, '&quot;')}" />
+            <input type="text" class="rpg-quest-detail-rewards" placeholder="Rewards" value="${escapeHtml(details.rewards || '').replace(/"/g, '&quot;')}" />
+            <div class="rpg-quest-edit-actions">
+                <button class="rpg-quest-cancel" data-action="cancel-quest-details">Cancel</button>
+                <button class="rpg-quest-save" data-action="save-quest-details" data-field="${field}"${indexAttr}>Save</button>
+            </div>
+        </div>
+    `;
+    return html;
+}
+
+/**
+ * Renders the quests sub-tab navigation (Main, Optional, Journal)
+ * @param {string} activeTab - Currently active sub-tab ('main', 'optional', 'journal')
  * @returns {string} HTML for sub-tab navigation
  */
 export function renderQuestsSubTabs(activeTab = 'main') {
@@ -74,6 +285,9 @@ export function renderQuestsSubTabs(activeTab = 'main') {
             <button class="rpg-quests-subtab ${activeTab === 'optional' ? 'active' : ''}" data-tab="optional">
                 Optional Quests
             </button>
+            <button class="rpg-quests-subtab ${activeTab === 'journal' ? 'active' : ''}" data-tab="journal">
+                Journal
+            </button>
         </div>
     `;
 }
@@ -108,10 +322,15 @@ export function renderMainQuestView(mainQuest) {
                             </button>
                         </div>
                     </div>
+                    <div class="rpg-quest-entry" data-field="main">
                     <div class="rpg-quest-item" data-field="main">
                         ${getLockIconHtml('userStats', 'quests.main')}
                         <div class="rpg-quest-title">${escapeHtml(questDisplay)}</div>
+                        ${renderQuestProgress(questDisplay)}
                         <div class="rpg-quest-actions">
+                            <button class="rpg-quest-edit" data-action="edit-quest-details" data-field="main" title="Edit description, objectives, giver and rewards">
+                                <i class="fa-solid fa-list-check"></i>
+                            </button>
                             <button class="rpg-quest-edit" data-action="edit-quest" data-field="main" title="Edit quest">
                                 <i class="fa-solid fa-edit"></i>
                             </button>
@@ -120,6 +339,8 @@ export function renderMainQuestView(mainQuest) {
                             </button>
                         </div>
                     </div>
+                    ${renderQuestDetails(questDisplay, 'main')}
+                    </div>
                 ` : `
                     <div class="rpg-inline-form" id="rpg-add-quest-form-main" style="display: none;">
                         <input type="text" class="rpg-inline-input" id="rpg-new-quest-main" placeholder="Enter main quests title..." />
@@ -157,15 +378,22 @@ export function renderOptionalQuestsView(optionalQuests) {
     } else {
         questsHtml = quests.map((quest, index) => {
             return `
+            <div class="rpg-quest-entry" data-field="optional" data-index="${index}">
             <div class="rpg-quest-item" data-field="optional" data-index="${index}">
                 ${getLockIconHtml('userStats', `quests.optional[${index}]`)}
                 <div class="rpg-quest-title rpg-editable" contenteditable="true" data-field="optional" data-index="${index}" title="Click to edit">${escapeHtml(quest)}</div>
+                ${renderQuestProgress(quest)}
                 <div class="rpg-quest-actions">
+                    <button class="rpg-quest-edit" data-action="edit-quest-details" data-field="optional" data-index="${index}" title="Edit description, objectives, giver and rewards">
+                        <i class="fa-solid fa-list-check"></i>
+                    </button>
                     <button class="rpg-quest-remove" data-action="remove-quest" data-field="optional" data-index="${index}" title="Complete/Remove quest">
                         <i class="fa-solid fa-check"></i>
                     </button>
                 </div>
             </div>
+            ${renderQuestDetails(quest, 'optional', index)}
+            </div>
         `}).join('');
     }
 
@@ -201,6 +429,93 @@ export function renderOptionalQuestsView(optionalQuests) {
     `;
 }
 
+/**
+ * Renders the quest journal: every quest the chat has seen, active ones first, then the most recently ended
+ * @param {string} [statusFilter=''] - Only show quests with this status ('' for all)
+ * @returns {string} HTML for the journal view
+ */
+export function renderQuestJournalView(statusFilter = '') {
+    const entries = getQuestJournal()
+        .filter(entry => !statusFilter || entry.status === statusFilter)
+        .slice()
+        .sort((a, b) => {
+            if ((a.status === 'active') !== (b.status === 'active')) return a.status === 'active' ? -1 : 1;
+            return (b.endMessage ?? b.startMessage) - (a.endMessage ?? a.startMessage);
+        });
+
+    const messageLink = (index) => `<a class="rpg-quest-journal-jump" data-action="jump-to-message" data-message="${index}" title="Jump to the message">#${index}</a>`;
+
+    let entriesHtml = '';
+    if (entries.length === 0) {
+        entriesHtml = `<div class="rpg-quest-empty">${statusFilter ? 'No quests with that status' : 'No quests recorded in this chat yet'}</div>`;
+    } else {
+        entriesHtml = entries.map(entry => {
+            const status = QUEST_STATUSES.find(s => s.id === entry.status) || QUEST_STATUSES[0];
+            const objectives = entry.details?.objectives || [];
+            const done = objectives.filter(objective => objective.done).length;
+            const ended = entry.status !== 'active';
+
+            return `
+            <div class="rpg-quest-entry rpg-quest-journal-entry status-${status.id}" data-id="${entry.id}">
+                <div class="rpg-quest-item">
+                    <i class="fa-solid ${status.icon} rpg-quest-journal-icon" title="${status.name}"></i>
+                    <div class="rpg-quest-title">
+                        ${escapeHtml(entry.title)}
+                        ${entry.field === 'main' ? '<span class="rpg-quest-journal-main">Main</span>' : ''}
+                    </div>
+                    ${ended ? `
+                        <select class="rpg-quest-journal-status" title="How the quest ended">
+                            ${QUEST_STATUSES.filter(s => s.id !== 'active').map(s => `<option value="${s.id}" ${s.id === entry.status ? 'selected' : ''}>${s.name}</option>`).join('')}
+                        </select>
+                        <div class="rpg-quest-actions">
+                            <button class="rpg-quest-edit" data-action="reopen-quest" title="Reopen quest">
+                                <i class="fa-solid fa-rotate-left"></i>
+                            </button>
+                            <button class="rpg-quest-remove" data-action="delete-journal-entry" title="Delete from journal">
+                                <i class="fa-solid fa-trash"></i>
+                            </button>
+                        </div>
+                    ` : `<span class="rpg-quest-journal-badge">${status.name}</span>`}
+                </div>
+                <div class="rpg-quest-details">
+                    <div class="rpg-quest-meta">
+                        <i class="fa-solid fa-clock"></i> Started ${messageLink(entry.startMessage)}${ended && entry.endMessage !== null ? `, ended ${messageLink(entry.endMessage)}` : ''}
+                        ${objectives.length > 0 ? ` &middot; ${done}/${objectives.length} objectives` : ''}
+                    </div>
+                    ${entry.dropped ? `
+                        <div class="rpg-quest-meta rpg-quest-journal-dropped">
+                            <i class="fa-solid fa-triangle-exclamation"></i> Disappeared from the tracker without being reported finished
+                        </div>
+                    ` : ''}
+                    ${entry.details?.description ? `<div class="rpg-quest-description">${escapeHtml(entry.details.description)}</div>` : ''}
+                    <textarea class="rpg-quest-journal-notes" rows="2" placeholder="Notes...">${escapeHtml(entry.notes || '')}</textarea>
+                </div>
+            </div>
+        `}).join('');
+    }
+
+    return `
+        <div class="rpg-quest-section">
+            <div class="rpg-quest-header">
+                <h3 class="rpg-quest-section-title">Quest Journal</h3>
+                <select class="rpg-quest-journal-filter" title="Show quests with this status">
+                    <option value="">All quests</option>
+                    ${QUEST_STATUSES.map(s => `<option value="${s.id}" ${s.id === statusFilter ? 'selected' : ''}>${s.name}</option>`).join('')}
+                </select>
+            </div>
+            <div class="rpg-quest-content">
+                <div class="rpg-quest-list">
+                    ${entriesHtml}
+                </div>
+                <div class="rpg-quest-hint">
+                    <i class="fa-solid fa-info-circle"></i>
+                    Every quest in this chat is kept here. Quests that leave the tracker without being finished are marked as abandoned; reopen one to put it back.
+                </div>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Main render function for quests
  */
@@ -224,10 +539,16 @@ export function renderQuests() {
     html += '<div class="rpg-quests-panels">';
     if (activeSubTab === 'main') {
         html += renderMainQuestView(mainQuest);
+    } else if (activeSubTab === 'journal') {
+        html += renderQuestJournalView($questsContainer.data('journal-filter') || '');
     } else {
         html += renderOptionalQuestsView(optionalQuests);
     }
-    html += '</div></div>';
+    html += '</div>';
+
+    // Present characters, suggested as quest givers
+    html += `<datalist id="rpg-quest-givers">${getPresentCharacterNames().map(name => `<option value="${escapeHtml(name).replace(/"/g, '&quot;')}"></option>`).join('')}</datalist>`;
+    html += '</div>';
 
     $questsContainer.html(html);
 
@@ -268,18 +589,10 @@ function attachQuestEventHandlers() {
 
         if (questTitle) {
             if (field === 'main') {
-                extensionSettings.quests.main = questTitle;
+                setMainQuest(questTitle);
             } else {
-                if (!extensionSettings.quests.optional) {
-                    extensionSettings.quests.optional = [];
-                }
-                extensionSettings.quests.optional.push(questTitle);
+                addOptionalQuest(questTitle);
             }
-            // Sync quest changes to committedTrackerData so AI sees the addition
-            syncQuestsToCommittedData();
-            saveSettings();
-            saveChatData();
-            renderQuests();
         }
     });
 
@@ -305,12 +618,9 @@ function attachQuestEventHandlers() {
         const questTitle = input.val().trim();
 
         if (questTitle) {
-            extensionSettings.quests.main = questTitle;
-            // Sync quest changes to committedTrackerData so AI sees the edit
-            syncQuestsToCommittedData();
-            saveSettings();
-            saveChatData();
-            renderQuests();
+            renameQuestDetails(getQuestTitleAt('main'), questTitle);
+            renameJournalQuest(getQuestTitleAt('main'), questTitle);
+            setMainQuest(questTitle);
         }
     });
 
@@ -318,17 +628,7 @@ function attachQuestEventHandlers() {
     $questsContainer.find('[data-action="remove-quest"]').on('click', function() {
         const field = $(this).data('field');
         const index = $(this).data('index');
-
-        if (field === 'main') {
-            extensionSettings.quests.main = 'None';
-        } else {
-            extensionSettings.quests.optional.splice(index, 1);
-        }
-        // Sync quest changes to committedTrackerData so AI sees the removal
-        syncQuestsToCommittedData();
-        saveSettings();
-        saveChatData();
-        renderQuests();
+        completeQuest(field, index);
     });
 
     // Inline editing for optional quests
@@ -339,6 +639,8 @@ function attachQuestEventHandlers() {
         const newTitle = $this.text().trim();
 
         if (newTitle && field === 'optional' && index !== undefined) {
+            renameQuestDetails(getQuestTitleAt('optional', index), newTitle);
+            renameJournalQuest(getQuestTitleAt('optional', index), newTitle);
             extensionSettings.quests.optional[index] = newTitle;
             // Sync quest changes to committedTrackerData so AI sees the edit
             syncQuestsToCommittedData();
@@ -347,6 +649,82 @@ function attachQuestEventHandlers() {
         }
     });
 
+    // Tick or untick an objective
+    $questsContainer.find('.rpg-quest-objective-check').on('change', function() {
+        const $check = $(this);
+        const title = getQuestTitleAt($check.data('field'), $check.data('index'));
+        if (setObjectiveDone(title, parseInt($check.data('objective')), $check.is(':checked'))) {
+            commitQuestChange();
+        }
+    });
+
+    // Edit quest details
+    $questsContainer.find('[data-action="edit-quest-details"]').on('click', function() {
+        const $entry = $(this).closest('.rpg-quest-entry');
+        $entry.find('.rpg-quest-details').hide();
+        $entry.find('.rpg-quest-details-form').show().find('.rpg-quest-detail-description').focus();
+    });
+
+    // Cancel edit quest details
+    $questsContainer.find('[data-action="cancel-quest-details"]').on('click', function() {
+        renderQuests();
+    });
+
+    // Save quest details
+    $questsContainer.find('[data-action="save-quest-details"]').on('click', function() {
+        const $form = $(this).closest('.rpg-quest-details-form');
+        const title = getQuestTitleAt($form.data('field'), $form.data('index'));
+        if (!title) return;
+
+        setQuestDetails(title, {
+            description: $form.find('.rpg-quest-detail-description').val(),
+            objectives: $form.find('.rpg-quest-detail-objectives').val(),
+            giver: $form.find('.rpg-quest-detail-giver').val(),
+            rewards: $form.find('.rpg-quest-detail-rewards').val()
+        });
+        commitQuestChange();
+    });
+
+    // Journal status filter
+    $questsContainer.find('.rpg-quest-journal-filter').on('change', function() {
+        $questsContainer.data('journal-filter', $(this).val());
+        renderQuests();
+    });
+
+    // Change how an ended quest ended
+    $questsContainer.find('.rpg-quest-journal-status').on('change', function() {
+        const id = $(this).closest('.rpg-quest-journal-entry').data('id');
+        if (setJournalStatus(id, $(this).val())) {
+            renderQuests();
+            advanceQuestChains();
+        }
+    });
+
+    // Journal notes
+    $questsContainer.find('.rpg-quest-journal-notes').on('change', function() {
+        setJournalNotes($(this).closest('.rpg-quest-journal-entry').data('id'), $(this).val());
+    });
+
+    // Reopen an ended quest
+    $questsContainer.find('[data-action="reopen-quest"]').on('click', function() {
+        const title = reopenQuest($(this).closest('.rpg-quest-journal-entry').data('id'));
+        if (title) {
+            toastr.success(`Reopened "${title}"`, 'RPG Companion');
+        }
+    });
+
+    // Delete an ended quest from the journal
+    $questsContainer.find('[data-action="delete-journal-entry"]').on('click', function() {
+        deleteJournalEntry($(this).closest('.rpg-quest-journal-entry').data('id'));
+        renderQuests();
+    });
+
+    // Jump to the message a quest started or ended on
+    $questsContainer.find('[data-action="jump-to-message"]').on('click', function(e) {
+        e.preventDefault();
+        jumpToMessage(parseInt($(this).data('message')));
+    });
+
     // Enter key to save in forms
     $questsContainer.find('.rpg-inline-input').on('keypress', function(e) {
         if (e.which === 13) {
@@ -17,6 +17,8 @@ import {
 import { saveChatData, saveSettings } from '../../core/persistence.js';
 import { getSafeThumbnailUrl } from '../../utils/avatars.js';
 import { isItemLocked, setItemLock } from '../generation/lockManager.js';
+import { parseItems, splitItemQuantity } from '../../utils/itemParser.js';
+import { getNpcInventoryConfig, normalizeNpcItems, giveItemToNpc, takeItemFromNpc } from '../features/npcInventory.js';
 
 /**
  * Helper to generate lock icon HTML if setting is enabled
@@ -180,6 +182,8 @@ export function renderThoughts() {
     const enabledCharStats = characterStatsConfig?.enabled && characterStatsConfig?.customStats?.filter(s => s && s.enabled && s.name) || [];
     const relationshipFields = config?.relationshipFields || [];
     const hasRelationshipEnabled = relationshipFields.length > 0;
+    // Character inventories need JSON data to live in; text-format characters never get one
+    const npcInventoriesEnabled = getNpcInventoryConfig().enabled;
 
     // Use committedTrackerData as fallback if lastGeneratedData is empty (e.g., after page refresh)
     const characterThoughtsData = lastGeneratedData.characterThoughts || committedTrackerData.characterThoughts || '';
@@ -275,6 +279,11 @@ export function renderThoughts() {
                     }
                 }
 
+                // Extract what the character carries
+                if (npcInventoriesEnabled) {
+                    character.inventory = normalizeNpcItems(char.inventory);
+                }
+
                 return character;
             });
 
@@ -549,6 +558,11 @@ export function renderThoughts() {
                     html += `</div></div>`;
                 }
 
+                // Render what the character carries, with Give/Take (JSON data only)
+                if (char.inventory) {
+                    html += renderCharacterInventory(char.name, char.inventory);
+                }
+
                 html += `
                         </div>
                     </div>
@@ -611,6 +625,13 @@ export function renderThoughts() {
         saveSettings();
     });
 
+    // Give/Take items between the user and a character
+    $thoughtsContainer.find('.rpg-character-inventory-btn').on('click', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        showCharacterItemForm(this, String($(this).data('character')), $(this).data('action'));
+    });
+
     // Add event listener for character remove button
     $thoughtsContainer.find('.rpg-character-remove').on('click', function(e) {
         e.preventDefault();
@@ -673,6 +694,110 @@ export function renderThoughts() {
     }
 }
 
+/**
+ * Renders what a present character carries and the Give/Take buttons
+ * @param {string} characterName - Character name
+ * @param {string[]} items - Item strings the character carries
+ * @returns {string} HTML for the character's inventory
+ */
+function renderCharacterInventory(characterName, items) {
+    const lockIconHtml = getLockIconHtml('characters', `${characterName}.inventory`);
+    const name = escapeHtml(characterName);
+    return `
+        <div class="rpg-character-inventory" style="position: relative;">
+            ${lockIconHtml}
+            <div class="rpg-character-inventory-items">
+                <i class="fa-solid fa-sack-xmark" title="Carried items"></i>
+                ${items.length > 0
+                    ? items.map(item => `<span class="rpg-character-inventory-item">${escapeHtml(item)}</span>`).join('')
+                    : '<span class="rpg-character-inventory-empty">Carries nothing</span>'}
+            </div>
+            <div class="rpg-character-inventory-actions">
+                <button class="rpg-character-inventory-btn" data-action="give" data-character="${name}" title="Give ${name} one of your items">
+                    <i class="fa-solid fa-hand-holding"></i> Give
+                </button>
+                <button class="rpg-character-inventory-btn" data-action="take" data-character="${name}" title="Take one of ${name}'s items" ${items.length > 0 ? '' : 'disabled'}>
+                    <i class="fa-solid fa-hand"></i> Take
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Shows the inline form for giving an item to a character or taking one from them, below their inventory
+ * @param {HTMLElement} button - The Give or Take button that was clicked
+ * @param {string} characterName - Character name
+ * @param {'give'|'take'} mode - Whether the user gives or takes
+ */
+function showCharacterItemForm(button, characterName, mode) {
+    const $inventory = $(button).closest('.rpg-character-inventory');
+    const wasOpen = $inventory.find(`.rpg-character-item-form[data-mode="${mode}"]`).length > 0;
+    $thoughtsContainer.find('.rpg-character-item-form').remove();
+    if (wasOpen) return;
+
+    // Giving offers the user's unlocked On Person items; taking offers everything the character carries
+    const options = mode === 'give'
+        ? parseItems(extensionSettings.userStats?.inventory?.onPerson)
+            .map((item, index) => ({ item, index }))
+            .filter(entry => !isItemLocked('userStats', `inventory.onPerson[${entry.index}]`))
+        : $inventory.find('.rpg-character-inventory-item').toArray().map((element, index) => ({ item: $(element).text(), index }));
+
+    if (options.length === 0) {
+        toastr.info(mode === 'give' ? 'You carry nothing you can give.' : `${characterName} carries nothing.`, 'RPG Companion');
+        return;
+    }
+
+    const $form = $(`
+        <div class="rpg-inline-form rpg-character-item-form" data-mode="${mode}">
+            <div class="rpg-character-item-fields">
+                <select class="rpg-select rpg-character-item-select">
+                    ${options.map(entry => `<option value="${entry.index}">${escapeHtml(entry.item)}</option>`).join('')}
+                </select>
+                <input type="number" class="rpg-inline-input rpg-character-item-quantity" min="1" value="1" title="How many" />
+            </div>
+            <div class="rpg-inline-buttons">
+                <button class="rpg-inline-btn rpg-inline-cancel" data-action="cancel-character-item">
+                    <i class="fa-solid fa-times"></i> Cancel
+                </button>
+                <button class="rpg-inline-btn rpg-inline-save" data-action="confirm-character-item">
+                    <i class="fa-solid fa-check"></i> ${mode === 'give' ? 'Give' : 'Take'}
+                </button>
+            </div>
+        </div>
+    `);
+
+    const updateMaxQuantity = () => {
+        const selected = options.find(entry => entry.index === parseInt(String($form.find('.rpg-character-item-select').val())));
+        const held = selected ? splitItemQuantity(selected.item).quantity : 1;
+        $form.find('.rpg-character-item-quantity').attr('max', held).val(held);
+    };
+    updateMaxQuantity();
+    $form.find('.rpg-character-item-select').on('change', updateMaxQuantity);
+
+    // Keep clicks in the form from reaching the card's handlers
+    $form.on('click mousedown', (e) => e.stopPropagation());
+    $form.find('[data-action="cancel-character-item"]').on('click', (e) => {
+        e.preventDefault();
+        $form.remove();
+    });
+    $form.find('[data-action="confirm-character-item"]').on('click', (e) => {
+        e.preventDefault();
+        const index = parseInt(String($form.find('.rpg-character-item-select').val()));
+        const quantity = parseInt(String($form.find('.rpg-character-item-quantity').val())) || 1;
+        const result = mode === 'give'
+            ? giveItemToNpc(characterName, index, quantity)
+            : takeItemFromNpc(characterName, index, quantity);
+        if (!result.success) {
+            toastr.warning(result.error, 'RPG Companion');
+            return;
+        }
+        renderThoughts();
+    });
+
+    $inventory.append($form);
+}
+
 /**
  * Removes a character from Present Characters data and re-renders.
  *
@@ -2119,3 +2244,14 @@ export function createThoughtPanel($message, thoughtsArray) {
     });
 }
 
+/**
+ * Escapes HTML special characters to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -18,9 +18,20 @@ import {
     updateMessageSwipeData
 } from '../../core/persistence.js';
 import { getSafeThumbnailUrl } from '../../utils/avatars.js';
+import { parseItems } from '../../utils/itemParser.js';
 import { buildInventorySummary } from '../generation/promptBuilder.js';
 import { isItemLocked, setItemLock } from '../generation/lockManager.js';
 import { updateFabWidgets } from '../ui/mobile.js';
+import { getExperienceConfig, getExperienceState, getXpProgress } from '../features/experience.js';
+import { toItemJSON } from '../features/itemDetails.js';
+import {
+    STATUS_EFFECT_TYPES,
+    getPlayerStatusEffects,
+    removePlayerStatusEffect,
+    formatEffectDuration
+} from '../features/statusEffects.js';
+import { getEquipmentBonuses } from '../features/equipment.js';
+import { toQuestsJSON } from '../features/questDetails.js';
 
 /**
  * Builds the user stats text string using custom stat names
@@ -130,28 +141,22 @@ function updateUserStatsData() {
                         jsonData.status[fieldKey] = stats[fieldKey] || 'None';
                     }
 
-                    // Update inventory (convert to v3 format)
-                    const convertToV3Items = (itemString) => {
-                        if (!itemString) return [];
-                        const items = itemString.split(',').map(s => s.trim()).filter(s => s);
-                        return items.map(item => {
-                            const qtyMatch = item.match(/^(\\d+)x\\s+(.+)$/);
-                            if (qtyMatch) {
-                                return { name: qtyMatch[2].trim(), quantity: parseInt(qtyMatch[1]) };
-                            }
-                            return { name: item, quantity: 1 };
-                        });
-                    };
+                    // Update inventory (convert to v3 format: arrays of {name, quantity} with any item details)
+                    const convertToV3Items = (itemString) => parseItems(itemString).map(toItemJSON);
+                    const stored = {};
+                    for (const [location, items] of Object.entries(stats.inventory?.stored || {})) {
+                        stored[location] = convertToV3Items(items);
+                    }
 
                     jsonData.inventory = {
                         onPerson: convertToV3Items(stats.inventory?.onPerson),
                         clothing: convertToV3Items(stats.inventory?.clothing),
-                        stored: stats.inventory?.stored || {},
+                        stored: stored,
                         assets: convertToV3Items(stats.inventory?.assets)
                     };
 
                     // Update quests
-                    jsonData.quests = extensionSettings.quests || { main: '', optional: [] };
+                    jsonData.quests = toQuestsJSON();
 
                     // Update skills if present
                     if (stats.skills) {
@@ -176,6 +181,64 @@ function updateUserStatsData() {
     committedTrackerData.userStats = statsText;
 }
 
+/**
+ * Sets a user stat to a new value, clamped to the stat's range, and persists it.
+ * The range is 0-100 in percentage mode or 0-maxValue in number mode.
+ * @param {string} statId - Stat ID (e.g., 'health')
+ * @param {number} value - New stat value
+ * @returns {number} The clamped value that was stored
+ */
+export function setUserStatValue(statId, value) {
+    const config = extensionSettings.trackerConfig?.userStats || {};
+    const stat = config.customStats?.find(s => s && s.id === statId);
+    const maxValue = config.statsDisplayMode === 'number' ? (stat?.maxValue || 100) : 100;
+
+    let clamped = parseInt(String(value));
+    if (isNaN(clamped)) {
+        clamped = 0;
+    }
+    clamped = Math.max(0, Math.min(maxValue, clamped));
+
+    extensionSettings.userStats[statId] = clamped;
+
+    // Update userStats data (maintains JSON or text format)
+    updateUserStatsData();
+
+    saveSettings();
+    saveChatData();
+    updateMessageSwipeData();
+
+    // Re-render to update the bar and FAB widgets
+    renderUserStats();
+    updateFabWidgets();
+
+    return clamped;
+}
+
+/**
+ * Sets the user's level, clamped to 1-100, and persists it.
+ * @param {number} value - New level
+ * @returns {number} The clamped level that was stored
+ */
+export function setUserLevel(value) {
+    let level = parseInt(String(value));
+    if (isNaN(level) || level < 1) {
+        level = 1;
+    }
+    // Set reasonable max level
+    level = Math.min(100, level);
+
+    extensionSettings.level = level;
+    saveSettings();
+    saveChatData();
+    updateMessageSwipeData();
+
+    // Re-render to update the display
+    renderUserStats();
+
+    return level;
+}
+
 /**
  * Renders the user stats panel with health bars, mood, inventory, and classic stats.
  * Includes event listeners for editable fields.
@@ -265,6 +328,8 @@ export function renderUserStats() {
 
     // User info row
     const showLevel = extensionSettings.trackerConfig?.userStats?.showLevel !== false;
+    const showXp = showLevel && getExperienceConfig().enabled;
+    const xpProgress = getXpProgress();
     html += `
         <div class="rpg-user-info-row">
             <img src="${userPortrait}" alt="${userName}" class="rpg-user-portrait" onerror="this.style.opacity='0.5';this.onerror=null;" />
@@ -272,6 +337,8 @@ export function renderUserStats() {
             ${showLevel ? `<span style="opacity: 0.5;">|</span>
             <span class="rpg-level-label">LVL</span>
             <span class="rpg-level-value rpg-editable" contenteditable="true" data-field="level" title="Click to edit level">${extensionSettings.level}</span>` : ''}
+            ${showXp ? `<span class="rpg-xp-value" title="XP (next level at ${xpProgress.nextThreshold})">${xpProgress.xp}/${xpProgress.nextThreshold} XP</span>` : ''}
+            ${showXp && xpProgress.attributePoints > 0 ? `<span class="rpg-attribute-points" title="Unspent attribute points - use the + buttons to spend them">+${xpProgress.attributePoints}</span>` : ''}
         </div>
     `;
 
@@ -283,10 +350,14 @@ export function renderUserStats() {
     html += '<div class="rpg-stats-grid">';
     const enabledStats = config.customStats.filter(stat => stat && stat.enabled && stat.name && stat.id);
     const displayMode = config.statsDisplayMode || 'percentage';
+    const equipmentBonuses = getEquipmentBonuses();
 
     for (const stat of enabledStats) {
         const value = stats[stat.id] !== undefined ? stats[stat.id] : 100;
         const maxValue = stat.maxValue || 100;
+        // Equipped items' modifiers fill the bar; the editable value stays the base
+        const bonus = equipmentBonuses[stat.id] || 0;
+        const effectiveValue = Math.max(0, Math.min(displayMode === 'number' ? maxValue : 100, value + bonus));
 
         // Calculate percentage for bar fill
         let percentage;
@@ -294,11 +365,11 @@ export function renderUserStats() {
 
         if (displayMode === 'number') {
             // In number mode, value is already the number (0 to maxValue)
-            percentage = maxValue > 0 ? (value / maxValue) * 100 : 100;
+            percentage = maxValue > 0 ? (effectiveValue / maxValue) * 100 : 100;
             displayValue = `${value}/${maxValue}`;
         } else {
             // In percentage mode, value is 0-100
-            percentage = value;
+            percentage = effectiveValue;
             displayValue = `${value}%`;
         }
 
@@ -309,6 +380,7 @@ export function renderUserStats() {
                     <div class="rpg-stat-fill" style="width: ${100 - percentage}%"></div>
                 </div>
                 <span class="rpg-stat-value rpg-editable-stat" contenteditable="true" data-field="${stat.id}" data-max="${maxValue}" data-mode="${displayMode}" title="Click to edit">${displayValue}</span>
+                ${bonus ? `<span class="rpg-equipment-bonus" title="From equipment (${effectiveValue} in total)">${bonus > 0 ? '+' : ''}${bonus}</span>` : ''}
             </div>
         `;
     }
@@ -345,6 +417,22 @@ export function renderUserStats() {
         html += '</div>';
     }
 
+    // Status effect badges (durations are counted down by the extension)
+    const statusEffects = getPlayerStatusEffects();
+    if (statusEffects.length > 0) {
+        html += '<div class="rpg-status-effects">';
+        for (const effect of statusEffects) {
+            const description = effect.description || STATUS_EFFECT_TYPES[effect.type]?.description || '';
+            const shortDuration = `${Math.round(effect.duration * 10) / 10}${effect.unit === 'hours' ? 'h' : 't'}`;
+            html += `
+                <span class="rpg-status-effect rpg-status-effect-${effect.type}" data-effect-id="${effect.id}" title="${effect.name}${description ? ` - ${description}` : ''} (${formatEffectDuration(effect)} left). Click to remove.">
+                    ${effect.emoji} ${effect.name} <span class="rpg-status-effect-duration">${shortDuration}</span>
+                </span>
+            `;
+        }
+        html += '</div>';
+    }
+
     // Skills section (conditionally rendered)
     if (config.skillsSection.enabled) {
         const isSkillsLocked = isItemLocked('userStats', 'skills');
@@ -392,12 +480,13 @@ export function renderUserStats() {
         if (enabledAttributes.length > 0) {
         html += `
             <div class="rpg-stats-right">
-                <div class="rpg-classic-stats">
+                <div class="rpg-classic-stats${getExperienceConfig().enabled && getExperienceState().attributePoints > 0 ? ' rpg-has-attribute-points' : ''}">
                     <div class="rpg-classic-stats-grid">
         `;
 
         enabledAttributes.forEach(attr => {
             const value = extensionSettings.classicStats[attr.id] !== undefined ? extensionSettings.classicStats[attr.id] : 10;
+            const bonus = equipmentBonuses[attr.id] || 0;
             html += `
                         <div class="rpg-classic-stat" data-stat="${attr.id}">
                             <span class="rpg-classic-stat-label">${attr.name}</span>
@@ -406,6 +495,7 @@ export function renderUserStats() {
                                 <span class="rpg-classic-stat-value">${value}</span>
                                 <button class="rpg-classic-stat-btn rpg-stat-increase" data-stat="${attr.id}">+</button>
                             </div>
+                            ${bonus ? `<span class="rpg-equipment-bonus" title="From equipment (${value + bonus} in total)">${bonus > 0 ? '+' : ''}${bonus}</span>` : ''}
                         </div>
             `;
         });
@@ -457,19 +547,8 @@ export function renderUserStats() {
             value = Math.max(0, Math.min(100, value));
         }
 
-        // Update the setting
-        extensionSettings.userStats[field] = value;
-
-        // Update userStats data (maintains JSON or text format)
-        updateUserStatsData();
-
-        saveSettings();
-        saveChatData();
-        updateMessageSwipeData();
-
-        // Re-render to update the bar and FAB widgets
-        renderUserStats();
-        updateFabWidgets();
+        // Update the setting, persist, and re-render
+        setUserStatValue(field, value);
     });
 
     // Add event listeners for mood/conditions editing
@@ -498,6 +577,15 @@ export function renderUserStats() {
         updateMessageSwipeData();
     });
 
+    // Remove a status effect early (cured, dispelled...)
+    $('.rpg-status-effect').on('click', function() {
+        const effectId = $(this).data('effect-id');
+        if (confirm('Remove this status effect?')) {
+            removePlayerStatusEffect(effectId);
+            renderUserStats();
+        }
+    });
+
     // Add event listener for skills editing
     $('.rpg-skills-value.rpg-editable').on('blur', function() {
         const value = $(this).text().trim();
@@ -537,20 +625,7 @@ export function renderUserStats() {
 
     // Add event listener for level editing
     $('.rpg-level-value.rpg-editable').on('blur', function() {
-        let value = parseInt($(this).text().trim());
-        if (isNaN(value) || value < 1) {
-            value = 1;
-        }
-        // Set reasonable max level
-        value = Math.min(100, value);
-
-        extensionSettings.level = value;
-        saveSettings();
-        saveChatData();
-        updateMessageSwipeData();
-
-        // Re-render to update the display
-        renderUserStats();
+        setUserLevel($(this).text().trim());
     });
 
     // Prevent line breaks in level field
@@ -5,6 +5,7 @@
 
 import { i18n } from '../../core/i18n.js';
 import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
+import { getWalletConfig, formatMoney } from '../features/wallet.js';
 
 /**
  * Helper to parse time string and calculate clock hand angles
@@ -114,6 +115,18 @@ export function updateStripWidgets() {
         $locationWidget.removeClass('rpg-strip-widget-visible');
     }
 
+    // Wallet Widget
+    const $walletWidget = $container.find('.rpg-strip-widget-wallet');
+    if ((widgetSettings.wallet?.enabled ?? true) && getWalletConfig().enabled) {
+        const money = formatMoney();
+        const displayMoney = money.length > 15 ? money.substring(0, 13) + '…' : money;
+        $walletWidget.find('.rpg-strip-widget-value').text(displayMoney);
+        $walletWidget.attr('title', `Wallet: ${money}`);
+        $walletWidget.addClass('rpg-strip-widget-visible');
+    } else {
+        $walletWidget.removeClass('rpg-strip-widget-visible');
+    }
+
     // Stats Widget - get from lastGeneratedData or committedTrackerData first, fallback to extensionSettings
     const $statsWidget = $container.find('.rpg-strip-widget-stats');
     if (widgetSettings.stats?.enabled) {
@@ -0,0 +1,277 @@
+/**
+ * Encounter Log Browser Module
+ * Lists past fights stored in the chat and exports them as JSON or Markdown
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings } from '../../core/state.js';
+import {
+    getEncounterLogs,
+    deleteEncounterLog,
+    exportEncounterLogs
+} from '../features/encounterState.js';
+
+/**
+ * Icons and colors per encounter result (matches the combat over screen)
+ * @private
+ */
+const RESULT_STYLES = {
+    victory: { icon: 'fa-trophy', color: '#4caf50' },
+    defeat: { icon: 'fa-skull-crossbones', color: '#e94560' },
+    fled: { icon: 'fa-person-running', color: '#ff9800' },
+    interrupted: { icon: 'fa-flag-checkered', color: '#888' }
+};
+
+/**
+ * HTML escape helper
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * EncounterLogBrowser class
+ * Manages the past encounters modal
+ */
+export class EncounterLogBrowser {
+    constructor() {
+        this.modal = null;
+        this.selectedId = null;
+    }
+
+    /**
+     * Opens the browser, selecting the most recent encounter
+     */
+    open() {
+        if (!this.modal) {
+            this.createModal();
+        }
+
+        this.modal.setAttribute('data-theme', extensionSettings.theme || 'default');
+        const logs = getEncounterLogs();
+        this.selectedId = logs.length > 0 ? logs[logs.length - 1].id : null;
+        this.render();
+        this.modal.classList.add('is-open');
+    }
+
+    /**
+     * Closes the browser
+     */
+    close() {
+        if (this.modal) {
+            this.modal.classList.remove('is-open');
+        }
+    }
+
+    /**
+     * Creates the modal DOM structure
+     */
+    createModal() {
+        const modalHTML = `
+            <div id="rpg-encounter-log-browser" class="rpg-encounter-modal" data-theme="${extensionSettings.theme || 'default'}">
+                <div class="rpg-encounter-overlay"></div>
+                <div class="rpg-encounter-container rpg-encounter-log-browser-container">
+                    <div class="rpg-encounter-header">
+                        <h2><i class="fa-solid fa-book-skull"></i> Encounter Log</h2>
+                        <div class="rpg-encounter-header-buttons">
+                            <button id="rpg-encounter-logs-export-json" class="rpg-encounter-conclude-btn" title="Export all encounters in this chat as JSON">
+                                <i class="fa-solid fa-file-code"></i> JSON
+                            </button>
+                            <button id="rpg-encounter-logs-export-md" class="rpg-encounter-conclude-btn" title="Export all encounters in this chat as Markdown">
+                                <i class="fa-brands fa-markdown"></i> Markdown
+                            </button>
+                            <button id="rpg-encounter-logs-close" class="rpg-encounter-close-btn" title="Close">
+                                <i class="fa-solid fa-times"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="rpg-encounter-content rpg-encounter-log-browser">
+                        <div class="rpg-encounter-log-list" id="rpg-encounter-log-list"></div>
+                        <div class="rpg-encounter-log-detail" id="rpg-encounter-log-detail"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.modal = document.getElementById('rpg-encounter-log-browser');
+
+        this.modal.querySelector('#rpg-encounter-logs-close').addEventListener('click', () => this.close());
+        this.modal.querySelector('.rpg-encounter-overlay').addEventListener('click', () => this.close());
+        this.modal.querySelector('#rpg-encounter-logs-export-json').addEventListener('click', () => this.download('json'));
+        this.modal.querySelector('#rpg-encounter-logs-export-md').addEventListener('click', () => this.download('markdown'));
+
+        // Delegated handlers for list selection and per-encounter actions
+        this.modal.querySelector('#rpg-encounter-log-list').addEventListener('click', (event) => {
+            const item = event.target.closest('.rpg-encounter-log-item');
+            if (item) {
+                this.selectedId = item.dataset.id;
+                this.render();
+            }
+        });
+
+        this.modal.querySelector('#rpg-encounter-log-detail').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            const record = getEncounterLogs().find(r => r.id === this.selectedId);
+            if (!record) return;
+
+            if (button.dataset.action === 'export-json') {
+                this.download('json', [record]);
+            } else if (button.dataset.action === 'export-md') {
+                this.download('markdown', [record]);
+            } else if (button.dataset.action === 'delete') {
+                if (confirm('Delete this encounter from the log?')) {
+                    deleteEncounterLog(record.id);
+                    const logs = getEncounterLogs();
+                    this.selectedId = logs.length > 0 ? logs[logs.length - 1].id : null;
+                    this.render();
+                }
+            }
+        });
+    }
+
+    /**
+     * Renders the encounter list and the selected encounter's details
+     */
+    render() {
+        const logs = getEncounterLogs();
+        const listContainer = this.modal.querySelector('#rpg-encounter-log-list');
+        const detailContainer = this.modal.querySelector('#rpg-encounter-log-detail');
+
+        this.modal.querySelector('#rpg-encounter-logs-export-json').disabled = logs.length === 0;
+        this.modal.querySelector('#rpg-encounter-logs-export-md').disabled = logs.length === 0;
+
+        listContainer.style.display = logs.length === 0 ? 'none' : '';
+        detailContainer.style.gridColumn = logs.length === 0 ? '1 / -1' : '';
+
+        if (logs.length === 0) {
+            listContainer.innerHTML = '';
+            detailContainer.innerHTML = `
+                <div class="rpg-encounter-log-empty">
+                    <i class="fa-solid fa-book-skull"></i>
+                    <p>No encounters have been fought in this chat yet.</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Newest first
+        listContainer.innerHTML = logs.slice().reverse().map(record => {
+            const style = RESULT_STYLES[record.result] || RESULT_STYLES.interrupted;
+            const title = record.enemies?.length ? record.enemies.join(', ') : 'Encounter';
+            return `
+                <div class="rpg-encounter-log-item ${record.id === this.selectedId ? 'is-selected' : ''}" data-id="${record.id}">
+                    <i class="fa-solid ${style.icon}" style="color: ${style.color};"></i>
+                    <div class="rpg-encounter-log-item-text">
+                        <div class="rpg-encounter-log-item-title">${escapeHtml(title)}</div>
+                        <div class="rpg-encounter-log-item-meta">${escapeHtml(record.result)} · ${new Date(record.timestamp).toLocaleString()}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        const record = logs.find(r => r.id === this.selectedId);
+        detailContainer.innerHTML = record ? this.renderDetail(record) : '';
+    }
+
+    /**
+     * Builds the detail view for one encounter
+     * @param {import('../features/encounterState.js').EncounterLogRecord} record - Encounter record
+     * @returns {string} HTML
+     */
+    renderDetail(record) {
+        const style = RESULT_STYLES[record.result] || RESULT_STYLES.interrupted;
+
+        let html = `
+            <div class="rpg-encounter-log-detail-header">
+                <h3 style="color: ${style.color};"><i class="fa-solid ${style.icon}"></i> ${escapeHtml(record.result)}</h3>
+                <div class="rpg-encounter-log-detail-actions">
+                    <button class="rpg-btn rpg-btn-secondary" data-action="export-json" title="Export this encounter as JSON"><i class="fa-solid fa-file-code"></i></button>
+                    <button class="rpg-btn rpg-btn-secondary" data-action="export-md" title="Export this encounter as Markdown"><i class="fa-brands fa-markdown"></i></button>
+                    <button class="rpg-btn rpg-btn-secondary" data-action="delete" title="Delete this encounter"><i class="fa-solid fa-trash"></i></button>
+                </div>
+            </div>
+            <div class="rpg-encounter-log-detail-meta">
+                <div><strong>Date:</strong> ${new Date(record.timestamp).toLocaleString()}</div>
+                ${record.party?.length ? `<div><strong>Party:</strong> ${escapeHtml(record.party.join(', '))}</div>` : ''}
+                ${record.enemies?.length ? `<div><strong>Enemies:</strong> ${escapeHtml(record.enemies.join(', '))}</div>` : ''}
+                ${record.environment ? `<div><strong>Environment:</strong> ${escapeHtml(record.environment)}</div>` : ''}
+                ${record.loot?.items?.length || record.loot?.currency?.length ? `<div><strong>Loot:</strong> ${escapeHtml([
+                    ...(record.loot.items || []).map(item => `${item.quantity > 1 ? `${item.quantity}x ` : ''}${item.name}`),
+                    ...(record.loot.currency || []).map(coin => `${coin.amount} ${coin.name}`)
+                ].join(', '))}</div>` : ''}
+            </div>
+        `;
+
+        html += '<h4><i class="fa-solid fa-scroll"></i> Summary</h4>';
+        html += record.summary
+            ? `<div class="rpg-encounter-log-summary">${escapeHtml(record.summary)}</div>`
+            : '<div class="rpg-encounter-log-summary rpg-encounter-log-empty-text">No summary was generated.</div>';
+
+        html += `<h4><i class="fa-solid fa-list-ol"></i> Turns (${record.log?.length || 0})</h4>`;
+        html += '<div class="rpg-encounter-log">';
+        if (record.log?.length) {
+            record.log.forEach((entry, index) => {
+                html += `
+                    <div class="rpg-encounter-log-entry">
+                        <strong>${index + 1}. ${escapeHtml(entry.action)}</strong>
+                        ${entry.result ? `<div class="rpg-encounter-log-turn-result">${escapeHtml(entry.result)}</div>` : ''}
+                    </div>
+                `;
+            });
+        } else {
+            html += '<div class="rpg-encounter-log-entry system">No turns were recorded.</div>';
+        }
+        html += '</div>';
+
+        return html;
+    }
+
+    /**
+     * Downloads encounter logs as a file
+     * @param {'json'|'markdown'} format - Export format
+     * @param {Array} [logs] - Records to export (defaults to all encounters in the chat)
+     */
+    download(format, logs = getEncounterLogs()) {
+        try {
+            if (logs.length === 0) return;
+
+            const content = exportEncounterLogs(format, logs);
+            const isMarkdown = format === 'markdown';
+            const blob = new Blob([content], { type: isMarkdown ? 'text/markdown' : 'application/json' });
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+
+            const chatName = String(getContext().chatId || 'chat').replace(/[^a-z0-9_-]+/gi, '-');
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+            link.download = `rpg-encounters-${chatName}-${timestamp}.${isMarkdown ? 'md' : 'json'}`;
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('[RPG Companion] Error exporting encounter logs:', error);
+            toastr.error('Failed to export encounter logs. Check console for details.');
+        }
+    }
+}
+
+// Export singleton instance
+export const encounterLogBrowser = new EncounterLogBrowser();
+
+/**
+ * Opens the encounter log browser
+ */
+export function openEncounterLogBrowser() {
+    encounterLogBrowser.open();
+}
@@ -17,14 +17,53 @@ import {
     resetEncounter,
     addCombatMessage,
     addEncounterLogEntry,
-    saveEncounterLog
+    saveEncounterLog,
+    saveEncounterCheckpoint,
+    getEncounterCheckpoint,
+    clearEncounterCheckpoint,
+    restoreEncounterCheckpoint
 } from '../features/encounterState.js';
 import {
     buildEncounterInitPrompt,
     buildCombatActionPrompt,
+    buildCombatTurnPrompt,
     buildCombatSummaryPrompt,
     parseEncounterJSON
 } from '../generation/encounterPrompts.js';
+import { getExperienceConfig, calculateEncounterXp, awardXp } from '../features/experience.js';
+import { renderUserStats } from '../rendering/userStats.js';
+import {
+    isDeterministicCombat,
+    resolveCombatRound,
+    resolvePlayerTurn,
+    resolveCombatantTurn,
+    identifyCombatants,
+    formatCombatOutcome,
+    tickCombatantEffects,
+    getCombatResult
+} from '../features/combatEngine.js';
+import { isInitiativeEnabled, rollInitiative, getCurrentTurn, advanceTurn, findTurnCombatant } from '../features/initiative.js';
+import {
+    STATUS_EFFECT_TYPES,
+    normalizeStatusEffect,
+    mergeStatusEffects,
+    formatEffectDuration,
+    getPlayerStatusEffects,
+    setPlayerStatusEffects
+} from '../features/statusEffects.js';
+import { extractLoot, hasLoot, getLootDestinations, getLootDenomination, grantLoot } from '../features/loot.js';
+
+/**
+ * HTML escape helper
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
 
 /**
  * EncounterModal class
@@ -44,6 +83,17 @@ export class EncounterModal {
     async open() {
         if (this.isInitializing) return;
 
+        // Offer to pick up an unfinished fight from this chat
+        if (getEncounterCheckpoint()) {
+            const choice = await this.showResumePrompt();
+            if (!choice) return;
+            if (choice === 'resume') {
+                await this.resume();
+                return;
+            }
+            clearEncounterCheckpoint();
+        }
+
         // Always show configuration modal (it will pre-populate with saved values if they exist)
         const configured = await this.showNarrativeConfigModal();
         if (!configured) {
@@ -103,7 +153,8 @@ export class EncounterModal {
             updateCurrentEncounter({
                 active: true,
                 initialized: true,
-                combatStats: combatData
+                combatStats: combatData,
+                chatId: getContext().chatId
             });
 
             // Add to combat history
@@ -115,8 +166,26 @@ export class EncounterModal {
                 this.applyEnvironmentStyling(combatData.styleNotes);
             }
 
+            // Number duplicate names and give every combatant an ID, so turns and targets find the right one
+            identifyCombatants(combatData);
+
+            // Give every status a tracked duration and carry the player's status effects into the fight
+            [...combatData.party, ...combatData.enemies].forEach(combatant => {
+                combatant.statuses = mergeStatusEffects([], combatant.statuses || []);
+            });
+            const player = combatData.party.find(m => m.isPlayer);
+            if (player) {
+                player.statuses = mergeStatusEffects(getPlayerStatusEffects(), player.statuses);
+            }
+
+            // Roll initiative before the first turn
+            if (isInitiativeEnabled()) {
+                rollInitiative(combatData);
+            }
+
             // Render the combat UI
             this.renderCombatUI(combatData);
+            saveEncounterCheckpoint();
 
         } catch (error) {
             console.error('[RPG Companion] Error initializing encounter:', error);
@@ -124,6 +193,97 @@ export class EncounterModal {
         } finally {
             this.isInitializing = false;
         }
+
+        // NPCs who beat the player's initiative act first
+        if (currentEncounter.active && currentEncounter.initiative) {
+            await this.runTurnQueue();
+        }
+    }
+
+    /**
+     * Resumes the unfinished encounter saved in the current chat
+     */
+    async resume() {
+        if (!restoreEncounterCheckpoint()) {
+            toastr.warning('No unfinished encounter found in this chat.', 'RPG Companion');
+            return;
+        }
+
+        if (!this.modal) {
+            this.createModal();
+        }
+        this.modal.classList.add('is-open');
+
+        const combatStats = currentEncounter.combatStats;
+        if (combatStats.styleNotes) {
+            this.applyEnvironmentStyling(combatStats.styleNotes);
+        }
+        this.renderCombatUI(combatStats, true);
+
+        // Pick the turn order up where it stopped
+        if (currentEncounter.initiative) {
+            await this.runTurnQueue();
+        }
+    }
+
+    /**
+     * Asks whether to resume the unfinished encounter or start a new one
+     * @returns {Promise<'resume'|'new'|null>} Choice, or null if cancelled
+     */
+    async showResumePrompt() {
+        const checkpoint = getEncounterCheckpoint();
+        const enemies = (checkpoint.combatStats.enemies || []).filter(e => e.hp > 0).map(e => e.name).join(', ');
+        const round = checkpoint.initiative?.round;
+
+        return new Promise((resolve) => {
+            const promptHTML = `
+                <div id="rpg-encounter-resume-modal" class="rpg-encounter-modal" data-theme="${extensionSettings.theme || 'default'}">
+                    <div class="rpg-encounter-overlay"></div>
+                    <div class="rpg-encounter-container" style="max-width: 500px;">
+                        <div class="rpg-encounter-header">
+                            <h2><i class="fa-solid fa-swords"></i> Unfinished Encounter</h2>
+                        </div>
+                        <div class="rpg-encounter-content" style="padding: 24px;">
+                            <p style="margin: 0 0 12px 0;">
+                                A fight in this chat was not finished${checkpoint.combatStats.environment ? ` (${checkpoint.combatStats.environment})` : ''}.
+                            </p>
+                            ${enemies ? `<p style="margin: 0 0 12px 0; opacity: 0.8;"><i class="fa-solid fa-skull"></i> Still standing: ${enemies}</p>` : ''}
+                            ${round ? `<p style="margin: 0 0 12px 0; opacity: 0.8;"><i class="fa-solid fa-arrows-rotate"></i> Round ${round}</p>` : ''}
+
+                            <div style="margin-top: 24px; display: flex; gap: 12px; justify-content: flex-end; flex-wrap: wrap;">
+                                <button id="resume-cancel" class="rpg-btn rpg-btn-secondary" style="padding: 12px 24px;">
+                                    <i class="fa-solid fa-times"></i> Cancel
+                                </button>
+                                <button id="resume-new" class="rpg-btn rpg-btn-secondary" style="padding: 12px 24px;">
+                                    <i class="fa-solid fa-plus"></i> Start New Encounter
+                                </button>
+                                <button id="resume-continue" class="rpg-btn rpg-btn-primary" style="padding: 12px 24px;">
+                                    <i class="fa-solid fa-play"></i> Resume Encounter
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.body.insertAdjacentHTML('beforeend', promptHTML);
+            const promptModal = document.getElementById('rpg-encounter-resume-modal');
+            setTimeout(() => promptModal.classList.add('is-open'), 10);
+
+            const choose = (choice) => {
+                promptModal.remove();
+                resolve(choice);
+            };
+
+            promptModal.querySelector('#resume-continue').addEventListener('click', () => choose('resume'));
+            promptModal.querySelector('#resume-new').addEventListener('click', () => {
+                if (confirm('Discard the unfinished encounter and start a new one?')) {
+                    choose('new');
+                }
+            });
+            promptModal.querySelector('#resume-cancel').addEventListener('click', () => choose(null));
+            promptModal.querySelector('.rpg-encounter-overlay').addEventListener('click', () => choose(null));
+        });
     }
 
     /**
@@ -307,7 +467,7 @@ export class EncounterModal {
                             <button id="rpg-encounter-conclude" class="rpg-encounter-conclude-btn" title="Conclude encounter early">
                                 <i class="fa-solid fa-flag-checkered"></i> Conclude Encounter
                             </button>
-                            <button id="rpg-encounter-close" class="rpg-encounter-close-btn" title="Close (ends combat)">
+                            <button id="rpg-encounter-close" class="rpg-encounter-close-btn" title="Close (resume later)">
                                 <i class="fa-solid fa-times"></i>
                             </button>
                         </div>
@@ -336,14 +496,14 @@ export class EncounterModal {
         });
 
         this.modal.querySelector('#rpg-encounter-close').addEventListener('click', () => {
-            if (confirm('Are you sure you want to end this combat encounter?')) {
+            if (confirm('Close this combat encounter? You can resume it later from the encounter button.')) {
                 this.close();
             }
         });
 
         // Close on overlay click
         this.modal.querySelector('.rpg-encounter-overlay').addEventListener('click', () => {
-            if (confirm('Are you sure you want to end this combat encounter?')) {
+            if (confirm('Close this combat encounter? You can resume it later from the encounter button.')) {
                 this.close();
             }
         });
@@ -352,8 +512,9 @@ export class EncounterModal {
     /**
      * Renders the combat UI with party, enemies, and controls
      * @param {object} combatData - Combat data including party and enemies
+     * @param {boolean} [resumed=false] - Whether the fight was restored from a checkpoint (replays its log)
      */
-    renderCombatUI(combatData) {
+    renderCombatUI(combatData, resumed = false) {
         const mainContent = this.modal.querySelector('#rpg-encounter-main');
         const loadingContent = this.modal.querySelector('#rpg-encounter-loading');
 
@@ -370,6 +531,13 @@ export class EncounterModal {
                     <p><i class="fa-solid fa-mountain"></i> ${combatData.environment || 'Battle Arena'}</p>
                 </div>
 
+                <!-- Turn Order -->
+                ${currentEncounter.initiative ? `
+                    <div class="rpg-encounter-initiative" id="rpg-encounter-initiative">
+                        ${this.renderInitiativeStrip(combatData)}
+                    </div>
+                ` : ''}
+
                 <!-- Enemies Section -->
                 <div class="rpg-encounter-section">
                     <h3><i class="fa-solid fa-skull"></i> Enemies</h3>
@@ -391,7 +559,7 @@ export class EncounterModal {
                     <h3><i class="fa-solid fa-scroll"></i> Combat Log</h3>
                     <div id="rpg-encounter-log" class="rpg-encounter-log">
                         <div class="rpg-encounter-log-entry">
-                            <em>Combat begins!</em>
+                            <em>${resumed ? 'Combat resumes!' : 'Combat begins!'}</em>
                         </div>
                     </div>
                 </div>
@@ -403,10 +571,70 @@ export class EncounterModal {
 
         mainContent.innerHTML = html;
 
+        // Replay what happened before the checkpoint
+        if (resumed) {
+            currentEncounter.encounterLog.forEach(entry => {
+                this.addToLog(entry.action, 'player-action');
+                this.addToLog(entry.result, 'narrative');
+            });
+        }
+
+        // Log the initiative rolls
+        if (currentEncounter.initiative) {
+            if (!resumed) {
+                this.addToLog(`Initiative: ${currentEncounter.initiative.order.map(e => `${e.name} ${e.total}`).join(', ')}`, 'system');
+            }
+            if (!getCurrentTurn()?.isPlayer) {
+                this.modal.querySelectorAll('.rpg-encounter-action-btn, #rpg-encounter-custom-submit').forEach(btn => {
+                    btn.disabled = true;
+                });
+            }
+        }
+
         // Add event listeners for controls
         this.attachControlListeners(combatData.party);
     }
 
+    /**
+     * Renders the turn order strip
+     * @param {object} combatStats - Combat statistics (to mark defeated combatants)
+     * @returns {string} HTML for the strip
+     */
+    renderInitiativeStrip(combatStats) {
+        const initiative = currentEncounter.initiative;
+        const chips = initiative.order.map((entry, index) => {
+            const combatant = findTurnCombatant(combatStats, entry);
+            const classes = [
+                'rpg-encounter-initiative-chip',
+                entry.side === 'enemy' ? 'rpg-initiative-enemy' : 'rpg-initiative-party',
+                index === initiative.turnIndex ? 'rpg-initiative-active' : '',
+                !combatant || combatant.hp <= 0 ? 'rpg-initiative-down' : ''
+            ].filter(Boolean).join(' ');
+
+            return `
+                <div class="${classes}" title="${entry.name}: ${entry.breakdown} = ${entry.total}">
+                    <span class="rpg-initiative-total">${entry.total}</span>
+                    <span class="rpg-initiative-name">${entry.name}${entry.isPlayer ? ' (You)' : ''}</span>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <span class="rpg-encounter-initiative-round"><i class="fa-solid fa-hourglass-half"></i> Round ${initiative.round}</span>
+            ${chips}
+        `;
+    }
+
+    /**
+     * Re-renders the turn order strip after a turn
+     */
+    updateInitiativeStrip() {
+        const strip = this.modal.querySelector('#rpg-encounter-initiative');
+        if (strip && currentEncounter.initiative) {
+            strip.innerHTML = this.renderInitiativeStrip(currentEncounter.combatStats);
+        }
+    }
+
     /**
      * Renders enemy cards
      * @param {Array} enemies - Array of enemy data
@@ -435,11 +663,7 @@ export class EncounterModal {
                             <div class="rpg-encounter-hp-fill" style="width: ${hpPercent}%"></div>
                             <span class="rpg-encounter-hp-text">${enemy.hp}/${enemy.maxHp} HP</span>
                         </div>
-                        ${enemy.statuses && enemy.statuses.length > 0 ? `
-                            <div class="rpg-encounter-statuses">
-                                ${enemy.statuses.map(status => `<span class="rpg-encounter-status" title="${status.name}">${status.emoji}</span>`).join('')}
-                            </div>
-                        ` : ''}
+                        <div class="rpg-encounter-statuses">${this.renderStatusBadges(enemy.statuses)}</div>
                         ${enemy.description ? `<p class="rpg-encounter-description">${enemy.description}</p>` : ''}
                     </div>
                 </div>
@@ -484,16 +708,30 @@ export class EncounterModal {
                         <div class="rpg-encounter-hp-bar">
                             <div class="rpg-encounter-hp-fill rpg-encounter-hp-party" style="width: ${hpPercent}%"></div>
                             <span class="rpg-encounter-hp-text">${member.hp}/${member.maxHp} HP</span>
-                        </div>                        ${member.statuses && member.statuses.length > 0 ? `
-                            <div class="rpg-encounter-statuses">
-                                ${member.statuses.map(status => `<span class="rpg-encounter-status" title="${status.name}">${status.emoji}</span>`).join('')}
-                            </div>
-                        ` : ''}                    </div>
+                        </div>
+                        <div class="rpg-encounter-statuses">${this.renderStatusBadges(member.statuses)}</div>
+                    </div>
                 </div>
             `;
         }).join('');
     }
 
+    /**
+     * Renders status effect badges with their remaining duration
+     * @param {Array} statuses - Combatant statuses
+     * @returns {string} HTML for the badges (empty when there are none, so the container collapses)
+     */
+    renderStatusBadges(statuses) {
+        return (statuses || [])
+            .map(status => normalizeStatusEffect(status))
+            .filter(Boolean)
+            .map(status => {
+                const description = status.description || STATUS_EFFECT_TYPES[status.type]?.description || '';
+                return `<span class="rpg-encounter-status rpg-encounter-status-${status.type}" title="${status.name}${description ? ` - ${description}` : ''} (${formatEffectDuration(status)} left)">${status.emoji}<span class="rpg-encounter-status-duration">${Math.round(status.duration * 10) / 10}</span></span>`;
+            })
+            .join('');
+    }
+
     /**
      * Gets avatar for a character by name (works for party members, enemies, and NPCs)
      * @param {string} name - Character name
@@ -546,7 +784,7 @@ export class EncounterModal {
      * Shows target selection modal for attacks
      * @param {string} attackType - Type of attack (single-target, AoE, both)
      * @param {Object} combatStats - Current combat state
-     * @returns {Promise<string|null>} Selected target name or null if cancelled
+     * @returns {Promise<string|null>} Selected target's combatant ID ('all-enemies' for AoE), or null if cancelled
      */
     async showTargetSelection(attackType, combatStats) {
         return new Promise((resolve) => {
@@ -581,7 +819,7 @@ export class EncounterModal {
                 combatStats.enemies.forEach((enemy, index) => {
                     if (enemy.hp > 0) {
                         targetOptions += `
-                            <div class="rpg-target-option" data-target="${enemy.name}" data-target-type="enemy" data-target-index="${index}">
+                            <div class="rpg-target-option" data-target="${enemy.id}" data-target-type="enemy" data-target-index="${index}">
                                 <div class="rpg-target-icon">${enemy.sprite || '👹'}</div>
                                 <div class="rpg-target-name">${enemy.name}</div>
                                 <div class="rpg-target-hp">${enemy.hp}/${enemy.maxHp} HP</div>
@@ -605,7 +843,7 @@ export class EncounterModal {
                             }
                         }
                         targetOptions += `
-                            <div class="rpg-target-option rpg-target-ally" data-target="${member.name}" data-target-type="party" data-target-index="${index}">
+                            <div class="rpg-target-option rpg-target-ally" data-target="${member.id}" data-target-type="party" data-target-index="${index}">
                                 <div class="rpg-target-icon">${avatarIcon}</div>
                                 <div class="rpg-target-name">${member.name}${isPlayer}</div>
                                 <div class="rpg-target-hp">${member.hp}/${member.maxHp} HP</div>
@@ -652,6 +890,16 @@ export class EncounterModal {
         });
     }
 
+    /**
+     * Finds a selected target if it is still standing (the fight may have moved on while the target list was open)
+     * @param {string} id - Target's combatant ID
+     * @returns {Object|undefined} Living enemy or party member
+     */
+    findLivingTarget(id) {
+        const combatStats = currentEncounter.combatStats;
+        return [...(combatStats?.enemies || []), ...(combatStats?.party || [])].find(c => c.id === id && c.hp > 0);
+    }
+
     /**
      * Renders player action controls
      * @param {Array} party - Party data
@@ -739,6 +987,7 @@ export class EncounterModal {
                 const userName = context.name1;
 
                 let actionText = '';
+                let details = null;
 
                 if (actionType === 'attack') {
                     const target = await this.showTargetSelection(attackType, currentEncounter.combatStats);
@@ -747,16 +996,28 @@ export class EncounterModal {
                     if (target === 'all-enemies') {
                         actionText = `${userName} uses ${value} targeting all enemies!`;
                     } else {
-                        actionText = `${userName} uses ${value} on ${target}!`;
+                        const combatant = this.findLivingTarget(target);
+                        if (!combatant) {
+                            toastr.warning('That target has already fallen. Choose another target.', 'RPG Companion');
+                            return;
+                        }
+                        actionText = `${userName} uses ${value} on ${combatant.name}!`;
                     }
+                    details = { type: 'attack', value, target };
                 } else if (actionType === 'item') {
                     const target = await this.showTargetSelection('single-target', currentEncounter.combatStats);
                     if (!target) return;
+                    const combatant = this.findLivingTarget(target);
+                    if (!combatant) {
+                        toastr.warning('That target has already fallen. Choose another target.', 'RPG Companion');
+                        return;
+                    }
 
-                    actionText = `${userName} uses ${value} on ${target}!`;
+                    actionText = `${userName} uses ${value} on ${combatant.name}!`;
+                    details = { type: 'item', value, target };
                 }
 
-                await this.processCombatAction(actionText);
+                await this.takePlayerAction(actionText, details);
                 return;
             }
 
@@ -767,7 +1028,7 @@ export class EncounterModal {
                 if (input) {
                     const action = input.value.trim();
                     if (action) {
-                        await this.processCombatAction(action);
+                        await this.takePlayerAction(action);
                         input.value = '';
                     }
                 }
@@ -779,7 +1040,7 @@ export class EncounterModal {
             if (input && e.key === 'Enter' && !this.isProcessing) {
                 const action = input.value.trim();
                 if (action) {
-                    await this.processCombatAction(action);
+                    await this.takePlayerAction(action);
                     input.value = '';
                 }
             }
@@ -795,9 +1056,13 @@ export class EncounterModal {
     /**
      * Processes a combat action
      * @param {string} action - The action description
+     * @param {Object} [details] - Structured action from the action buttons ({type, value, target}), used by rules-engine combat
+     * @param {Object} [resolution] - Already settled round (when regenerating), so the dice aren't rerolled
+     * @param {Object} [turn] - Initiative entry when this is an NPC's turn rather than the player's action
+     * @returns {Promise<boolean>} True if the turn completed and the fight goes on
      */
-    async processCombatAction(action) {
-        if (this.isProcessing) return;
+    async processCombatAction(action, details = null, resolution = null, turn = null) {
+        if (this.isProcessing) return false;
 
         this.isProcessing = true;
 
@@ -808,13 +1073,29 @@ export class EncounterModal {
             });
 
             // Add action to log
-            this.addToLog(`You: ${action}`, 'player-action');
+            if (!turn) {
+                this.addToLog(`You: ${action}`, 'player-action');
+            }
+
+            // In rules-engine mode, settle the round (or just this turn, with initiative) locally before asking for narration
+            if (!resolution && isDeterministicCombat()) {
+                if (turn) {
+                    resolution = resolveCombatantTurn(currentEncounter.combatStats, turn);
+                } else if (currentEncounter.initiative) {
+                    resolution = resolvePlayerTurn(currentEncounter.combatStats, details || { type: 'custom' }, currentEncounter.playerActions);
+                } else {
+                    resolution = resolveCombatRound(currentEncounter.combatStats, details || { type: 'custom' }, currentEncounter.playerActions);
+                }
+            }
 
             // Build and send combat action prompt
-            const actionPrompt = await buildCombatActionPrompt(action, currentEncounter.combatStats);
+            const promptStats = resolution ? resolution.combatStats : currentEncounter.combatStats;
+            const actionPrompt = turn
+                ? await buildCombatTurnPrompt(turn, promptStats, resolution)
+                : await buildCombatActionPrompt(action, promptStats, resolution);
 
             // Store request for potential regeneration
-            this.lastRequest = { type: 'action', action, prompt: actionPrompt };
+            this.lastRequest = { type: 'action', action, details, resolution, turn, prompt: actionPrompt };
 
             const response = await generateRaw({
                 prompt: actionPrompt,
@@ -823,78 +1104,113 @@ export class EncounterModal {
 
             if (!response) {
                 this.showErrorWithRegenerate('No response received from AI. The model may be unavailable.');
-                return;
+                return false;
             }
 
             // Parse response
             const result = parseEncounterJSON(response);
 
-            if (!result || !result.combatStats) {
-                this.showErrorWithRegenerate('Invalid JSON format detected. The AI returned malformed data. Ensure the Max Response Length is set to at least 2048 tokens, otherwise the model might run out of tokens and produce unfinished structures.');
-                return;
-            }
-
-            // Update encounter state
-            updateCurrentEncounter({
-                combatStats: result.combatStats,
-                playerActions: result.playerActions
-            });
+            if (resolution) {
+                if (!result || !result.narrative) {
+                    this.showErrorWithRegenerate('Invalid JSON format detected. The AI returned malformed data. Ensure the Max Response Length is set to at least 2048 tokens, otherwise the model might run out of tokens and produce unfinished structures.');
+                    return false;
+                }
+                if (!(await this.applyResolvedRound(action, resolution, result, turn))) {
+                    return false;
+                }
+            } else {
+                if (!result || !result.combatStats) {
+                    this.showErrorWithRegenerate('Invalid JSON format detected. The AI returned malformed data. Ensure the Max Response Length is set to at least 2048 tokens, otherwise the model might run out of tokens and produce unfinished structures.');
+                    return false;
+                }
 
-            // Collect log entries in order: enemy actions, party actions, then narration
-            const logEntries = [];
+                // Keep tracked status durations; the model only adds new statuses or ends them early
+                this.mergeCombatStatuses(currentEncounter.combatStats, result.combatStats);
 
-            // Add enemy actions first
-            if (result.enemyActions) {
-                result.enemyActions.forEach(enemyAction => {
-                    logEntries.push({ message: `${enemyAction.enemyName}: ${enemyAction.action}`, type: 'enemy-action' });
+                // Update encounter state
+                updateCurrentEncounter({
+                    combatStats: result.combatStats,
+                    playerActions: result.playerActions
                 });
-            }
 
-            // Add party actions second
-            if (result.partyActions) {
-                result.partyActions.forEach(partyAction => {
-                    logEntries.push({ message: `${partyAction.memberName}: ${partyAction.action}`, type: 'party-action' });
-                });
-            }
+                // Collect log entries in order: enemy actions, party actions, then narration
+                const logEntries = [];
 
-            // Add narrative last - split by newlines for line-by-line display
-            if (result.narrative) {
-                const narrativeLines = result.narrative.split('\n').filter(line => line.trim());
-                narrativeLines.forEach(line => {
-                    logEntries.push({ message: line, type: 'narrative' });
-                });
-            }
+                // On an NPC's initiative turn, only that NPC acts
+                const turnAction = turn ? `${turn.name}: ${result.action || 'acts'}${result.target ? ` (${result.target})` : ''}` : '';
+                if (turn) {
+                    logEntries.push({ message: turnAction, type: turn.side === 'enemy' ? 'enemy-action' : 'party-action' });
+                }
 
-            // Display log entries sequentially with animation
-            await this.addLogsSequentially(logEntries);
+                // Add enemy actions first
+                if (result.enemyActions) {
+                    result.enemyActions.forEach(enemyAction => {
+                        logEntries.push({ message: `${enemyAction.enemyName}: ${enemyAction.action}`, type: 'enemy-action' });
+                    });
+                }
 
-            // Add to encounter log for summary - include all actions
-            let fullActionLog = action;
-            if (result.enemyActions && result.enemyActions.length > 0) {
-                result.enemyActions.forEach(enemyAction => {
-                    fullActionLog += `\n${enemyAction.enemyName}: ${enemyAction.action}`;
-                });
+                // Add party actions second
+                if (result.partyActions) {
+                    result.partyActions.forEach(partyAction => {
+                        logEntries.push({ message: `${partyAction.memberName}: ${partyAction.action}`, type: 'party-action' });
+                    });
+                }
+
+                // Add narrative last - split by newlines for line-by-line display
+                if (result.narrative) {
+                    const narrativeLines = result.narrative.split('\n').filter(line => line.trim());
+                    narrativeLines.forEach(line => {
+                        logEntries.push({ message: line, type: 'narrative' });
+                    });
+                }
+
+                // Display log entries sequentially with animation
+                await this.addLogsSequentially(logEntries);
+
+                // Add to encounter log for summary - include all actions
+                let fullActionLog = turn ? turnAction : action;
+                if (result.enemyActions && result.enemyActions.length > 0) {
+                    result.enemyActions.forEach(enemyAction => {
+                        fullActionLog += `\n${enemyAction.enemyName}: ${enemyAction.action}`;
+                    });
+                }
+                if (result.partyActions && result.partyActions.length > 0) {
+                    result.partyActions.forEach(partyAction => {
+                        fullActionLog += `\n${partyAction.memberName}: ${partyAction.action}`;
+                    });
+                }
+                addEncounterLogEntry(fullActionLog, result.narrative || 'Action resolved');
+
+                // Update UI
+                this.updateCombatUI(result.combatStats);
+
+                // Check if combat ended
+                if (result.combatEnd) {
+                    await this.endCombat(result.result || 'unknown');
+                    return false;
+                }
             }
-            if (result.partyActions && result.partyActions.length > 0) {
-                result.partyActions.forEach(partyAction => {
-                    fullActionLog += `\n${partyAction.memberName}: ${partyAction.action}`;
-                });
+
+            // Count down status effects: the acting combatant's after their turn, or everyone's after a full round
+            if (!(await this.tickStatusEffects(turn))) {
+                return false;
             }
-            addEncounterLogEntry(fullActionLog, result.narrative || 'Action resolved');
 
-            // Update UI
-            this.updateCombatUI(result.combatStats);
+            // Pass the turn on; buttons stay disabled while NPCs still have to act
+            if (currentEncounter.initiative) {
+                advanceTurn(currentEncounter.combatStats);
+                this.updateInitiativeStrip();
+            }
 
-            // Check if combat ended
-            if (result.combatEnd) {
-                await this.endCombat(result.result || 'unknown');
-                return;
+            if (!currentEncounter.initiative || getCurrentTurn()?.isPlayer) {
+                // Re-enable buttons
+                this.modal.querySelectorAll('.rpg-encounter-action-btn, #rpg-encounter-custom-submit').forEach(btn => {
+                    btn.disabled = false;
+                });
             }
 
-            // Re-enable buttons
-            this.modal.querySelectorAll('.rpg-encounter-action-btn, #rpg-encounter-custom-submit').forEach(btn => {
-                btn.disabled = false;
-            });
+            saveEncounterCheckpoint();
+            return true;
 
         } catch (error) {
             console.error('[RPG Companion] Error processing combat action:', error);
@@ -904,11 +1220,149 @@ export class EncounterModal {
             this.modal.querySelectorAll('.rpg-encounter-action-btn, #rpg-encounter-custom-submit').forEach(btn => {
                 btn.disabled = false;
             });
+            return false;
         } finally {
             this.isProcessing = false;
         }
     }
 
+    /**
+     * Carries tracked statuses over to the combat stats the model returned, matching combatants by the ID
+     * sent in the prompt (by name only when the model left the ID out)
+     * @param {object} previousStats - Combat stats before the turn
+     * @param {object} nextStats - Combat stats from the model (IDs and statuses are changed in place)
+     */
+    mergeCombatStatuses(previousStats, nextStats) {
+        if (!previousStats || !nextStats) return;
+
+        const claimed = new Set();
+        ['party', 'enemies'].forEach(side => {
+            (nextStats[side] || []).forEach(combatant => {
+                const candidates = (previousStats[side] || []).filter(c => !claimed.has(c.id));
+                const previous = combatant.id
+                    ? candidates.find(c => c.id === combatant.id)
+                    : candidates.find(c => c.name === combatant.name);
+                if (previous) {
+                    claimed.add(previous.id);
+                    // Keep the turn order's name in step when the model renames someone
+                    (currentEncounter.initiative?.order || [])
+                        .filter(entry => entry.id === previous.id)
+                        .forEach(entry => { entry.name = combatant.name; });
+                }
+                combatant.id = previous?.id;
+                combatant.statuses = mergeStatusEffects(previous?.statuses || [], combatant.statuses || []);
+            });
+        });
+
+        // Newcomers get their own IDs
+        identifyCombatants(nextStats);
+    }
+
+    /**
+     * Ends a turn for status effects and logs what happened
+     * @param {Object} [turn] - Initiative entry of the NPC whose turn ended; null for the player (or a full round without initiative)
+     * @returns {Promise<boolean>} True if the fight goes on
+     */
+    async tickStatusEffects(turn = null) {
+        const combatStats = currentEncounter.combatStats;
+        let combatants;
+        if (!currentEncounter.initiative) {
+            combatants = [...combatStats.party, ...combatStats.enemies];
+        } else if (turn) {
+            combatants = [findTurnCombatant(combatStats, turn)].filter(Boolean);
+        } else {
+            combatants = combatStats.party.filter(m => m.isPlayer);
+        }
+
+        const events = combatants.flatMap(combatant => tickCombatantEffects(combatant));
+        if (events.length === 0) return true;
+
+        await this.addLogsSequentially(events.map(message => ({ message, type: 'system' })));
+        addEncounterLogEntry('Status effects', events.join('\n'));
+        this.updateCombatUI(combatStats);
+
+        // Poison can finish a fight in rules-engine mode
+        const combatResult = isDeterministicCombat() ? getCombatResult(combatStats) : null;
+        if (combatResult) {
+            await this.endCombat(combatResult);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Plays NPC turns in initiative order until it is the player's turn again.
+     * Each NPC turn is its own prompt and its own encounter log entry.
+     */
+    async runTurnQueue() {
+        let turn = getCurrentTurn();
+        while (currentEncounter.active && turn && !turn.isPlayer) {
+            const completed = await this.processCombatAction(`${turn.name}'s turn`, null, null, turn);
+            if (!completed) return; // Fight ended, or an error (regenerating resumes the queue)
+            turn = getCurrentTurn();
+        }
+    }
+
+    /**
+     * Takes the player's action, then lets everyone after them in the turn order act
+     * @param {string} action - The action description
+     * @param {Object} [details] - Structured action from the action buttons
+     */
+    async takePlayerAction(action, details = null) {
+        const completed = await this.processCombatAction(action, details);
+        if (completed && currentEncounter.initiative) {
+            await this.runTurnQueue();
+        }
+    }
+
+    /**
+     * Applies a round settled by the rules engine, taking only statuses and actions from the model's narration
+     * @param {string} action - The action description
+     * @param {Object} resolution - Result of resolveCombatRound (or a single turn's resolution)
+     * @param {Object} result - Parsed narration response ({statuses, playerActions, narrative})
+     * @param {Object} [turn] - Initiative entry when this was an NPC's turn
+     * @returns {Promise<boolean>} True if the fight goes on
+     */
+    async applyResolvedRound(action, resolution, result, turn = null) {
+        const combatStats = resolution.combatStats;
+
+        // HP is already final; new statuses come from the narration, durations stay tracked here
+        if (result.statuses && typeof result.statuses === 'object') {
+            [...combatStats.party, ...combatStats.enemies].forEach(combatant => {
+                if (Array.isArray(result.statuses[combatant.name])) {
+                    combatant.statuses = mergeStatusEffects(combatant.statuses, result.statuses[combatant.name]);
+                }
+            });
+        }
+
+        updateCurrentEncounter({
+            combatStats,
+            playerActions: result.playerActions || currentEncounter.playerActions
+        });
+
+        // Settled outcomes first, in the order they happened, then the narration
+        const outcomeLines = resolution.outcomes.map(formatCombatOutcome);
+        const logEntries = resolution.outcomes.map((outcome, index) => ({
+            message: outcomeLines[index],
+            type: outcome.side === 'enemy' ? 'enemy-action' : outcome.side === 'party' ? 'party-action' : 'player-action'
+        }));
+        result.narrative.split('\n').filter(line => line.trim()).forEach(line => {
+            logEntries.push({ message: line, type: 'narrative' });
+        });
+
+        await this.addLogsSequentially(logEntries);
+
+        addEncounterLogEntry([turn ? `${turn.name}'s turn` : action, ...outcomeLines].join('\n'), result.narrative);
+
+        this.updateCombatUI(combatStats);
+
+        if (resolution.result) {
+            await this.endCombat(resolution.result);
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Updates the combat UI with new stats
      * @param {object} combatStats - Updated combat statistics
@@ -930,6 +1384,9 @@ export class EncounterModal {
 
                 if (hpBar) hpBar.style.width = `${hpPercent}%`;
                 if (hpText) hpText.textContent = `${enemy.hp}/${enemy.maxHp} HP`;
+
+                const statusContainer = card.querySelector('.rpg-encounter-statuses');
+                if (statusContainer) statusContainer.innerHTML = this.renderStatusBadges(enemy.statuses);
             }
         });
 
@@ -949,6 +1406,9 @@ export class EncounterModal {
 
                 if (hpBar) hpBar.style.width = `${hpPercent}%`;
                 if (hpText) hpText.textContent = `${member.hp}/${member.maxHp} HP`;
+
+                const statusContainer = card.querySelector('.rpg-encounter-statuses');
+                if (statusContainer) statusContainer.innerHTML = this.renderStatusBadges(member.statuses);
             }
         });
 
@@ -1072,8 +1532,25 @@ export class EncounterModal {
      */
     async endCombat(result) {
         try {
+            // The fight is over; there is nothing left to resume
+            clearEncounterCheckpoint();
+
+            // The player's statuses outlast the fight and keep counting down per message
+            const player = currentEncounter.combatStats?.party?.find(m => m.isPlayer);
+            if (player) {
+                setPlayerStatusEffects(player.statuses);
+                renderUserStats();
+            }
+
+            // Award XP for the defeated enemies before anything can fail
+            let xpAwarded = 0;
+            if (result === 'victory' && getExperienceConfig().enabled) {
+                xpAwarded = calculateEncounterXp(currentEncounter.combatStats?.enemies);
+                awardXp(xpAwarded, 'Combat victory');
+            }
+
             // Show combat over screen
-            this.showCombatOverScreen(result);
+            this.showCombatOverScreen(result, xpAwarded);
 
             // Generate summary
             const summaryPrompt = await buildCombatSummaryPrompt(currentEncounter.encounterLog, result);
@@ -1084,8 +1561,11 @@ export class EncounterModal {
             });
 
             if (summaryResponse) {
+                // Take the loot list out before the summary goes to the chat
+                const { text, loot } = result === 'victory' ? extractLoot(summaryResponse) : { text: summaryResponse, loot: null };
+
                 // Extract summary (remove [FIGHT CONCLUDED] tag)
-                const summary = summaryResponse.replace(/\[FIGHT CONCLUDED\]\s*/i, '').trim();
+                const summary = text.replace(/\[FIGHT CONCLUDED\]\s*/i, '').trim();
 
                 // Determine which character should speak the summary
                 const speakerName = this.getCombatNarrator();
@@ -1115,16 +1595,26 @@ export class EncounterModal {
                     this.updateCombatOverScreen(true, 'chat');
                 }
 
-                // Save encounter log
-                const context = getContext();
-                if (context.chatId) {
-                    saveEncounterLog(context.chatId, {
-                        log: currentEncounter.encounterLog,
-                        summary: summary,
-                        result: result
-                    });
+                // Save encounter log to the chat so it can be browsed and exported later
+                saveEncounterLog({
+                    log: currentEncounter.encounterLog,
+                    summary: summary,
+                    result: result,
+                    combatStats: currentEncounter.combatStats,
+                    loot: loot
+                });
+
+                // Let the user pick which spoils to keep
+                if (hasLoot(loot)) {
+                    this.showLootScreen(loot);
                 }
             } else {
+                // Keep the turn log even when the summary failed
+                saveEncounterLog({
+                    log: currentEncounter.encounterLog,
+                    result: result,
+                    combatStats: currentEncounter.combatStats
+                });
                 this.updateCombatOverScreen(false);
             }
 
@@ -1185,8 +1675,9 @@ export class EncounterModal {
     /**
      * Shows the combat over screen
      * @param {string} result - Combat result ('victory', 'defeat', 'fled', 'interrupted')
+     * @param {number} [xpAwarded] - XP granted for the encounter (shown when > 0)
      */
-    showCombatOverScreen(result) {
+    showCombatOverScreen(result, xpAwarded = 0) {
         const mainContent = this.modal.querySelector('#rpg-encounter-main');
         if (!mainContent) return;
 
@@ -1211,6 +1702,7 @@ export class EncounterModal {
             <div class="rpg-encounter-over" style="text-align: center; padding: 40px 20px;">
                 <i class="fa-solid ${icon}" style="font-size: 72px; color: ${color}; margin-bottom: 24px;"></i>
                 <h2 style="font-size: 32px; margin-bottom: 16px; text-transform: uppercase;">${result}</h2>
+                ${xpAwarded > 0 ? `<div class="rpg-encounter-xp" style="font-size: 20px; margin-bottom: 16px; color: ${color};">+${xpAwarded} XP</div>` : ''}
                 <p style="font-size: 18px; margin-bottom: 32px; opacity: 0.8;">Generating combat summary...</p>
                 <div class="rpg-encounter-loading" style="display: flex; justify-content: center; align-items: center; gap: 12px;">
                     <i class="fa-solid fa-spinner fa-spin" style="font-size: 24px;"></i>
@@ -1268,6 +1760,102 @@ export class EncounterModal {
         }
     }
 
+    /**
+     * Shows the spoils of a won fight on the combat over screen, so each one can be kept or discarded
+     * @param {import('../features/loot.js').EncounterLoot} loot - Loot reported with the summary
+     */
+    showLootScreen(loot) {
+        const overScreen = this.modal.querySelector('.rpg-encounter-over');
+        if (!overScreen) return;
+
+        const entries = [
+            ...loot.items.map(item => ({ name: item.name, quantity: item.quantity, icon: 'fa-box-open' })),
+            ...loot.currency.map(coin => ({ name: coin.name, quantity: coin.amount, icon: 'fa-coins', toWallet: !!getLootDenomination(coin.name) }))
+        ];
+        const destinations = getLootDestinations();
+        const destinationOptions = destinations
+            .map((destination, index) => `<option value="${index}">${escapeHtml(destination.label)}</option>`)
+            .join('');
+
+        const rows = entries.map((entry, index) => `
+            <div class="rpg-encounter-loot-row" data-index="${index}">
+                <label class="rpg-encounter-loot-item">
+                    <input type="checkbox" class="rpg-encounter-loot-accept" checked />
+                    <i class="fa-solid ${entry.icon}"></i>
+                    <span>${entry.quantity > 1 ? `${entry.quantity}x ` : ''}${escapeHtml(entry.name)}</span>
+                </label>
+                ${entry.toWallet
+                    ? '<span class="rpg-encounter-loot-wallet"><i class="fa-solid fa-wallet"></i> Wallet</span>'
+                    : `<select class="rpg-select rpg-encounter-loot-destination">${destinationOptions}</select>`}
+            </div>
+        `).join('');
+
+        const lootSection = document.createElement('div');
+        lootSection.className = 'rpg-encounter-loot';
+        lootSection.innerHTML = `
+            <h3><i class="fa-solid fa-sack-dollar"></i> Loot</h3>
+            <div class="rpg-encounter-loot-list">
+                ${rows}
+                ${loot.xp > 0 ? `
+                    <div class="rpg-encounter-loot-row" data-xp="true">
+                        <label class="rpg-encounter-loot-item">
+                            <input type="checkbox" class="rpg-encounter-loot-accept" checked />
+                            <i class="fa-solid fa-star"></i>
+                            <span>+${loot.xp} XP</span>
+                        </label>
+                    </div>
+                ` : ''}
+            </div>
+            <div class="rpg-encounter-loot-buttons">
+                <button class="rpg-btn rpg-btn-secondary rpg-encounter-loot-discard">
+                    <i class="fa-solid fa-trash"></i> Discard All
+                </button>
+                <button class="rpg-btn rpg-btn-primary rpg-encounter-loot-take">
+                    <i class="fa-solid fa-hand-holding"></i> Take Selected
+                </button>
+            </div>
+        `;
+
+        // Keep the window open until the loot is dealt with
+        const closeBtn = overScreen.querySelector('#rpg-encounter-close-final');
+        if (closeBtn) closeBtn.style.display = 'none';
+        overScreen.querySelector('.rpg-encounter-loading').before(lootSection);
+
+        const finish = (message) => {
+            lootSection.innerHTML = `<p class="rpg-encounter-loot-result">${escapeHtml(message)}</p>`;
+            if (closeBtn) closeBtn.style.display = '';
+        };
+
+        lootSection.querySelector('.rpg-encounter-loot-take').addEventListener('click', () => {
+            const accepted = [];
+            let xp = 0;
+            lootSection.querySelectorAll('.rpg-encounter-loot-row').forEach(row => {
+                if (!row.querySelector('.rpg-encounter-loot-accept').checked) return;
+                if (row.dataset.xp) {
+                    xp = loot.xp;
+                    return;
+                }
+                const entry = entries[parseInt(row.dataset.index)];
+                accepted.push({
+                    name: entry.name,
+                    quantity: entry.quantity,
+                    destination: entry.toWallet
+                        ? 'wallet'
+                        : destinations[parseInt(row.querySelector('.rpg-encounter-loot-destination').value)].value
+                });
+            });
+
+            const added = grantLoot(accepted, xp);
+            finish(added > 0 || xp > 0
+                ? `Took ${added} item${added === 1 ? '' : 's'}${xp > 0 ? ` and ${xp} XP` : ''}.`
+                : 'Loot left behind.');
+        });
+
+        lootSection.querySelector('.rpg-encounter-loot-discard').addEventListener('click', () => {
+            finish('Loot left behind.');
+        });
+    }
+
     /**
      * Shows a loading state
      * @param {string} message - Loading message
@@ -1363,9 +1951,12 @@ export class EncounterModal {
             this.isInitializing = true;
             await this.initialize();
         } else if (this.lastRequest.type === 'action') {
-            // Retry action
-            this.isProcessing = true;
-            await this.processCombatAction(this.lastRequest.action);
+            // Retry action, then carry on with the turn order
+            const { action, details, resolution, turn } = this.lastRequest;
+            const completed = await this.processCombatAction(action, details, resolution, turn);
+            if (completed && currentEncounter.initiative) {
+                await this.runTurnQueue();
+            }
         }
     }
 
@@ -0,0 +1,156 @@
+/**
+ * Inventory Log Browser Module
+ * Lists what each message changed in the inventory, searchable by item, with a jump back to the message
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { searchInventoryLog, formatInventoryChanges } from '../features/inventoryLog.js';
+
+/**
+ * HTML escape helper
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Scrolls the chat to a message and briefly highlights it.
+ * @param {number} messageIndex - Chat message index
+ * @returns {boolean} Whether the message was found on screen
+ */
+export function jumpToMessage(messageIndex) {
+    const message = document.querySelector(`#chat .mes[mesid="${messageIndex}"]`);
+    if (!message) {
+        toastr.info(`Message #${messageIndex} isn't loaded. Scroll up in the chat to load older messages, then try again.`, 'RPG Companion');
+        return false;
+    }
+
+    message.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    message.classList.add('rpg-message-flash');
+    setTimeout(() => message.classList.remove('rpg-message-flash'), 2000);
+    return true;
+}
+
+/**
+ * InventoryLogBrowser class
+ * Manages the inventory history modal
+ */
+export class InventoryLogBrowser {
+    constructor() {
+        this.modal = null;
+        this.query = '';
+    }
+
+    /**
+     * Opens the browser
+     * @param {string} [query=''] - Item to search for
+     */
+    open(query = '') {
+        if (!this.modal) {
+            this.createModal();
+        }
+
+        this.modal.setAttribute('data-theme', extensionSettings.theme || 'default');
+        this.query = query;
+        this.modal.querySelector('#rpg-inventory-log-search').value = query;
+        this.render();
+        this.modal.classList.add('is-open');
+    }
+
+    /**
+     * Closes the browser
+     */
+    close() {
+        if (this.modal) {
+            this.modal.classList.remove('is-open');
+        }
+    }
+
+    /**
+     * Creates the modal DOM structure
+     */
+    createModal() {
+        const modalHTML = `
+            <div id="rpg-inventory-log-browser" class="rpg-encounter-modal" data-theme="${extensionSettings.theme || 'default'}">
+                <div class="rpg-encounter-overlay"></div>
+                <div class="rpg-encounter-container rpg-inventory-log-container">
+                    <div class="rpg-encounter-header">
+                        <h2><i class="fa-solid fa-clock-rotate-left"></i> Inventory History</h2>
+                        <div class="rpg-encounter-header-buttons">
+                            <button id="rpg-inventory-log-close" class="rpg-encounter-close-btn" title="Close">
+                                <i class="fa-solid fa-times"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="rpg-encounter-content">
+                        <input type="search" id="rpg-inventory-log-search" class="text_pole rpg-inventory-log-search" placeholder="Search for an item..." />
+                        <div id="rpg-inventory-log-list" class="rpg-inventory-log-list"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.modal = document.getElementById('rpg-inventory-log-browser');
+
+        this.modal.querySelector('#rpg-inventory-log-close').addEventListener('click', () => this.close());
+        this.modal.querySelector('.rpg-encounter-overlay').addEventListener('click', () => this.close());
+        this.modal.querySelector('#rpg-inventory-log-search').addEventListener('input', (event) => {
+            this.query = event.target.value;
+            this.render();
+        });
+
+        this.modal.querySelector('#rpg-inventory-log-list').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action="jump"]');
+            if (button && jumpToMessage(parseInt(button.dataset.message))) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Renders the entries matching the search
+     */
+    render() {
+        const list = this.modal.querySelector('#rpg-inventory-log-list');
+        const entries = searchInventoryLog(this.query);
+
+        if (entries.length === 0) {
+            list.innerHTML = `<p class="rpg-inventory-log-empty">${this.query.trim() ? 'No changes to that item in this chat.' : 'No inventory changes recorded in this chat yet.'}</p>`;
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => `
+            <div class="rpg-inventory-log-entry">
+                <div class="rpg-inventory-log-meta">
+                    <span>Message #${entry.messageIndex}</span>
+                    <span>${escapeHtml(new Date(entry.timestamp).toLocaleString())}</span>
+                </div>
+                <div class="rpg-inventory-log-changes">
+                    ${entry.changes.map(change => `
+                        <span class="${change.delta > 0 ? 'rpg-inventory-change-gain' : 'rpg-inventory-change-loss'}">${escapeHtml(formatInventoryChanges([change]))}</span>
+                    `).join('')}
+                </div>
+                <button class="rpg-btn rpg-btn-secondary" data-action="jump" data-message="${entry.messageIndex}" title="Jump to the message">
+                    <i class="fa-solid fa-arrow-up-right-from-square"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+}
+
+// Export singleton instance
+export const inventoryLogBrowser = new InventoryLogBrowser();
+
+/**
+ * Opens the inventory log browser
+ * @param {string} [query] - Item to search for
+ */
+export function openInventoryLogBrowser(query) {
+    inventoryLogBrowser.open(query);
+}
@@ -46,9 +46,16 @@ export function togglePlotButtons() {
 
     // Show/hide encounter button independently based on encounter settings
     if (extensionSettings.encounterSettings?.enabled) {
-        $('#rpg-encounter-button').show();
+        $('#rpg-encounter-button, #rpg-encounter-logs-button').show();
     } else {
-        $('#rpg-encounter-button').hide();
+        $('#rpg-encounter-button, #rpg-encounter-logs-button').hide();
+    }
+
+    // Trading goes with the encounter buttons, and needs the inventory to trade from
+    if (extensionSettings.encounterSettings?.enabled && extensionSettings.showInventory) {
+        $('#rpg-trade-button').show();
+    } else {
+        $('#rpg-trade-button').hide();
     }
 
     // Show the container if at least one button is visible
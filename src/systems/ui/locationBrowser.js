@@ -0,0 +1,347 @@
+/**
+ * Location Browser Module
+ * Travel map of the chat: every known location as a list (visits, routes, notes) and as a node graph of the routes between them
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import {
+    getLocationHistory,
+    getConnectedLocations,
+    setLocationNotes,
+    deleteLocation
+} from '../features/locationHistory.js';
+import { jumpToMessage } from './inventoryLogBrowser.js';
+
+const GRAPH_WIDTH = 640;
+const GRAPH_HEIGHT = 420;
+const GRAPH_MARGIN = 40;
+
+/**
+ * HTML escape helper
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Places the locations for the graph: starts them on a circle, then lets linked places pull together
+ * and all places push apart for a fixed number of steps, so the same history always gets the same layout.
+ * @param {Array<{id: string}>} locations - Locations
+ * @param {Array<{from: string, to: string}>} connections - Routes
+ * @returns {Map<string, {x: number, y: number}>} Position by location ID
+ */
+export function layoutLocationGraph(locations, connections) {
+    const positions = new Map();
+    const centerX = GRAPH_WIDTH / 2;
+    const centerY = GRAPH_HEIGHT / 2;
+    const radius = Math.min(GRAPH_WIDTH, GRAPH_HEIGHT) / 2 - GRAPH_MARGIN;
+    locations.forEach((location, index) => {
+        const angle = (2 * Math.PI * index) / Math.max(1, locations.length) - Math.PI / 2;
+        positions.set(location.id, {
+            x: locations.length === 1 ? centerX : centerX + radius * Math.cos(angle),
+            y: locations.length === 1 ? centerY : centerY + radius * Math.sin(angle)
+        });
+    });
+    if (locations.length < 3) return positions;
+
+    const ideal = Math.sqrt(((GRAPH_WIDTH - 2 * GRAPH_MARGIN) * (GRAPH_HEIGHT - 2 * GRAPH_MARGIN)) / locations.length);
+    const edges = connections.filter(c => positions.has(c.from) && positions.has(c.to));
+    let temperature = GRAPH_WIDTH / 10;
+
+    for (let step = 0; step < 200; step++) {
+        const forces = new Map(locations.map(location => [location.id, { x: 0, y: 0 }]));
+
+        for (let i = 0; i < locations.length; i++) {
+            for (let j = i + 1; j < locations.length; j++) {
+                const a = positions.get(locations[i].id);
+                const b = positions.get(locations[j].id);
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(1, Math.hypot(dx, dy));
+                const push = (ideal * ideal) / distance;
+                forces.get(locations[i].id).x += (dx / distance) * push;
+                forces.get(locations[i].id).y += (dy / distance) * push;
+                forces.get(locations[j].id).x -= (dx / distance) * push;
+                forces.get(locations[j].id).y -= (dy / distance) * push;
+            }
+        }
+
+        edges.forEach(({ from, to }) => {
+            const a = positions.get(from);
+            const b = positions.get(to);
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(1, Math.hypot(dx, dy));
+            const pull = (distance * distance) / ideal;
+            forces.get(from).x -= (dx / distance) * pull;
+            forces.get(from).y -= (dy / distance) * pull;
+            forces.get(to).x += (dx / distance) * pull;
+            forces.get(to).y += (dy / distance) * pull;
+        });
+
+        locations.forEach(location => {
+            const force = forces.get(location.id);
+            const length = Math.max(1, Math.hypot(force.x, force.y));
+            const position = positions.get(location.id);
+            position.x = Math.min(GRAPH_WIDTH - GRAPH_MARGIN, Math.max(GRAPH_MARGIN, position.x + (force.x / length) * Math.min(length, temperature)));
+            position.y = Math.min(GRAPH_HEIGHT - GRAPH_MARGIN, Math.max(GRAPH_MARGIN, position.y + (force.y / length) * Math.min(length, temperature)));
+        });
+        temperature *= 0.97;
+    }
+    return positions;
+}
+
+/**
+ * LocationBrowser class
+ * Manages the travel map modal
+ */
+export class LocationBrowser {
+    constructor() {
+        this.modal = null;
+        this.view = 'list';
+        this.query = '';
+    }
+
+    /**
+     * Opens the browser
+     * @param {'list'|'graph'} [view] - View to show (defaults to the last one used)
+     */
+    open(view) {
+        if (!this.modal) {
+            this.createModal();
+        }
+
+        this.modal.setAttribute('data-theme', extensionSettings.theme || 'default');
+        if (view) this.view = view;
+        this.render();
+        this.modal.classList.add('is-open');
+    }
+
+    /**
+     * Closes the browser
+     */
+    close() {
+        if (this.modal) {
+            this.modal.classList.remove('is-open');
+        }
+    }
+
+    /**
+     * Creates the modal DOM structure
+     */
+    createModal() {
+        const modalHTML = `
+            <div id="rpg-location-browser" class="rpg-encounter-modal" data-theme="${extensionSettings.theme || 'default'}">
+                <div class="rpg-encounter-overlay"></div>
+                <div class="rpg-encounter-container rpg-location-browser-container">
+                    <div class="rpg-encounter-header">
+                        <h2><i class="fa-solid fa-map-location-dot"></i> Travel Map</h2>
+                        <div class="rpg-encounter-header-buttons">
+                            <button id="rpg-location-browser-close" class="rpg-encounter-close-btn" title="Close">
+                                <i class="fa-solid fa-times"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="rpg-encounter-content">
+                        <div class="rpg-location-browser-toolbar">
+                            <button class="rpg-btn rpg-btn-secondary rpg-location-view-btn" data-view="list"><i class="fa-solid fa-list"></i> List</button>
+                            <button class="rpg-btn rpg-btn-secondary rpg-location-view-btn" data-view="graph"><i class="fa-solid fa-diagram-project"></i> Graph</button>
+                            <input type="search" id="rpg-location-browser-search" class="text_pole rpg-location-browser-search" placeholder="Search locations and notes..." />
+                        </div>
+                        <div id="rpg-location-browser-body"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.modal = document.getElementById('rpg-location-browser');
+
+        this.modal.querySelector('#rpg-location-browser-close').addEventListener('click', () => this.close());
+        this.modal.querySelector('.rpg-encounter-overlay').addEventListener('click', () => this.close());
+        this.modal.querySelectorAll('.rpg-location-view-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.view = button.dataset.view;
+                this.render();
+            });
+        });
+        this.modal.querySelector('#rpg-location-browser-search').addEventListener('input', (event) => {
+            this.query = event.target.value;
+            this.render();
+        });
+
+        const body = this.modal.querySelector('#rpg-location-browser-body');
+        body.addEventListener('click', (event) => {
+            const jump = event.target.closest('button[data-action="jump"]');
+            if (jump && jumpToMessage(parseInt(jump.dataset.message))) {
+                this.close();
+                return;
+            }
+
+            const remove = event.target.closest('button[data-action="delete"]');
+            if (remove) {
+                const entry = remove.closest('.rpg-location-entry');
+                if (confirm(`Forget "${entry.dataset.name}" and its routes?`)) {
+                    deleteLocation(entry.dataset.id);
+                    this.render();
+                }
+                return;
+            }
+
+            const node = event.target.closest('.rpg-location-node');
+            if (node) {
+                this.showInList(node.dataset.id);
+            }
+        });
+        body.addEventListener('change', (event) => {
+            if (event.target.classList.contains('rpg-location-notes')) {
+                setLocationNotes(event.target.closest('.rpg-location-entry').dataset.id, event.target.value);
+            }
+        });
+    }
+
+    /**
+     * Switches to the list and scrolls to a location
+     * @param {string} id - Location ID
+     */
+    showInList(id) {
+        this.view = 'list';
+        this.query = '';
+        this.modal.querySelector('#rpg-location-browser-search').value = '';
+        this.render();
+
+        const entry = this.modal.querySelector(`.rpg-location-entry[data-id="${CSS.escape(id)}"]`);
+        if (entry) {
+            entry.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            entry.classList.add('rpg-message-flash');
+            setTimeout(() => entry.classList.remove('rpg-message-flash'), 2000);
+        }
+    }
+
+    /**
+     * Renders the current view
+     */
+    render() {
+        this.modal.querySelectorAll('.rpg-location-view-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === this.view);
+        });
+        this.modal.querySelector('#rpg-location-browser-search').style.display = this.view === 'list' ? '' : 'none';
+
+        const body = this.modal.querySelector('#rpg-location-browser-body');
+        if (getLocationHistory().locations.length === 0) {
+            body.innerHTML = '<p class="rpg-inventory-log-empty">No locations recorded in this chat yet. They are added as the info box reports where the party is.</p>';
+            return;
+        }
+        body.innerHTML = this.view === 'graph' ? this.renderGraph() : this.renderList();
+    }
+
+    /**
+     * Formats a visit as "Message #12 · Tuesday, October 17th, 2023, 14:30"
+     * @param {Object} visit - Location visit
+     * @returns {string} HTML
+     */
+    renderVisit(visit) {
+        return `
+            <button class="rpg-location-visit" data-action="jump" data-message="${visit.messageIndex}" title="Jump to the message">
+                Message #${visit.messageIndex}${visit.gameTime ? ` · ${escapeHtml(visit.gameTime)}` : ''}
+            </button>
+        `;
+    }
+
+    /**
+     * Renders the location list, most recently visited first
+     * @returns {string} HTML
+     */
+    renderList() {
+        const history = getLocationHistory();
+        const term = this.query.trim().toLowerCase();
+        const locations = history.locations
+            .filter(location => !term || location.name.toLowerCase().includes(term) || location.notes.toLowerCase().includes(term))
+            .sort((a, b) => b.lastVisited.messageIndex - a.lastVisited.messageIndex || b.lastVisited.timestamp - a.lastVisited.timestamp);
+
+        if (locations.length === 0) {
+            return '<p class="rpg-inventory-log-empty">No known location matches that search.</p>';
+        }
+
+        return `<div class="rpg-location-list">${locations.map(location => {
+            const routes = getConnectedLocations(location.id);
+            const isCurrent = location.id === history.currentId;
+            const name = escapeHtml(location.name);
+            return `
+                <div class="rpg-location-entry${isCurrent ? ' is-current' : ''}" data-id="${escapeHtml(location.id)}" data-name="${name.replace(/"/g, '&quot;')}">
+                    <div class="rpg-location-entry-header">
+                        <span class="rpg-location-entry-name">📍 ${name}</span>
+                        ${isCurrent ? '<span class="rpg-location-current-badge">Here</span>' : ''}
+                        <span class="rpg-location-entry-visits">${location.visits} visit${location.visits === 1 ? '' : 's'}</span>
+                        <button class="rpg-btn rpg-btn-secondary" data-action="delete" title="Forget this location"><i class="fa-solid fa-trash"></i></button>
+                    </div>
+                    <div class="rpg-location-entry-meta">
+                        <span>First visited:</span>${this.renderVisit(location.firstVisited)}
+                        <span>Last visited:</span>${this.renderVisit(location.lastVisited)}
+                    </div>
+                    ${routes.length > 0 ? `
+                        <div class="rpg-location-entry-routes">
+                            <i class="fa-solid fa-route"></i>
+                            ${routes.map(({ location: other, trips }) => `${escapeHtml(other.name)}${trips > 1 ? ` (${trips} trips)` : ''}`).join(', ')}
+                        </div>
+                    ` : ''}
+                    <textarea class="text_pole rpg-location-notes" rows="2" placeholder="Notes (also given to the model)">${escapeHtml(location.notes)}</textarea>
+                </div>
+            `;
+        }).join('')}</div>`;
+    }
+
+    /**
+     * Renders the route graph as SVG; busier routes are drawn thicker
+     * @returns {string} HTML
+     */
+    renderGraph() {
+        const history = getLocationHistory();
+        const positions = layoutLocationGraph(history.locations, history.connections);
+        const shorten = (name) => name.length > 20 ? `${name.slice(0, 19)}…` : name;
+
+        const edges = history.connections
+            .filter(connection => positions.has(connection.from) && positions.has(connection.to))
+            .map(connection => {
+                const a = positions.get(connection.from);
+                const b = positions.get(connection.to);
+                return `<line class="rpg-location-edge" x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}" stroke-width="${Math.min(1 + connection.trips, 6)}"><title>${connection.trips} trip${connection.trips === 1 ? '' : 's'}</title></line>`;
+            }).join('');
+
+        const nodes = history.locations.map(location => {
+            const { x, y } = positions.get(location.id);
+            const isCurrent = location.id === history.currentId;
+            return `
+                <g class="rpg-location-node${isCurrent ? ' is-current' : ''}" data-id="${escapeHtml(location.id)}" transform="translate(${x.toFixed(1)}, ${y.toFixed(1)})">
+                    <title>${escapeHtml(location.name)} (${location.visits} visit${location.visits === 1 ? '' : 's'})</title>
+                    <circle r="${isCurrent ? 10 : 7}"></circle>
+                    <text y="-14" text-anchor="middle">${escapeHtml(shorten(location.name))}</text>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="rpg-location-graph" viewBox="0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}" preserveAspectRatio="xMidYMid meet">
+                ${edges}
+                ${nodes}
+            </svg>
+            <p class="rpg-editor-hint">Routes are drawn between places the party moved between one after the other. Click a place to see it in the list.</p>
+        `;
+    }
+}
+
+// Export singleton instance
+export const locationBrowser = new LocationBrowser();
+
+/**
+ * Opens the travel map
+ * @param {'list'|'graph'} [view] - View to show
+ */
+export function openLocationBrowser(view) {
+    locationBrowser.open(view);
+}
@@ -0,0 +1,368 @@
+/**
+ * Merchant UI Module
+ * Manages the trade modal window for buying from and selling to a merchant
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { generateRaw, chat, saveChatDebounced } from '../../../../../../../script.js';
+import { executeSlashCommandsOnChatInput } from '../../../../../../../scripts/slash-commands.js';
+import { extensionSettings } from '../../core/state.js';
+import { buildMerchantStockPrompt, parseMerchantResponse } from '../generation/merchantPrompts.js';
+import {
+    getTradeAvailability,
+    getSellableItems,
+    calculateDeal,
+    canAffordDeal,
+    executeTrade,
+    buildDealSummary,
+    formatPrice
+} from '../features/merchant.js';
+import { formatMoney, getWalletTotal } from '../features/wallet.js';
+
+/**
+ * HTML escape helper
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * MerchantModal class
+ * Manages the trade UI
+ */
+export class MerchantModal {
+    constructor() {
+        this.modal = null;
+        this.isLoading = false;
+        this.merchant = null; // Merchant of the current chat, kept while the window is reopened
+        this.chatId = null;
+        this.buy = {}; // Quantity to buy by stock index
+        this.sell = {}; // Quantity to sell by On Person index
+    }
+
+    /**
+     * Opens the trade modal, asking the model for a merchant unless this chat already has one
+     */
+    async open() {
+        const availability = getTradeAvailability();
+        if (!availability.ok) {
+            toastr.warning(availability.reason, 'Trade');
+            return;
+        }
+
+        if (!this.modal) {
+            this.createModal();
+        }
+        this.modal.classList.add('is-open');
+
+        if (this.merchant && this.chatId === getContext().chatId) {
+            this.renderTradeUI();
+            return;
+        }
+        await this.loadMerchant();
+    }
+
+    /**
+     * Asks the model for the merchant's stock and prices
+     */
+    async loadMerchant() {
+        if (this.isLoading) return;
+        this.isLoading = true;
+
+        try {
+            this.showLoadingState('Finding a merchant...');
+
+            const response = await generateRaw({
+                prompt: buildMerchantStockPrompt(),
+                quietToLoud: false
+            });
+
+            if (!response) {
+                this.showErrorWithRegenerate('No response received from AI. The model may be unavailable.');
+                return;
+            }
+
+            const merchant = parseMerchantResponse(response);
+            if (!merchant) {
+                this.showErrorWithRegenerate('The AI returned no usable stock. Ensure the Max Response Length is set high enough for the whole list, then try again.');
+                return;
+            }
+
+            this.merchant = merchant;
+            this.chatId = getContext().chatId;
+            this.renderTradeUI();
+        } catch (error) {
+            console.error('[RPG Companion] Error loading merchant:', error);
+            this.showErrorWithRegenerate(`Failed to load the merchant: ${error.message}`);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Creates the modal
+     */
+    createModal() {
+        const modalHTML = `
+            <div id="rpg-merchant-modal" class="rpg-encounter-modal rpg-merchant-modal" data-theme="${extensionSettings.theme || 'default'}">
+                <div class="rpg-encounter-overlay"></div>
+                <div class="rpg-encounter-container">
+                    <div class="rpg-encounter-header">
+                        <h2><i class="fa-solid fa-scale-balanced"></i> Trade</h2>
+                        <div class="rpg-encounter-header-buttons">
+                            <button id="rpg-merchant-new" class="rpg-encounter-conclude-btn" title="Ask for a different merchant and stock">
+                                <i class="fa-solid fa-rotate"></i> New Merchant
+                            </button>
+                            <button id="rpg-merchant-close" class="rpg-encounter-close-btn" title="Close">
+                                <i class="fa-solid fa-times"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="rpg-encounter-content">
+                        <div id="rpg-merchant-loading" class="rpg-encounter-loading">
+                            <i class="fa-solid fa-spinner fa-spin"></i>
+                            <p>Finding a merchant...</p>
+                        </div>
+                        <div id="rpg-merchant-main" class="rpg-encounter-main" style="display: none;"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.modal = document.getElementById('rpg-merchant-modal');
+
+        this.modal.querySelector('#rpg-merchant-new').addEventListener('click', () => {
+            if (!this.isLoading && confirm('Leave this merchant and find a different one?')) {
+                this.loadMerchant();
+            }
+        });
+        this.modal.querySelector('#rpg-merchant-close').addEventListener('click', () => this.close());
+        this.modal.querySelector('.rpg-encounter-overlay').addEventListener('click', () => this.close());
+
+        // Quantities and the deal button are re-rendered, so listen on the container
+        const mainContent = this.modal.querySelector('#rpg-merchant-main');
+        mainContent.addEventListener('input', (e) => {
+            const input = e.target.closest('.rpg-merchant-qty');
+            if (!input) return;
+            const target = input.dataset.side === 'buy' ? this.buy : this.sell;
+            const quantity = Math.min(Math.max(0, parseInt(input.value) || 0), parseInt(input.max) || 0);
+            target[input.dataset.index] = quantity;
+            this.updateTotals();
+        });
+        mainContent.addEventListener('click', (e) => {
+            if (e.target.closest('#rpg-merchant-confirm')) {
+                this.confirmDeal();
+            } else if (e.target.closest('#rpg-merchant-clear')) {
+                this.buy = {};
+                this.sell = {};
+                this.renderTradeUI();
+            }
+        });
+    }
+
+    /**
+     * Renders the merchant's stock, the user's items and the deal totals
+     */
+    renderTradeUI() {
+        const mainContent = this.modal.querySelector('#rpg-merchant-main');
+        const loadingContent = this.modal.querySelector('#rpg-merchant-loading');
+        const merchant = this.merchant;
+
+        loadingContent.style.display = 'none';
+        mainContent.style.display = 'block';
+
+        const stockRows = merchant.stock.map((item, index) => `
+            <div class="rpg-merchant-row">
+                <div class="rpg-merchant-item">
+                    <span class="rpg-merchant-item-name">${escapeHtml(item.name)}</span>
+                    ${item.description ? `<span class="rpg-merchant-item-description">${escapeHtml(item.description)}</span>` : ''}
+                </div>
+                <span class="rpg-merchant-stock" title="In stock">×${item.quantity}</span>
+                <span class="rpg-merchant-price">${escapeHtml(formatPrice(item.price))}</span>
+                <input type="number" class="rpg-merchant-qty" data-side="buy" data-index="${index}" min="0" max="${item.quantity}" value="${this.buy[index] || 0}" />
+            </div>
+        `).join('');
+
+        const sellRows = getSellableItems(merchant).map(item => `
+            <div class="rpg-merchant-row${item.price === null ? ' rpg-merchant-unwanted' : ''}">
+                <div class="rpg-merchant-item">
+                    <span class="rpg-merchant-item-name">${escapeHtml(item.name)}</span>
+                </div>
+                <span class="rpg-merchant-stock" title="Carried">×${item.quantity}</span>
+                <span class="rpg-merchant-price">${item.price === null ? 'Not buying' : escapeHtml(formatPrice(item.price))}</span>
+                <input type="number" class="rpg-merchant-qty" data-side="sell" data-index="${item.index}" min="0" max="${item.quantity}" value="${this.sell[item.index] || 0}" ${item.price === null ? 'disabled' : ''} />
+            </div>
+        `).join('');
+
+        mainContent.innerHTML = `
+            <div class="rpg-merchant">
+                <div class="rpg-encounter-environment">
+                    <p><i class="fa-solid fa-store"></i> <strong>${escapeHtml(merchant.name)}</strong>${merchant.description ? ` - ${escapeHtml(merchant.description)}` : ''}</p>
+                </div>
+                <div class="rpg-merchant-columns">
+                    <div class="rpg-encounter-section">
+                        <h3><i class="fa-solid fa-tags"></i> For Sale</h3>
+                        <div class="rpg-merchant-list">
+                            ${stockRows || '<p class="rpg-merchant-empty">Sold out.</p>'}
+                        </div>
+                    </div>
+                    <div class="rpg-encounter-section">
+                        <h3><i class="fa-solid fa-sack-dollar"></i> Your Items</h3>
+                        <div class="rpg-merchant-list">
+                            ${sellRows || '<p class="rpg-merchant-empty">You carry nothing to sell.</p>'}
+                        </div>
+                    </div>
+                </div>
+                <div class="rpg-merchant-footer">
+                    <div id="rpg-merchant-totals" class="rpg-merchant-totals"></div>
+                    <div class="rpg-merchant-buttons">
+                        <button id="rpg-merchant-clear" class="rpg-btn rpg-btn-secondary">
+                            <i class="fa-solid fa-eraser"></i> Clear
+                        </button>
+                        <button id="rpg-merchant-confirm" class="rpg-btn rpg-btn-primary">
+                            <i class="fa-solid fa-handshake"></i> Make Deal
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.updateTotals();
+    }
+
+    /**
+     * Updates the deal totals and whether the deal can be made
+     */
+    updateTotals() {
+        const totals = this.modal.querySelector('#rpg-merchant-totals');
+        const confirmBtn = this.modal.querySelector('#rpg-merchant-confirm');
+        if (!totals || !confirmBtn) return;
+
+        const deal = calculateDeal(this.merchant, this.buy, this.sell);
+        const affordable = canAffordDeal(deal);
+        const after = getWalletTotal() + deal.net;
+
+        totals.innerHTML = `
+            <span><i class="fa-solid fa-wallet"></i> ${escapeHtml(formatMoney())}</span>
+            <span>Buying: ${escapeHtml(formatPrice(deal.cost))}</span>
+            <span>Selling: ${escapeHtml(formatPrice(deal.income))}</span>
+            <span class="${affordable ? '' : 'rpg-merchant-short'}">
+                ${affordable ? `After: ${escapeHtml(formatPrice(after))}` : `Short by ${escapeHtml(formatPrice(-after))}`}
+            </span>
+        `;
+        confirmBtn.disabled = !affordable || (deal.bought.length === 0 && deal.sold.length === 0);
+    }
+
+    /**
+     * Makes the picked deal and reports it in the chat
+     */
+    async confirmDeal() {
+        const deal = calculateDeal(this.merchant, this.buy, this.sell);
+        const result = executeTrade(this.merchant, deal);
+        if (!result.success) {
+            toastr.warning(result.error, 'Trade');
+            this.renderTradeUI();
+            return;
+        }
+
+        const summary = buildDealSummary(this.merchant.name, deal);
+        this.buy = {};
+        this.sell = {};
+        this.renderTradeUI();
+        toastr.success(summary, 'Trade');
+        await this.addSummaryToChat(summary);
+    }
+
+    /**
+     * Adds a deal summary to the chat as a narrator message, so the story knows what changed hands
+     * @param {string} summary - Deal summary
+     */
+    async addSummaryToChat(summary) {
+        try {
+            // Pipes would split the command
+            await executeSlashCommandsOnChatInput(`/sys ${summary.replace(/\|/g, '\\|')}`, { clearChatInput: false });
+        } catch (sendError) {
+            console.error('[RPG Companion] Error using /sys command:', sendError);
+            // Fallback: append to the last message
+            if (chat && chat.length > 0) {
+                const lastMessage = chat[chat.length - 1];
+                if (lastMessage) {
+                    lastMessage.mes += '\n\n' + summary;
+                    saveChatDebounced();
+                }
+            }
+        }
+    }
+
+    /**
+     * Shows a loading state
+     * @param {string} message - Loading message
+     */
+    showLoadingState(message) {
+        const loadingContent = this.modal.querySelector('#rpg-merchant-loading');
+        const mainContent = this.modal.querySelector('#rpg-merchant-main');
+
+        loadingContent.innerHTML = `
+            <i class="fa-solid fa-spinner fa-spin"></i>
+            <p>${escapeHtml(message)}</p>
+        `;
+        loadingContent.style.display = 'flex';
+        mainContent.style.display = 'none';
+    }
+
+    /**
+     * Shows an error message with a regenerate button
+     * @param {string} message - Error message to display
+     */
+    showErrorWithRegenerate(message) {
+        const loadingContent = this.modal.querySelector('#rpg-merchant-loading');
+        const mainContent = this.modal.querySelector('#rpg-merchant-main');
+
+        mainContent.style.display = 'none';
+        loadingContent.style.display = 'flex';
+        loadingContent.innerHTML = `
+            <div class="rpg-encounter-error-box">
+                <i class="fa-solid fa-exclamation-triangle" style="color: #e94560; font-size: 48px; margin-bottom: 1em;"></i>
+                <p style="color: var(--rpg-text, #ccc); margin: 0 0 1.5em 0; max-width: 500px;">${escapeHtml(message)}</p>
+                <div style="display: flex; gap: 1em;">
+                    <button id="rpg-merchant-regenerate" class="rpg-btn rpg-btn-primary">
+                        <i class="fa-solid fa-rotate-right"></i> Regenerate
+                    </button>
+                    <button id="rpg-merchant-error-close" class="rpg-btn rpg-btn-secondary">
+                        <i class="fa-solid fa-times"></i> Close
+                    </button>
+                </div>
+            </div>
+        `;
+
+        loadingContent.querySelector('#rpg-merchant-regenerate').addEventListener('click', () => this.loadMerchant());
+        loadingContent.querySelector('#rpg-merchant-error-close').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Closes the modal, keeping the merchant for the next time it is opened in this chat
+     */
+    close() {
+        if (this.modal) {
+            this.modal.classList.remove('is-open');
+            this.buy = {};
+            this.sell = {};
+        }
+    }
+}
+
+// Export singleton instance
+export const merchantModal = new MerchantModal();
+
+/**
+ * Opens the trade modal
+ */
+export function openMerchantModal() {
+    merchantModal.open();
+}
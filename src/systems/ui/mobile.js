@@ -8,6 +8,7 @@ import { saveSettings } from '../../core/persistence.js';
 import { closeMobilePanelWithAnimation, updateCollapseToggleIcon } from './layout.js';
 import { setupDesktopTabs, removeDesktopTabs } from './desktop.js';
 import { i18n } from '../../core/i18n.js';
+import { getWalletConfig, formatMoney } from '../features/wallet.js';
 
 /**
  * Updates the text labels of the mobile navigation tabs based on the current language.
@@ -1393,6 +1394,16 @@ export function updateFabWidgets() {
         });
     }
 
+    // Wallet (small)
+    if ((widgetSettings.wallet?.enabled ?? true) && getWalletConfig().enabled) {
+        const money = formatMoney();
+        const expandAttr = needsExpand(money, 14) ? ' data-full-text="true"' : '';
+        widgets.push({
+            type: 'small',
+            html: `<div class="rpg-fab-widget rpg-fab-widget-wallet"${expandAttr} title="Wallet: ${money}">${createExpandableText(money, 14, '💰')}</div>`
+        });
+    }
+
     // Stats (large - goes to West) - respects trackerConfig.userStats.customStats
     // Use extensionSettings.userStats as primary source (contains all stats), fallback to committedTrackerData
     let allStats = [];
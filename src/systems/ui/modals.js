@@ -27,6 +27,12 @@ import {
     updateDiceDisplay as updateDiceDisplayCore,
     addDiceQuickReply as addDiceQuickReplyCore
 } from '../features/dice.js';
+import {
+    rollCheckFromPopup,
+    recordSkillCheck,
+    formatSkillCheck,
+    getSkillCheckSettings
+} from '../features/skillChecks.js';
 import { i18n } from '../../core/i18n.js';
 
 /**
@@ -41,6 +47,8 @@ export class DiceModal {
         this.resultValue = document.getElementById('rpg-dice-result-value');
         this.resultDetails = document.getElementById('rpg-dice-result-details');
         this.rollBtn = document.getElementById('rpg-dice-roll-btn');
+        this.checkBtn = document.getElementById('rpg-check-roll-btn');
+        this.checkContainer = document.getElementById('rpg-skill-check-container');
 
         this.state = 'IDLE'; // IDLE, ROLLING, SHOWING_RESULT
         this.isAnimating = false;
@@ -63,6 +71,7 @@ export class DiceModal {
 
         // Reset to initial state
         this._setState('IDLE');
+        this._populateCheckAttributes();
 
         // Open modal with CSS class
         this.modal.classList.add('is-open');
@@ -103,9 +112,11 @@ export class DiceModal {
      * Shows the result
      * @param {number} total - The total roll value
      * @param {Array<number>} rolls - Individual roll values
+     * @param {string} [breakdown] - Per-term breakdown (e.g., "[14] + DEX(+2)")
      */
-    showResult(total, rolls) {
+    showResult(total, rolls, breakdown) {
         this._setState('SHOWING_RESULT');
+        this.result.classList.remove('is-success', 'is-failure');
 
         // Update result values
         this.resultValue.textContent = total;
@@ -116,14 +127,53 @@ export class DiceModal {
             this.resultValue.classList.remove('is-animating');
         }, 500);
 
-        // Show details if multiple rolls
-        if (rolls && rolls.length > 1) {
+        // Show the full breakdown when available, otherwise details if multiple rolls
+        if (breakdown) {
+            this.resultDetails.textContent = breakdown;
+        } else if (rolls && rolls.length > 1) {
             this.resultDetails.textContent = `Rolls: ${rolls.join(', ')}`;
         } else {
             this.resultDetails.textContent = '';
         }
     }
 
+    /**
+     * Shows a settled skill check result
+     * @param {Object} check - Check from rollSkillCheck
+     */
+    showCheckResult(check) {
+        this.showResult(check.total, [check.natural]);
+        this.result.classList.add(check.success ? 'is-success' : 'is-failure');
+        this.resultDetails.textContent = formatSkillCheck(check);
+    }
+
+    /**
+     * Fills the skill check attribute picker from the configured RPG attributes
+     * and hides the check section when skill checks are disabled
+     * @private
+     */
+    _populateCheckAttributes() {
+        if (!this.checkContainer) return;
+
+        const showAttributes = extensionSettings.trackerConfig?.userStats?.showRPGAttributes !== false;
+        const enabled = getSkillCheckSettings().enabled && showAttributes;
+        this.checkContainer.hidden = !enabled;
+        if (!enabled) return;
+
+        const $select = $('#rpg-check-attribute');
+        const previous = $select.val();
+        const rpgAttributes = extensionSettings.trackerConfig?.userStats?.rpgAttributes || [];
+        $select.empty();
+        rpgAttributes
+            .filter(attr => attr && attr.enabled && attr.id)
+            .forEach(attr => {
+                $select.append($('<option>').val(attr.id).text(attr.name || attr.id));
+            });
+        if (previous && $select.find(`option[value="${previous}"]`).length) {
+            $select.val(previous);
+        }
+    }
+
     /**
      * Manages modal state changes
      * @private
@@ -134,12 +184,14 @@ export class DiceModal {
         switch (newState) {
             case 'IDLE':
                 this.rollBtn.hidden = false;
+                if (this.checkBtn) this.checkBtn.hidden = false;
                 this.animation.hidden = true;
                 this.result.hidden = true;
                 break;
 
             case 'ROLLING':
                 this.rollBtn.hidden = true;
+                if (this.checkBtn) this.checkBtn.hidden = true;
                 this.animation.hidden = false;
                 this.result.hidden = true;
                 this.animation.setAttribute('aria-busy', 'true');
@@ -147,6 +199,7 @@ export class DiceModal {
 
             case 'SHOWING_RESULT':
                 this.rollBtn.hidden = true;
+                if (this.checkBtn) this.checkBtn.hidden = true;
                 this.animation.hidden = true;
                 this.result.hidden = false;
                 this.animation.setAttribute('aria-busy', 'false');
@@ -298,11 +351,20 @@ export function setupDiceRoller() {
         await rollDiceCore(diceModal);
     });
 
+    // Roll skill check button
+    $('#rpg-check-roll-btn').on('click', async function() {
+        await rollCheckFromPopup(diceModal);
+    });
+
     // Save roll button (closes popup and saves the roll)
     $('#rpg-dice-save-btn').on('click', function() {
         // Save the pending roll
         const roll = getPendingDiceRoll();
         if (roll) {
+            // Skill checks are recorded to the chat's check history so the next response must honor them
+            if (roll.check) {
+                recordSkillCheck(roll.check);
+            }
             extensionSettings.lastDiceRoll = roll;
             saveSettings();
             updateDiceDisplayCore();
@@ -312,12 +374,18 @@ export function setupDiceRoller() {
     });
 
     // Reset on Enter key
-    $('#rpg-dice-count, #rpg-dice-sides').on('keypress', function(e) {
+    $('#rpg-dice-count, #rpg-dice-sides, #rpg-dice-expression').on('keypress', function(e) {
         if (e.which === 13) {
             rollDiceCore(diceModal);
         }
     });
 
+    $('#rpg-check-dc').on('keypress', function(e) {
+        if (e.which === 13) {
+            rollCheckFromPopup(diceModal);
+        }
+    });
+
     // Clear dice roll button
     $('#rpg-clear-dice').on('click', function(e) {
         e.stopPropagation(); // Prevent opening the dice popup
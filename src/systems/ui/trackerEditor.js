@@ -30,7 +30,19 @@ import {
 import { renderUserStats } from '../rendering/userStats.js';
 import { renderInfoBox } from '../rendering/infoBox.js';
 import { renderThoughts } from '../rendering/thoughts.js';
+import { renderInventory } from '../rendering/inventory.js';
 import { updateFabWidgets } from './mobile.js';
+import { updateStripWidgets } from './desktop.js';
+import { DEFAULT_EXPERIENCE_CONFIG } from '../features/experience.js';
+import { DEFAULT_ENCUMBRANCE_CONFIG } from '../features/itemDetails.js';
+import { DEFAULT_WALLET_CONFIG, WALLET_PRESETS } from '../features/wallet.js';
+import { DEFAULT_EQUIPMENT_CONFIG } from '../features/equipment.js';
+import { DEFAULT_CRAFTING_CONFIG } from '../features/crafting.js';
+import { DEFAULT_QUEST_CHAINS_CONFIG } from '../features/questChains.js';
+import { advanceQuestChains } from '../rendering/quests.js';
+import { DEFAULT_CALENDAR_CONFIG, CALENDAR_PRESETS, resetClock } from '../features/calendar.js';
+import { DEFAULT_LOCATION_HISTORY_CONFIG } from '../features/locationHistory.js';
+import { getNpcInventoryConfig } from '../features/npcInventory.js';
 
 let $editorModal = null;
 let activeTab = 'userStats';
@@ -295,6 +307,8 @@ function closeTrackerEditor() {
  * Apply the tracker configuration and refresh all trackers
  */
 function applyTrackerConfig() {
+    // Game minutes mean a different date in another calendar, so the clock starts over from the info box
+    const calendarChanged = tempConfig && JSON.stringify(tempConfig.infoBox?.calendar) !== JSON.stringify(extensionSettings.trackerConfig.infoBox?.calendar);
     tempConfig = null; // Clear temp config
 
     // Apply pending association changes
@@ -322,9 +336,13 @@ function applyTrackerConfig() {
 
     // Re-render all trackers with new config
     renderUserStats();
+    if (calendarChanged) resetClock();
     renderInfoBox();
     renderThoughts();
+    renderInventory(); // Carried weight and the wallet depend on their configs
     updateFabWidgets(); // Update FAB widgets to reflect new config
+    updateStripWidgets();
+    advanceQuestChains(); // Authored quests that are already unlocked join the tracker
 }
 
 /**
@@ -814,6 +832,199 @@ function renderUserStatsTab() {
     html += '</div>';
     html += `<button class="rpg-btn-secondary" id="rpg-add-attr"><i class="fa-solid fa-plus"></i> ${i18n.getTranslation('template.trackerEditorModal.userStatsTab.addAttributeButton')}</button>`;
 
+    // Experience & Leveling section
+    const experience = { ...DEFAULT_EXPERIENCE_CONFIG, ...(config.experience || {}) };
+    html += `<h4><i class="fa-solid fa-arrow-trend-up"></i> Experience & Leveling</h4>`;
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-xp-enabled" ${experience.enabled ? 'checked' : ''}>`;
+    html += `<label for="rpg-xp-enabled">Track XP and level up automatically</label>`;
+    html += '</div>';
+    html += `<small class="rpg-editor-note">XP comes from the "xpGained" field of the stats tracker and from encounter victories. Each level gained grants attribute points to spend with the + buttons.</small>`;
+
+    html += '<div class="rpg-editor-input-row" style="margin-top: 12px;">';
+    html += `<label for="rpg-xp-curve">XP Curve:</label>`;
+    html += `<select id="rpg-xp-curve" class="rpg-select" style="margin-left: 8px;">`;
+    html += `<option value="dnd5e" ${experience.curve === 'dnd5e' ? 'selected' : ''}>D&D 5e (300, 900, 2700...)</option>`;
+    html += `<option value="linear" ${experience.curve === 'linear' ? 'selected' : ''}>Linear (same XP every level)</option>`;
+    html += `<option value="exponential" ${experience.curve === 'exponential' ? 'selected' : ''}>Exponential (each level costs more)</option>`;
+    html += `<option value="custom" ${experience.curve === 'custom' ? 'selected' : ''}>Custom thresholds</option>`;
+    html += `</select>`;
+    html += '</div>';
+
+    html += `<div class="rpg-editor-input-row ${experience.curve === 'linear' || experience.curve === 'exponential' ? '' : 'rpg-hidden'}" id="rpg-xp-base-row" style="margin-top: 8px;">`;
+    html += `<label for="rpg-xp-base">XP for level 2:</label>`;
+    html += `<input type="number" id="rpg-xp-base" min="1" step="1" value="${experience.base}" class="rpg-input" style="width: 90px; margin-left: 8px;">`;
+    html += '</div>';
+
+    html += `<div class="rpg-editor-input-row ${experience.curve === 'exponential' ? '' : 'rpg-hidden'}" id="rpg-xp-growth-row" style="margin-top: 8px;">`;
+    html += `<label for="rpg-xp-growth">Growth per level:</label>`;
+    html += `<input type="number" id="rpg-xp-growth" min="1" step="0.05" value="${experience.growth}" class="rpg-input" style="width: 90px; margin-left: 8px;">`;
+    html += '</div>';
+
+    html += `<div class="rpg-editor-input-row ${experience.curve === 'custom' ? '' : 'rpg-hidden'}" id="rpg-xp-thresholds-row" style="margin-top: 8px;">`;
+    html += `<label for="rpg-xp-thresholds">Total XP for level 2, 3, 4...:</label>`;
+    html += `<input type="text" id="rpg-xp-thresholds" value="${(experience.customThresholds || []).join(', ')}" class="rpg-text-input" placeholder="300, 900, 2700, 6500" style="width: 100%; margin-top: 4px;">`;
+    html += `<p class="rpg-editor-hint" style="margin-top: 4px;">Levels past the end of the list keep the last step size.</p>`;
+    html += '</div>';
+
+    html += '<div class="rpg-editor-input-row" style="margin-top: 8px;">';
+    html += `<label for="rpg-xp-points">Attribute points per level:</label>`;
+    html += `<input type="number" id="rpg-xp-points" min="0" max="10" step="1" value="${experience.pointsPerLevel}" class="rpg-input" style="width: 70px; margin-left: 8px;">`;
+    html += '</div>';
+
+    html += '<div class="rpg-editor-input-row" style="margin-top: 8px;">';
+    html += `<label for="rpg-xp-per-enemy">Encounter XP per enemy (when not provided):</label>`;
+    html += `<input type="number" id="rpg-xp-per-enemy" min="0" step="1" value="${experience.xpPerEnemy}" class="rpg-input" style="width: 90px; margin-left: 8px;">`;
+    html += '</div>';
+
+    // Encumbrance section
+    const encumbrance = { ...DEFAULT_ENCUMBRANCE_CONFIG, ...(config.encumbrance || {}) };
+    html += `<h4><i class="fa-solid fa-weight-hanging"></i> Encumbrance</h4>`;
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-encumbrance-enabled" ${encumbrance.enabled ? 'checked' : ''}>`;
+    html += `<label for="rpg-encumbrance-enabled">Track carried weight against STR</label>`;
+    html += '</div>';
+    html += `<small class="rpg-editor-note">Items on your person and clothing count toward the carried weight. When it exceeds the capacity, the inventory shows you as encumbered and the model is told.</small>`;
+
+    html += '<div class="rpg-editor-input-row" style="margin-top: 12px;">';
+    html += `<label for="rpg-encumbrance-per-str">Capacity per point of STR:</label>`;
+    html += `<input type="number" id="rpg-encumbrance-per-str" min="0" step="0.5" value="${encumbrance.capacityPerStr}" class="rpg-input" style="width: 70px; margin-left: 8px;">`;
+    html += '</div>';
+
+    html += '<div class="rpg-editor-input-row" style="margin-top: 8px;">';
+    html += `<label for="rpg-encumbrance-unit">Weight unit:</label>`;
+    html += `<input type="text" id="rpg-encumbrance-unit" maxlength="8" value="${encumbrance.weightUnit}" class="rpg-input" style="width: 70px; margin-left: 8px;">`;
+    html += '</div>';
+
+    // Wallet section
+    const wallet = { ...DEFAULT_WALLET_CONFIG, ...(config.wallet || {}) };
+    html += `<h4><i class="fa-solid fa-coins"></i> Wallet</h4>`;
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-wallet-enabled" ${wallet.enabled ? 'checked' : ''}>`;
+    html += `<label for="rpg-wallet-enabled">Track money in a wallet</label>`;
+    html += '</div>';
+    html += `<small class="rpg-editor-note">The model reports money gained or spent in the "walletChange" field instead of listing coins in the inventory. Balances and change are worked out for it.</small>`;
+
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-wallet-auto-convert" ${wallet.autoConvert ? 'checked' : ''}>`;
+    html += `<label for="rpg-wallet-auto-convert">Exchange coins automatically (e.g., 100 cp into 1 gp)</label>`;
+    html += '</div>';
+
+    html += '<div class="rpg-editor-input-row" style="margin-top: 12px;">';
+    html += `<label for="rpg-wallet-preset">Currency:</label>`;
+    html += `<select id="rpg-wallet-preset" class="rpg-select" style="margin-left: 8px;">`;
+    Object.entries(WALLET_PRESETS).forEach(([key, preset]) => {
+        html += `<option value="${key}" ${wallet.preset === key ? 'selected' : ''}>${preset.label}</option>`;
+    });
+    html += `<option value="custom" ${!WALLET_PRESETS[wallet.preset] ? 'selected' : ''}>Custom</option>`;
+    html += `</select>`;
+    html += '</div>';
+
+    html += '<div class="rpg-editor-stats-list" id="rpg-editor-wallet-list" style="margin-top: 8px;">';
+    (wallet.denominations || []).forEach((denomination, index) => {
+        html += `
+            <div class="rpg-editor-stat-item" data-index="${index}">
+                <input type="text" value="${denomination.id}" class="rpg-wallet-denomination-id" data-index="${index}" placeholder="gp" maxlength="8" style="width: 60px;" title="Key used in the tracker JSON">
+                <input type="text" value="${denomination.name}" class="rpg-wallet-denomination-name" data-index="${index}" placeholder="Gold">
+                <input type="number" value="${denomination.rate}" class="rpg-wallet-denomination-rate" data-index="${index}" min="1" step="1" style="width: 80px;" title="Worth in the smallest denomination">
+                <button class="rpg-wallet-denomination-remove" data-index="${index}" title="Remove denomination"><i class="fa-solid fa-trash"></i></button>
+            </div>
+        `;
+    });
+    html += '</div>';
+    html += `<button class="rpg-btn-secondary" id="rpg-add-wallet-denomination"><i class="fa-solid fa-plus"></i> Add Denomination</button>`;
+    html += `<p class="rpg-editor-hint" style="margin-top: 4px;">Worth is counted in the smallest denomination (Gold = 100 when Copper = 1). Coins of a removed denomination are dropped from the wallet.</p>`;
+
+    // Equipment section
+    const equipment = { ...DEFAULT_EQUIPMENT_CONFIG, ...(config.equipment || {}) };
+    html += `<h4><i class="fa-solid fa-shield-halved"></i> Equipment</h4>`;
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-equipment-enabled" ${equipment.enabled ? 'checked' : ''}>`;
+    html += `<label for="rpg-equipment-enabled">Use equipment slots</label>`;
+    html += '</div>';
+    html += `<small class="rpg-editor-note">Items are equipped from the carried items. Their modifiers (set in the item details, e.g. "STR +1, Health +10") are added to the attributes and stats while equipped.</small>`;
+
+    html += '<div class="rpg-editor-stats-list" id="rpg-editor-equipment-list" style="margin-top: 8px;">';
+    (equipment.slots || []).forEach((slot, index) => {
+        html += `
+            <div class="rpg-editor-stat-item" data-index="${index}">
+                <input type="text" value="${slot.id}" class="rpg-equipment-slot-id" data-index="${index}" placeholder="mainHand" style="width: 100px;" title="Key used in the tracker JSON">
+                <input type="text" value="${slot.name}" class="rpg-equipment-slot-name-input" data-index="${index}" placeholder="Main Hand">
+                <button class="rpg-equipment-slot-remove" data-index="${index}" title="Remove slot"><i class="fa-solid fa-trash"></i></button>
+            </div>
+        `;
+    });
+    html += '</div>';
+    html += `<button class="rpg-btn-secondary" id="rpg-add-equipment-slot"><i class="fa-solid fa-plus"></i> Add Slot</button>`;
+    html += `<p class="rpg-editor-hint" style="margin-top: 4px;">Items still equipped in a removed slot keep showing in the equipment panel until they are unequipped.</p>`;
+
+    // Crafting section
+    const crafting = { ...DEFAULT_CRAFTING_CONFIG, ...(config.crafting || {}) };
+    const escapeValue = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    html += `<h4><i class="fa-solid fa-hammer"></i> Crafting</h4>`;
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-crafting-enabled" ${crafting.enabled ? 'checked' : ''}>`;
+    html += `<label for="rpg-crafting-enabled">Show the Craft view in the inventory</label>`;
+    html += '</div>';
+    html += `<small class="rpg-editor-note">Ingredients are taken from the items carried on person. The model is told what was crafted and how long it took.</small>`;
+
+    html += '<div class="rpg-editor-recipes" id="rpg-editor-recipe-list" style="margin-top: 8px;">';
+    (crafting.recipes || []).forEach((recipe, index) => {
+        html += `
+            <div class="rpg-editor-recipe" data-index="${index}">
+                <div class="rpg-editor-recipe-row">
+                    <input type="text" value="${escapeValue(recipe.name)}" class="rpg-recipe-field" data-field="name" data-index="${index}" placeholder="Recipe name">
+                    <button class="rpg-recipe-remove" data-index="${index}" title="Remove recipe"><i class="fa-solid fa-trash"></i></button>
+                </div>
+                <input type="text" value="${escapeValue(recipe.inputs)}" class="rpg-recipe-field" data-field="inputs" data-index="${index}" placeholder="Ingredients (e.g., 2x Cloth, Herbs)">
+                <input type="text" value="${escapeValue(recipe.outputs)}" class="rpg-recipe-field" data-field="outputs" data-index="${index}" placeholder="Products (e.g., 2x Bandage)">
+                <div class="rpg-editor-recipe-row">
+                    <input type="text" value="${escapeValue(recipe.skill)}" class="rpg-recipe-field" data-field="skill" data-index="${index}" placeholder="Required skill (optional)">
+                    <input type="text" value="${escapeValue(recipe.time)}" class="rpg-recipe-field" data-field="time" data-index="${index}" placeholder="Time (e.g., 30 minutes)">
+                </div>
+            </div>
+        `;
+    });
+    html += '</div>';
+    html += `<button class="rpg-btn-secondary" id="rpg-add-recipe"><i class="fa-solid fa-plus"></i> Add Recipe</button>`;
+    html += `<p class="rpg-editor-hint" style="margin-top: 4px;">Write ingredients and products like inventory items ("2x Cloth, Herbs"). The skill requirement is only checked while the Skills section is enabled, against the skill names listed there.</p>`;
+
+    // Quest chains section
+    const questChains = { ...DEFAULT_QUEST_CHAINS_CONFIG, ...(config.questChains || {}) };
+    html += `<h4><i class="fa-solid fa-diagram-project"></i> Quest Chains</h4>`;
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-quest-chains-enabled" ${questChains.enabled ? 'checked' : ''}>`;
+    html += `<label for="rpg-quest-chains-enabled">Add authored quests to the tracker as they unlock</label>`;
+    html += '</div>';
+    html += `<small class="rpg-editor-note">A quest unlocks when every quest it comes after is completed, and then becomes the main quest. Locked quests are kept out of the tracker and the prompt.</small>`;
+
+    html += '<datalist id="rpg-chain-quest-titles">';
+    (questChains.quests || []).forEach(quest => {
+        if (quest.title) html += `<option value="${escapeValue(quest.title)}"></option>`;
+    });
+    html += '</datalist>';
+    html += '<div class="rpg-editor-recipes" id="rpg-editor-chain-quest-list" style="margin-top: 8px;">';
+    (questChains.quests || []).forEach((quest, index) => {
+        html += `
+            <div class="rpg-editor-recipe" data-index="${index}">
+                <div class="rpg-editor-recipe-row">
+                    <input type="text" value="${escapeValue(quest.title)}" class="rpg-chain-quest-field" data-field="title" data-index="${index}" placeholder="Quest title">
+                    <button class="rpg-chain-quest-remove" data-index="${index}" title="Remove quest"><i class="fa-solid fa-trash"></i></button>
+                </div>
+                <input type="text" value="${escapeValue(quest.prerequisites)}" class="rpg-chain-quest-field" data-field="prerequisites" data-index="${index}" list="rpg-chain-quest-titles" placeholder="Comes after (quest titles, comma-separated; empty = available from the start)">
+                <input type="text" value="${escapeValue(quest.description)}" class="rpg-chain-quest-field" data-field="description" data-index="${index}" placeholder="Description (optional)">
+                <textarea class="rpg-chain-quest-field" data-field="objectives" data-index="${index}" rows="2" placeholder="Objectives, one per line (optional)">${escapeValue(quest.objectives)}</textarea>
+                <div class="rpg-editor-toggle-row">
+                    <input type="checkbox" id="rpg-chain-quest-side-${index}" class="rpg-chain-quest-side" data-index="${index}" ${quest.side ? 'checked' : ''}>
+                    <label for="rpg-chain-quest-side-${index}">Side quest (add as optional instead of main)</label>
+                </div>
+            </div>
+        `;
+    });
+    html += '</div>';
+    html += `<button class="rpg-btn-secondary" id="rpg-add-chain-quest"><i class="fa-solid fa-plus"></i> Add Quest</button>`;
+    html += `<p class="rpg-editor-hint" style="margin-top: 4px;">Example: "Open the vault" comes after "Find the key". Quests count as completed when the quest journal says so (completed with ✓, or reported done by the model). Each chat starts the chains over.</p>`;
+
     // Status Section
     html += `<h4><i class="fa-solid fa-face-smile"></i> ${i18n.getTranslation('template.trackerEditorModal.userStatsTab.statusSectionTitle')}</h4>`;
     html += '<div class="rpg-editor-toggle-row">';
@@ -956,6 +1167,260 @@ function setupUserStatsListeners() {
         extensionSettings.trackerConfig.userStats.showLevel = $(this).is(':checked');
     });
 
+    // Experience & Leveling
+    const updateExperienceConfig = (changes) => {
+        extensionSettings.trackerConfig.userStats.experience = {
+            ...DEFAULT_EXPERIENCE_CONFIG,
+            ...(extensionSettings.trackerConfig.userStats.experience || {}),
+            ...changes
+        };
+    };
+
+    $('#rpg-xp-enabled').off('change').on('change', function() {
+        updateExperienceConfig({ enabled: $(this).is(':checked') });
+    });
+
+    $('#rpg-xp-curve').off('change').on('change', function() {
+        const curve = String($(this).val());
+        updateExperienceConfig({ curve });
+        $('#rpg-xp-base-row').toggleClass('rpg-hidden', curve !== 'linear' && curve !== 'exponential');
+        $('#rpg-xp-growth-row').toggleClass('rpg-hidden', curve !== 'exponential');
+        $('#rpg-xp-thresholds-row').toggleClass('rpg-hidden', curve !== 'custom');
+    });
+
+    $('#rpg-xp-base').off('change').on('change', function() {
+        updateExperienceConfig({ base: Math.max(1, parseInt(String($(this).val())) || DEFAULT_EXPERIENCE_CONFIG.base) });
+    });
+
+    $('#rpg-xp-growth').off('change').on('change', function() {
+        updateExperienceConfig({ growth: Math.max(1, parseFloat(String($(this).val())) || DEFAULT_EXPERIENCE_CONFIG.growth) });
+    });
+
+    $('#rpg-xp-thresholds').off('blur').on('blur', function() {
+        const thresholds = String($(this).val()).split(',')
+            .map(t => parseInt(t.trim()))
+            .filter(t => !isNaN(t) && t > 0)
+            .sort((a, b) => a - b);
+        updateExperienceConfig({ customThresholds: thresholds });
+        $(this).val(thresholds.join(', '));
+    });
+
+    $('#rpg-xp-points').off('change').on('change', function() {
+        updateExperienceConfig({ pointsPerLevel: Math.max(0, parseInt(String($(this).val())) || 0) });
+    });
+
+    $('#rpg-xp-per-enemy').off('change').on('change', function() {
+        updateExperienceConfig({ xpPerEnemy: Math.max(0, parseInt(String($(this).val())) || 0) });
+    });
+
+    // Encumbrance
+    const updateEncumbranceConfig = (changes) => {
+        extensionSettings.trackerConfig.userStats.encumbrance = {
+            ...DEFAULT_ENCUMBRANCE_CONFIG,
+            ...(extensionSettings.trackerConfig.userStats.encumbrance || {}),
+            ...changes
+        };
+    };
+
+    $('#rpg-encumbrance-enabled').off('change').on('change', function() {
+        updateEncumbranceConfig({ enabled: $(this).is(':checked') });
+    });
+
+    $('#rpg-encumbrance-per-str').off('change').on('change', function() {
+        const capacityPerStr = parseFloat(String($(this).val()));
+        updateEncumbranceConfig({ capacityPerStr: isNaN(capacityPerStr) ? DEFAULT_ENCUMBRANCE_CONFIG.capacityPerStr : Math.max(0, capacityPerStr) });
+    });
+
+    $('#rpg-encumbrance-unit').off('blur').on('blur', function() {
+        updateEncumbranceConfig({ weightUnit: String($(this).val()).trim() || DEFAULT_ENCUMBRANCE_CONFIG.weightUnit });
+    });
+
+    // Wallet
+    const updateWalletConfig = (changes) => {
+        extensionSettings.trackerConfig.userStats.wallet = {
+            ...DEFAULT_WALLET_CONFIG,
+            ...(extensionSettings.trackerConfig.userStats.wallet || {}),
+            ...changes
+        };
+    };
+    const getWalletDenominations = () => (extensionSettings.trackerConfig.userStats.wallet?.denominations || DEFAULT_WALLET_CONFIG.denominations)
+        .map(denomination => ({ ...denomination }));
+    const updateDenomination = (index, changes) => {
+        const denominations = getWalletDenominations();
+        denominations[index] = { ...denominations[index], ...changes };
+        updateWalletConfig({ denominations, preset: 'custom' });
+        $('#rpg-wallet-preset').val('custom');
+    };
+
+    $('#rpg-wallet-enabled').off('change').on('change', function() {
+        updateWalletConfig({ enabled: $(this).is(':checked') });
+    });
+
+    $('#rpg-wallet-auto-convert').off('change').on('change', function() {
+        updateWalletConfig({ autoConvert: $(this).is(':checked') });
+    });
+
+    $('#rpg-wallet-preset').off('change').on('change', function() {
+        const preset = String($(this).val());
+        if (!WALLET_PRESETS[preset]) {
+            updateWalletConfig({ preset: 'custom' });
+            return;
+        }
+        updateWalletConfig({ preset, denominations: WALLET_PRESETS[preset].denominations.map(d => ({ ...d })) });
+        renderUserStatsTab();
+    });
+
+    $('.rpg-wallet-denomination-id').off('blur').on('blur', function() {
+        const id = String($(this).val()).trim().toLowerCase().replace(/[^a-z0-9_¥$€£]/g, '');
+        updateDenomination($(this).data('index'), { id });
+        $(this).val(id);
+    });
+
+    $('.rpg-wallet-denomination-name').off('blur').on('blur', function() {
+        updateDenomination($(this).data('index'), { name: String($(this).val()).trim() });
+    });
+
+    $('.rpg-wallet-denomination-rate').off('change').on('change', function() {
+        updateDenomination($(this).data('index'), { rate: Math.max(1, parseInt(String($(this).val())) || 1) });
+    });
+
+    $('.rpg-wallet-denomination-remove').off('click').on('click', function() {
+        const denominations = getWalletDenominations();
+        denominations.splice($(this).data('index'), 1);
+        updateWalletConfig({ denominations, preset: 'custom' });
+        renderUserStatsTab();
+    });
+
+    $('#rpg-add-wallet-denomination').off('click').on('click', function() {
+        const denominations = getWalletDenominations();
+        denominations.push({ id: `coin${denominations.length + 1}`, name: 'New Coin', rate: 1 });
+        updateWalletConfig({ denominations, preset: 'custom' });
+        renderUserStatsTab();
+    });
+
+    // Equipment
+    const updateEquipmentConfig = (changes) => {
+        extensionSettings.trackerConfig.userStats.equipment = {
+            ...DEFAULT_EQUIPMENT_CONFIG,
+            ...(extensionSettings.trackerConfig.userStats.equipment || {}),
+            ...changes
+        };
+    };
+    const getEquipmentSlotList = () => (extensionSettings.trackerConfig.userStats.equipment?.slots || DEFAULT_EQUIPMENT_CONFIG.slots)
+        .map(slot => ({ ...slot }));
+    const updateEquipmentSlot = (index, changes) => {
+        const slots = getEquipmentSlotList();
+        slots[index] = { ...slots[index], ...changes };
+        updateEquipmentConfig({ slots });
+    };
+
+    $('#rpg-equipment-enabled').off('change').on('change', function() {
+        updateEquipmentConfig({ enabled: $(this).is(':checked') });
+    });
+
+    $('.rpg-equipment-slot-id').off('blur').on('blur', function() {
+        const id = String($(this).val()).trim().replace(/[^a-zA-Z0-9_]/g, '');
+        updateEquipmentSlot($(this).data('index'), { id });
+        $(this).val(id);
+    });
+
+    $('.rpg-equipment-slot-name-input').off('blur').on('blur', function() {
+        updateEquipmentSlot($(this).data('index'), { name: String($(this).val()).trim() });
+    });
+
+    $('.rpg-equipment-slot-remove').off('click').on('click', function() {
+        const slots = getEquipmentSlotList();
+        slots.splice($(this).data('index'), 1);
+        updateEquipmentConfig({ slots });
+        renderUserStatsTab();
+    });
+
+    $('#rpg-add-equipment-slot').off('click').on('click', function() {
+        const slots = getEquipmentSlotList();
+        slots.push({ id: `slot${slots.length + 1}`, name: 'New Slot' });
+        updateEquipmentConfig({ slots });
+        renderUserStatsTab();
+    });
+
+    // Crafting
+    const updateCraftingConfig = (changes) => {
+        extensionSettings.trackerConfig.userStats.crafting = {
+            ...DEFAULT_CRAFTING_CONFIG,
+            ...(extensionSettings.trackerConfig.userStats.crafting || {}),
+            ...changes
+        };
+    };
+    const getRecipeList = () => (extensionSettings.trackerConfig.userStats.crafting?.recipes || DEFAULT_CRAFTING_CONFIG.recipes)
+        .map(recipe => ({ ...recipe }));
+
+    $('#rpg-crafting-enabled').off('change').on('change', function() {
+        updateCraftingConfig({ enabled: $(this).is(':checked') });
+    });
+
+    $('.rpg-recipe-field').off('blur').on('blur', function() {
+        const recipes = getRecipeList();
+        const index = $(this).data('index');
+        recipes[index] = { ...recipes[index], [$(this).data('field')]: String($(this).val()).trim() };
+        updateCraftingConfig({ recipes });
+    });
+
+    $('.rpg-recipe-remove').off('click').on('click', function() {
+        const recipes = getRecipeList();
+        recipes.splice($(this).data('index'), 1);
+        updateCraftingConfig({ recipes });
+        renderUserStatsTab();
+    });
+
+    $('#rpg-add-recipe').off('click').on('click', function() {
+        const recipes = getRecipeList();
+        recipes.push({ id: `recipe_${Date.now()}`, name: '', inputs: '', outputs: '', skill: '', time: '' });
+        updateCraftingConfig({ recipes });
+        renderUserStatsTab();
+    });
+
+    // Quest chains
+    const updateQuestChainsConfig = (changes) => {
+        extensionSettings.trackerConfig.userStats.questChains = {
+            ...DEFAULT_QUEST_CHAINS_CONFIG,
+            ...(extensionSettings.trackerConfig.userStats.questChains || {}),
+            ...changes
+        };
+    };
+    const getChainQuestList = () => (extensionSettings.trackerConfig.userStats.questChains?.quests || DEFAULT_QUEST_CHAINS_CONFIG.quests)
+        .map(quest => ({ ...quest }));
+
+    $('#rpg-quest-chains-enabled').off('change').on('change', function() {
+        updateQuestChainsConfig({ enabled: $(this).is(':checked') });
+    });
+
+    $('.rpg-chain-quest-field').off('blur').on('blur', function() {
+        const quests = getChainQuestList();
+        const index = $(this).data('index');
+        quests[index] = { ...quests[index], [$(this).data('field')]: String($(this).val()).trim() };
+        updateQuestChainsConfig({ quests });
+    });
+
+    $('.rpg-chain-quest-side').off('change').on('change', function() {
+        const quests = getChainQuestList();
+        const index = $(this).data('index');
+        quests[index] = { ...quests[index], side: $(this).is(':checked') };
+        updateQuestChainsConfig({ quests });
+    });
+
+    $('.rpg-chain-quest-remove').off('click').on('click', function() {
+        const quests = getChainQuestList();
+        quests.splice($(this).data('index'), 1);
+        updateQuestChainsConfig({ quests });
+        renderUserStatsTab();
+    });
+
+    $('#rpg-add-chain-quest').off('click').on('click', function() {
+        const quests = getChainQuestList();
+        quests.push({ id: `chain_${Date.now()}`, title: '', prerequisites: '', description: '', objectives: '', side: false });
+        updateQuestChainsConfig({ quests });
+        renderUserStatsTab();
+    });
+
     // Always send attributes toggle
     $('#rpg-always-send-attrs').off('change').on('change', function() {
         extensionSettings.trackerConfig.userStats.alwaysSendAttributes = $(this).is(':checked');
@@ -1045,6 +1510,64 @@ function renderInfoBoxTab() {
     html += `<label for="rpg-widget-events">${i18n.getTranslation('template.trackerEditorModal.infoBoxTab.recentEventsWidget')}</label>`;
     html += '</div>';
 
+    // Calendar section
+    const calendar = { ...DEFAULT_CALENDAR_CONFIG, ...(config.calendar || {}) };
+    const escapeValue = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    html += `<h4><i class="fa-solid fa-calendar-days"></i> Calendar & Clock</h4>`;
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-calendar-enabled" ${calendar.enabled ? 'checked' : ''}>`;
+    html += `<label for="rpg-calendar-enabled">Keep a game clock from the date and time</label>`;
+    html += '</div>';
+    html += `<small class="rpg-editor-note">The clock adds "Advance 1 hour" and "Rest until morning" buttons to the time widget, tells the model the current time, and puts the time back when a response moves it backwards.</small>`;
+
+    html += '<div class="rpg-editor-widget-row" style="margin-top: 8px;">';
+    html += `<label for="rpg-calendar-preset">Calendar</label>`;
+    html += '<select id="rpg-calendar-preset" class="rpg-select-mini">';
+    Object.entries(CALENDAR_PRESETS).forEach(([id, preset]) => {
+        html += `<option value="${id}" ${calendar.preset === id ? 'selected' : ''}>${preset.name}</option>`;
+    });
+    html += `<option value="custom" ${calendar.preset === 'custom' ? 'selected' : ''}>Custom</option>`;
+    html += '</select>';
+    html += '</div>';
+
+    if (calendar.preset === 'custom') {
+        html += `<label for="rpg-calendar-months">Months (one "Name: days" per line)</label>`;
+        html += `<textarea id="rpg-calendar-months" class="rpg-text-input" rows="6" placeholder="Frostfall: 30\nThawmonth: 28">${escapeValue(calendar.months)}</textarea>`;
+        html += `<label for="rpg-calendar-weekdays">Weekdays (comma-separated, optional)</label>`;
+        html += `<input type="text" id="rpg-calendar-weekdays" value="${escapeValue(calendar.weekdays)}" class="rpg-text-input" placeholder="e.g., Moonday, Tidesday, Emberday">`;
+    }
+
+    html += '<div class="rpg-editor-widget-row">';
+    html += `<label for="rpg-calendar-morning">Rest until morning wakes at</label>`;
+    html += `<input type="number" id="rpg-calendar-morning" value="${calendar.morningHour}" min="0" max="23" class="rpg-select-mini"> h`;
+    html += '</div>';
+
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-calendar-backwards" ${calendar.allowBackwards ? 'checked' : ''}>`;
+    html += `<label for="rpg-calendar-backwards">Allow time to move backwards</label>`;
+    html += '</div>';
+    html += `<p class="rpg-editor-hint">Leave off to hold the model to the clock; it can still jump back on purpose (a flashback) by flagging "rewind" in the info box's time. Changing the calendar starts the clock over from the current info box. Leap years aren't counted.</p>`;
+
+    // Location history section
+    const locationHistory = { ...DEFAULT_LOCATION_HISTORY_CONFIG, ...(config.locationHistory || {}) };
+    html += `<h4><i class="fa-solid fa-map-location-dot"></i> Location History</h4>`;
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-location-history-enabled" ${locationHistory.enabled ? 'checked' : ''}>`;
+    html += `<label for="rpg-location-history-enabled">Record the places the party visits</label>`;
+    html += '</div>';
+    html += `<small class="rpg-editor-note">Each location is kept per chat with its first and last visit, and routes are drawn between places visited one after the other. Open the travel map from the location widget.</small>`;
+
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-location-history-prompt" ${locationHistory.knownLocationsPrompt ? 'checked' : ''}>`;
+    html += `<label for="rpg-location-history-prompt">Tell the model the known places, so it reuses their names</label>`;
+    html += '</div>';
+
+    html += '<div class="rpg-editor-widget-row">';
+    html += `<label for="rpg-location-history-max">Places named in the prompt</label>`;
+    html += `<input type="number" id="rpg-location-history-max" value="${locationHistory.maxPromptLocations}" min="1" max="100" class="rpg-select-mini">`;
+    html += '</div>';
+    html += `<p class="rpg-editor-hint">The most recently visited places are named first, with their notes.</p>`;
+
     html += '</div>';
 
     $('#rpg-editor-tab-infoBox').html(html);
@@ -1088,6 +1611,72 @@ function setupInfoBoxListeners() {
     $('#rpg-widget-events').off('change').on('change', function() {
         widgets.recentEvents.enabled = $(this).is(':checked');
     });
+
+    // Calendar
+    const updateCalendarConfig = (changes) => {
+        extensionSettings.trackerConfig.infoBox.calendar = {
+            ...DEFAULT_CALENDAR_CONFIG,
+            ...(extensionSettings.trackerConfig.infoBox.calendar || {}),
+            ...changes
+        };
+    };
+
+    $('#rpg-calendar-enabled').off('change').on('change', function() {
+        updateCalendarConfig({ enabled: $(this).is(':checked') });
+    });
+
+    $('#rpg-calendar-preset').off('change').on('change', function() {
+        const preset = $(this).val();
+        const current = { ...DEFAULT_CALENDAR_CONFIG, ...(extensionSettings.trackerConfig.infoBox.calendar || {}) };
+        const changes = { preset };
+        // Start a custom calendar from the one it replaces
+        if (preset === 'custom' && !current.months.trim()) {
+            const source = CALENDAR_PRESETS[current.preset] || CALENDAR_PRESETS.gregorian;
+            changes.months = source.months;
+            changes.weekdays = source.weekdays;
+        }
+        updateCalendarConfig(changes);
+        renderInfoBoxTab();
+    });
+
+    $('#rpg-calendar-months').off('blur').on('blur', function() {
+        updateCalendarConfig({ months: String($(this).val()).trim() });
+    });
+
+    $('#rpg-calendar-weekdays').off('blur').on('blur', function() {
+        updateCalendarConfig({ weekdays: String($(this).val()).trim() });
+    });
+
+    $('#rpg-calendar-morning').off('change').on('change', function() {
+        const hour = parseInt(String($(this).val()));
+        updateCalendarConfig({ morningHour: Number.isNaN(hour) ? DEFAULT_CALENDAR_CONFIG.morningHour : Math.min(Math.max(hour, 0), 23) });
+    });
+
+    $('#rpg-calendar-backwards').off('change').on('change', function() {
+        updateCalendarConfig({ allowBackwards: $(this).is(':checked') });
+    });
+
+    // Location history
+    const updateLocationHistoryConfig = (changes) => {
+        extensionSettings.trackerConfig.infoBox.locationHistory = {
+            ...DEFAULT_LOCATION_HISTORY_CONFIG,
+            ...(extensionSettings.trackerConfig.infoBox.locationHistory || {}),
+            ...changes
+        };
+    };
+
+    $('#rpg-location-history-enabled').off('change').on('change', function() {
+        updateLocationHistoryConfig({ enabled: $(this).is(':checked') });
+    });
+
+    $('#rpg-location-history-prompt').off('change').on('change', function() {
+        updateLocationHistoryConfig({ knownLocationsPrompt: $(this).is(':checked') });
+    });
+
+    $('#rpg-location-history-max').off('change').on('change', function() {
+        const max = parseInt(String($(this).val()));
+        updateLocationHistoryConfig({ maxPromptLocations: Number.isNaN(max) ? DEFAULT_LOCATION_HISTORY_CONFIG.maxPromptLocations : Math.min(Math.max(max, 1), 100) });
+    });
 }
 
 /**
@@ -1198,6 +1787,14 @@ function renderPresentCharactersTab() {
     html += '</div>';
     html += `<button class="rpg-btn-secondary" id="rpg-add-char-stat"><i class="fa-solid fa-plus"></i> ${i18n.getTranslation('template.trackerEditorModal.presentCharactersTab.addCharacterStatButton')}</button>`;
 
+    // Character inventories
+    html += `<h4><i class="fa-solid fa-sack-xmark"></i> Character Inventories</h4>`;
+    html += '<div class="rpg-editor-toggle-row">';
+    html += `<input type="checkbox" id="rpg-npc-inventory-enabled" ${getNpcInventoryConfig().enabled ? 'checked' : ''}>`;
+    html += `<label for="rpg-npc-inventory-enabled">Track what each present character carries</label>`;
+    html += '</div>';
+    html += `<p class="rpg-editor-hint">Shows each character's items on their card with Give and Take buttons, and asks the model to keep them. Needs JSON trackers.</p>`;
+
     html += '</div>';
 
     $('#rpg-editor-tab-presentCharacters').html(html);
@@ -1403,6 +2000,14 @@ function setupPresentCharactersListeners() {
         extensionSettings.trackerConfig.presentCharacters.customFields[index].description = $(this).val();
     });
 
+    // Character inventories toggle
+    $('#rpg-npc-inventory-enabled').off('change').on('change', function() {
+        extensionSettings.trackerConfig.presentCharacters.inventory = {
+            ...(extensionSettings.trackerConfig.presentCharacters.inventory || {}),
+            enabled: $(this).is(':checked')
+        };
+    });
+
     // Character stats toggle
     $('#rpg-char-stats-enabled').off('change').on('change', function() {
         if (!extensionSettings.trackerConfig.presentCharacters.characterStats) {
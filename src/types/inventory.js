@@ -11,6 +11,8 @@
  * @property {string} clothing - Clothing and armor currently worn (plaintext list)
  * @property {Object.<string, string>} stored - Items stored at named locations (location name → plaintext list)
  * @property {string} assets - Character's vehicles, property, and major possessions (plaintext list)
+ * @property {Object.<string, import('../systems/features/itemDetails.js').ItemDetails>} [details] - Optional weight, value, rarity and description by lowercase item name
+ * @property {Object.<string, string>} [equipped] - Equipped item name by equipment slot ID
  */
 
 /**
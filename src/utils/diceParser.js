@@ -0,0 +1,299 @@
+/**
+ * Dice Notation Parser Module
+ * Parses and evaluates dice expressions like "1d20+DEX", "4d6dl1", "2d20kh1" or "3d6!+2"
+ */
+
+/**
+ * Hard limits to keep a malformed or malicious expression from locking up the UI
+ * @private
+ */
+const MAX_DICE_PER_GROUP = 100;
+const MAX_SIDES = 1000;
+const MAX_TERMS = 20;
+const MAX_EXPLOSIONS = 100;
+
+/**
+ * A single parsed term of a dice expression
+ * @typedef {Object} DiceTerm
+ * @property {'dice'|'constant'|'attribute'} type - Term type
+ * @property {number} sign - 1 or -1
+ * @property {number} [count] - Number of dice (dice terms)
+ * @property {number} [sides] - Sides per die (dice terms)
+ * @property {boolean} [explode] - Re-roll and add on max (dice terms)
+ * @property {{mode: 'kh'|'kl'|'dh'|'dl', amount: number}|null} [keep] - Keep/drop rule (dice terms)
+ * @property {number} [value] - Constant value (constant terms)
+ * @property {string} [name] - Attribute name as written (attribute terms)
+ * @property {string} notation - The term as it appears in the normalized formula
+ */
+
+/**
+ * Result of rolling a single die
+ * @typedef {Object} DieRoll
+ * @property {number} value - Face rolled
+ * @property {boolean} kept - Whether the die counts toward the total
+ * @property {boolean} exploded - Whether this die was added by an explosion
+ */
+
+/**
+ * Evaluated term with its breakdown
+ * @typedef {Object} EvaluatedTerm
+ * @property {'dice'|'constant'|'attribute'} type - Term type
+ * @property {number} sign - 1 or -1
+ * @property {string} notation - Term notation (e.g., "4d6dl1", "DEX", "3")
+ * @property {DieRoll[]} [rolls] - Individual dice (dice terms)
+ * @property {number} [score] - Attribute score (attribute terms)
+ * @property {number} value - Signed contribution to the total
+ */
+
+/**
+ * Parses a dice expression into terms.
+ * Supports: NdS, dS, d%, keep/drop (kh, kl, k, dh, dl, d), exploding (!),
+ * advantage/disadvantage shorthand (d20adv, d20dis), integer constants,
+ * and attribute names (resolved at evaluation time).
+ *
+ * @param {string} expression - Dice expression
+ * @returns {DiceTerm[]} Parsed terms
+ * @throws {Error} If the expression is empty or malformed
+ *
+ * @example
+ * parseDiceExpression("1d20+DEX")  // [{type:'dice', count:1, sides:20, ...}, {type:'attribute', name:'DEX', ...}]
+ * parseDiceExpression("4d6dl1")    // [{type:'dice', count:4, sides:6, keep:{mode:'dl', amount:1}, ...}]
+ * parseDiceExpression("d20adv+5")  // [{type:'dice', count:2, sides:20, keep:{mode:'kh', amount:1}, ...}, ...]
+ */
+export function parseDiceExpression(expression) {
+    if (!expression || typeof expression !== 'string') {
+        throw new Error('Empty dice expression');
+    }
+
+    const source = expression.replace(/^\/roll\s+/i, '').replace(/\s+/g, '');
+    if (!source) {
+        throw new Error('Empty dice expression');
+    }
+
+    const termRegex = /^([+-]?)(?:(\d*)d(\d+|%)((?:kh|kl|dh|dl|k|d)\d+)?(!)?(adv|dis)?|(\d+)|([A-Za-z][A-Za-z0-9_]*))/i;
+    const terms = [];
+    let rest = source;
+
+    while (rest.length > 0) {
+        const match = rest.match(termRegex);
+        if (!match || match[0] === '' || match[0] === '+' || match[0] === '-') {
+            throw new Error(`Unexpected "${rest}" in dice expression`);
+        }
+
+        // Every term after the first must be joined with + or -
+        if (terms.length > 0 && !match[1]) {
+            throw new Error(`Missing + or - before "${rest}"`);
+        }
+
+        const sign = match[1] === '-' ? -1 : 1;
+
+        if (match[3] !== undefined) {
+            let count = match[2] ? parseInt(match[2]) : 1;
+            const sides = match[3] === '%' ? 100 : parseInt(match[3]);
+            const explode = !!match[5];
+            let keep = null;
+
+            if (match[4]) {
+                const keepMatch = match[4].toLowerCase().match(/^(kh|kl|dh|dl|k|d)(\d+)$/);
+                // Bare "k" means keep highest, bare "d" means drop lowest
+                const mode = { k: 'kh', d: 'dl' }[keepMatch[1]] || keepMatch[1];
+                keep = { mode, amount: parseInt(keepMatch[2]) };
+            }
+
+            if (match[6]) {
+                // Advantage/disadvantage: roll one extra die, keep best/worst
+                if (keep) {
+                    throw new Error('Cannot combine adv/dis with keep/drop');
+                }
+                const advantage = match[6].toLowerCase() === 'adv';
+                keep = { mode: advantage ? 'kh' : 'kl', amount: count };
+                count = count + 1;
+            }
+
+            if (count < 1 || count > MAX_DICE_PER_GROUP) {
+                throw new Error(`Dice count must be between 1 and ${MAX_DICE_PER_GROUP}`);
+            }
+            if (sides < 2 || sides > MAX_SIDES) {
+                throw new Error(`Dice sides must be between 2 and ${MAX_SIDES}`);
+            }
+            if (explode && sides < 3) {
+                throw new Error('Exploding dice need at least 3 sides');
+            }
+            if (keep && (keep.amount < 1 || keep.amount > count)) {
+                throw new Error(`Cannot keep/drop ${keep.amount} of ${count} dice`);
+            }
+
+            const keepNotation = keep ? `${keep.mode}${keep.amount}` : '';
+            terms.push({
+                type: 'dice',
+                sign,
+                count,
+                sides,
+                explode,
+                keep,
+                notation: `${count}d${sides}${keepNotation}${explode ? '!' : ''}`
+            });
+        } else if (match[7] !== undefined) {
+            const value = parseInt(match[7]);
+            terms.push({ type: 'constant', sign, value, notation: String(value) });
+        } else {
+            terms.push({ type: 'attribute', sign, name: match[8], notation: match[8].toUpperCase() });
+        }
+
+        if (terms.length > MAX_TERMS) {
+            throw new Error(`Too many terms (max ${MAX_TERMS})`);
+        }
+
+        rest = rest.slice(match[0].length);
+    }
+
+    return terms;
+}
+
+/**
+ * Converts an attribute score into a D&D-style modifier.
+ * @param {number} score - Attribute score (e.g., 14)
+ * @returns {number} Modifier (e.g., +2)
+ */
+export function getAttributeModifier(score) {
+    return Math.floor((Number(score) - 10) / 2);
+}
+
+/**
+ * Rolls a single die.
+ * @param {number} sides - Number of sides
+ * @param {function(): number} random - Random source returning [0, 1)
+ * @returns {number} Face rolled (1..sides)
+ * @private
+ */
+function rollDie(sides, random) {
+    return Math.floor(random() * sides) + 1;
+}
+
+/**
+ * Rolls the dice for a dice term and marks which dice are kept.
+ * @param {DiceTerm} term - Dice term
+ * @param {function(): number} random - Random source
+ * @returns {DieRoll[]} Individual dice results
+ * @private
+ */
+function rollDiceTerm(term, random) {
+    const rolls = [];
+    let explosions = 0;
+
+    for (let i = 0; i < term.count; i++) {
+        let value = rollDie(term.sides, random);
+        rolls.push({ value, kept: true, exploded: false });
+
+        while (term.explode && value === term.sides && explosions < MAX_EXPLOSIONS) {
+            explosions++;
+            value = rollDie(term.sides, random);
+            rolls.push({ value, kept: true, exploded: true });
+        }
+    }
+
+    if (term.keep) {
+        // Sort indices by value to decide which dice survive
+        const order = rolls.map((roll, index) => index).sort((a, b) => rolls[a].value - rolls[b].value);
+        const { mode, amount } = term.keep;
+        let dropped;
+        if (mode === 'kh') {
+            dropped = order.slice(0, Math.max(0, rolls.length - amount));
+        } else if (mode === 'kl') {
+            dropped = order.slice(amount);
+        } else if (mode === 'dh') {
+            dropped = order.slice(rolls.length - amount);
+        } else {
+            dropped = order.slice(0, amount);
+        }
+        dropped.forEach(index => { rolls[index].kept = false; });
+    }
+
+    return rolls;
+}
+
+/**
+ * Evaluates a dice expression.
+ *
+ * @param {string} expression - Dice expression (see parseDiceExpression)
+ * @param {Object} [options]
+ * @param {Object.<string, number>} [options.attributes] - Attribute scores keyed by lowercase name or id (e.g., {dex: 14})
+ * @param {function(): number} [options.random] - Random source returning [0, 1), defaults to Math.random
+ * @returns {{formula: string, total: number, rolls: number[], terms: EvaluatedTerm[]}} Roll result
+ * @throws {Error} If the expression is malformed or references an unknown attribute
+ */
+export function evaluateDiceExpression(expression, options = {}) {
+    const attributes = options.attributes || {};
+    const random = options.random || Math.random;
+    const terms = parseDiceExpression(expression);
+
+    const evaluated = terms.map(term => {
+        if (term.type === 'dice') {
+            const rolls = rollDiceTerm(term, random);
+            const subtotal = rolls.filter(r => r.kept).reduce((sum, r) => sum + r.value, 0);
+            return { type: 'dice', sign: term.sign, notation: term.notation, rolls, value: term.sign * subtotal };
+        }
+
+        if (term.type === 'attribute') {
+            const score = attributes[term.name.toLowerCase()];
+            if (score === undefined) {
+                throw new Error(`Unknown attribute "${term.name}"`);
+            }
+            return {
+                type: 'attribute',
+                sign: term.sign,
+                notation: term.notation,
+                score,
+                value: term.sign * getAttributeModifier(score)
+            };
+        }
+
+        return { type: 'constant', sign: term.sign, notation: term.notation, value: term.sign * term.value };
+    });
+
+    const formula = evaluated
+        .map((term, index) => `${term.sign < 0 ? '-' : (index > 0 ? '+' : '')}${term.notation}`)
+        .join('');
+
+    return {
+        formula,
+        total: evaluated.reduce((sum, term) => sum + term.value, 0),
+        // Flat list of kept dice, kept for callers that predate the term breakdown
+        rolls: evaluated.flatMap(term => term.type === 'dice' ? term.rolls.filter(r => r.kept).map(r => r.value) : []),
+        terms: evaluated
+    };
+}
+
+/**
+ * Formats an evaluated roll's terms as a human-readable breakdown.
+ * Dropped dice are wrapped in parentheses, exploded dice are marked with "!".
+ *
+ * @param {EvaluatedTerm[]} terms - Evaluated terms from evaluateDiceExpression
+ * @returns {string} Breakdown text (e.g., "[6, 5, 3, (1)] + DEX(+2)")
+ *
+ * @example
+ * formatRollBreakdown(evaluateDiceExpression("4d6dl1+DEX", { attributes: { dex: 14 } }).terms)
+ * // "[6, 5, 3, (1)] + DEX(+2)"
+ */
+export function formatRollBreakdown(terms) {
+    if (!Array.isArray(terms) || terms.length === 0) {
+        return '';
+    }
+
+    return terms.map((term, index) => {
+        const operator = term.sign < 0 ? '- ' : (index > 0 ? '+ ' : '');
+        if (term.type === 'dice') {
+            const dice = term.rolls.map(r => {
+                const face = `${r.value}${r.exploded ? '!' : ''}`;
+                return r.kept ? face : `(${face})`;
+            });
+            return `${operator}[${dice.join(', ')}]`;
+        }
+        if (term.type === 'attribute') {
+            const modifier = Math.abs(term.value);
+            const modifierSign = term.value * term.sign < 0 ? '-' : '+';
+            return `${operator}${term.notation}(${modifierSign}${modifier})`;
+        }
+        return `${operator}${Math.abs(term.value)}`;
+    }).join(' ');
+}
@@ -277,3 +277,38 @@ export function serializeItems(itemArray) {
     // Join with comma and space
     return cleaned.join(', ');
 }
+
+/**
+ * Splits a quantity prefix off an item string.
+ * Recognizes the "3x Arrows" form used throughout the v2 inventory.
+ *
+ * @param {string} item - Item string, optionally prefixed with a quantity
+ * @returns {{name: string, quantity: number}} Item name and quantity (1 if no prefix)
+ *
+ * @example
+ * splitItemQuantity("3x Arrows") // { name: "Arrows", quantity: 3 }
+ * splitItemQuantity("Sword") // { name: "Sword", quantity: 1 }
+ */
+export function splitItemQuantity(item) {
+    if (!item || typeof item !== 'string') {
+        return { name: '', quantity: 0 };
+    }
+
+    const match = item.trim().match(/^(\d+)\s*x\s+(.+)$/i);
+    if (match) {
+        return { name: match[2].trim(), quantity: parseInt(match[1]) };
+    }
+    return { name: item.trim(), quantity: 1 };
+}
+
+/**
+ * Builds an item string from a name and quantity.
+ * Quantities of 1 are left implicit, matching how the AI writes single items.
+ *
+ * @param {string} name - Item name
+ * @param {number} quantity - Item quantity
+ * @returns {string} Item string (e.g., "3x Arrows" or "Sword")
+ */
+export function formatItemQuantity(name, quantity) {
+    return quantity > 1 ? `${quantity}x ${name}` : name;
+}